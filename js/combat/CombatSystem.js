@@ -168,9 +168,7 @@ export class CombatSystem {
             }
             
             // Show parry message
-            if (this.game.hud && this.game.hud.showMessage) {
-                this.game.hud.showMessage('PARRIED!', 1500);
-            }
+            this.game.events.emit('message', { text: 'PARRIED!', duration: 1500 });
             
             return true;
         }
@@ -204,9 +202,7 @@ export class CombatSystem {
         }
         
         // Show critical damage message
-        if (this.game.hud && this.game.hud.showMessage) {
-            this.game.hud.showMessage('CRITICAL HIT!', 1500);
-        }
+        this.game.events.emit('message', { text: 'CRITICAL HIT!', duration: 1500 });
         
         // End riposte window
         this.riposteWindowActive = false;
@@ -0,0 +1,91 @@
+/**
+ * InputBuffer.js - Combat Input Buffer
+ * Holds roll, attack, item and spell presses for a short window, so a press
+ * made just before the player recovers from a roll or swing still goes off.
+ */
+
+// Actions the buffer holds, in the order they win when several are queued
+export const BUFFERED_ACTIONS = ['roll', 'lightAttack', 'heavyAttack', 'castSpell', 'castHeal', 'useItem'];
+
+// Seconds a press stays queued (Settings -> Controls -> Input Buffer)
+export const DEFAULT_BUFFER_WINDOW = 0.3;
+export const MAX_BUFFER_WINDOW = 0.5;
+
+export class InputBuffer {
+    constructor() {
+        this.window = DEFAULT_BUFFER_WINDOW;
+        this.priority = BUFFERED_ACTIONS;
+        this.priorityRules = null; // weapon list the priority was built from
+        
+        // action -> simulation time of its latest press
+        this.queue = new Map();
+    }
+    
+    setWindow(seconds) {
+        this.window = Math.min(MAX_BUFFER_WINDOW, Math.max(0, seconds));
+    }
+    
+    /**
+     * Use a weapon's priority order (WeaponSystem weapon.inputBuffer.priority).
+     * Actions it leaves out keep their default order after the listed ones.
+     */
+    setPriority(priority = null) {
+        if (priority === this.priorityRules) return;
+        this.priorityRules = priority;
+        
+        if (!Array.isArray(priority)) {
+            this.priority = BUFFERED_ACTIONS;
+            return;
+        }
+        
+        const listed = priority.filter(action => BUFFERED_ACTIONS.includes(action));
+        this.priority = [...new Set([...listed, ...BUFFERED_ACTIONS])];
+    }
+    
+    // Mashing a button keeps one entry, timed from the latest press
+    push(action, time) {
+        if (BUFFERED_ACTIONS.includes(action)) {
+            this.queue.set(action, time);
+        }
+    }
+    
+    // Drop presses older than the window
+    expire(time) {
+        this.queue.forEach((pressedAt, action) => {
+            if (time - pressedAt > this.window) {
+                this.queue.delete(action);
+            }
+        });
+    }
+    
+    /**
+     * Remove and return the highest-priority queued action once canPerform
+     * accepts it. Lower ones wait behind it until it fires or runs out, so a
+     * cooldown that ends sooner can't let them jump the queue. An action
+     * canAfford rejects (a spell without the mana) is dropped instead, so it
+     * doesn't hold up the rest.
+     */
+    take(canPerform, canAfford = () => true) {
+        for (const action of this.priority) {
+            if (!this.queue.has(action)) continue;
+            
+            if (!canAfford(action)) {
+                this.queue.delete(action);
+                continue;
+            }
+            if (!canPerform(action)) return null;
+            
+            this.queue.delete(action);
+            return action;
+        }
+        return null;
+    }
+    
+    has(action) {
+        return this.queue.has(action);
+    }
+    
+    clear() {
+        this.queue.clear();
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { PathFollower } from './PathFollower.js';
 
 export class Boss {
     constructor(game, name = 'Ancient Guardian') {
@@ -11,6 +12,10 @@ export class Boss {
         this.scene = game.scene;
         this.name = name;
         
+        // Attack selection uses the seeded ai stream; shakes and particles use fx
+        this.rng = game.rng.ai;
+        this.fxRng = game.rng.fx;
+        
         // Mesh
         this.mesh = null;
         this.weaponMesh = null;
@@ -56,6 +61,9 @@ export class Boss {
         this.arenaCenter = new THREE.Vector3();
         this.arenaRadius = 25;
         
+        // Walks around the arena's pillars (see NavGrid)
+        this.pathFollower = new PathFollower(this);
+        
         // Poise
         this.maxPoise = 150;
         this.poise = 150;
@@ -75,9 +83,18 @@ export class Boss {
     init(x, y, z) {
         this.position.set(x, y, z);
         this.arenaCenter.set(x, y, z);
+        this.game.spatialIndex.insert('bosses', this, x, z);
         this.createMesh();
     }
     
+    // Tougher and more rewarding on each New Game+ cycle
+    applyCycleScaling(scaling) {
+        this.maxHealth = Math.round(this.maxHealth * scaling.health);
+        this.health = this.maxHealth;
+        this.damage *= scaling.damage;
+        this.soulsReward = Math.round(this.soulsReward * scaling.souls);
+    }
+    
     createMesh() {
         const group = new THREE.Group();
         
@@ -282,10 +299,14 @@ export class Boss {
             return;
         }
         
-        // Move towards player
+        // Move towards player along the path, facing the way we walk
         if (distance > this.attackRange * 0.7) {
-            this.velocity.x = toPlayer.x * this.moveSpeed;
-            this.velocity.z = toPlayer.z * this.moveSpeed;
+            const direction = this.pathFollower.steer(player.position, deltaTime);
+            this.velocity.x = direction.x * this.moveSpeed;
+            this.velocity.z = direction.z * this.moveSpeed;
+            if (direction.lengthSq() > 0) {
+                this.rotation = Math.atan2(direction.x, direction.z);
+            }
         } else {
             this.velocity.set(0, 0, 0);
         }
@@ -293,7 +314,7 @@ export class Boss {
     
     startAttack() {
         const patterns = this.attackPatterns[this.phase];
-        this.currentAttack = patterns[Math.floor(Math.random() * patterns.length)];
+        this.currentAttack = patterns[Math.floor(this.rng.next() * patterns.length)];
         
         this.state = 'attack';
         this.isAttacking = true;
@@ -414,7 +435,7 @@ export class Boss {
             
             // Visual indicator
             if (this.mesh) {
-                this.mesh.position.x = this.position.x + (Math.random() - 0.5) * 0.2;
+                this.mesh.position.x = this.position.x + (this.fxRng.next() - 0.5) * 0.2;
             }
         } else if (this.attackTimer < chargeUp + charging) {
             // Charge forward
@@ -446,7 +467,7 @@ export class Boss {
             }
             
             // Spawn warning particles
-            if (Math.random() < 0.3) {
+            if (this.fxRng.next() < 0.3) {
                 const pos = this.position.clone();
                 pos.y += 2;
                 this.game.particleSystem.spawnMagicParticle(pos);
@@ -522,8 +543,8 @@ export class Boss {
     
     updateStaggered(deltaTime) {
         if (this.mesh) {
-            this.mesh.position.x = this.position.x + (Math.random() - 0.5) * 0.15;
-            this.mesh.position.z = this.position.z + (Math.random() - 0.5) * 0.15;
+            this.mesh.position.x = this.position.x + (this.fxRng.next() - 0.5) * 0.15;
+            this.mesh.position.z = this.position.z + (this.fxRng.next() - 0.5) * 0.15;
         }
         
         if (this.stateTimer <= 0) {
@@ -586,7 +607,7 @@ export class Boss {
         this.poiseRegenTimer = 3;
         
         // Show damage
-        this.game.hud.showDamage(amount, this.position);
+        this.game.events.emit('damageTaken', { target: this, amount, position: this.position });
         
         // Stagger check
         if (this.poise <= 0 && this.state !== 'staggered') {
@@ -613,11 +634,8 @@ export class Boss {
         // Hide health bar
         this.hideBossHealthBar();
         
-        // Grant souls
-        this.game.progressionSystem.addSouls(this.soulsReward);
-        
-        // Victory screen
-        this.game.showVictory(this.soulsReward);
+        // Souls, victory screen and save are handled by subscribers
+        this.game.events.emit('bossDefeated', { boss: this, souls: this.soulsReward });
         
         // Death animation
         if (this.mesh) {
@@ -700,6 +718,7 @@ export class Boss {
         if (!Number.isFinite(this.position.x)) this.position.x = this.arenaCenter.x;
         if (!Number.isFinite(this.position.y)) this.position.y = this.arenaCenter.y;
         if (!Number.isFinite(this.position.z)) this.position.z = this.arenaCenter.z;
+        this.game.spatialIndex.move(this, this.position.x, this.position.z);
         
         // Friction
         this.velocity.x *= 0.95;
@@ -721,6 +740,7 @@ export class Boss {
     }
     
     dispose() {
+        this.game.spatialIndex.remove(this);
         if (this.mesh) {
             this.scene.remove(this.mesh);
             this.mesh = null;
@@ -0,0 +1,28 @@
+/**
+ * CycleScaling.js - New Game+ Difficulty
+ * Multipliers applied to enemies and bosses on each New Game+ cycle
+ * (cycle 1 is the first playthrough)
+ */
+
+// Scaling stops growing after NG+7
+export const MAX_CYCLE = 8;
+
+// Added per cycle after the first
+const HEALTH_PER_CYCLE = 0.5;
+const DAMAGE_PER_CYCLE = 0.3;
+const SOULS_PER_CYCLE = 0.5;
+
+export function getCycleScaling(cycle) {
+    const extra = Math.min(Math.max(cycle, 1), MAX_CYCLE) - 1;
+    return {
+        health: 1 + HEALTH_PER_CYCLE * extra,
+        damage: 1 + DAMAGE_PER_CYCLE * extra,
+        souls: 1 + SOULS_PER_CYCLE * extra
+    };
+}
+
+// 'NG+', 'NG+2', ... (empty for the first playthrough)
+export function getCycleLabel(cycle) {
+    if (cycle <= 1) return '';
+    return cycle === 2 ? 'NG+' : `NG+${cycle - 1}`;
+}
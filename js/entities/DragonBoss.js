@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { PathFollower } from './PathFollower.js';
 
 export class DragonBoss {
     constructor(game, name = 'Ancient Dragon') {
@@ -11,6 +12,10 @@ export class DragonBoss {
         this.scene = game.scene;
         this.name = name;
         
+        // Seeded streams: ai for attacks and fire pillars, fx for particles
+        this.rng = game.rng.ai;
+        this.fxRng = game.rng.fx;
+        
         // Mesh
         this.mesh = null;
         this.wingMeshes = [];
@@ -67,6 +72,9 @@ export class DragonBoss {
         this.arenaCenter = new THREE.Vector3();
         this.arenaRadius = 35;
         
+        // Walks around the arena's pillars while grounded (see NavGrid)
+        this.pathFollower = new PathFollower(this);
+        
         // Poise
         this.maxPoise = 200;
         this.poise = 200;
@@ -90,9 +98,18 @@ export class DragonBoss {
         this.position.set(x, y + 5, z);
         this.baseHeight = y;
         this.arenaCenter.set(x, y, z);
+        this.game.spatialIndex.insert('bosses', this, x, z);
         this.createMesh();
     }
     
+    // New Game+ scaling, same as Boss
+    applyCycleScaling(scaling) {
+        this.maxHealth = Math.round(this.maxHealth * scaling.health);
+        this.health = this.maxHealth;
+        this.damage *= scaling.damage;
+        this.soulsReward = Math.round(this.soulsReward * scaling.souls);
+    }
+    
     createMesh() {
         const group = new THREE.Group();
         
@@ -458,7 +475,7 @@ export class DragonBoss {
         // Attack patterns
         if (this.attackCooldown <= 0) {
             const attacks = this.attackPatterns[this.phase];
-            const attack = attacks[Math.floor(Math.random() * attacks.length)];
+            const attack = attacks[Math.floor(this.rng.next() * attacks.length)];
             this.startAttack(attack);
         }
     }
@@ -479,7 +496,7 @@ export class DragonBoss {
         if (this.attackCooldown <= 0) {
             if (distance < this.attackRange) {
                 const groundAttacks = ['clawSwipe', 'tailSwipe'];
-                this.startAttack(groundAttacks[Math.floor(Math.random() * groundAttacks.length)]);
+                this.startAttack(groundAttacks[Math.floor(this.rng.next() * groundAttacks.length)]);
             } else {
                 // Take off
                 this.state = 'flying';
@@ -488,9 +505,10 @@ export class DragonBoss {
             }
         }
         
-        // Slow movement on ground
-        this.velocity.x = toPlayer.x * this.moveSpeed * 0.5;
-        this.velocity.z = toPlayer.z * this.moveSpeed * 0.5;
+        // Slow movement on ground, along the path
+        const direction = this.pathFollower.steer(player.position, deltaTime);
+        this.velocity.x = direction.x * this.moveSpeed * 0.5;
+        this.velocity.z = direction.z * this.moveSpeed * 0.5;
     }
     
     startAttack(attackType) {
@@ -724,7 +742,7 @@ export class DragonBoss {
             this.velocity.set(0, 0, 0);
             
             // Spawn warning particles
-            if (Math.random() < 0.3) {
+            if (this.fxRng.next() < 0.3) {
                 const pos = this.position.clone();
                 pos.y -= 3;
                 this.game.particleSystem.spawnFire(pos, 5);
@@ -734,11 +752,11 @@ export class DragonBoss {
             const stormProgress = (this.attackTimer - chargeUp) / storm;
             
             // Spawn fire pillars
-            if (Math.random() < 0.2) {
+            if (this.rng.next() < 0.2) {
                 const player = this.game.player;
                 const pillarPos = player.position.clone();
-                pillarPos.x += (Math.random() - 0.5) * 15;
-                pillarPos.z += (Math.random() - 0.5) * 15;
+                pillarPos.x += (this.rng.next() - 0.5) * 15;
+                pillarPos.z += (this.rng.next() - 0.5) * 15;
                 pillarPos.y = this.game.world.getHeightAt(pillarPos.x, pillarPos.z);
                 
                 this.spawnFirePillar(pillarPos);
@@ -773,9 +791,10 @@ export class DragonBoss {
         const landTime = 3.0;
         
         if (this.attackTimer < descend) {
-            // Descend
+            // Descend (somewhere new, so plan a fresh path)
             this.targetHeight = this.baseHeight + 2;
             this.isFlying = false;
+            this.pathFollower.reset();
         } else if (this.attackTimer < descend + landTime) {
             // Grounded combat
             this.state = 'grounded';
@@ -838,10 +857,10 @@ export class DragonBoss {
         }
         
         // Spawn fire around
-        if (Math.random() < 0.3) {
+        if (this.fxRng.next() < 0.3) {
             const pos = this.position.clone();
-            pos.x += (Math.random() - 0.5) * 10;
-            pos.z += (Math.random() - 0.5) * 10;
+            pos.x += (this.fxRng.next() - 0.5) * 10;
+            pos.z += (this.fxRng.next() - 0.5) * 10;
             pos.y = this.game.world.getHeightAt(pos.x, pos.z);
             this.game.particleSystem.spawnFire(pos, 5);
         }
@@ -860,7 +879,7 @@ export class DragonBoss {
         this.hitCooldown = 0.2;
         
         // Show damage
-        this.game.hud.showDamage(amount, this.position);
+        this.game.events.emit('damageTaken', { target: this, amount, position: this.position });
         
         // Death check
         if (this.health <= 0) {
@@ -875,11 +894,8 @@ export class DragonBoss {
         // Hide health bar
         this.hideBossHealthBar();
         
-        // Grant souls
-        this.game.progressionSystem.addSouls(this.soulsReward);
-        
-        // Victory screen
-        this.game.showVictory(this.soulsReward);
+        // Souls, victory screen and save are handled by subscribers
+        this.game.events.emit('bossDefeated', { boss: this, souls: this.soulsReward });
         
         // Death animation - crash to ground
         if (this.mesh) {
@@ -940,6 +956,7 @@ export class DragonBoss {
         if (!this.isFlying && this.position.y < groundHeight + 2) {
             this.position.y = groundHeight + 2;
         }
+        this.game.spatialIndex.move(this, this.position.x, this.position.z);
         
         // Friction
         this.velocity.x *= 0.95;
@@ -970,6 +987,7 @@ export class DragonBoss {
     }
     
     dispose() {
+        this.game.spatialIndex.remove(this);
         if (this.mesh) {
             this.scene.remove(this.mesh);
             this.mesh = null;
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { PathFollower } from './PathFollower.js';
 
 export class Enemy {
     constructor(game, type = 'melee') {
@@ -11,6 +12,10 @@ export class Enemy {
         this.scene = game.scene;
         this.type = type; // 'melee', 'ranged', 'heavy'
         
+        // Seeded RNG streams (ai for patrol/attack decisions, fx for shake)
+        this.rng = game.rng.ai;
+        this.fxRng = game.rng.fx;
+        
         // Mesh
         this.mesh = null;
         
@@ -39,6 +44,9 @@ export class Enemy {
         this.patrolRadius = 10;
         this.patrolWaitTime = 2;
         
+        // Walks around trees, rocks, ruins and steep slopes (see NavGrid)
+        this.pathFollower = new PathFollower(this);
+        
         // Combat
         this.attackCooldown = 0;
         this.isAttacking = false;
@@ -107,10 +115,21 @@ export class Enemy {
         this.position.set(x, y, z);
         this.spawnPoint.set(x, y, z);
         this.patrolPoint.copy(this.spawnPoint);
+        this.game.spatialIndex.insert('enemies', this, x, z);
         
         this.createMesh();
     }
     
+    /**
+     * Scale stats for the current New Game+ cycle (see CycleScaling.js)
+     */
+    applyCycleScaling(scaling) {
+        this.maxHealth = Math.round(this.maxHealth * scaling.health);
+        this.health = this.maxHealth;
+        this.damage *= scaling.damage;
+        this.soulsReward = Math.round(this.soulsReward * scaling.souls);
+    }
+    
     createMesh() {
         const group = new THREE.Group();
         
@@ -277,11 +296,16 @@ export class Enemy {
             this.stateTimer = this.patrolWaitTime;
             this.velocity.set(0, 0, 0);
         } else {
-            // Move towards patrol point
-            toPatrol.normalize();
-            this.velocity.x = toPatrol.x * this.moveSpeed * 0.5;
-            this.velocity.z = toPatrol.z * this.moveSpeed * 0.5;
-            this.rotation = Math.atan2(toPatrol.x, toPatrol.z);
+            // Follow the path to the patrol point, or give up on it if there's no way there
+            const direction = this.pathFollower.steer(this.patrolPoint, deltaTime);
+            if (direction.lengthSq() === 0) {
+                this.state = 'idle';
+                this.stateTimer = this.patrolWaitTime;
+                return;
+            }
+            this.velocity.x = direction.x * this.moveSpeed * 0.5;
+            this.velocity.z = direction.z * this.moveSpeed * 0.5;
+            this.rotation = Math.atan2(direction.x, direction.z);
         }
     }
     
@@ -311,15 +335,26 @@ export class Enemy {
             return;
         }
         
-        // Move towards player
+        // Move towards player along the path
         if (distance > this.attackRange * 0.8) {
-            this.velocity.x = toPlayer.x * this.moveSpeed;
-            this.velocity.z = toPlayer.z * this.moveSpeed;
+            this.moveAlongPath(player.position, this.moveSpeed, deltaTime);
         } else {
             this.velocity.set(0, 0, 0);
         }
     }
     
+    /**
+     * Head for a target around obstacles, facing the way we walk
+     */
+    moveAlongPath(target, speed, deltaTime) {
+        const direction = this.pathFollower.steer(target, deltaTime);
+        this.velocity.x = direction.x * speed;
+        this.velocity.z = direction.z * speed;
+        if (direction.lengthSq() > 0) {
+            this.rotation = Math.atan2(direction.x, direction.z);
+        }
+    }
+    
     startAttack() {
         this.state = 'attack';
         this.isAttacking = true;
@@ -339,7 +374,7 @@ export class Enemy {
         if (this.attackTimer < this.windUpTime) {
             // Shake slightly to telegraph attack
             if (this.mesh) {
-                this.mesh.position.x = this.position.x + (Math.random() - 0.5) * 0.05;
+                this.mesh.position.x = this.position.x + (this.fxRng.next() - 0.5) * 0.05;
             }
             return;
         }
@@ -400,8 +435,8 @@ export class Enemy {
     updateStaggered(deltaTime) {
         // Shake effect
         if (this.mesh) {
-            this.mesh.position.x = this.position.x + (Math.random() - 0.5) * 0.1;
-            this.mesh.position.z = this.position.z + (Math.random() - 0.5) * 0.1;
+            this.mesh.position.x = this.position.x + (this.fxRng.next() - 0.5) * 0.1;
+            this.mesh.position.z = this.position.z + (this.fxRng.next() - 0.5) * 0.1;
         }
         
         if (this.stateTimer <= 0) {
@@ -423,14 +458,20 @@ export class Enemy {
     }
     
     setNewPatrolPoint() {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * this.patrolRadius;
-        
-        this.patrolPoint.set(
-            this.spawnPoint.x + Math.cos(angle) * distance,
-            this.spawnPoint.y,
-            this.spawnPoint.z + Math.sin(angle) * distance
-        );
+        // Pick a spot that can be stood on (a few tries, then head home)
+        const navGrid = this.game.world.getNavGridAt(this.spawnPoint.x, this.spawnPoint.z);
+        this.patrolPoint.copy(this.spawnPoint);
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = this.rng.next() * this.patrolRadius;
+            const x = this.spawnPoint.x + Math.cos(angle) * distance;
+            const z = this.spawnPoint.z + Math.sin(angle) * distance;
+            
+            if (navGrid.isWalkableAt(x, z)) {
+                this.patrolPoint.set(x, this.spawnPoint.y, z);
+                break;
+            }
+        }
         
         // Adjust for terrain
         this.patrolPoint.y = this.game.world.getHeightAt(
@@ -451,7 +492,7 @@ export class Enemy {
         this.poiseTimer = this.poiseRegenDelay;
         
         // Show damage number
-        this.game.hud.showDamage(amount, this.position);
+        this.game.events.emit('damageTaken', { target: this, amount, position: this.position });
         
         // Aggro on hit
         if (!this.hasAggro) {
@@ -504,8 +545,8 @@ export class Enemy {
         this.isAlive = false;
         this.state = 'dead';
         
-        // Grant souls to player
-        this.game.progressionSystem.addSouls(this.soulsReward);
+        // Souls are granted by ProgressionSystem
+        this.game.events.emit('enemyKilled', { enemy: this, souls: this.soulsReward });
         
         // Death animation
         if (this.mesh) {
@@ -564,6 +605,8 @@ export class Enemy {
         // Reset position
         this.position.copy(this.spawnPoint);
         this.velocity.set(0, 0, 0);
+        this.pathFollower.reset();
+        this.game.spatialIndex.insert('enemies', this, this.position.x, this.position.z);
         
         // Reset mesh
         if (this.mesh) {
@@ -593,6 +636,7 @@ export class Enemy {
         if (!Number.isFinite(this.position.x)) this.position.x = this.spawnPoint.x;
         if (!Number.isFinite(this.position.y)) this.position.y = this.spawnPoint.y;
         if (!Number.isFinite(this.position.z)) this.position.z = this.spawnPoint.z;
+        this.game.spatialIndex.move(this, this.position.x, this.position.z);
         
         // Friction
         this.velocity.x *= 0.9;
@@ -609,6 +653,7 @@ export class Enemy {
     }
     
     dispose() {
+        this.game.spatialIndex.remove(this);
         if (this.mesh) {
             this.scene.remove(this.mesh);
             this.mesh.traverse((child) => {
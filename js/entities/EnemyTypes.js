@@ -27,7 +27,7 @@ export class Wolf extends Enemy {
         // Pack behavior
         this.packMembers = [];
         this.isPackLeader = false;
-        this.circlingAngle = Math.random() * Math.PI * 2;
+        this.circlingAngle = this.rng.next() * Math.PI * 2;
         this.circlingSpeed = 2;
         
         // Detection
@@ -157,17 +157,14 @@ export class Wolf extends Enemy {
             this.rotation = Math.atan2(toPlayer.x, toPlayer.z);
             
             // Occasionally lunge attack
-            if (Math.random() < 0.01 && this.attackCooldown <= 0) {
+            if (this.rng.next() < 0.01 && this.attackCooldown <= 0) {
                 this.startLungeAttack();
             }
         } else if (distance <= this.attackRange && this.attackCooldown <= 0) {
             this.startAttack();
         } else if (distance > this.attackRange * 3) {
-            // Chase directly
-            toPlayer.normalize();
-            this.velocity.x = toPlayer.x * this.moveSpeed;
-            this.velocity.z = toPlayer.z * this.moveSpeed;
-            this.rotation = Math.atan2(toPlayer.x, toPlayer.z);
+            // Close in along the path
+            this.moveAlongPath(player.position, this.moveSpeed, deltaTime);
         }
     }
     
@@ -323,7 +320,7 @@ export class StoneGolem extends Enemy {
     
     startAttack() {
         // Choose attack type
-        if (Math.random() < 0.3 && this.groundPoundCooldown <= 0) {
+        if (this.rng.next() < 0.3 && this.groundPoundCooldown <= 0) {
             this.startGroundPound();
         } else {
             super.startAttack();
@@ -563,7 +560,7 @@ export class DarkKnight extends Enemy {
         
         // Sometimes block when player is attacking
         if (player.isAttacking && distance < 5 && !this.isBlocking && this.blockCooldown <= 0) {
-            if (Math.random() < 0.5) {
+            if (this.rng.next() < 0.5) {
                 this.startBlock();
                 return;
             }
@@ -575,10 +572,9 @@ export class DarkKnight extends Enemy {
             return;
         }
         
-        // Move towards player
+        // Move towards player along the path
         if (distance > this.attackRange * 0.8) {
-            this.velocity.x = toPlayer.x * this.moveSpeed;
-            this.velocity.z = toPlayer.z * this.moveSpeed;
+            this.moveAlongPath(player.position, this.moveSpeed, deltaTime);
         } else {
             this.velocity.set(0, 0, 0);
         }
@@ -614,7 +610,7 @@ export class DarkKnight extends Enemy {
         this.comboCount++;
         
         // Continue combo
-        if (this.comboCount < this.maxCombo && Math.random() < 0.7) {
+        if (this.comboCount < this.maxCombo && this.rng.next() < 0.7) {
             this.attackTimer = this.windUpTime * 0.5; // Faster follow-up
         }
     }
@@ -784,7 +780,7 @@ export class CrystalLizard extends Enemy {
         this.updateMesh();
         
         // Sparkle effect
-        if (Math.random() < 0.1) {
+        if (this.fxRng.next() < 0.1) {
             const pos = this.position.clone();
             pos.y += 0.5;
             this.game.particleSystem.spawnMagicParticle(pos);
@@ -829,23 +825,14 @@ export class CrystalLizard extends Enemy {
         this.isAlive = false;
         this.state = 'dead';
         
-        // Drop materials instead of souls
-        const drop = this.drops[Math.floor(Math.random() * this.drops.length)];
-        
-        // Add to player inventory if system exists
-        if (this.game.inventorySystem) {
-            this.game.inventorySystem.addItem(drop, 1 + Math.floor(Math.random() * 2));
-        }
-        
-        // Show drop message
-        if (this.game.hud) {
-            const itemNames = {
-                titaniteShard: 'Titanite Shard',
-                largeTitanite: 'Large Titanite Shard',
-                twinkling: 'Twinkling Titanite'
-            };
-            this.game.hud.showItemPickup(itemNames[drop] || drop);
-        }
+        // Drop materials instead of souls (InventorySystem collects the loot)
+        const drop = this.drops[Math.floor(this.game.rng.loot.next() * this.drops.length)];
+        const quantity = 1 + Math.floor(this.game.rng.loot.next() * 2);
+        this.game.events.emit('enemyKilled', {
+            enemy: this,
+            souls: 0,
+            loot: { itemId: drop, quantity }
+        });
         
         // Death effect
         if (this.mesh) {
@@ -0,0 +1,159 @@
+/**
+ * Interactable.js - Interactable World Objects
+ * Base for things used with the interact key: the prompt the HUD shows, how
+ * close the player must be, what must hold before it works (such as carrying
+ * a key item) and an animated change between its two states.
+ */
+
+import * as THREE from 'three';
+
+export class Interactable {
+    /**
+     * @param {Object} game
+     * @param {Object} spawn - level entry (name, type, x, z, rotation, requires, ...)
+     */
+    constructor(game, spawn) {
+        this.game = game;
+        this.scene = game.scene;
+        this.name = spawn.name;
+        this.type = spawn.type;
+        
+        // Mesh
+        this.mesh = null;
+        
+        // Placement (rotation faces local +z, like enemies)
+        this.position = new THREE.Vector3(spawn.x, 0, spawn.z);
+        this.rotation = THREE.MathUtils.degToRad(spawn.rotation || 0);
+        
+        // How close (horizontally) the player must be to use it
+        this.range = 2.5;
+        
+        // Key item that must be carried to use it (kept, not used up)
+        this.requires = spawn.requires || null;
+        
+        // Two states (closed/open, down/up); progress eases towards the current one
+        this.isActive = false;
+        this.progress = 0;
+        this.animationDuration = 1; // seconds from one state to the other
+    }
+    
+    init() {
+        this.position.y = this.game.world.getHeightAt(this.position.x, this.position.z);
+        
+        this.mesh = this.createMesh();
+        this.mesh.position.copy(this.position);
+        this.mesh.rotation.y = this.rotation;
+        this.scene.add(this.mesh);
+        this.animate();
+        
+        this.game.spatialIndex.insert('interactables', this, this.position.x, this.position.z);
+    }
+    
+    createMesh() {
+        return new THREE.Group();
+    }
+    
+    addBox(parent, material, width, height, depth, x, y, z) {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+        mesh.position.set(x, y, z);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        parent.add(mesh);
+        return mesh;
+    }
+    
+    /**
+     * Prompt text for the HUD while the player is in range
+     * @returns {string|null} null when there's nothing to do (e.g. an open door)
+     */
+    getPrompt(player) {
+        return null;
+    }
+    
+    /**
+     * Why it can't be used right now, shown as a message instead of using it
+     * @returns {string|null} null when it can be used
+     */
+    getBlockedReason(player) {
+        const inventory = this.game.inventorySystem;
+        if (this.requires && !inventory.hasItem(this.requires)) {
+            const itemDef = inventory.itemDatabase[this.requires];
+            return `Requires ${itemDef ? itemDef.name : this.requires}`;
+        }
+        return null;
+    }
+    
+    isInRange(player) {
+        const dx = player.position.x - this.position.x;
+        const dz = player.position.z - this.position.z;
+        return dx * dx + dz * dz <= this.range * this.range;
+    }
+    
+    // Use it (the system has already checked range and getBlockedReason)
+    interact(player) {}
+    
+    /**
+     * Switch state; the change animates over animationDuration unless instant
+     * @param {boolean} active
+     * @param {boolean} [instant=false] - jump straight there (restoring a save)
+     */
+    setActive(active, instant = false) {
+        this.isActive = active;
+        if (instant) {
+            this.progress = active ? 1 : 0;
+            this.animate();
+        }
+    }
+    
+    isMoving() {
+        return this.progress !== (this.isActive ? 1 : 0);
+    }
+    
+    update(deltaTime) {
+        if (!this.isMoving()) return;
+        
+        const step = deltaTime / this.animationDuration;
+        this.progress = this.isActive
+            ? Math.min(1, this.progress + step)
+            : Math.max(0, this.progress - step);
+        this.animate();
+    }
+    
+    // Pose the mesh for the current progress (0 = inactive, 1 = active)
+    animate() {}
+    
+    // Same contract as World.checkCollision, for this object alone
+    blocks(position, radius) {
+        return false;
+    }
+    
+    /**
+     * Height of a surface here that holds up whoever stands on it (lift platforms)
+     * @param {number} y - feet height; surfaces more than a step above it don't count
+     * @returns {number|null}
+     */
+    getSurfaceHeightAt(x, y, z) {
+        return null;
+    }
+    
+    // A world position in this object's frame (x across, z towards where it faces)
+    toLocal(x, z) {
+        const dx = x - this.position.x;
+        const dz = z - this.position.z;
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        return { x: dx * cos - dz * sin, z: dx * sin + dz * cos };
+    }
+    
+    dispose() {
+        this.game.spatialIndex.remove(this);
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            this.mesh = null;
+        }
+    }
+}
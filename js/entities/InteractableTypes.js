@@ -0,0 +1,310 @@
+/**
+ * InteractableTypes.js - Interactable World Objects
+ * Door, Shortcut, Lever, Chest, Lift
+ */
+
+import * as THREE from 'three';
+import { Interactable } from './Interactable.js';
+
+// Door frame (local x across the doorway, z through it)
+const DOOR_WIDTH = 3;
+const DOOR_HEIGHT = 3.5;
+const PANEL_DEPTH = 0.25;
+const POST_SIZE = 0.5;
+
+// Lift platform
+const PLATFORM_HALF = 1.5;
+const PLATFORM_RISE = 0.2;     // top above the ground at the bottom
+const STEP_HEIGHT = 0.6;       // how far below its feet the player can step up onto it
+const LIFT_SPEED = 2.5;        // units per second
+
+// ==========================================
+// DOOR - Opens once and stays open
+// ==========================================
+export class Door extends Interactable {
+    constructor(game, spawn) {
+        super(game, spawn);
+        
+        this.frameColor = 0x5a5550;
+        this.panelColor = 0x3b2a1a;
+        this.animationDuration = 1.2;
+        
+        // Lever that opens it (set by InteractableSystem); such doors don't open by hand
+        this.controlledBy = null;
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const frameMaterial = new THREE.MeshStandardMaterial({ color: this.frameColor, roughness: 0.95 });
+        const panelMaterial = new THREE.MeshStandardMaterial({ color: this.panelColor, roughness: 0.8, metalness: 0.2 });
+        
+        // Posts and lintel
+        const postX = (DOOR_WIDTH + POST_SIZE) / 2;
+        this.addBox(group, frameMaterial, POST_SIZE, DOOR_HEIGHT + 0.5, POST_SIZE, -postX, (DOOR_HEIGHT + 0.5) / 2, 0);
+        this.addBox(group, frameMaterial, POST_SIZE, DOOR_HEIGHT + 0.5, POST_SIZE, postX, (DOOR_HEIGHT + 0.5) / 2, 0);
+        this.addBox(group, frameMaterial, DOOR_WIDTH + POST_SIZE * 2, POST_SIZE, POST_SIZE, 0, DOOR_HEIGHT + 0.5 + POST_SIZE / 2, 0);
+        
+        // Panel swings on a hinge at one post
+        this.hinge = new THREE.Group();
+        this.hinge.position.x = -DOOR_WIDTH / 2;
+        this.panel = this.addBox(this.hinge, panelMaterial, DOOR_WIDTH, DOOR_HEIGHT, PANEL_DEPTH, DOOR_WIDTH / 2, DOOR_HEIGHT / 2, 0);
+        group.add(this.hinge);
+        
+        return group;
+    }
+    
+    getPrompt(player) {
+        return this.isActive ? null : `Open ${this.name}`;
+    }
+    
+    getBlockedReason(player) {
+        if (this.controlledBy) {
+            return 'Opened elsewhere';
+        }
+        return super.getBlockedReason(player);
+    }
+    
+    interact(player) {
+        this.setActive(true);
+    }
+    
+    // Swings away from the side it faces
+    animate() {
+        this.hinge.rotation.y = this.progress * Math.PI / 2;
+    }
+    
+    blocks(position, radius) {
+        const local = this.toLocal(position.x, position.z);
+        const postX = (DOOR_WIDTH + POST_SIZE) / 2;
+        const postRadius = POST_SIZE / 2;
+        if (Math.hypot(local.x - postX, local.z) < radius + postRadius ||
+            Math.hypot(local.x + postX, local.z) < radius + postRadius) {
+            return true;
+        }
+        
+        // The doorway is clear once the panel has swung all the way
+        return this.progress < 1 &&
+            Math.abs(local.x) < DOOR_WIDTH / 2 + radius &&
+            Math.abs(local.z) < PANEL_DEPTH / 2 + radius;
+    }
+}
+
+// ==========================================
+// SHORTCUT - A door barred on one side
+// ==========================================
+export class Shortcut extends Door {
+    constructor(game, spawn) {
+        super(game, spawn);
+        
+        this.frameColor = 0x4a3b2a;
+        this.panelColor = 0x6b5234;
+    }
+    
+    createMesh() {
+        const group = super.createMesh();
+        
+        // The bar sits on the side it opens from
+        const barMaterial = new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.6, metalness: 0.6 });
+        this.addBox(this.panel, barMaterial, DOOR_WIDTH - 0.2, 0.25, 0.2, 0, 0, PANEL_DEPTH / 2 + 0.1);
+        
+        return group;
+    }
+    
+    getBlockedReason(player) {
+        if (this.toLocal(player.position.x, player.position.z).z < 0) {
+            return 'Does not open from this side';
+        }
+        return super.getBlockedReason(player);
+    }
+}
+
+// ==========================================
+// LEVER - Pulled once, opens the doors it names
+// ==========================================
+export class Lever extends Interactable {
+    constructor(game, spawn) {
+        super(game, spawn);
+        
+        this.range = 2;
+        this.animationDuration = 0.5;
+        
+        // Names from the level file, resolved to doors by InteractableSystem
+        this.targetNames = spawn.targets || [];
+        this.targets = [];
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const baseMaterial = new THREE.MeshStandardMaterial({ color: 0x4a4a4a, roughness: 0.9 });
+        const handleMaterial = new THREE.MeshStandardMaterial({ color: 0x8a6a3a, roughness: 0.6, metalness: 0.4 });
+        
+        this.addBox(group, baseMaterial, 0.6, 0.8, 0.4, 0, 0.4, 0);
+        
+        this.handle = new THREE.Group();
+        this.handle.position.y = 0.8;
+        this.addBox(this.handle, handleMaterial, 0.1, 1, 0.1, 0, 0.5, 0);
+        group.add(this.handle);
+        
+        return group;
+    }
+    
+    getPrompt(player) {
+        return this.isActive ? null : `Pull ${this.name}`;
+    }
+    
+    interact(player) {
+        this.setActive(true);
+        this.targets.forEach(target => target.setActive(true));
+    }
+    
+    animate() {
+        this.handle.rotation.x = THREE.MathUtils.lerp(-0.7, 0.7, this.progress);
+    }
+}
+
+// ==========================================
+// CHEST - Gives its item the first time it's opened
+// ==========================================
+export class Chest extends Interactable {
+    constructor(game, spawn) {
+        super(game, spawn);
+        
+        this.item = spawn.item;
+        this.quantity = spawn.quantity || 1;
+        this.range = 2;
+        this.animationDuration = 0.8;
+    }
+    
+    init() {
+        if (!this.game.inventorySystem.itemDatabase[this.item]) {
+            console.warn(`Unknown item "${this.item}" in chest ${this.name}`);
+        }
+        super.init();
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const woodMaterial = new THREE.MeshStandardMaterial({ color: 0x5a3a1a, roughness: 0.8 });
+        const trimMaterial = new THREE.MeshStandardMaterial({ color: 0xb8912a, roughness: 0.4, metalness: 0.7 });
+        
+        this.addBox(group, woodMaterial, 1.2, 0.6, 0.8, 0, 0.3, 0);
+        this.addBox(group, trimMaterial, 1.25, 0.1, 0.85, 0, 0.55, 0);
+        
+        // Lid hinges along the back edge
+        this.lid = new THREE.Group();
+        this.lid.position.set(0, 0.6, -0.4);
+        this.addBox(this.lid, woodMaterial, 1.2, 0.25, 0.8, 0, 0.125, 0.4);
+        group.add(this.lid);
+        
+        return group;
+    }
+    
+    getPrompt(player) {
+        return this.isActive ? null : `Open ${this.name}`;
+    }
+    
+    interact(player) {
+        this.setActive(true);
+        this.game.inventorySystem.collectLoot(this.item, this.quantity);
+    }
+    
+    animate() {
+        this.lid.rotation.x = -this.progress * 1.9;
+    }
+    
+    blocks(position, radius) {
+        const local = this.toLocal(position.x, position.z);
+        return Math.abs(local.x) < 0.6 + radius && Math.abs(local.z) < 0.4 + radius;
+    }
+}
+
+// ==========================================
+// LIFT - Platform between the ground and height units up
+// ==========================================
+export class Lift extends Interactable {
+    constructor(game, spawn) {
+        super(game, spawn);
+        
+        this.height = spawn.height || 6;
+        this.range = PLATFORM_HALF + 1.5;
+        this.animationDuration = this.height / LIFT_SPEED;
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const frameMaterial = new THREE.MeshStandardMaterial({ color: 0x4a4038, roughness: 0.9 });
+        const platformMaterial = new THREE.MeshStandardMaterial({ color: 0x6a5a48, roughness: 0.8 });
+        
+        // Corner posts up past the top
+        const corner = PLATFORM_HALF + 0.2;
+        const postHeight = this.height + 3;
+        [-1, 1].forEach(sx => [-1, 1].forEach(sz => {
+            this.addBox(group, frameMaterial, 0.3, postHeight, 0.3, sx * corner, postHeight / 2, sz * corner);
+        }));
+        
+        this.platform = this.addBox(group, platformMaterial, PLATFORM_HALF * 2, 0.3, PLATFORM_HALF * 2, 0, 0, 0);
+        
+        return group;
+    }
+    
+    // Height of the platform's top in the world
+    getTopHeight() {
+        return this.position.y + PLATFORM_RISE + this.progress * this.height;
+    }
+    
+    isOnPlatform(x, z) {
+        const local = this.toLocal(x, z);
+        return Math.abs(local.x) <= PLATFORM_HALF && Math.abs(local.z) <= PLATFORM_HALF;
+    }
+    
+    getSurfaceHeightAt(x, y, z) {
+        if (!this.isOnPlatform(x, z)) return null;
+        
+        const top = this.getTopHeight();
+        return y >= top - STEP_HEIGHT ? top : null;
+    }
+    
+    isCarrying(player) {
+        const { x, y, z } = player.position;
+        return this.getSurfaceHeightAt(x, y, z) !== null && y - this.getTopHeight() < STEP_HEIGHT;
+    }
+    
+    getPrompt(player) {
+        if (this.isMoving()) return null;
+        if (this.isCarrying(player)) return `Ride ${this.name}`;
+        
+        // Fetch it from the other end
+        const playerAtTop = player.position.y > this.position.y + this.height / 2;
+        return playerAtTop !== this.isActive ? `Call ${this.name}` : null;
+    }
+    
+    interact(player) {
+        this.setActive(!this.isActive);
+    }
+    
+    update(deltaTime) {
+        if (!this.isMoving()) return;
+        
+        // Whoever stands on it goes along
+        const player = this.game.player;
+        const carrying = player && this.isCarrying(player);
+        const before = this.getTopHeight();
+        super.update(deltaTime);
+        if (carrying) {
+            player.position.y += this.getTopHeight() - before;
+        }
+    }
+    
+    animate() {
+        this.platform.position.y = this.getTopHeight() - this.position.y - 0.15;
+    }
+    
+    // Only the corner posts; the platform is walked onto
+    blocks(position, radius) {
+        const local = this.toLocal(position.x, position.z);
+        const corner = PLATFORM_HALF + 0.2;
+        return [-1, 1].some(sx => [-1, 1].some(sz => {
+            return Math.hypot(local.x - sx * corner, local.z - sz * corner) < radius + 0.15;
+        }));
+    }
+}
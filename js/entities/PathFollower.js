@@ -0,0 +1,86 @@
+/**
+ * PathFollower.js - Path Following for Ground Enemies
+ * Steers an enemy or boss toward a target along NavGrid paths: straight at
+ * it while nothing is in the way, otherwise from waypoint to waypoint,
+ * replanning every so often and whenever the target moves away.
+ */
+
+import * as THREE from 'three';
+
+const REPLAN_INTERVAL = 0.5;   // seconds between path refreshes
+const REPLAN_DISTANCE = 2;     // the target moving this far also refreshes the path
+const WAYPOINT_RADIUS = 0.75;  // close enough to move on to the next waypoint
+
+export class PathFollower {
+    constructor(entity) {
+        this.entity = entity;
+        
+        // Waypoints still ahead (see NavGrid.findPath); empty while walking straight at the target
+        this.path = [];
+        this.isDirect = true;
+        
+        // Target the path was planned for
+        this.goal = new THREE.Vector3();
+        this.replanTimer = 0;
+        
+        this.direction = new THREE.Vector3();
+    }
+    
+    // Forget the current path (respawn, teleport)
+    reset() {
+        this.path = [];
+        this.isDirect = true;
+        this.replanTimer = 0;
+    }
+    
+    /**
+     * Direction to move in this step to reach a target
+     * @param {THREE.Vector3} target
+     * @param {number} deltaTime
+     * @returns {THREE.Vector3} unit vector (y = 0), or zero when the target can't be got any closer to
+     */
+    steer(target, deltaTime) {
+        this.replanTimer -= deltaTime;
+        const goalMoved = Math.hypot(target.x - this.goal.x, target.z - this.goal.z) > REPLAN_DISTANCE;
+        if (this.replanTimer <= 0 || goalMoved) {
+            this.replan(target);
+        }
+        
+        const position = this.entity.position;
+        let next = target;
+        if (!this.isDirect) {
+            while (this.path.length > 0 && Math.hypot(this.path[0].x - position.x, this.path[0].z - position.z) < WAYPOINT_RADIUS) {
+                this.path.shift();
+            }
+            if (this.path.length === 0) {
+                return this.direction.set(0, 0, 0);
+            }
+            next = this.path[0];
+        }
+        
+        this.direction.set(next.x - position.x, 0, next.z - position.z);
+        if (this.direction.lengthSq() < 1e-6) {
+            return this.direction.set(0, 0, 0);
+        }
+        return this.direction.normalize();
+    }
+    
+    replan(target) {
+        const position = this.entity.position;
+        const navGrid = this.entity.game.world.getNavGridAt(position.x, position.z);
+        
+        this.goal.copy(target);
+        this.replanTimer = REPLAN_INTERVAL;
+        
+        if (navGrid.hasLineOfSight(position, target)) {
+            this.isDirect = true;
+            this.path = [];
+            return;
+        }
+        
+        // Off the grid entirely (no walkable ground nearby) - walk straight as before
+        const path = navGrid.findPath(position, target);
+        this.isDirect = path === null;
+        this.path = path || [];
+    }
+}
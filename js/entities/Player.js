@@ -4,12 +4,23 @@
  */
 
 import * as THREE from 'three';
+import { InputBuffer, BUFFERED_ACTIONS } from '../combat/InputBuffer.js';
 
 export class Player {
     constructor(game) {
         this.game = game;
         this.scene = game.scene;
         
+        // Seeded fx stream for cosmetic shake
+        this.fxRng = game.rng.fx;
+        
+        // Resting at a Site of Grace fully restores the player
+        game.events.on('checkpointRested', () => this.restoreAll());
+        
+        // Chosen at character creation
+        this.name = 'Tarnished';
+        this.characterClass = 'wanderer';
+        
         // Player mesh/model
         this.mesh = null;
         this.weaponMesh = null;
@@ -78,12 +89,20 @@ export class Player {
         this.attackType = null; // 'light', 'heavy'
         this.attackTimer = 0;
         this.attackCooldown = 0;
+        this.weaponSwing = null; // Active swing animation, advanced in updateAttack
         this.canCombo = false;
         this.comboCount = 0;
         this.lastAttackTime = 0; // For combo timing
         this.maxComboCount = 3; // Maximum hits in a combo
         this.comboWindowMs = 800; // Time window in ms to chain combo attacks
         
+        // Presses made mid-roll or mid-swing wait here until the player can act
+        this.inputBuffer = new InputBuffer();
+        const bufferWindow = game.saveSystem?.loadSettings()?.inputBufferWindow;
+        if (typeof bufferWindow === 'number') {
+            this.inputBuffer.setWindow(bufferWindow);
+        }
+        
         // Blocking
         this.isBlocking = false;
         this.blockStaminaDrain = 15; // Per blocked hit
@@ -258,6 +277,9 @@ export class Player {
         this.rollCooldown -= deltaTime;
         this.attackCooldown -= deltaTime;
         
+        // Queue this step's presses whatever the player is doing
+        this.bufferInput();
+        
         // Handle current state
         switch (this.state) {
             case 'rolling':
@@ -294,20 +316,12 @@ export class Player {
     handleInput(deltaTime) {
         const input = this.game.inputManager;
         
-        // Check for roll input (HIGH PRIORITY)
-        if (input.wasActionPressed('roll') && this.canRoll()) {
-            this.startRoll();
-            return;
-        }
-        
-        // Check for attack input
-        if (input.wasActionPressed('lightAttack') && this.canAttack()) {
-            this.startAttack('light');
-            return;
-        }
-        
-        if (input.wasActionPressed('heavyAttack') && this.canAttack()) {
-            this.startAttack('heavy');
+        // Buffered roll, attack, spell or item (rolls and attacks take over the step)
+        const action = this.inputBuffer.take(
+            candidate => this.canPerform(candidate),
+            candidate => this.canAfford(candidate)
+        );
+        if (action && this.performAction(action)) {
             return;
         }
         
@@ -397,6 +411,78 @@ export class Player {
         this.cameraRotationX = THREE.MathUtils.clamp(this.cameraRotationX, -Math.PI / 3, Math.PI / 3);
     }
     
+    // ==========================================
+    // INPUT BUFFER
+    // ==========================================
+    
+    bufferInput() {
+        const input = this.game.inputManager;
+        const time = this.game.simulationTime;
+        
+        // The equipped weapon decides which queued action wins
+        this.inputBuffer.setPriority(this.game.weaponSystem?.getEquippedWeapon()?.inputBuffer?.priority);
+        
+        BUFFERED_ACTIONS.forEach(action => {
+            if (input.wasActionPressed(action)) {
+                this.inputBuffer.push(action, time);
+            }
+        });
+        this.inputBuffer.expire(time);
+    }
+    
+    canPerform(action) {
+        const magic = this.game.magicSystem;
+        switch (action) {
+            case 'roll':
+                return this.canRoll();
+            case 'lightAttack':
+            case 'heavyAttack':
+                return this.canAttack();
+            case 'castSpell':
+                return !!magic && magic.canCast(magic.currentSpell);
+            case 'castHeal':
+                return !!magic && magic.canCast('heal');
+            case 'useItem':
+                return !!this.game.inventorySystem;
+        }
+        return false;
+    }
+    
+    // Spells the player lacks the mana for won't become castable by waiting
+    canAfford(action) {
+        const magic = this.game.magicSystem;
+        if (!magic || (action !== 'castSpell' && action !== 'castHeal')) return true;
+        
+        const spell = magic.spells[action === 'castHeal' ? 'heal' : magic.currentSpell];
+        return !!spell && this.mana >= spell.fpCost;
+    }
+    
+    // Returns true when the action takes over the player (roll or attack)
+    performAction(action) {
+        const magic = this.game.magicSystem;
+        switch (action) {
+            case 'roll':
+                this.startRoll();
+                return true;
+            case 'lightAttack':
+                this.startAttack('light');
+                return this.isAttacking;
+            case 'heavyAttack':
+                this.startAttack('heavy');
+                return this.isAttacking;
+            case 'castSpell':
+                magic.castSpell(magic.currentSpell);
+                break;
+            case 'castHeal':
+                magic.castSpell('heal');
+                break;
+            case 'useItem':
+                this.game.inventorySystem.useQuickItem();
+                break;
+        }
+        return false;
+    }
+    
     // ==========================================
     // DODGE ROLL SYSTEM (HIGH PRIORITY)
     // ==========================================
@@ -540,7 +626,7 @@ export class Player {
         // Handle combo system for light attacks
         if (type === 'light') {
             // Check if we're within combo window
-            const now = Date.now();
+            const now = this.game.simulationTime * 1000;
             if (now - this.lastAttackTime < this.comboWindowMs && this.comboCount < this.maxComboCount) {
                 this.comboCount++;
             } else {
@@ -575,47 +661,45 @@ export class Player {
     animateAttack(type) {
         if (!this.weaponMesh) return;
         
-        const duration = type === 'light' ? 0.3 : 0.6;
-        const startRotation = this.weaponMesh.rotation.z;
-        const targetRotation = type === 'light' ? 1.5 : 2.0;
-        
-        // Flag to track if hits have been checked for this attack
-        let hasCheckedHits = false;
-        
-        // Simple animation using requestAnimationFrame
-        const startTime = performance.now();
-        
-        const animate = () => {
-            const elapsed = (performance.now() - startTime) / 1000;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Swing out then back
-            if (progress < 0.5) {
-                this.weaponMesh.rotation.z = THREE.MathUtils.lerp(
-                    startRotation,
-                    targetRotation,
-                    progress * 2
-                );
-            } else {
-                this.weaponMesh.rotation.z = THREE.MathUtils.lerp(
-                    targetRotation,
-                    startRotation,
-                    (progress - 0.5) * 2
-                );
-            }
-            
-            // Check for hits at peak of swing (only once per attack)
-            if (progress > 0.3 && progress < 0.5 && this.isAttacking && !hasCheckedHits) {
-                hasCheckedHits = true;
-                this.checkAttackHits();
-            }
-            
-            if (progress < 1 && this.isAttacking) {
-                requestAnimationFrame(animate);
-            }
+        // Swing is advanced by updateAttack so it runs on simulation time
+        this.weaponSwing = {
+            duration: type === 'light' ? 0.3 : 0.6,
+            startRotation: this.weaponMesh.rotation.z,
+            targetRotation: type === 'light' ? 1.5 : 2.0,
+            hasCheckedHits: false // Hits are checked once per attack
         };
+    }
+    
+    updateWeaponSwing() {
+        const swing = this.weaponSwing;
+        if (!swing || !this.weaponMesh) return;
+        
+        const progress = Math.min(this.attackTimer / swing.duration, 1);
+        
+        // Swing out then back
+        if (progress < 0.5) {
+            this.weaponMesh.rotation.z = THREE.MathUtils.lerp(
+                swing.startRotation,
+                swing.targetRotation,
+                progress * 2
+            );
+        } else {
+            this.weaponMesh.rotation.z = THREE.MathUtils.lerp(
+                swing.targetRotation,
+                swing.startRotation,
+                (progress - 0.5) * 2
+            );
+        }
         
-        animate();
+        // Check for hits at peak of swing (only once per attack)
+        if (progress > 0.3 && !swing.hasCheckedHits) {
+            swing.hasCheckedHits = true;
+            this.checkAttackHits();
+        }
+        
+        if (progress >= 1) {
+            this.weaponSwing = null;
+        }
     }
     
     checkAttackHits() {
@@ -629,8 +713,9 @@ export class Player {
             Math.cos(this.rotation)
         );
         
-        // Check against enemies
-        this.game.enemies.forEach(enemy => {
+        // Check against enemies in reach
+        const spatialIndex = this.game.spatialIndex;
+        spatialIndex.queryRadius('enemies', this.position.x, this.position.z, attackRange).forEach(enemy => {
             if (!enemy.isAlive || enemy.isHit) return;
             
             const toEnemy = new THREE.Vector3();
@@ -660,8 +745,8 @@ export class Player {
             }
         });
         
-        // Check against bosses
-        this.game.bosses.forEach(boss => {
+        // Check against bosses (bigger, so they're hit from further away)
+        spatialIndex.queryRadius('bosses', this.position.x, this.position.z, attackRange + 1).forEach(boss => {
             if (!boss.isAlive || boss.isHit) return;
             
             const toBoss = new THREE.Vector3();
@@ -712,6 +797,7 @@ export class Player {
     
     updateAttack(deltaTime) {
         this.attackTimer += deltaTime;
+        this.updateWeaponSwing();
         
         if (this.stateTimer <= 0) {
             this.endAttack();
@@ -719,6 +805,12 @@ export class Player {
     }
     
     endAttack() {
+        // Settle the weapon if the attack ended mid-swing
+        if (this.weaponSwing && this.weaponMesh) {
+            this.weaponMesh.rotation.z = this.weaponSwing.startRotation;
+        }
+        this.weaponSwing = null;
+        
         this.state = 'idle';
         this.isAttacking = false;
         this.attackType = null;
@@ -785,7 +877,7 @@ export class Player {
         this.health -= amount;
         
         // Visual feedback
-        this.game.hud.showDamage(amount, this.position);
+        this.game.events.emit('damageTaken', { target: this, amount, position: this.position });
         
         // Check for death
         if (this.health <= 0) {
@@ -801,13 +893,19 @@ export class Player {
         this.stateTimer = 0.5;
         this.isAttacking = false;
         this.isRolling = false;
+        
+        // Interrupted swing snaps back
+        if (this.weaponSwing && this.weaponMesh) {
+            this.weaponMesh.rotation.z = this.weaponSwing.startRotation;
+        }
+        this.weaponSwing = null;
     }
     
     updateStagger(deltaTime) {
         // Shake effect
         if (this.mesh) {
-            this.mesh.position.x = this.position.x + (Math.random() - 0.5) * 0.1;
-            this.mesh.position.z = this.position.z + (Math.random() - 0.5) * 0.1;
+            this.mesh.position.x = this.position.x + (this.fxRng.next() - 0.5) * 0.1;
+            this.mesh.position.z = this.position.z + (this.fxRng.next() - 0.5) * 0.1;
         }
         
         if (this.stateTimer <= 0) {
@@ -818,16 +916,21 @@ export class Player {
     die() {
         this.state = 'dead';
         this.health = 0;
+        this.inputBuffer.clear();
         
-        // Drop souls at death location
-        this.game.progressionSystem.dropSouls(this.position.clone());
-        
-        // Notify game
-        this.game.playerDied();
+        // Souls drop and the death screen are handled by subscribers
+        this.game.events.emit('playerDied', { player: this, position: this.position.clone() });
+    }
+    
+    restoreAll() {
+        this.health = this.maxHealth;
+        this.stamina = this.maxStamina;
+        this.mana = this.maxMana;
     }
     
     respawn(checkpoint) {
         this.state = 'idle';
+        this.inputBuffer.clear();
         this.health = this.maxHealth;
         this.stamina = this.maxStamina;
         this.mana = this.maxMana;
@@ -848,12 +951,14 @@ export class Player {
     
     /**
      * Helper method to get the ground level at a given position
-     * Returns the safe ground height plus a small offset
+     * Returns the safe ground height (or a lift platform underfoot) plus a small offset
      */
     getGroundLevelAt(x, z) {
         const groundHeight = this.game.world.getHeightAt(x, z);
         const safeGroundHeight = Number.isFinite(groundHeight) ? groundHeight : 0;
-        return safeGroundHeight + 0.1;
+        const interactables = this.game.interactableSystem;
+        const platformHeight = interactables ? interactables.getPlatformHeightAt(x, this.position.y, z) : -Infinity;
+        return Math.max(safeGroundHeight, platformHeight) + 0.1;
     }
     
     applyGravity(deltaTime) {
@@ -874,8 +979,9 @@ export class Player {
         const newX = this.position.x + this.velocity.x * deltaTime;
         const newZ = this.position.z + this.velocity.z * deltaTime;
         
-        // Get world boundary limit from World.js
-        const worldBound = this.game.world.getBoundaryLimit();
+        // Get world boundary limit from World.js (dungeon interiors are walled in instead)
+        const inInterior = this.game.world.getInteriorAt(this.position.x, this.position.z) !== null;
+        const worldBound = inInterior ? Infinity : this.game.world.getBoundaryLimit();
         
         // Check collision first
         const testPos = new THREE.Vector3(newX, this.position.y, newZ);
@@ -1044,6 +1150,12 @@ export class Player {
             
             const targetCameraPos = this.position.clone().add(rotatedOffset);
             
+            // Keep the camera inside dungeon walls
+            const interior = this.game.world.getInteriorAt(this.position.x, this.position.z);
+            if (interior) {
+                interior.clampCamera(this.position, targetCameraPos);
+            }
+            
             // Check ground collision for camera with safety check
             const groundHeight = this.game.world.getHeightAt(targetCameraPos.x, targetCameraPos.z);
             const safeGroundHeight = Number.isFinite(groundHeight) ? groundHeight : 0;
@@ -1063,6 +1175,11 @@ export class Player {
         }
     }
     
+    // Put the camera straight into place after a teleport (e.g. through a dungeon door)
+    snapCamera() {
+        this.updateCamera(1);
+    }
+    
     toggleLockOn() {
         if (this.lockedTarget) {
             // Unlock
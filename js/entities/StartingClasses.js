@@ -0,0 +1,33 @@
+/**
+ * StartingClasses.js - Character Creation Classes
+ * Starting stat spreads offered when beginning a new game
+ */
+
+export const STARTING_CLASSES = [
+    {
+        id: 'wanderer',
+        name: 'Wanderer',
+        description: 'A balanced traveller with no particular strengths',
+        stats: { vigor: 10, endurance: 10, strength: 10, dexterity: 10, intelligence: 10, faith: 10 }
+    },
+    {
+        id: 'knight',
+        name: 'Knight',
+        description: 'Sturdy and strong, but slow to learn sorcery',
+        stats: { vigor: 13, endurance: 11, strength: 13, dexterity: 9, intelligence: 7, faith: 9 }
+    },
+    {
+        id: 'sorcerer',
+        name: 'Sorcerer',
+        description: 'Frail in body, with a deep well of mana',
+        stats: { vigor: 8, endurance: 9, strength: 8, dexterity: 11, intelligence: 15, faith: 11 }
+    }
+];
+
+// Wanderer matches the stats every character had before classes existed
+export const DEFAULT_CLASS_ID = 'wanderer';
+
+export function getStartingClass(id) {
+    return STARTING_CLASSES.find(startingClass => startingClass.id === id) ||
+        STARTING_CLASSES.find(startingClass => startingClass.id === DEFAULT_CLASS_ID);
+}
@@ -0,0 +1,194 @@
+/**
+ * BiomeMap.js - Biome Classification
+ * Splits the world into plains, forest, mountain, swamp and ruins from height,
+ * a moisture noise layer and the ruin sites. Any system can ask which biome a
+ * position is in; the entries below drive vegetation, enemies, fog, ambient
+ * particles, exploration music and the area names shown on the HUD. Dungeon
+ * interiors answer with an entry of their own (see Dungeon.js).
+ */
+
+/**
+ * vegetation  chance (0-1) a tree, rock or grass candidate is kept
+ * enemies     kinds Game.spawnEnemies picks from (see ENEMY_KINDS in Game.js)
+ * fog         tint blended into the sky fog, amount 0-1
+ * particles   mote color/opacity by day, firefly brightness (0-1) by night
+ * music       MusicSystem exploration theme
+ */
+export const BIOMES = {
+    plains: {
+        id: 'plains',
+        name: 'Windswept Plains',
+        color: 0x4a6a3a,
+        vegetation: { trees: 0.15, rocks: 0.3, grass: 1 },
+        enemies: ['melee', 'ranged', 'wolf'],
+        fog: { color: 0xc8d8e8, amount: 0.1 },
+        particles: { moteColor: 0xffffcc, moteOpacity: 0.3, fireflies: 0.3 },
+        music: 'plains'
+    },
+    forest: {
+        id: 'forest',
+        name: 'Whispering Woods',
+        color: 0x2f5226,
+        vegetation: { trees: 1, rocks: 0.2, grass: 0.6 },
+        enemies: ['wolf', 'melee', 'ranged'],
+        fog: { color: 0x5a7a4a, amount: 0.35 },
+        particles: { moteColor: 0xd8f0a0, moteOpacity: 0.35, fireflies: 1 },
+        music: 'forest'
+    },
+    mountain: {
+        id: 'mountain',
+        name: 'Greyspire Heights',
+        color: 0x5a5a5a,
+        vegetation: { trees: 0.05, rocks: 1, grass: 0 },
+        enemies: ['heavy', 'golem', 'lizard'],
+        fog: { color: 0xd0d4e0, amount: 0.3 },
+        particles: { moteColor: 0xffffff, moteOpacity: 0.5, fireflies: 0 },
+        music: 'mountain'
+    },
+    swamp: {
+        id: 'swamp',
+        name: 'Mirefen Marsh',
+        color: 0x3d4a30,
+        vegetation: { trees: 0.4, rocks: 0.1, grass: 0.5 },
+        enemies: ['melee', 'heavy', 'lizard'],
+        fog: { color: 0x55653f, amount: 0.5 },
+        particles: { moteColor: 0x9acd32, moteOpacity: 0.4, fireflies: 1 },
+        music: 'swamp'
+    },
+    ruins: {
+        id: 'ruins',
+        name: 'Forgotten Ruins',
+        color: 0x55524a,
+        vegetation: { trees: 0, rocks: 0.6, grass: 0.3 },
+        enemies: ['knight', 'heavy', 'ranged'],
+        fog: { color: 0x8a8078, amount: 0.3 },
+        particles: { moteColor: 0xbbbbbb, moteOpacity: 0.25, fireflies: 0.2 },
+        music: 'ruins'
+    }
+};
+
+// Classification thresholds
+const RUIN_RADIUS = 25;
+const MOUNTAIN_HEIGHT = 16;
+const SWAMP_MAX_HEIGHT = 6;
+const SWAMP_MOISTURE = 0.2;
+const FOREST_MOISTURE = -0.05;
+
+// Biomes are looked up per cell of this size (world units)
+const CELL_SIZE = 2;
+const CACHE_MAX_SIZE = 10000;
+
+// A new biome counts once the player has stayed in it this long or gone this
+// far past where they crossed, so walking along a border doesn't flip-flop
+const SETTLE_TIME = 3;        // seconds
+const SETTLE_DISTANCE = 10;   // world units
+
+// Moves longer than this between checks are teleports (fast travel, dungeon
+// stairs) and count at once
+const TELEPORT_DISTANCE = 20;
+
+export class BiomeMap {
+    constructor(world) {
+        this.world = world;
+        
+        // "cx,cz" -> biome id
+        this.cache = new Map();
+        
+        // Biome the player was last seen in (see track)
+        this.current = null;
+        
+        // Biome the player has crossed into but not settled in: { biome, x, z, time }
+        this.pending = null;
+        this.lastPosition = null;
+    }
+    
+    // Call when the world seed changes
+    clear() {
+        this.cache.clear();
+        this.current = null;
+        this.pending = null;
+        this.lastPosition = null;
+    }
+    
+    getBiome(x, z) {
+        // Dungeon interiors bring their own name, fog, lighting and music
+        const interior = this.world.getInteriorAt(x, z);
+        if (interior) return interior.biome;
+        
+        return BIOMES[this.getBiomeId(x, z)];
+    }
+    
+    getBiomeId(x, z) {
+        const cx = Math.floor(x / CELL_SIZE);
+        const cz = Math.floor(z / CELL_SIZE);
+        const key = `${cx},${cz}`;
+        
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        
+        // Classify the cell center so every point in a cell agrees
+        const id = this.classify((cx + 0.5) * CELL_SIZE, (cz + 0.5) * CELL_SIZE);
+        
+        if (this.cache.size >= CACHE_MAX_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, id);
+        return id;
+    }
+    
+    classify(x, z) {
+        const world = this.world;
+        
+        const nearRuin = world.ruinLocations.some(loc => Math.hypot(x - loc.x, z - loc.z) < RUIN_RADIUS);
+        if (nearRuin) return 'ruins';
+        
+        const height = world.getHeightAt(x, z);
+        if (height > MOUNTAIN_HEIGHT) return 'mountain';
+        
+        const moisture = this.getMoisture(x, z);
+        if (moisture > SWAMP_MOISTURE && height < SWAMP_MAX_HEIGHT) return 'swamp';
+        if (moisture > FOREST_MOISTURE) return 'forest';
+        return 'plains';
+    }
+    
+    // Low-frequency noise (about -1 to 1), offset so it doesn't follow the height noise
+    getMoisture(x, z) {
+        const u = (x / this.world.worldSize + 0.5) * 3 + 37;
+        const v = (z / this.world.worldSize + 0.5) * 3 + 53;
+        return this.world.smoothNoise(u, v) * 0.7 + this.world.smoothNoise(u * 2.5, v * 2.5) * 0.3;
+    }
+    
+    /**
+     * Note the biome at the player's position and publish biomeEntered once
+     * the player has settled in a new one (HUD area names, music, fog)
+     */
+    track(position) {
+        const { x, z } = position;
+        const time = this.world.game.simulationTime;
+        const teleported = this.lastPosition !== null &&
+            Math.hypot(x - this.lastPosition.x, z - this.lastPosition.z) > TELEPORT_DISTANCE;
+        this.lastPosition = { x, z };
+        
+        const biome = this.getBiome(x, z);
+        if (biome === this.current) {
+            this.pending = null;
+            return;
+        }
+        
+        // The first biome and teleports count straight away
+        if (this.current && !teleported) {
+            if (!this.pending || this.pending.biome !== biome) {
+                this.pending = { biome, x, z, time };
+            }
+            const settled = time - this.pending.time >= SETTLE_TIME ||
+                Math.hypot(x - this.pending.x, z - this.pending.z) >= SETTLE_DISTANCE;
+            if (!settled) return;
+        }
+        
+        this.pending = null;
+        const previous = this.current;
+        this.current = biome;
+        this.world.game.events.emit('biomeEntered', { biome, previous });
+    }
+}
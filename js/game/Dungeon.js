@@ -0,0 +1,613 @@
+/**
+ * Dungeon.js - Legacy Dungeon Interiors
+ * The interior beneath a ruin, assembled from room templates: a seeded walk
+ * lays rooms out on a grid of slots and joins them with corridors, then each
+ * room gets its template's pillars, torches and placements (enemies,
+ * treasure, a Site of Grace, an optional mini-boss). Interiors are built far
+ * outside the overworld, so height, collision, biome and pathfinding queries
+ * find them by position (see World.getInteriorAt).
+ */
+
+import * as THREE from 'three';
+import { NavGrid } from './NavGrid.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Layout
+const TILE = 4;                 // world units per tile; corridors are one tile wide
+const SLOT = 7 * TILE;          // distance between neighbouring room centers
+const WALL_HEIGHT = 5;
+const WALL_THICKNESS = 0.8;
+const PILLAR_RADIUS = 0.7;
+const FLOOR_HEIGHT = 0;
+const MAX_LAYOUT_ATTEMPTS = 200;
+
+// Where the player stands after the stairs or the door, and how close a door must be to use it
+const ARRIVAL_DISTANCE = 4.5;
+export const DOOR_RANGE = 3;
+
+// Interiors start past the world's edge, each far enough from the next to be out of sight
+export const INTERIOR_START_X = 2000;
+export const INTERIOR_SPACING = 600;
+
+const SIDES = {
+    north: { dx: 0, dz: -1 },
+    south: { dx: 0, dz: 1 },
+    west: { dx: -1, dz: 0 },
+    east: { dx: 1, dz: 0 }
+};
+const OPPOSITE = { north: 'south', south: 'north', west: 'east', east: 'west' };
+
+/**
+ * size      room width and depth in tiles (at most 5, so corridors are never empty)
+ * enemies   guards standing in the room
+ * treasure  items laid out in the room (from the theme's treasure, or lairTreasure)
+ * pillars   'rows' | 'ring' | null
+ * torches   wall torches; the first one in each room casts light
+ */
+export const ROOM_TEMPLATES = {
+    entry: { size: 3, enemies: 0, treasure: 0, pillars: null, torches: 2 },
+    hall: { size: 5, enemies: 2, treasure: 0, pillars: 'rows', torches: 2 },
+    crypt: { size: 3, enemies: 1, treasure: 0, pillars: null, torches: 1 },
+    gallery: { size: 4, enemies: 2, treasure: 0, pillars: 'ring', torches: 2 },
+    treasury: { size: 3, enemies: 1, treasure: 2, pillars: null, torches: 1 },
+    sanctum: { size: 3, enemies: 0, treasure: 0, pillars: null, torches: 2, grace: true },
+    lair: { size: 5, enemies: 0, treasure: 1, pillars: 'ring', torches: 4, miniBoss: true }
+};
+
+// Templates the rooms between the entry, the grace and the lair are drawn from
+const FILLER_ROOMS = ['hall', 'crypt', 'gallery'];
+
+/**
+ * Look and inhabitants of a dungeon (a ruin's level entry can pick one).
+ * lighting replaces the sky's light and fog while the player is inside (see
+ * VisualEffects.applyInteriorLighting).
+ */
+const THEMES = {
+    crypt: {
+        adjectives: ['Sunken', 'Forsaken', 'Ashen', 'Silent', 'Weeping', 'Hollow'],
+        places: ['Crypt', 'Ossuary', 'Catacombs'],
+        stone: 0x4a4640,
+        floor: 0x2e2b28,
+        torchColor: 0xff8833,
+        enemies: ['knight', 'melee', 'heavy'],
+        treasure: ['ember', 'titaniteShard', 'greenBlossom'],
+        lairTreasure: ['largeTitanite', 'twinkling'],
+        miniBossTitle: 'Warden',
+        fog: { color: 0x1a1410, amount: 1 },
+        particles: { moteColor: 0xb0a090, moteOpacity: 0.2, fireflies: 0 },
+        lighting: { ambientColor: 0x8a7560, ambientIntensity: 0.35, fogColor: 0x0c0a08, fogNear: 6, fogFar: 40 }
+    },
+    keep: {
+        adjectives: ['Drowned', 'Shrouded', 'Forgotten', 'Frozen', 'Gloomy', 'Shattered'],
+        places: ['Keep', 'Undercroft', 'Cistern'],
+        stone: 0x3f4a4a,
+        floor: 0x263030,
+        torchColor: 0x66ccff,
+        enemies: ['golem', 'heavy', 'lizard'],
+        treasure: ['firebomb', 'titaniteShard', 'throwingKnife'],
+        lairTreasure: ['twinkling', 'dragonScale'],
+        miniBossTitle: 'Sentinel',
+        fog: { color: 0x0e1a1c, amount: 1 },
+        particles: { moteColor: 0x90b8c0, moteOpacity: 0.2, fireflies: 0 },
+        lighting: { ambientColor: 0x6a8090, ambientIntensity: 0.3, fogColor: 0x060c0e, fogNear: 5, fogFar: 36 }
+    }
+};
+
+export class Dungeon {
+    /**
+     * @param {Game} game
+     * @param {Object} ruin - level ruin ({ x, z, rotation, dungeon: { name, theme, rooms, miniBoss } })
+     * @param {Object} origin - { x, z } center of the entry room
+     * @param {Set<string>} takenNames - dungeon names already used (saves find graces and bosses by name)
+     */
+    constructor(game, ruin, origin, takenNames) {
+        this.game = game;
+        this.scene = game.scene;
+        this.ruin = ruin;
+        this.origin = origin;
+        this.floorHeight = FLOOR_HEIGHT;
+        
+        // Each dungeon has its own stream, so editing one ruin doesn't reshuffle the others
+        this.rng = new SeededRandom(`${game.rng.seed}:dungeon:${ruin.x},${ruin.z}`).worldgen;
+        
+        const options = ruin.dungeon || {};
+        const themeId = options.theme || this.rng.pick(Object.keys(THEMES));
+        this.theme = THEMES[themeId];
+        this.name = options.name || this.pickName(takenNames);
+        
+        const roomCount = options.rooms || this.rng.int(4, 6);
+        const hasMiniBoss = options.miniBoss ?? this.rng.chance(0.5);
+        
+        // Layout: rooms on slots, corridors between neighbours, floor rectangles for both
+        this.rooms = [];
+        this.corridors = [];
+        this.generateLayout(Math.max(roomCount, hasMiniBoss ? 3 : 2));
+        this.assignTemplates(hasMiniBoss);
+        this.floorRects = [
+            ...this.rooms.map(room => room.rect),
+            ...this.corridors.map(corridor => corridor.rect)
+        ];
+        this.bounds = this.getBounds();
+        
+        // Biome entry the HUD, music and atmosphere pick up while the player is inside
+        this.biome = {
+            id: `dungeon:${themeId}`,
+            name: this.name,
+            color: this.theme.floor,
+            vegetation: { trees: 0, rocks: 0, grass: 0 },
+            enemies: this.theme.enemies,
+            fog: this.theme.fog,
+            particles: this.theme.particles,
+            music: 'dungeon',
+            lighting: this.theme.lighting
+        };
+        
+        // Level-style placements (see LEVEL_SCHEMA) merged into the level's by the systems that spawn them
+        this.placements = { enemies: [], items: [], checkpoints: [], bosses: [] };
+        
+        this.group = null;     // interior pieces, shown only while the player is inside
+        this.entrance = null;  // archway at the ruin
+        this.pillars = [];
+        this.geometries = new Map();
+        
+        this.buildInterior();
+        this.buildEntrance();
+        this.placeContents();
+        
+        // Pathfinding over the rooms only
+        const size = Math.max(this.bounds.maxX - this.bounds.minX, this.bounds.maxZ - this.bounds.minZ);
+        this.navGrid = new NavGrid(game.world, {
+            minX: this.bounds.minX,
+            minZ: this.bounds.minZ,
+            size,
+            pieces: this.pillars,
+            isFloorAt: (x, z, margin) => this.isFloorAt(x, z, margin)
+        });
+        
+        // Doors: the archway at the ruin leads to the entry room; the stairs lead back up
+        const entry = this.rooms[0];
+        const turn = THREE.MathUtils.degToRad(ruin.rotation || 0);
+        const doorY = game.world.getHeightAt(ruin.x, ruin.z);
+        this.doors = {
+            enter: {
+                dungeon: this,
+                action: 'enter',
+                position: new THREE.Vector3(ruin.x, doorY, ruin.z)
+            },
+            leave: {
+                dungeon: this,
+                action: 'leave',
+                position: new THREE.Vector3(entry.x, FLOOR_HEIGHT, entry.z + entry.half - 1)
+            }
+        };
+        
+        // Where each door puts the player, and which way they face (radians, as Player.rotation)
+        const outsideX = ruin.x + Math.sin(turn) * ARRIVAL_DISTANCE;
+        const outsideZ = ruin.z + Math.cos(turn) * ARRIVAL_DISTANCE;
+        this.arrivals = {
+            enter: {
+                position: new THREE.Vector3(entry.x, FLOOR_HEIGHT, entry.z + entry.half - ARRIVAL_DISTANCE),
+                facing: Math.PI
+            },
+            leave: {
+                position: new THREE.Vector3(outsideX, game.world.getHeightAt(outsideX, outsideZ), outsideZ),
+                facing: turn
+            }
+        };
+    }
+    
+    pickName(takenNames) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const name = `${this.rng.pick(this.theme.adjectives)} ${this.rng.pick(this.theme.places)}`;
+            if (!takenNames.has(name)) return name;
+        }
+        return `${this.theme.adjectives[0]} ${this.theme.places[0]} ${takenNames.size + 1}`;
+    }
+    
+    // ==========================================
+    // LAYOUT
+    // ==========================================
+    
+    // Grow a tree of rooms from the entry, one free neighbouring slot at a time
+    generateLayout(roomCount) {
+        const slots = new Map(); // "sx,sz" -> room
+        
+        const addRoom = (slotX, slotZ, parent) => {
+            const room = {
+                index: this.rooms.length,
+                slotX,
+                slotZ,
+                depth: parent ? parent.depth + 1 : 0,
+                links: new Set(),
+                template: null
+            };
+            this.rooms.push(room);
+            slots.set(`${slotX},${slotZ}`, room);
+            return room;
+        };
+        
+        addRoom(0, 0, null);
+        // The stairs back up take the entry room's south wall
+        slots.set('0,1', null);
+        
+        const sideNames = Object.keys(SIDES);
+        for (let attempt = 0; attempt < MAX_LAYOUT_ATTEMPTS && this.rooms.length < roomCount; attempt++) {
+            const parent = this.rng.pick(this.rooms);
+            const side = this.rng.pick(sideNames);
+            const slotX = parent.slotX + SIDES[side].dx;
+            const slotZ = parent.slotZ + SIDES[side].dz;
+            if (slots.has(`${slotX},${slotZ}`)) continue;
+            
+            const room = addRoom(slotX, slotZ, parent);
+            parent.links.add(side);
+            room.links.add(OPPOSITE[side]);
+            this.corridors.push({ from: parent, to: room, side });
+        }
+    }
+    
+    // Entry first, the grace in the shallowest room, the mini-boss in the deepest, treasure in dead ends
+    assignTemplates(hasMiniBoss) {
+        const [entry, ...others] = this.rooms;
+        entry.template = 'entry';
+        
+        const byDepth = [...others].sort((a, b) => a.depth - b.depth || a.index - b.index);
+        if (hasMiniBoss && byDepth.length > 1) {
+            byDepth.pop().template = 'lair';
+        }
+        if (byDepth.length > 0) {
+            byDepth.shift().template = 'sanctum';
+        }
+        byDepth.forEach(room => {
+            room.template = room.links.size === 1 ? 'treasury' : this.rng.pick(FILLER_ROOMS);
+        });
+        
+        // Rooms and corridors in world space
+        this.rooms.forEach(room => {
+            room.x = this.origin.x + room.slotX * SLOT;
+            room.z = this.origin.z + room.slotZ * SLOT;
+            room.half = ROOM_TEMPLATES[room.template].size * TILE / 2;
+            room.rect = {
+                minX: room.x - room.half,
+                maxX: room.x + room.half,
+                minZ: room.z - room.half,
+                maxZ: room.z + room.half
+            };
+        });
+        
+        // Corridors run center to center, so they overlap both rooms' doorways
+        this.corridors.forEach(corridor => {
+            const { from, to } = corridor;
+            const halfWidth = TILE / 2;
+            corridor.rect = {
+                minX: Math.min(from.x, to.x) - (from.x === to.x ? halfWidth : 0),
+                maxX: Math.max(from.x, to.x) + (from.x === to.x ? halfWidth : 0),
+                minZ: Math.min(from.z, to.z) - (from.z === to.z ? halfWidth : 0),
+                maxZ: Math.max(from.z, to.z) + (from.z === to.z ? halfWidth : 0)
+            };
+        });
+    }
+    
+    getBounds() {
+        const margin = TILE;
+        return {
+            minX: Math.min(...this.floorRects.map(rect => rect.minX)) - margin,
+            maxX: Math.max(...this.floorRects.map(rect => rect.maxX)) + margin,
+            minZ: Math.min(...this.floorRects.map(rect => rect.minZ)) - margin,
+            maxZ: Math.max(...this.floorRects.map(rect => rect.maxZ)) + margin
+        };
+    }
+    
+    // ==========================================
+    // QUERIES
+    // ==========================================
+    
+    contains(x, z) {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        return x >= minX && x <= maxX && z >= minZ && z <= maxZ;
+    }
+    
+    /**
+     * Whether a point is on the floor of a room or corridor
+     * @param {number} [margin=0] - keep at least this far from the walls
+     */
+    isFloorAt(x, z, margin = 0) {
+        return this.floorRects.some(rect =>
+            x >= rect.minX + margin && x <= rect.maxX - margin &&
+            z >= rect.minZ + margin && z <= rect.maxZ - margin
+        );
+    }
+    
+    // Same contract as World.checkCollision: walls and pillars block
+    checkCollision(position, radius) {
+        if (!this.isFloorAt(position.x, position.z, radius)) return true;
+        
+        return this.pillars.some(pillar => {
+            const dx = position.x - pillar.position.x;
+            const dz = position.z - pillar.position.z;
+            return dx * dx + dz * dz < (PILLAR_RADIUS + radius) ** 2;
+        });
+    }
+    
+    // Pull a camera position toward the player until it is back inside the walls
+    clampCamera(playerPosition, cameraPosition) {
+        const steps = 8;
+        const fromX = cameraPosition.x;
+        const fromZ = cameraPosition.z;
+        for (let i = 0; i < steps && !this.isFloorAt(cameraPosition.x, cameraPosition.z, 0.3); i++) {
+            const t = (i + 1) / steps;
+            cameraPosition.x = THREE.MathUtils.lerp(fromX, playerPosition.x, t);
+            cameraPosition.z = THREE.MathUtils.lerp(fromZ, playerPosition.z, t);
+        }
+    }
+    
+    // ==========================================
+    // MESHES
+    // ==========================================
+    
+    // Boxes of the same size share one geometry
+    boxGeometry(width, height, depth) {
+        const key = `${width},${height},${depth}`;
+        if (!this.geometries.has(key)) {
+            this.geometries.set(key, new THREE.BoxGeometry(width, height, depth));
+        }
+        return this.geometries.get(key);
+    }
+    
+    addBox(parent, material, width, height, depth, x, y, z) {
+        const mesh = new THREE.Mesh(this.boxGeometry(width, height, depth), material);
+        mesh.position.set(x, y, z);
+        mesh.receiveShadow = true;
+        parent.add(mesh);
+        return mesh;
+    }
+    
+    buildInterior() {
+        const theme = this.theme;
+        const useBasicMaterial = this.game.performanceSettings?.shouldUseBasicMaterial() ?? false;
+        const Material = useBasicMaterial ? THREE.MeshBasicMaterial : THREE.MeshLambertMaterial;
+        
+        this.materials = {
+            stone: new Material({ color: theme.stone }),
+            floor: new Material({ color: theme.floor }),
+            sconce: new Material({ color: 0x2a2a2a }),
+            flame: new THREE.MeshBasicMaterial({ color: theme.torchColor }),
+            stairs: new THREE.MeshBasicMaterial({ color: 0xe8d8a0 })
+        };
+        
+        const group = new THREE.Group();
+        group.visible = false;
+        
+        // Floors
+        this.floorRects.forEach(rect => {
+            this.addBox(group, this.materials.floor, rect.maxX - rect.minX, 0.2, rect.maxZ - rect.minZ,
+                (rect.minX + rect.maxX) / 2, FLOOR_HEIGHT - 0.1, (rect.minZ + rect.maxZ) / 2);
+        });
+        
+        // Room walls, open where a corridor comes in
+        this.rooms.forEach(room => {
+            Object.keys(SIDES).forEach(side => this.buildRoomWall(group, room, side));
+        });
+        
+        // Corridor walls along the stretch between the two rooms
+        this.corridors.forEach(({ from, to }) => {
+            const alongX = from.z === to.z;
+            const [first, second] = (alongX ? from.x < to.x : from.z < to.z) ? [from, to] : [to, from];
+            const start = (alongX ? first.x : first.z) + first.half;
+            const end = (alongX ? second.x : second.z) - second.half;
+            const length = end - start;
+            if (length <= 0) return;
+            
+            const middle = (start + end) / 2;
+            [-1, 1].forEach(sign => {
+                const offset = sign * (TILE / 2 + WALL_THICKNESS / 2);
+                if (alongX) {
+                    this.addBox(group, this.materials.stone, length, WALL_HEIGHT, WALL_THICKNESS,
+                        middle, WALL_HEIGHT / 2, first.z + offset);
+                } else {
+                    this.addBox(group, this.materials.stone, WALL_THICKNESS, WALL_HEIGHT, length,
+                        first.x + offset, WALL_HEIGHT / 2, middle);
+                }
+            });
+        });
+        
+        // Pillars and torches from each room's template
+        let lightsLeft = (this.game.settings?.maxLights || 1) > 1 ? this.rooms.length : 0;
+        this.rooms.forEach(room => {
+            const template = ROOM_TEMPLATES[room.template];
+            this.getPillarSpots(room, template.pillars).forEach(([x, z]) => {
+                const pillar = new THREE.Mesh(
+                    new THREE.CylinderGeometry(PILLAR_RADIUS, PILLAR_RADIUS, WALL_HEIGHT, 8),
+                    this.materials.stone
+                );
+                pillar.position.set(x, FLOOR_HEIGHT + WALL_HEIGHT / 2, z);
+                group.add(pillar);
+                this.pillars.push(pillar);
+            });
+            
+            for (let i = 0; i < template.torches; i++) {
+                this.buildTorch(group, room, i, lightsLeft-- > 0 && i === 0);
+            }
+        });
+        
+        // Stairs back up, lit so they're easy to find
+        const entry = this.rooms[0];
+        for (let step = 0; step < 4; step++) {
+            this.addBox(group, this.materials.stone, TILE, 0.4 * (step + 1), 0.8,
+                entry.x, 0.2 * (step + 1), entry.z + entry.half - 2.6 + step * 0.8);
+        }
+        const glow = new THREE.Mesh(new THREE.PlaneGeometry(TILE - 1, WALL_HEIGHT - 1.5), this.materials.stairs);
+        glow.position.set(entry.x, (WALL_HEIGHT - 1.5) / 2 + 1.6, entry.z + entry.half - 0.05);
+        glow.rotation.y = Math.PI;
+        group.add(glow);
+        
+        group.updateMatrixWorld(true);
+        this.scene.add(group);
+        this.group = group;
+    }
+    
+    buildRoomWall(group, room, side) {
+        const { dx, dz } = SIDES[side];
+        const span = room.half * 2 + WALL_THICKNESS * 2;
+        const offset = room.half + WALL_THICKNESS / 2;
+        const x = room.x + dx * offset;
+        const z = room.z + dz * offset;
+        const alongX = dz !== 0;
+        
+        const segment = (length, shift) => {
+            if (alongX) {
+                this.addBox(group, this.materials.stone, length, WALL_HEIGHT, WALL_THICKNESS, x + shift, WALL_HEIGHT / 2, z);
+            } else {
+                this.addBox(group, this.materials.stone, WALL_THICKNESS, WALL_HEIGHT, length, x, WALL_HEIGHT / 2, z + shift);
+            }
+        };
+        
+        if (!room.links.has(side)) {
+            segment(span, 0);
+            return;
+        }
+        
+        // Doorway one tile wide in the middle
+        const length = (span - TILE) / 2;
+        segment(length, -(TILE / 2 + length / 2));
+        segment(length, TILE / 2 + length / 2);
+    }
+    
+    // Pillar positions for a room's pattern
+    getPillarSpots(room, pattern) {
+        if (pattern === 'rows') {
+            return [-1, 0, 1].flatMap(i => [-1, 1].map(j => [
+                room.x + i * room.half * 0.5,
+                room.z + j * room.half * 0.45
+            ]));
+        }
+        if (pattern === 'ring') {
+            // Off the axes, so the doorways stay clear
+            return Array.from({ length: 8 }, (_, i) => {
+                const angle = (i + 0.5) * Math.PI / 4;
+                return [room.x + Math.cos(angle) * room.half * 0.6, room.z + Math.sin(angle) * room.half * 0.6];
+            });
+        }
+        return [];
+    }
+    
+    // Torches hang on the north and south walls, clear of the doorways
+    buildTorch(group, room, index, castsLight) {
+        const spots = [[-0.5, -1], [0.5, 1], [0.5, -1], [-0.5, 1]];
+        const [along, side] = spots[index % spots.length];
+        const x = room.x + along * room.half;
+        const z = room.z + side * (room.half - 0.2);
+        
+        this.addBox(group, this.materials.sconce, 0.3, 0.6, 0.3, x, 2.4, z);
+        const flame = new THREE.Mesh(new THREE.SphereGeometry(0.2, 6, 6), this.materials.flame);
+        flame.position.set(x, 2.9, z);
+        group.add(flame);
+        
+        if (castsLight) {
+            const light = new THREE.PointLight(this.theme.torchColor, 2, 16);
+            light.position.set(x, 3.2, z - side * 0.8);
+            group.add(light);
+        }
+    }
+    
+    // Stone archway over a dark doorway at the ruin's center
+    buildEntrance() {
+        const { x, z, rotation = 0 } = this.ruin;
+        const y = this.game.world.getHeightAt(x, z);
+        
+        const group = new THREE.Group();
+        group.position.set(x, y, z);
+        group.rotation.y = THREE.MathUtils.degToRad(rotation);
+        
+        this.addBox(group, this.materials.stone, 0.8, 4, 0.8, -1.8, 2, 0);
+        this.addBox(group, this.materials.stone, 0.8, 4, 0.8, 1.8, 2, 0);
+        this.addBox(group, this.materials.stone, 4.6, 0.8, 1, 0, 4.2, 0);
+        
+        const doorway = new THREE.Mesh(
+            new THREE.PlaneGeometry(2.8, 3.8),
+            new THREE.MeshBasicMaterial({ color: 0x050505 })
+        );
+        doorway.position.set(0, 1.9, -0.05);
+        group.add(doorway);
+        
+        this.scene.add(group);
+        this.entrance = group;
+    }
+    
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+    
+    // ==========================================
+    // CONTENTS
+    // ==========================================
+    
+    // A random spot inside a room, away from its walls and pillars
+    pickSpot(room, margin = 2) {
+        const reach = room.half - margin;
+        for (let attempt = 0; attempt < 6; attempt++) {
+            const x = room.x + this.rng.range(-reach, reach);
+            const z = room.z + this.rng.range(-reach, reach);
+            if (!this.checkCollision(new THREE.Vector3(x, 0, z), 1.5)) {
+                return { x: Math.round(x * 10) / 10, z: Math.round(z * 10) / 10 };
+            }
+        }
+        return { x: room.x, z: room.z };
+    }
+    
+    placeContents() {
+        const theme = this.theme;
+        const { enemies, items, checkpoints, bosses } = this.placements;
+        
+        this.rooms.forEach(room => {
+            const template = ROOM_TEMPLATES[room.template];
+            
+            // Guards count against the preset's maxEnemies per dungeon (only the player's dungeon has them spawned)
+            for (let i = 0; i < template.enemies; i++) {
+                const { x, z } = this.pickSpot(room);
+                enemies.push({
+                    x,
+                    z,
+                    kind: this.rng.pick(theme.enemies),
+                    rotation: this.rng.int(0, 359),
+                    minEnemyBudget: enemies.length + 1
+                });
+            }
+            
+            const loot = template.miniBoss ? theme.lairTreasure : theme.treasure;
+            for (let i = 0; i < template.treasure; i++) {
+                const { x, z } = this.pickSpot(room, 1.5);
+                items.push({ item: this.rng.pick(loot), x, z });
+            }
+            
+            if (template.grace) {
+                checkpoints.push({ name: `${this.name} Sanctum`, x: room.x, z: room.z });
+            }
+            
+            if (template.miniBoss) {
+                bosses.push({
+                    type: 'knight',
+                    name: `${theme.miniBossTitle} of the ${this.name}`,
+                    x: room.x,
+                    z: room.z,
+                    rotation: 180,
+                    miniBoss: true,
+                    arenaRadius: room.half - 1
+                });
+            }
+        });
+    }
+    
+    dispose() {
+        [this.group, this.entrance].forEach(group => {
+            this.scene.remove(group);
+            group.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material && !Object.values(this.materials).includes(child.material)) {
+                    child.material.dispose();
+                }
+            });
+        });
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.geometries.clear();
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * EventBus.js - Game-wide Events
+ * Systems publish what happened; anything interested (progression, saves,
+ * HUD, achievements, audio, mods) subscribes instead of being called directly
+ */
+
+/**
+ * Known events and their required payload fields.
+ * Emitting an unknown event or omitting a field logs a warning, which catches typos early.
+ *
+ * enemyKilled      { enemy, souls, loot? }      loot = { itemId, quantity }
+ * bossDefeated     { boss, souls }
+ * playerDied       { player, position }
+ * itemPickedUp     { itemId, name, quantity }
+ * checkpointRested { checkpoint }
+ * spellCast        { spellId, spell, caster }
+ * damageTaken      { target, amount, position }
+ * message          { text, duration? }          on-screen notification
+ * stateChanged     { from, to }                 top-level game state (see GameStateMachine)
+ * biomeEntered     { biome, previous }          player settled in a new biome (BIOMES entries; previous null at start)
+ */
+const EVENT_TYPES = {
+    enemyKilled: ['enemy', 'souls'],
+    bossDefeated: ['boss', 'souls'],
+    playerDied: ['player', 'position'],
+    itemPickedUp: ['itemId', 'name', 'quantity'],
+    checkpointRested: ['checkpoint'],
+    spellCast: ['spellId', 'spell', 'caster'],
+    damageTaken: ['target', 'amount', 'position'],
+    message: ['text'],
+    stateChanged: ['to'],
+    biomeEntered: ['biome']
+};
+
+export class EventBus {
+    constructor() {
+        // event name -> required payload fields
+        this.eventTypes = { ...EVENT_TYPES };
+        
+        // event name -> listeners sorted by priority
+        this.listeners = new Map();
+    }
+    
+    /**
+     * Register an additional event type (e.g. from a mod)
+     * @param {string} type
+     * @param {string[]} [requiredFields]
+     */
+    defineEvent(type, requiredFields = []) {
+        if (this.eventTypes[type]) {
+            console.warn(`EventBus: event "${type}" is already defined`);
+            return;
+        }
+        this.eventTypes[type] = requiredFields;
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} type
+     * @param {Function} handler - called with the event payload
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - lower runs first (e.g. saves use a high value to run last)
+     * @returns {Function} unsubscribe
+     */
+    on(type, handler, options = {}) {
+        if (!this.eventTypes[type]) {
+            console.warn(`EventBus: subscribing to unknown event "${type}"`);
+        }
+        
+        const listener = { handler, priority: options.priority ?? 0, once: options.once === true };
+        const listeners = this.listeners.get(type) || [];
+        listeners.push(listener);
+        
+        // Stable sort keeps subscription order for equal priorities
+        listeners.sort((a, b) => a.priority - b.priority);
+        this.listeners.set(type, listeners);
+        
+        return () => this.off(type, handler);
+    }
+    
+    once(type, handler, options = {}) {
+        return this.on(type, handler, { ...options, once: true });
+    }
+    
+    off(type, handler) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        this.listeners.set(type, listeners.filter(listener => listener.handler !== handler));
+    }
+    
+    /**
+     * Publish an event. A failing handler is logged and does not stop the others.
+     * @param {string} type
+     * @param {Object} payload
+     */
+    emit(type, payload = {}) {
+        const requiredFields = this.eventTypes[type];
+        if (!requiredFields) {
+            console.warn(`EventBus: emitting unknown event "${type}"`);
+        } else {
+            const missing = requiredFields.filter(field => payload[field] === undefined);
+            if (missing.length > 0) {
+                console.warn(`EventBus: "${type}" is missing ${missing.join(', ')}`);
+            }
+        }
+        
+        const listeners = this.listeners.get(type);
+        if (!listeners || listeners.length === 0) return;
+        
+        // Copy so handlers can unsubscribe while we iterate
+        for (const listener of [...listeners]) {
+            if (listener.once) {
+                this.off(type, listener.handler);
+            }
+            
+            try {
+                listener.handler(payload);
+            } catch (error) {
+                console.error(`EventBus: "${type}" handler failed:`, error);
+            }
+        }
+    }
+    
+    clear() {
+        this.listeners.clear();
+    }
+}
@@ -9,6 +9,7 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 
 import { InputManager } from './InputManager.js';
+import { InputBindings } from './InputBindings.js';
 import { World } from './World.js';
 import { Player } from '../entities/Player.js';
 import { Enemy } from '../entities/Enemy.js';
@@ -27,12 +28,81 @@ import { VisualEffects } from '../systems/VisualEffects.js';
 import { NPCSystem } from '../systems/NPCSystem.js';
 import { SaveSystem } from '../systems/SaveSystem.js';
 import { FastTravelSystem } from '../systems/FastTravelSystem.js';
+import { DungeonSystem } from '../systems/DungeonSystem.js';
+import { InteractableSystem } from '../systems/InteractableSystem.js';
 import { MusicSystem } from '../systems/MusicSystem.js';
 import { PerformanceSettings } from '../utils/PerformanceSettings.js';
 import { SettingsMenu } from '../ui/SettingsMenu.js';
+import { TouchControls } from '../ui/TouchControls.js';
+import { SystemScheduler } from './SystemScheduler.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { EventBus } from './EventBus.js';
+import { InputRecorder } from './InputRecorder.js';
+import { GameStateMachine } from './GameStateMachine.js';
+import { TitleScreen } from '../ui/TitleScreen.js';
+import { SaveSlotsMenu } from '../ui/SaveSlotsMenu.js';
+import { getStartingClass } from '../entities/StartingClasses.js';
+import { getCycleScaling } from '../entities/CycleScaling.js';
+import { LevelFile, DEFAULT_LEVEL_URL } from './LevelFile.js';
+import { LevelEditor } from './LevelEditor.js';
+import { SpatialHash } from '../utils/SpatialHash.js';
+
+// Enemy kinds a biome or level spawn can name (BIOMES[id].enemies, level enemies[].kind)
+const ENEMY_KINDS = {
+    melee: game => new Enemy(game, 'melee'),
+    ranged: game => new Enemy(game, 'ranged'),
+    heavy: game => new Enemy(game, 'heavy'),
+    wolf: game => new Wolf(game),
+    golem: game => new StoneGolem(game),
+    knight: game => new DarkKnight(game),
+    lizard: game => new CrystalLizard(game)
+};
+
+// Boss types a level can place (level bosses[].type)
+const BOSS_TYPES = {
+    knight: (game, name) => new Boss(game, name),
+    dragon: (game, name) => new DragonBoss(game, name)
+};
+
+// Turn a freshly spawned enemy or boss to its level facing (degrees)
+function applyFacing(entity, rotation = 0) {
+    entity.rotation = THREE.MathUtils.degToRad(rotation);
+    entity.mesh.rotation.y = entity.rotation;
+}
+
+// Dungeon mini-bosses are a lesser knight that keeps to its lair
+function applyMiniBoss(boss, arenaRadius) {
+    boss.isMiniBoss = true;
+    boss.maxHealth = Math.round(boss.maxHealth * 0.4);
+    boss.health = boss.maxHealth;
+    boss.damage *= 0.6;
+    boss.soulsReward = Math.round(boss.soulsReward * 0.4);
+    boss.arenaRadius = arenaRadius;
+    boss.detectionRadius = arenaRadius;
+}
 
 export class Game {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.headless=false] - no renderer or game loop; the caller steps the simulation
+     * @param {string} [options.preset] - force a quality preset instead of saved/detected settings
+     * @param {number|string} [options.seed] - world seed (defaults to the saved seed, or a new one)
+     * @param {Object} [options.replay] - input recording to play back (boots with its seed, settings and save)
+     * @param {Object} [options.level] - level definition to play (checked with LevelFile.validate)
+     * @param {string} [options.levelUrl] - level file to load instead of levels/overworld.json
+     *
+     * Headless runs and replays skip the title screen and start playing straight away.
+     */
+    constructor(options = {}) {
+        this.headless = options.headless === true;
+        this.replay = options.replay || null;
+        this.forcedPreset = options.preset || (this.replay && this.replay.preset) || null;
+        this.forcedSeed = options.seed ?? (this.replay ? this.replay.seed : null);
+        
+        // Level placements (loaded in init unless passed in)
+        this.level = options.level || null;
+        this.levelUrl = options.levelUrl || DEFAULT_LEVEL_URL;
+        
         this.canvas = document.getElementById('game-canvas');
         this.scene = null;
         this.camera = null;
@@ -43,11 +113,25 @@ export class Game {
         this.deltaTime = 0;
         this.elapsedTime = 0;
         
+        // Fixed-step simulation (frame rate independent gameplay)
+        this.fixedTimeStep = 1 / 60;    // Simulation step in seconds (60 Hz)
+        this.maxFrameTime = 0.25;       // Clamp long frames (tab switches, hitches)
+        this.maxStepsPerFrame = 5;      // Avoid spiral of death on slow devices
+        this.accumulator = 0;
+        this.simulationTick = 0;        // Number of fixed steps simulated
+        this.simulationTime = 0;        // Simulated seconds (excludes pauses)
+        this.interpolationAlpha = 0;
+        
+        // Render interpolation state, keyed by Object3D
+        this.interpolatedObjects = new Map();
+        
         this.isPaused = false;
         this.isGameOver = false;
         
         // Game systems
         this.inputManager = null;
+        this.inputBindings = null;
+        this.inputRecorder = null;
         this.world = null;
         this.player = null;
         this.combatSystem = null;
@@ -62,7 +146,25 @@ export class Game {
         this.npcSystem = null;
         this.saveSystem = null;
         this.fastTravelSystem = null;
+        this.interactableSystem = null;
         this.musicSystem = null;
+        this.touchControls = null;
+        this.levelEditor = null;
+        
+        // Decides which systems run each simulation step
+        this.scheduler = new SystemScheduler(this);
+        
+        // Game-wide events (systems publish/subscribe instead of calling each other)
+        this.events = new EventBus();
+        
+        // Top-level state (title, playing, paused, ...) - see setupStates()
+        this.states = new GameStateMachine(this);
+        this.titleScreen = null;
+        this.saveSlotsMenu = null;
+        this.stateTimer = null;
+        
+        // How the current game was started ({ mode, name, classId }), recorded into replays
+        this.startOptions = null;
         
         // Entities
         this.enemies = [];
@@ -125,8 +227,15 @@ export class Game {
     }
     
     initializePerformanceSettings() {
-        // Try to load saved settings first
-        if (!this.performanceSettings.loadFromLocalStorage()) {
+        if (this.forcedPreset) {
+            // Explicit preset (headless runs) - keep results independent of the machine
+            this.performanceSettings.applyPreset(this.forcedPreset);
+            
+            // Replays also restore any per-setting tweaks that were active when recording
+            if (this.replay && this.replay.settings) {
+                this.performanceSettings.settings = { ...this.replay.settings };
+            }
+        } else if (!this.performanceSettings.loadFromLocalStorage()) {
             // If no saved settings, auto-detect and apply recommended preset
             const recommendedPreset = PerformanceSettings.getRecommendedPreset();
             console.log(`Auto-detected recommended preset: ${recommendedPreset}`);
@@ -138,29 +247,285 @@ export class Game {
         this.currentQuality = this.performanceSettings.getCurrentPreset();
     }
     
-    init() {
-        // Initialize performance settings FIRST
-        this.initializePerformanceSettings();
-        this.setupRenderer();
-        this.setupScene();
-        this.setupLighting();
-        this.setupPostProcessing();
-        this.setupSystems();
-        this.setupSettingsMenu();
-        this.setupEventListeners();
-        this.spawnEnemies();
+    async init() {
+        // Boot builds what the menus need; the world is loaded when a game starts
+        this.setupStates();
+        this.states.change('boot');
+        
+        // Saves are read from IndexedDB before anything lists or loads them
+        try {
+            await this.saveSystem.init();
+        } catch (error) {
+            throw new Error(`Save storage could not be opened: ${error.message}`, { cause: error });
+        }
+        
+        // Placements for enemies, bosses, Sites of Grace, NPCs, items and ruins
+        await this.loadLevel();
+        
+        // Headless runs and replays go straight into the game
+        if (this.headless || this.replay) {
+            this.startGame(this.replay ? this.replay.start : null);
+        } else {
+            this.states.change('title');
+        }
+        
+        // Headless callers drive stepSimulation themselves
+        if (this.headless) {
+            return;
+        }
         
         // Start the game loop
         this.animate();
         
         // Lock pointer for first-person camera control
         this.canvas.addEventListener('click', () => {
-            if (!this.isPaused) {
+            if (this.states.is('playing') && !this.isPaused) {
                 this.canvas.requestPointerLock();
             }
         });
     }
     
+    /**
+     * Define the top-level game states and their allowed transitions
+     */
+    setupStates() {
+        const states = this.states;
+        
+        states.addState('boot', {
+            enter: () => this.boot(),
+            transitions: ['title', 'loading']
+        });
+        
+        states.addState('title', {
+            enter: () => this.titleScreen.show(),
+            exit: () => this.titleScreen.hide(),
+            transitions: ['characterCreation', 'loading']
+        });
+        
+        states.addState('characterCreation', {
+            enter: () => this.titleScreen.showCharacterCreation(),
+            exit: () => this.titleScreen.hideCharacterCreation(),
+            transitions: ['title', 'loading']
+        });
+        
+        states.addState('loading', {
+            enter: (options) => {
+                document.getElementById('loading-screen').classList.remove('hidden');
+                
+                const load = () => {
+                    this.loadWorld(options);
+                    states.change('playing');
+                };
+                
+                // Let the loading screen paint before the world is generated
+                if (this.headless) {
+                    load();
+                } else {
+                    setTimeout(load, 50);
+                }
+            },
+            exit: () => document.getElementById('loading-screen').classList.add('hidden'),
+            transitions: ['playing']
+        });
+        
+        states.addState('playing', {
+            simulates: true,
+            transitions: ['paused', 'dead', 'victory', 'editing']
+        });
+        
+        // Gameplay stops while the level is edited; only the editor's camera moves
+        states.addState('editing', {
+            simulates: true,
+            enter: () => {
+                this.isPaused = true;
+                this.levelEditor.open();
+            },
+            exit: () => {
+                this.levelEditor.close();
+                this.isPaused = false;
+            },
+            transitions: ['playing']
+        });
+        
+        states.addState('paused', {
+            simulates: true,
+            enter: () => {
+                this.isPaused = true;
+                document.getElementById('new-game-plus-btn')?.classList.toggle('hidden', !this.saveSystem.canBeginNewGamePlus());
+                document.getElementById('pause-menu').classList.remove('hidden');
+                document.exitPointerLock();
+            },
+            exit: () => {
+                this.isPaused = false;
+                this.saveSlotsMenu.close();
+                document.getElementById('pause-menu').classList.add('hidden');
+                // Re-lock pointer for camera control
+                this.canvas.requestPointerLock();
+            },
+            transitions: ['playing']
+        });
+        
+        states.addState('dead', {
+            simulates: true,
+            enter: () => {
+                this.isGameOver = true;
+                
+                // Show death screen
+                document.getElementById('death-screen').classList.remove('hidden');
+                document.exitPointerLock();
+                
+                // Respawn after delay
+                this.stateTimer = setTimeout(() => {
+                    this.respawnPlayer();
+                    states.change('playing');
+                }, 4000);
+            },
+            exit: () => {
+                clearTimeout(this.stateTimer);
+                this.isGameOver = false;
+                document.getElementById('death-screen').classList.add('hidden');
+            },
+            transitions: ['playing']
+        });
+        
+        // The world keeps running behind the banner
+        states.addState('victory', {
+            simulates: true,
+            enter: ({ souls }) => {
+                document.getElementById('victory-screen').classList.remove('hidden');
+                document.getElementById('souls-gained').textContent = `+${souls} Souls`;
+                
+                this.stateTimer = setTimeout(() => states.change('playing'), 3000);
+            },
+            exit: () => {
+                clearTimeout(this.stateTimer);
+                document.getElementById('victory-screen').classList.add('hidden');
+            },
+            transitions: ['playing', 'paused', 'dead']
+        });
+    }
+    
+    /**
+     * Everything the title screen needs: settings, renderer, an empty scene and saves
+     */
+    boot() {
+        // Initialize performance settings FIRST
+        this.initializePerformanceSettings();
+        
+        // Headless mode uses a null renderer - no WebGL, no post-processing
+        if (!this.headless) {
+            this.setupRenderer();
+        }
+        this.setupScene();
+        this.setupLighting();
+        if (!this.headless) {
+            this.setupPostProcessing();
+        }
+        
+        // Save system (needed first so the world can be rebuilt from the saved seed)
+        this.saveSystem = new SaveSystem(this);
+        if (this.replay) {
+            this.saveSystem.useSnapshot(this.replay.save);
+        }
+        
+        // Controls for keyboard, mouse and gamepad (remapped in the settings menu)
+        this.inputBindings = new InputBindings();
+        this.inputBindings.load(this.saveSystem.loadSettings()?.bindings);
+        
+        this.setupSettingsMenu();
+        this.saveSlotsMenu = new SaveSlotsMenu(this);
+        this.titleScreen = new TitleScreen(this);
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Load the level file, or check the one passed to the constructor
+     * @throws {Error} listing the problems when the level is invalid
+     */
+    async loadLevel() {
+        try {
+            this.level = this.level ? LevelFile.check(this.level) : await LevelFile.load(this.levelUrl);
+        } catch (error) {
+            console.error(`Level failed to load: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    // Boot failed (invalid level, unusable save storage): say why instead of leaving a blank page
+    showStartupError(error) {
+        console.error('Game failed to start:', error);
+        document.getElementById('loading-text').textContent = 'The game could not start';
+        const details = document.getElementById('loading-error');
+        details.textContent = error.message;
+        details.classList.remove('hidden');
+        document.getElementById('loading-screen').classList.remove('hidden');
+    }
+    
+    /**
+     * Leave the menus and load a game
+     * @param {Object} [options]
+     * @param {string} [options.mode='continue'] - 'continue' loads the save (if any), 'new' starts fresh
+     * @param {number} [options.slot] - save slot to load from and autosave to (defaults to the active slot)
+     * @param {string} [options.name] - character name for a new game
+     * @param {string} [options.classId] - starting class for a new game
+     */
+    startGame(options = null) {
+        return this.states.change('loading', { mode: 'continue', ...options });
+    }
+    
+    /**
+     * Build the world and systems for a new or continued game
+     */
+    loadWorld(options) {
+        if (options.slot) {
+            this.saveSystem.setActiveSlot(options.slot);
+        }
+        
+        const continuing = options.mode === 'continue' && this.saveSystem.hasSaveData();
+        this.startOptions = continuing ? { mode: 'continue' } : { ...options, mode: 'new' };
+        
+        // Seeded RNG shared by world generation, AI, loot and effects
+        const savedSeed = continuing ? this.saveSystem.getSavedSeed() : null;
+        const seed = this.forcedSeed ?? savedSeed ?? SeededRandom.generateSeed();
+        this.rng = new SeededRandom(seed);
+        console.log(`World seed: ${this.rng.seed}`);
+        
+        this.setupSystems();
+        this.registerSystems();
+        this.registerSaveSections();
+        this.subscribeToEvents();
+        
+        // Enemies are scaled for the New Game+ cycle as they spawn
+        this.progressionSystem.cycle = continuing ? this.saveSystem.getSavedCycle() : 1;
+        this.spawnEnemies();
+        
+        // Loaded after spawning so defeated bosses can be removed
+        if (continuing) {
+            this.saveSystem.loadGame();
+        } else {
+            this.createCharacter(options);
+        }
+        
+        // Always record from the first step so any session can be exported as a replay
+        if (this.replay) {
+            this.inputRecorder.startPlayback(this.replay);
+        } else {
+            this.inputRecorder.startRecording();
+        }
+    }
+    
+    // Apply the name and starting class chosen at character creation
+    createCharacter(options) {
+        const player = this.player;
+        const startingClass = getStartingClass(options.classId);
+        
+        player.name = options.name || player.name;
+        player.characterClass = startingClass.id;
+        Object.assign(player.stats, startingClass.stats);
+        player.updateDerivedStats();
+        player.restoreAll();
+    }
+    
     setupSettingsMenu() {
         this.settingsMenu = new SettingsMenu(this);
     }
@@ -210,8 +575,8 @@ export class Game {
         // Apply fog based on performance settings (helps hide pop-in)
         const fogColor = 0x87CEEB;
         this.scene.fog = new THREE.Fog(
-            fogColor, 
-            this.settings.fogNear || 30, 
+            fogColor,
+            this.settings.fogNear || 30,
             this.settings.fogFar || 80
         );
         
@@ -306,11 +671,18 @@ export class Game {
     setupSystems() {
         // Input management
         this.inputManager = new InputManager(this);
+        this.inputRecorder = new InputRecorder(this);
+        
+        // Shared index for collision and proximity queries (filled by the world, entities and systems)
+        this.spatialIndex = new SpatialHash();
         
         // World/terrain
         this.world = new World(this);
         this.world.generate();
         
+        // Dungeons beneath the ruins (their graces, treasure and mini-bosses spawn with the level's)
+        this.dungeonSystem = new DungeonSystem(this);
+        
         // Particle system
         this.particleSystem = new ParticleSystem(this);
         
@@ -347,124 +719,98 @@ export class Game {
         // Fast travel system
         this.fastTravelSystem = new FastTravelSystem(this);
         
+        // Doors, levers, chests, lifts and shortcuts from the level
+        this.interactableSystem = new InteractableSystem(this);
+        
         // Music system
         this.musicSystem = new MusicSystem(this);
         
-        // Save system
-        this.saveSystem = new SaveSystem(this);
-        
-        // Try to load saved game
-        if (this.saveSystem.hasSaveData()) {
-            this.saveSystem.loadGame();
-        }
-        
         // HUD
         this.hud = new HUD(this);
+        
+        // On-screen joystick and buttons for touchscreens
+        this.touchControls = new TouchControls(this);
+        
+        // Places the level's enemies, Sites of Grace, NPCs, items and ruins
+        this.levelEditor = new LevelEditor(this);
     }
     
     spawnEnemies() {
         // Respect maxEnemies setting for potato mode
         const maxEnemies = this.settings.maxEnemies || 3;
         
-        // Spawn basic enemies around the world
-        const spawnPoints = [
-            { x: 20, z: 20, type: 'melee' },
-            { x: -25, z: 15, type: 'melee' },
-            { x: 30, z: -10, type: 'ranged' },
-            { x: -20, z: -30, type: 'melee' },
-            { x: 40, z: 40, type: 'heavy' },
-            { x: -35, z: 25, type: 'melee' },
-            { x: 15, z: -40, type: 'ranged' },
-            { x: -40, z: -20, type: 'heavy' },
-        ];
-        
-        // Limit basic enemies based on settings
-        const limitedSpawns = spawnPoints.slice(0, Math.min(maxEnemies, spawnPoints.length));
-        
-        limitedSpawns.forEach(spawn => {
-            const enemy = new Enemy(this, spawn.type);
-            const y = this.world.getHeightAt(spawn.x, spawn.z);
-            enemy.init(spawn.x, y, spawn.z);
-            this.enemies.push(enemy);
-        });
-        
-        console.log(`Spawned ${limitedSpawns.length} basic enemies (max: ${maxEnemies})`);
-        
-        // Only spawn additional enemy types if we have room in maxEnemies budget
-        const remainingSlots = maxEnemies - this.enemies.length;
-        
-        if (remainingSlots > 0) {
-            // Spawn wolves (pack creatures) - only if maxEnemies > 3
-            const wolfSpawns = [
-                { x: 45, z: 25 },
-                { x: 48, z: 28 },
-            ].slice(0, Math.min(remainingSlots, 2));
+        // Level spawns fill the budget in order; minEnemyBudget ones only appear on bigger presets
+        // (dungeon guards spawn while the player is inside, see DungeonSystem.updateGuards)
+        let budgetUsed = 0;
+        this.level.enemies.forEach((spawn, index) => {
+            if (spawn.minEnemyBudget !== undefined) {
+                if (maxEnemies < spawn.minEnemyBudget) return;
+            } else if (budgetUsed < maxEnemies) {
+                budgetUsed++;
+            } else {
+                return;
+            }
             
-            wolfSpawns.forEach(spawn => {
-                const wolf = new Wolf(this);
-                const y = this.world.getHeightAt(spawn.x, spawn.z);
-                wolf.init(spawn.x, y, spawn.z);
-                this.enemies.push(wolf);
-            });
-        }
+            this.spawnEnemy(spawn, index);
+        });
         
-        // Skip other enemy types for potato mode (maxEnemies <= 5)
-        if (maxEnemies > 5) {
-            // Spawn Stone Golems
-            const golemSpawns = [
-                { x: 60, z: -50 },
-                { x: -70, z: 60 },
-            ];
-            
-            golemSpawns.forEach(spawn => {
-                const golem = new StoneGolem(this);
-                const y = this.world.getHeightAt(spawn.x, spawn.z);
-                golem.init(spawn.x, y, spawn.z);
-                this.enemies.push(golem);
-            });
-        }
+        console.log(`Spawned ${this.enemies.length} enemies (max: ${maxEnemies})`);
         
-        if (maxEnemies > 8) {
-            // Spawn Dark Knights (elite enemies)
-            const knightSpawns = [
-                { x: 65, z: 65 },
-                { x: -60, z: -55 },
-            ];
-            
-            knightSpawns.forEach(spawn => {
-                const knight = new DarkKnight(this);
-                const y = this.world.getHeightAt(spawn.x, spawn.z);
-                knight.init(spawn.x, y, spawn.z);
-                this.enemies.push(knight);
-            });
-        }
+        const bossSpawns = [...this.level.bosses, ...this.dungeonSystem.getPlacements('bosses')];
+        bossSpawns.forEach(spawn => {
+            const boss = BOSS_TYPES[spawn.type](this, spawn.name);
+            const y = this.world.getHeightAt(spawn.x, spawn.z);
+            boss.init(spawn.x, y, spawn.z);
+            applyFacing(boss, spawn.rotation);
+            if (spawn.miniBoss) {
+                applyMiniBoss(boss, spawn.arenaRadius);
+            }
+            this.bosses.push(boss);
+        });
         
-        if (maxEnemies > 10) {
-            // Spawn Crystal Lizards (rare material drops)
-            const lizardSpawns = [
-                { x: 35, z: -45 },
-                { x: -30, z: 50 },
-            ];
-            
-            lizardSpawns.forEach(spawn => {
-                const lizard = new CrystalLizard(this);
-                const y = this.world.getHeightAt(spawn.x, spawn.z);
-                lizard.init(spawn.x, y, spawn.z);
-                this.enemies.push(lizard);
-            });
-        }
+        // Each New Game+ cycle makes every foe tougher and more rewarding
+        const scaling = getCycleScaling(this.progressionSystem.cycle);
+        this.bosses.forEach(boss => boss.applyCycleScaling(scaling));
+    }
+    
+    /**
+     * Create an enemy from a level-style spawn and add it to the world
+     * @param {Object} spawn - { x, z, kind?, rotation? }
+     * @param {number} index - picks the kind from the biome when the spawn has none
+     */
+    spawnEnemy(spawn, index) {
+        // Spawns without a kind get one from the biome they stand in
+        const kinds = this.world.getBiomeAt(spawn.x, spawn.z).enemies;
+        const kind = spawn.kind || kinds[index % kinds.length];
+        
+        const enemy = ENEMY_KINDS[kind](this);
+        const y = this.world.getHeightAt(spawn.x, spawn.z);
+        enemy.init(spawn.x, y, spawn.z);
+        applyFacing(enemy, spawn.rotation);
+        enemy.applyCycleScaling(getCycleScaling(this.progressionSystem.cycle));
+        this.enemies.push(enemy);
+        return enemy;
+    }
+    
+    // Replace every enemy and boss with fresh ones from the level (level editor)
+    rebuildLevelEnemies() {
+        this.bosses.forEach(boss => boss.hideBossHealthBar());
+        [...this.enemies, ...this.bosses].forEach(entity => entity.dispose());
+        this.enemies = [];
+        this.bosses = [];
+        this.player.lockedTarget = null;
+        this.dungeonSystem.forgetGuards();
         
-        // Spawn Boss 1: Corrupted Knight
-        const boss = new Boss(this, 'Corrupted Knight');
-        const bossY = this.world.getHeightAt(80, 80);
-        boss.init(80, bossY, 80);
-        this.bosses.push(boss);
+        this.spawnEnemies();
+        this.saveSystem.removeDefeatedBosses();
+    }
+    
+    subscribeToEvents() {
+        const events = this.events;
         
-        // Spawn Boss 2: Ancient Dragon (in a different area)
-        const dragon = new DragonBoss(this, 'Ancient Dragon');
-        const dragonY = this.world.getHeightAt(-80, -80);
-        dragon.init(-80, dragonY, -80);
-        this.bosses.push(dragon);
+        events.on('playerDied', () => this.playerDied());
+        events.on('bossDefeated', ({ souls }) => this.showVictory(souls));
+        events.on('checkpointRested', () => this.respawnEnemies());
     }
     
     setupEventListeners() {
@@ -496,6 +842,11 @@ export class Game {
                 this.fastTravelSystem.open();
             }
         });
+        document.getElementById('saves-btn')?.addEventListener('click', () => {
+            // Pick the autosave slot, copy or delete saves
+            this.saveSlotsMenu.open();
+        });
+        document.getElementById('new-game-plus-btn')?.addEventListener('click', () => this.beginNewGamePlus());
         document.getElementById('quit-btn')?.addEventListener('click', () => this.quit());
     }
     
@@ -506,6 +857,8 @@ export class Game {
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         
+        if (!this.renderer) return;
+        
         this.renderer.setSize(width, height);
         if (this.composer) {
             this.composer.setSize(width, height);
@@ -515,7 +868,8 @@ export class Game {
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        this.deltaTime = Math.min(this.clock.getDelta(), 0.1); // Cap delta time
+        // Real time since last frame, clamped so a long hitch doesn't flood the simulation
+        const frameTime = Math.min(this.clock.getDelta(), this.maxFrameTime);
         this.elapsedTime = this.clock.getElapsedTime();
         
         // FPS counter
@@ -531,93 +885,254 @@ export class Game {
             }
         }
         
-        if (!this.isPaused && !this.isGameOver) {
-            this.update();
+        // Menus before the world is loaded only need drawing
+        if (this.states.isSimulating()) {
+            this.stepSimulation(frameTime);
         }
         
+        // Draw entities between the last two simulated states
+        this.applyInterpolation(this.interpolationAlpha);
         this.render();
+        this.restoreInterpolation();
     }
     
-    update() {
-        // Staggered updates for performance optimization using configured rates
-        const frame = this.frameCount;
-        const settings = this.settings;
+    /**
+     * Advance the simulation in fixed steps using an accumulator
+     * @param {number} frameTime - real seconds elapsed since the last frame
+     */
+    stepSimulation(frameTime) {
+        this.accumulator += frameTime;
+        this.deltaTime = this.fixedTimeStep;
+        
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+            // Controllers have no events for buttons or sticks - read them once per step
+            this.inputManager.pollGamepad(this.fixedTimeStep);
+            
+            // Paused steps only tick systems that opt in (menus, music, HUD)
+            const paused = this.isPaused || this.isGameOver;
+            
+            if (!paused) {
+                this.captureInterpolationState();
+                this.inputRecorder.step(this.simulationTick);
+            }
+            
+            this.update(paused);
+            
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+            
+            if (!paused) {
+                this.simulationTick++;
+                this.simulationTime += this.fixedTimeStep;
+            }
+        }
         
-        // Update player every frame (critical)
-        if (this.player) {
-            this.player.update(this.deltaTime);
+        // Device can't keep up - drop the backlog instead of slowing down further
+        if (this.accumulator >= this.fixedTimeStep) {
+            this.accumulator %= this.fixedTimeStep;
         }
         
-        // Update combat system every frame (critical for responsiveness)
-        this.combatSystem.update(this.deltaTime);
+        // Nothing moves while paused, so draw the latest state as-is
+        this.interpolationAlpha = (this.isPaused || this.isGameOver)
+            ? 1
+            : this.accumulator / this.fixedTimeStep;
+    }
+    
+    // Objects whose transforms are interpolated between simulation steps
+    getInterpolationTargets() {
+        const targets = [this.camera];
+        
+        if (this.player && this.player.mesh) {
+            targets.push(this.player.mesh);
+        }
         
-        // Update enemies with distance-based staggering
-        this.updateEnemies(this.deltaTime);
+        this.enemies.forEach(enemy => {
+            if (enemy.mesh) targets.push(enemy.mesh);
+        });
         
-        // Update bosses every frame (important for boss fights)
         this.bosses.forEach(boss => {
-            if (boss.isAlive) {
-                boss.update(this.deltaTime);
-            }
+            if (boss.mesh) targets.push(boss.mesh);
         });
         
-        // Update particles at configured rate (or skip if disabled)
-        const particleRate = settings.particleUpdateRate || 1;
-        if (settings.particlesEnabled !== false && frame % particleRate === 0 && this.particleSystem) {
-            this.particleSystem.update(this.deltaTime * particleRate);
+        return targets;
+    }
+    
+    // Remember transforms before a step so rendering can blend towards the new ones
+    captureInterpolationState() {
+        const targets = this.getInterpolationTargets();
+        const seen = new Set();
+        
+        for (const object of targets) {
+            let state = this.interpolatedObjects.get(object);
+            if (!state) {
+                state = {
+                    previousPosition: new THREE.Vector3(),
+                    previousQuaternion: new THREE.Quaternion(),
+                    currentPosition: new THREE.Vector3(),
+                    currentQuaternion: new THREE.Quaternion(),
+                    currentRotation: new THREE.Euler()
+                };
+                this.interpolatedObjects.set(object, state);
+            }
+            
+            state.previousPosition.copy(object.position);
+            state.previousQuaternion.copy(object.quaternion);
+            seen.add(object);
         }
         
-        // Update visual effects at configured rate
-        const envRate = settings.environmentUpdateRate || 2;
-        if (frame % envRate === 0 && this.visualEffects) {
-            this.visualEffects.update(this.deltaTime * envRate);
+        // Forget disposed entities
+        for (const object of this.interpolatedObjects.keys()) {
+            if (!seen.has(object)) {
+                this.interpolatedObjects.delete(object);
+            }
         }
+    }
+    
+    /**
+     * Move tracked objects to their interpolated render transform
+     * @param {number} alpha - 0 = previous step, 1 = latest step
+     */
+    applyInterpolation(alpha) {
+        this.interpolatedObjects.forEach((state, object) => {
+            state.currentPosition.copy(object.position);
+            state.currentQuaternion.copy(object.quaternion);
+            state.currentRotation.copy(object.rotation);
+            
+            object.position.lerpVectors(state.previousPosition, state.currentPosition, alpha);
+            object.quaternion.slerpQuaternions(state.previousQuaternion, state.currentQuaternion, alpha);
+        });
+    }
+    
+    // Put the simulated transforms back so gameplay code never sees render-only values
+    restoreInterpolation() {
+        this.interpolatedObjects.forEach((state, object) => {
+            object.position.copy(state.currentPosition);
+            object.rotation.copy(state.currentRotation);
+        });
+    }
+    
+    /**
+     * Register every system with the scheduler
+     * Priority sets the order within a step; tick rates and intervals replace
+     * hand-written frame modulos and can be overridden per preset (settings.systemRates)
+     */
+    registerSystems() {
+        const scheduler = this.scheduler;
+        
+        // Level editor camera and edits (gameplay is paused while editing)
+        scheduler.register('levelEditor', dt => this.levelEditor.update(dt), {
+            priority: 5,
+            runsWhilePaused: true,
+            enabled: () => this.states.is('editing')
+        });
         
-        // Update magic system every 2nd frame
-        if (frame % 2 === 1 && this.magicSystem) {
-            this.magicSystem.update(this.deltaTime * 2);
-        }
+        // Critical gameplay - every step
+        scheduler.register('player', dt => this.player.update(dt), { priority: 0 });
+        scheduler.register('combat', dt => this.combatSystem.update(dt), { priority: 10 });
+        scheduler.register('enemies', dt => this.updateEnemies(dt), { priority: 20 });
+        scheduler.register('bosses', dt => this.updateBosses(dt), { priority: 30 });
         
-        // Update inventory system every 5th frame
-        if (frame % 5 === 0 && this.inventorySystem) {
-            this.inventorySystem.update(this.deltaTime * 5);
-        }
+        // Terrain chunks stream in around the player
+        scheduler.register('terrain', () => this.world.updateTerrain(this.player.position), {
+            priority: 35,
+            tickRate: 5
+        });
         
-        // Update NPC system every 3rd frame
-        if (frame % 3 === 0 && this.npcSystem) {
-            this.npcSystem.update(this.deltaTime * 3);
-        }
+        // Publishes biomeEntered once the player settles in a new biome
+        scheduler.register('biome', () => this.world.biomeMap.track(this.player.position), {
+            priority: 36,
+            tickRate: 10
+        });
         
-        // Update save system every 10th frame
-        if (frame % 10 === 0 && this.saveSystem) {
-            this.saveSystem.update(this.deltaTime * 10);
-        }
+        // Effects - rates come from the performance preset
+        scheduler.register('particles', dt => this.particleSystem.update(dt), {
+            priority: 40,
+            rateSetting: 'particleUpdateRate',
+            enabled: () => this.settings.particlesEnabled !== false
+        });
+        scheduler.register('visualEffects', dt => this.visualEffects.update(dt), {
+            priority: 50,
+            tickRate: 2,
+            rateSetting: 'environmentUpdateRate'
+        });
         
-        // Update HUD at configured rate
-        const hudRate = settings.hudUpdateRate || 3;
-        if (frame % hudRate === 0) {
-            this.hud.update();
-        }
+        // Gameplay systems that tolerate staggering
+        scheduler.register('magic', dt => this.magicSystem.update(dt), { priority: 60, tickRate: 2, phase: 1 });
+        scheduler.register('inventory', dt => this.inventorySystem.update(dt), { priority: 70, tickRate: 5 });
+        scheduler.register('npc', dt => this.npcSystem.update(dt), { priority: 80, tickRate: 3 });
+        scheduler.register('save', dt => this.saveSystem.update(dt), { priority: 90, tickRate: 10 });
+        
+        // HUD keeps refreshing behind menus
+        scheduler.register('hud', () => this.hud.update(), {
+            priority: 100,
+            tickRate: 3,
+            rateSetting: 'hudUpdateRate',
+            runsWhilePaused: true
+        });
         
-        // Update checkpoints every 5th frame
-        if (frame % 5 === 0) {
-            this.checkpointSystem.update(this.deltaTime * 5);
-        }
+        // Touch controls hide behind menus and show again on return
+        scheduler.register('touchControls', () => this.touchControls.update(), {
+            priority: 105,
+            tickRate: 3,
+            runsWhilePaused: true
+        });
         
-        // Update progression system every 2nd frame
-        if (frame % 2 === 0) {
-            this.progressionSystem.update(this.deltaTime * 2);
-        }
+        scheduler.register('checkpoint', dt => this.checkpointSystem.update(dt), { priority: 110, tickRate: 5 });
         
-        // Update music system every 30th frame (roughly twice per second)
-        if (frame % 30 === 0 && this.musicSystem) {
-            this.musicSystem.update();
-        }
+        // Dungeon doors and which interior is drawn
+        scheduler.register('dungeons', () => this.dungeonSystem.update(), { priority: 115 });
         
-        // Clean up dead entities every 10th frame
-        if (frame % 10 === 0) {
-            this.cleanupEntities();
-        }
+        // Every step so lifts carry the player smoothly
+        scheduler.register('interactables', dt => this.interactableSystem.update(dt), { priority: 117 });
+        scheduler.register('progression', dt => this.progressionSystem.update(dt), { priority: 120, tickRate: 2 });
+        
+        // Music follows game state (e.g. resting at a Site of Grace) even while paused
+        scheduler.register('music', () => this.musicSystem.update(), {
+            priority: 130,
+            interval: 0.5,
+            runsWhilePaused: true
+        });
+        
+        scheduler.register('cleanup', () => this.cleanupEntities(), { priority: 140, tickRate: 10 });
+    }
+    
+    /**
+     * Systems that keep their own state in saves, restored after the rest of the save loads
+     */
+    registerSaveSections() {
+        const sections = {
+            inventory: this.inventorySystem,
+            progression: this.progressionSystem,
+            magic: this.magicSystem,
+            npcs: this.npcSystem,
+            interactables: this.interactableSystem,
+            weather: this.visualEffects
+        };
+        
+        Object.entries(sections).forEach(([name, system]) => {
+            this.saveSystem.registerSection(name, {
+                save: () => system.getSaveState(),
+                restore: state => system.restoreSaveState(state),
+                carryOver: system.getCarryOverState ? state => system.getCarryOverState(state) : null
+            });
+        });
+    }
+    
+    /**
+     * Run one simulation step through the scheduler
+     * @param {boolean} paused - true while paused or on the death screen
+     */
+    update(paused = false) {
+        this.scheduler.update(this.fixedTimeStep, paused);
+    }
+    
+    updateBosses(deltaTime) {
+        this.bosses.forEach(boss => {
+            if (boss.isAlive) {
+                boss.update(deltaTime);
+            }
+        });
     }
     
     updateEnemies(deltaTime) {
@@ -643,21 +1158,16 @@ export class Game {
             
             enemy.mesh.visible = true;
             
-            if (distance < nearDistance) {
-                // Update nearby enemies every frame (or at configured rate)
-                if ((this.frameCount + index) % enemyUpdateRate === 0) {
-                    enemy.update(deltaTime);
-                }
-            } else if (distance < farDistance) {
-                // Update mid-range enemies less frequently
-                if ((this.frameCount + index) % (enemyUpdateRate * 2) === 0) {
-                    enemy.update(deltaTime);
-                }
-            } else {
-                // Update distant enemies even less frequently
-                if ((this.frameCount + index) % (enemyUpdateRate * 4) === 0) {
-                    enemy.update(deltaTime);
-                }
+            // Distant enemies tick less often but still receive the full elapsed step
+            let updateRate = enemyUpdateRate;
+            if (distance >= farDistance) {
+                updateRate = enemyUpdateRate * 4;
+            } else if (distance >= nearDistance) {
+                updateRate = enemyUpdateRate * 2;
+            }
+            
+            if ((this.simulationTick + index) % updateRate === 0) {
+                enemy.update(deltaTime * updateRate);
             }
         });
     }
@@ -712,6 +1222,8 @@ export class Game {
     }
     
     render() {
+        if (!this.renderer) return;
+        
         // Use composer if post-processing is enabled, otherwise direct render
         if (this.composer && this.settings.postProcessing) {
             this.composer.render();
@@ -721,16 +1233,30 @@ export class Game {
     }
     
     pause() {
-        this.isPaused = true;
-        document.getElementById('pause-menu').classList.remove('hidden');
-        document.exitPointerLock();
+        return this.states.change('paused');
     }
     
     resume() {
-        this.isPaused = false;
-        document.getElementById('pause-menu').classList.add('hidden');
-        // Re-lock pointer for camera control
-        this.canvas.requestPointerLock();
+        return this.states.change('playing');
+    }
+    
+    togglePause() {
+        if (this.states.is('paused')) {
+            this.resume();
+        } else if (this.states.is('editing')) {
+            this.toggleLevelEditor();
+        } else if (this.states.is('playing', 'victory')) {
+            this.pause();
+        }
+    }
+    
+    // Open the level editor from gameplay (not over a menu or dialogue), or close it
+    toggleLevelEditor() {
+        if (this.states.is('editing')) {
+            this.states.change('playing');
+        } else if (this.states.is('playing') && !this.isPaused) {
+            this.states.change('editing');
+        }
     }
     
     showCharacterStats() {
@@ -742,33 +1268,37 @@ export class Game {
         }
     }
     
-    quit() {
-        // Reset game state
+    async quit() {
+        // Queued saves must reach storage first, or the reload can drop them
+        await this.saveSystem.storage.flush();
+        
+        // Reloading tears down the world and boots back to the title screen
         location.reload();
     }
     
+    // Save the next cycle, then reload; Continue on the title screen starts it
+    async beginNewGamePlus() {
+        if (!this.saveSystem.saveNewGamePlus()) {
+            this.events.emit('message', { text: 'New Game+ could not be started', duration: 3000 });
+            return;
+        }
+        await this.quit();
+    }
+    
     playerDied() {
-        this.isGameOver = true;
-        
-        // Show death screen
-        document.getElementById('death-screen').classList.remove('hidden');
-        document.exitPointerLock();
-        
-        // Respawn after delay
-        setTimeout(() => {
-            this.respawnPlayer();
-        }, 4000);
+        this.states.change('dead');
     }
     
     respawnPlayer() {
-        this.isGameOver = false;
-        document.getElementById('death-screen').classList.add('hidden');
-        
         // Respawn at last checkpoint
         const checkpoint = this.checkpointSystem.getLastCheckpoint();
         this.player.respawn(checkpoint);
         
-        // Respawn all enemies
+        this.respawnEnemies();
+    }
+    
+    // Respawn all regular enemies (on death and when resting at a Site of Grace)
+    respawnEnemies() {
         this.enemies.forEach(enemy => {
             if (!enemy.isBoss) {
                 enemy.respawn();
@@ -777,12 +1307,7 @@ export class Game {
     }
     
     showVictory(soulsGained) {
-        document.getElementById('victory-screen').classList.remove('hidden');
-        document.getElementById('souls-gained').textContent = `+${soulsGained} Souls`;
-        
-        setTimeout(() => {
-            document.getElementById('victory-screen').classList.add('hidden');
-        }, 3000);
+        this.states.change('victory', { souls: soulsGained });
     }
     
     // Utility method to get height at world position
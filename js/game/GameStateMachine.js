@@ -0,0 +1,112 @@
+/**
+ * GameStateMachine.js - Top-level Game States
+ * boot -> title -> (character creation) -> loading -> playing <-> paused / dead / victory
+ * Each state has enter/exit hooks and a list of states it may change to,
+ * so flows like death and pausing can't overlap or get stuck
+ */
+
+export class GameStateMachine {
+    constructor(game) {
+        this.game = game;
+        
+        // name -> { enter, exit, simulates, transitions }
+        this.states = new Map();
+        this.current = null;
+        this.previous = null;
+        
+        // Changes requested from inside a hook run after the current one finishes
+        this.changing = false;
+        this.pending = [];
+    }
+    
+    /**
+     * Register a state
+     * @param {string} name
+     * @param {Object} definition
+     * @param {Function} [definition.enter] - called with (data, from)
+     * @param {Function} [definition.exit] - called with (to)
+     * @param {boolean} [definition.simulates=false] - the world exists and is stepped in this state
+     * @param {string[]} [definition.transitions=[]] - states this one may change to
+     */
+    addState(name, definition = {}) {
+        this.states.set(name, {
+            enter: definition.enter || null,
+            exit: definition.exit || null,
+            simulates: definition.simulates === true,
+            transitions: definition.transitions || []
+        });
+        return this;
+    }
+    
+    /**
+     * Change state. Invalid transitions are logged and ignored.
+     * @param {string} name
+     * @param {Object} [data] - passed to the new state's enter hook
+     * @returns {boolean} whether the change was accepted
+     */
+    change(name, data = {}) {
+        const target = this.states.get(name);
+        if (!target) {
+            console.warn(`GameStateMachine: unknown state "${name}"`);
+            return false;
+        }
+        
+        if (this.changing) {
+            this.pending.push({ name, data });
+            return true;
+        }
+        
+        if (name === this.current) {
+            return true;
+        }
+        
+        const from = this.current;
+        const state = from ? this.states.get(from) : null;
+        if (state && !state.transitions.includes(name)) {
+            console.warn(`GameStateMachine: cannot go from "${from}" to "${name}"`);
+            return false;
+        }
+        
+        this.changing = true;
+        try {
+            if (state && state.exit) {
+                state.exit(name);
+            }
+            
+            this.previous = from;
+            this.current = name;
+            
+            if (target.enter) {
+                target.enter(data, from);
+            }
+        } catch (error) {
+            console.error(`GameStateMachine: failed to enter "${name}":`, error);
+        } finally {
+            this.changing = false;
+        }
+        
+        this.game.events.emit('stateChanged', { from, to: name });
+        
+        // Run changes queued by the hooks (e.g. loading -> playing)
+        const next = this.pending.shift();
+        if (next) {
+            this.change(next.name, next.data);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * @param {...string} names
+     * @returns {boolean} true if the current state is any of names
+     */
+    is(...names) {
+        return names.includes(this.current);
+    }
+    
+    // True once the world is loaded and the game loop should step it
+    isSimulating() {
+        const state = this.states.get(this.current);
+        return state ? state.simulates : false;
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * InputBindings.js - Control Bindings
+ * One table mapping every player action to a keyboard/mouse input and a
+ * gamepad button. Remapped in the settings menu and kept with the settings.
+ */
+
+// Standard Gamepad API button indices (Xbox labels; PlayStation pads use the same layout)
+export const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    L3: 10,
+    R3: 11,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+const PAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right'
+];
+
+const KEY_NAMES = {
+    Mouse0: 'Left Click',
+    Mouse1: 'Middle Click',
+    Mouse2: 'Right Click',
+    Space: 'Space',
+    Tab: 'Tab',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    Backspace: 'Backspace',
+    ShiftLeft: 'Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Alt',
+    AltRight: 'Right Alt',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Backquote: '`'
+};
+
+/**
+ * Every bindable action, in the order the settings menu lists them.
+ * key: KeyboardEvent.code (or Mouse0-2), pad: gamepad button index.
+ * keyLabel/padLabel describe a control that isn't a plain binding (shown instead
+ * of "Unbound" on that device, and that device can't be rebound).
+ */
+export const ACTIONS = [
+    { id: 'forward', label: 'Move Forward', key: 'KeyW', pad: null, padLabel: 'Left Stick' },
+    { id: 'backward', label: 'Move Back', key: 'KeyS', pad: null, padLabel: 'Left Stick' },
+    { id: 'left', label: 'Move Left', key: 'KeyA', pad: null, padLabel: 'Left Stick' },
+    { id: 'right', label: 'Move Right', key: 'KeyD', pad: null, padLabel: 'Left Stick' },
+    { id: 'sprint', label: 'Sprint (hold)', key: 'ShiftLeft', pad: null, padLabel: 'Hold Dodge Roll' },
+    { id: 'roll', label: 'Dodge Roll', key: 'Space', pad: GAMEPAD_BUTTONS.B },
+    { id: 'lightAttack', label: 'Light Attack', key: 'Mouse0', pad: GAMEPAD_BUTTONS.RB },
+    { id: 'heavyAttack', label: 'Heavy Attack', key: null, pad: GAMEPAD_BUTTONS.RT, keyLabel: 'Sprint + Light Attack' },
+    { id: 'block', label: 'Block (hold)', key: 'Mouse2', pad: GAMEPAD_BUTTONS.LB },
+    { id: 'weaponArt', label: 'Weapon Art', key: 'KeyL', pad: GAMEPAD_BUTTONS.LT },
+    { id: 'cycleWeapon', label: 'Switch Weapon', key: 'KeyX', pad: GAMEPAD_BUTTONS.L3 },
+    { id: 'lockOn', label: 'Lock-on', key: 'Tab', pad: GAMEPAD_BUTTONS.R3 },
+    { id: 'interact', label: 'Interact', key: 'KeyE', pad: GAMEPAD_BUTTONS.A },
+    { id: 'castSpell', label: 'Cast Spell', key: 'KeyQ', pad: GAMEPAD_BUTTONS.Y },
+    { id: 'castHeal', label: 'Cast Heal', key: 'KeyF', pad: GAMEPAD_BUTTONS.DPAD_DOWN },
+    { id: 'nextSpell', label: 'Next Spell', key: null, pad: GAMEPAD_BUTTONS.DPAD_UP },
+    { id: 'spell1', label: 'Select Fireball', key: 'Digit1', pad: null },
+    { id: 'spell2', label: 'Select Soul Arrow', key: 'Digit2', pad: null },
+    { id: 'spell3', label: 'Select Lightning Spear', key: 'Digit3', pad: null },
+    { id: 'useItem', label: 'Use Quick Item', key: 'KeyR', pad: GAMEPAD_BUTTONS.X },
+    { id: 'prevItem', label: 'Previous Quick Item', key: 'ArrowLeft', pad: GAMEPAD_BUTTONS.DPAD_LEFT },
+    { id: 'nextItem', label: 'Next Quick Item', key: 'ArrowRight', pad: GAMEPAD_BUTTONS.DPAD_RIGHT },
+    { id: 'inventory', label: 'Inventory', key: 'KeyI', pad: GAMEPAD_BUTTONS.BACK },
+    { id: 'map', label: 'Map', key: 'KeyM', pad: null },
+    { id: 'settings', label: 'Settings', key: 'KeyG', pad: null, padLabel: 'Keyboard only' },
+    { id: 'debugInfo', label: 'Debug Info', key: 'F3', pad: null, padLabel: 'Keyboard only' },
+    { id: 'levelEditor', label: 'Level Editor', key: 'F4', pad: null, padLabel: 'Keyboard only' },
+    // Escape/Start always pause so a bad binding can't lock players out of the menus
+    { id: 'pause', label: 'Pause Menu', key: 'Escape', pad: GAMEPAD_BUTTONS.START, fixed: true }
+];
+
+const ACTIONS_BY_ID = new Map(ACTIONS.map(action => [action.id, action]));
+
+export class InputBindings {
+    constructor() {
+        this.keys = {};
+        this.pad = {};
+        this.reset();
+    }
+    
+    reset() {
+        ACTIONS.forEach(action => {
+            this.keys[action.id] = action.key;
+            this.pad[action.id] = action.pad;
+        });
+    }
+    
+    // Saved bindings ({ keys, pad }) over the defaults; unknown actions and bad values are ignored
+    load(saved) {
+        if (!saved || typeof saved !== 'object') return;
+        
+        ACTIONS.forEach(action => {
+            if (this.canRebind(action.id, 'keyboard') && saved.keys && action.id in saved.keys) {
+                const key = saved.keys[action.id];
+                if (key === null || typeof key === 'string') this.keys[action.id] = key;
+            }
+            if (this.canRebind(action.id, 'gamepad') && saved.pad && action.id in saved.pad) {
+                const button = saved.pad[action.id];
+                if (button === null || (Number.isInteger(button) && PAD_BUTTON_NAMES[button])) {
+                    this.pad[action.id] = button;
+                }
+            }
+        });
+    }
+    
+    toJSON() {
+        return { keys: { ...this.keys }, pad: { ...this.pad } };
+    }
+    
+    canRebind(actionId, device) {
+        const action = ACTIONS_BY_ID.get(actionId);
+        if (!action || action.fixed) return false;
+        return device === 'gamepad' ? !action.padLabel : !action.keyLabel;
+    }
+    
+    getKey(actionId) {
+        return this.keys[actionId] ?? null;
+    }
+    
+    getPadButton(actionId) {
+        return this.pad[actionId] ?? null;
+    }
+    
+    getActionForKey(code) {
+        return ACTIONS.find(action => this.keys[action.id] === code)?.id || null;
+    }
+    
+    getActionForPadButton(index) {
+        return ACTIONS.find(action => this.pad[action.id] === index)?.id || null;
+    }
+    
+    // Another action already using this input on the same device
+    findConflict(actionId, device, input) {
+        const table = device === 'gamepad' ? this.pad : this.keys;
+        return ACTIONS.find(action => action.id !== actionId && table[action.id] === input)?.id || null;
+    }
+    
+    /**
+     * Bind an input to an action. If another action already uses it, that
+     * action takes over this one's old input.
+     * @returns {{ bound: boolean, swapped: string|null }} swapped is the other action's id
+     */
+    bind(actionId, device, input) {
+        if (!this.canRebind(actionId, device)) return { bound: false, swapped: null };
+        
+        const table = device === 'gamepad' ? this.pad : this.keys;
+        const conflict = this.findConflict(actionId, device, input);
+        if (conflict && !this.canRebind(conflict, device)) {
+            return { bound: false, swapped: null };
+        }
+        if (conflict) {
+            table[conflict] = table[actionId];
+        }
+        table[actionId] = input;
+        return { bound: true, swapped: conflict };
+    }
+    
+    // Action ids sharing an input with another action (e.g. from an edited settings file)
+    getConflicts() {
+        const conflicts = new Set();
+        [this.keys, this.pad].forEach(table => {
+            const owners = new Map();
+            ACTIONS.forEach(action => {
+                const input = table[action.id];
+                if (input === null || input === undefined) return;
+                if (owners.has(input)) {
+                    conflicts.add(action.id);
+                    conflicts.add(owners.get(input));
+                } else {
+                    owners.set(input, action.id);
+                }
+            });
+        });
+        return conflicts;
+    }
+    
+    // What to show for an action on a device ('keyboard' or 'gamepad')
+    getLabel(actionId, device = 'keyboard') {
+        const action = ACTIONS_BY_ID.get(actionId);
+        if (!action) return '';
+        
+        if (device === 'gamepad') {
+            const button = this.pad[actionId];
+            if (button !== null && button !== undefined) return InputBindings.describePadButton(button);
+            return action.padLabel || 'Unbound';
+        }
+        
+        const key = this.keys[actionId];
+        if (key) return InputBindings.describeKey(key);
+        return action.keyLabel || 'Unbound';
+    }
+    
+    // Replace {actionId} placeholders (e.g. "Press {castSpell} to cast") with bound inputs
+    format(text, device = 'keyboard') {
+        return text.replace(/\{(\w+)\}/g, (match, actionId) => (
+            ACTIONS_BY_ID.has(actionId) ? this.getLabel(actionId, device) : match
+        ));
+    }
+    
+    static getAction(actionId) {
+        return ACTIONS_BY_ID.get(actionId) || null;
+    }
+    
+    static describeKey(code) {
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        
+        const match = /^(?:Key|Digit)(.+)$/.exec(code);
+        return match ? match[1] : code;
+    }
+    
+    static describePadButton(index) {
+        return PAD_BUTTON_NAMES[index] || `Button ${index}`;
+    }
+}
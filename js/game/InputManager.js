@@ -1,8 +1,23 @@
 /**
  * InputManager.js - Handles all player input
- * Manages keyboard, mouse, and gamepad input
+ * Manages keyboard, mouse, and gamepad input (inputs are looked up in InputBindings)
  */
 
+import { GAMEPAD_BUTTONS, InputBindings } from './InputBindings.js';
+
+// Holding the roll button longer than this sprints instead of rolling on release (seconds)
+const GAMEPAD_SPRINT_HOLD = 0.3;
+
+// Actions that last as long as their input is held
+const HELD_ACTIONS = ['forward', 'backward', 'left', 'right', 'sprint', 'block'];
+
+// Single-press actions that also mirror their held state into keys (recorded in replays)
+const PRESSED_KEYS = ['roll', 'interact', 'lockOn', 'pause', 'inventory'];
+
+// Single-press actions that take effect on the spot rather than being read by the Player
+// (recorded in replays too, which perform them again on the same step)
+const INSTANT_ACTIONS = ['weaponArt', 'cycleWeapon', 'nextSpell', 'spell1', 'spell2', 'spell3', 'prevItem', 'nextItem'];
+
 export class InputManager {
     constructor(game) {
         this.game = game;
@@ -41,6 +56,9 @@ export class InputManager {
             roll: false,
             lightAttack: false,
             heavyAttack: false,
+            castSpell: false,
+            castHeal: false,
+            useItem: false,
             interact: false,
             lockOn: false,
             pause: false,
@@ -48,6 +66,29 @@ export class InputManager {
             jump: false
         };
         
+        // Actions pressed since the last simulation step (read by InputRecorder)
+        this.actionEvents = [];
+        
+        // Single-press actions whose input is still down (filters key repeat)
+        this.heldActions = new Set();
+        
+        // 'keyboard', 'gamepad' or 'touch' - on-screen prompts show this device's bindings
+        this.lastDevice = 'keyboard';
+        
+        // Analog movement from a gamepad's left stick (x right, z back), after the dead zone
+        this.stick = { x: 0, z: 0 };
+        
+        // Gamepad state (polled every simulation step)
+        this.gamepad = {
+            index: null,
+            id: '',
+            deadZone: 0.2,
+            triggerThreshold: 0.3,
+            lookSpeed: 2.5, // radians per second at full right-stick tilt
+            pressed: {}, // button index -> held last poll
+            sprintHold: 0 // seconds the roll button has been held
+        };
+        
         this.setupEventListeners();
     }
     
@@ -63,118 +104,60 @@ export class InputManager {
         
         // Pointer lock change
         document.addEventListener('pointerlockchange', () => this.onPointerLockChange());
+        
+        // Controller hot-plug (pollGamepad also picks up pads that were connected before load)
+        window.addEventListener('gamepadconnected', (e) => this.connectGamepad(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index === this.gamepad.index) {
+                this.disconnectGamepad();
+            }
+        });
+    }
+    
+    // While a replay drives the player, live input is ignored (Escape still pauses)
+    isReplaying() {
+        return this.game.inputRecorder ? this.game.inputRecorder.isReplaying() : false;
+    }
+    
+    // Settings menu is waiting for a key or button to bind
+    isCapturingBinding() {
+        return this.game.settingsMenu ? this.game.settingsMenu.isCapturing() : false;
+    }
+    
+    // The level editor reads its own keys and mouse while open
+    isEditingLevel() {
+        return this.game.states.is('editing');
+    }
+    
+    // Keys typed into a text field (level editor names) aren't game input
+    isTyping(event) {
+        const tag = event.target && event.target.tagName;
+        return tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA';
     }
     
     onKeyDown(event) {
-        // Prevent default for game controls
-        if (['Space', 'Tab', 'KeyW', 'KeyA', 'KeyS', 'KeyD'].includes(event.code)) {
-            event.preventDefault();
-        }
+        if (this.isCapturingBinding() || this.isTyping(event)) return;
         
-        switch (event.code) {
-            case 'KeyW':
-                this.keys.forward = true;
-                break;
-            case 'KeyS':
-                this.keys.backward = true;
-                break;
-            case 'KeyA':
-                this.keys.left = true;
-                break;
-            case 'KeyD':
-                this.keys.right = true;
-                break;
-            case 'ShiftLeft':
-            case 'ShiftRight':
-                this.keys.sprint = true;
-                break;
-            case 'Space':
-                if (!this.keys.roll) {
-                    this.keys.roll = true;
-                    this.actionPressed.roll = true;
-                }
-                break;
-            case 'KeyE':
-                if (!this.keys.interact) {
-                    this.keys.interact = true;
-                    this.actionPressed.interact = true;
-                }
-                break;
-            case 'Tab':
-                if (!this.keys.lockOn) {
-                    this.keys.lockOn = true;
-                    this.actionPressed.lockOn = true;
-                }
-                break;
-            case 'Escape':
-                if (!this.keys.pause) {
-                    this.keys.pause = true;
-                    this.actionPressed.pause = true;
-                    this.game.isPaused ? this.game.resume() : this.game.pause();
-                }
-                break;
-            case 'KeyI':
-                if (!this.keys.inventory) {
-                    this.keys.inventory = true;
-                    this.actionPressed.inventory = true;
-                }
-                break;
-            case 'KeyX':
-                // Cycle weapons
-                if (this.game.weaponSystem) {
-                    this.game.weaponSystem.cycleWeapon();
-                }
-                break;
-            case 'KeyL':
-                // Use weapon art
-                if (this.game.weaponSystem && !this.game.isPaused) {
-                    this.game.weaponSystem.useWeaponArt();
-                }
-                break;
-            case 'KeyG':
-                // Toggle debug info
-                document.getElementById('debug-info').classList.toggle('hidden');
-                break;
+        const action = this.game.inputBindings.getActionForKey(event.code);
+        if (!action || (this.isReplaying() && action !== 'pause')) return;
+        
+        // Keep bound keys from scrolling the page or moving focus
+        if (action !== 'pause') {
+            event.preventDefault();
         }
+        this.onActionDown(action, 'keyboard');
     }
     
     onKeyUp(event) {
-        switch (event.code) {
-            case 'KeyW':
-                this.keys.forward = false;
-                break;
-            case 'KeyS':
-                this.keys.backward = false;
-                break;
-            case 'KeyA':
-                this.keys.left = false;
-                break;
-            case 'KeyD':
-                this.keys.right = false;
-                break;
-            case 'ShiftLeft':
-            case 'ShiftRight':
-                this.keys.sprint = false;
-                break;
-            case 'Space':
-                this.keys.roll = false;
-                break;
-            case 'KeyE':
-                this.keys.interact = false;
-                break;
-            case 'Tab':
-                this.keys.lockOn = false;
-                break;
-            case 'Escape':
-                this.keys.pause = false;
-                break;
-            case 'KeyI':
-                this.keys.inventory = false;
-                break;
-        }
+        const action = this.game.inputBindings.getActionForKey(event.code);
+        if (!action || (this.isReplaying() && action !== 'pause')) return;
+        
+        this.onActionUp(action);
     }
     
     onMouseMove(event) {
+        if (this.isReplaying()) return;
+        
         if (document.pointerLockElement === this.game.canvas) {
             this.mouse.deltaX = event.movementX * this.mouse.sensitivity;
             this.mouse.deltaY = event.movementY * this.mouse.sensitivity;
@@ -185,28 +168,176 @@ export class InputManager {
     }
     
     onMouseDown(event) {
-        if (event.button === 0) {
-            // Left click - attack
-            this.mouse.leftButton = true;
-            if (this.keys.sprint) {
-                this.actionPressed.heavyAttack = true;
-            } else {
-                this.actionPressed.lightAttack = true;
+        if (this.isReplaying() || this.isCapturingBinding()) return;
+        
+        // Chrome follows a tap with a fake click - touch buttons already handled it
+        if (event.sourceCapabilities && event.sourceCapabilities.firesTouchEvents) return;
+        
+        if (event.button === 0) this.mouse.leftButton = true;
+        if (event.button === 2) this.mouse.rightButton = true;
+        
+        const action = this.game.inputBindings.getActionForKey(`Mouse${event.button}`);
+        if (action) this.onActionDown(action, 'keyboard');
+    }
+    
+    onMouseUp(event) {
+        if (this.isReplaying()) return;
+        
+        if (event.button === 0) this.mouse.leftButton = false;
+        if (event.button === 2) this.mouse.rightButton = false;
+        
+        const action = this.game.inputBindings.getActionForKey(`Mouse${event.button}`);
+        if (action) this.onActionUp(action);
+    }
+    
+    /**
+     * A bound key, mouse button or gamepad button went down
+     * @param {string} action - action id from InputBindings
+     * @param {string} device - 'keyboard' (includes the mouse) or 'gamepad'
+     */
+    onActionDown(action, device) {
+        this.lastDevice = device;
+        
+        // Only closing the editor (or Escape) gets through while it's open
+        if (this.isEditingLevel() && action !== 'levelEditor' && action !== 'pause') return;
+        
+        if (HELD_ACTIONS.includes(action)) {
+            this.keys[action] = true;
+            return;
+        }
+        
+        // Ignore key repeat while held
+        if (this.heldActions.has(action)) return;
+        this.heldActions.add(action);
+        if (PRESSED_KEYS.includes(action)) {
+            this.keys[action] = true;
+        }
+        
+        this.triggerAction(action, device);
+    }
+    
+    onActionUp(action) {
+        this.heldActions.delete(action);
+        if (HELD_ACTIONS.includes(action) || PRESSED_KEYS.includes(action)) {
+            this.keys[action] = false;
+        }
+    }
+    
+    triggerAction(action, device) {
+        const game = this.game;
+        
+        // A conversation takes interact (next line) and pause (leave it), nothing else
+        if (game.npcSystem && game.npcSystem.dialogueActive) {
+            if (action === 'interact') {
+                game.npcSystem.advanceDialogue();
+            } else if (action === 'pause') {
+                game.npcSystem.endDialogue();
             }
-        } else if (event.button === 2) {
-            // Right click - block
-            this.mouse.rightButton = true;
-            this.keys.block = true;
+            return;
+        }
+        
+        switch (action) {
+            case 'roll':
+            case 'interact':
+            case 'lockOn':
+            case 'heavyAttack':
+                this.pressAction(action);
+                return;
+            case 'lightAttack':
+                // Sprint + light attack is the keyboard's heavy attack
+                this.pressAction(device === 'keyboard' && this.keys.sprint ? 'heavyAttack' : 'lightAttack');
+                return;
+            case 'pause':
+                this.pressAction('pause');
+                game.togglePause();
+                return;
+            case 'inventory':
+                this.pressAction('inventory');
+                if (game.inventorySystem && (!game.isPaused || game.inventorySystem.isInventoryOpen)) {
+                    game.inventorySystem.toggleInventory();
+                }
+                return;
+            case 'map':
+                if (game.fastTravelSystem && (!game.isPaused || game.fastTravelSystem.isOpen)) {
+                    game.fastTravelSystem.toggleMap();
+                }
+                return;
+            case 'debugInfo':
+                document.getElementById('debug-info').classList.toggle('hidden');
+                return;
+            case 'levelEditor':
+                game.toggleLevelEditor();
+                return;
+        }
+        
+        // The rest act on the world, so they wait while paused
+        if (game.isPaused) return;
+        
+        switch (action) {
+            case 'castSpell':
+            case 'castHeal':
+            case 'useItem':
+                // Buffered by the player until it can act (see Player.bufferInput)
+                this.pressAction(action);
+                return;
+        }
+        
+        if (INSTANT_ACTIONS.includes(action)) {
+            this.actionEvents.push(action);
+            this.performAction(action);
         }
     }
     
-    onMouseUp(event) {
-        if (event.button === 0) {
-            this.mouse.leftButton = false;
-        } else if (event.button === 2) {
-            this.mouse.rightButton = false;
-            this.keys.block = false;
+    // Carry out an action that doesn't wait for the Player (INSTANT_ACTIONS)
+    performAction(action) {
+        const game = this.game;
+        const magic = game.magicSystem;
+        const inventory = game.inventorySystem;
+        const weapons = game.weaponSystem;
+        switch (action) {
+            case 'weaponArt':
+                weapons?.useWeaponArt();
+                break;
+            case 'cycleWeapon':
+                weapons?.cycleWeapon();
+                break;
+            case 'nextSpell':
+                magic?.cycleSpell();
+                break;
+            case 'spell1':
+                magic?.selectSpell('fireball');
+                break;
+            case 'spell2':
+                magic?.selectSpell('soulArrow');
+                break;
+            case 'spell3':
+                magic?.selectSpell('lightningSpear');
+                break;
+            case 'prevItem':
+                inventory?.cycleQuickItem(-1);
+                break;
+            case 'nextItem':
+                inventory?.cycleQuickItem(1);
+                break;
+        }
+    }
+    
+    // Label of the input bound to an action on the device the player last used
+    getPrompt(action) {
+        const touchLabel = this.lastDevice === 'touch' && this.game.touchControls
+            ? this.game.touchControls.getLabel(action)
+            : null;
+        return touchLabel || this.game.inputBindings.getLabel(action, this.lastDevice);
+    }
+    
+    // Fill {action} placeholders in UI text with the player's current bindings (or touch buttons)
+    formatPrompt(text) {
+        if (this.lastDevice !== 'touch') {
+            return this.game.inputBindings.format(text, this.lastDevice);
         }
+        return text.replace(/\{(\w+)\}/g, (match, action) => (
+            InputBindings.getAction(action) ? this.getPrompt(action) : match
+        ));
     }
     
     onPointerLockChange() {
@@ -217,6 +348,27 @@ export class InputManager {
         }
     }
     
+    pressAction(action) {
+        this.actionPressed[action] = true;
+        this.actionEvents.push(action);
+    }
+    
+    // Actions pressed since the last call (recording)
+    takeActionEvents() {
+        const actions = this.actionEvents;
+        this.actionEvents = [];
+        return actions;
+    }
+    
+    // Feed a recorded action back in on the step it was recorded (playback)
+    replayAction(action) {
+        if (INSTANT_ACTIONS.includes(action)) {
+            this.performAction(action);
+        } else {
+            this.actionPressed[action] = true;
+        }
+    }
+    
     // Check if an action was just pressed (single press)
     wasActionPressed(action) {
         if (this.actionPressed[action]) {
@@ -226,7 +378,7 @@ export class InputManager {
         return false;
     }
     
-    // Get movement direction vector
+    // Get movement direction vector (keyboard, or the left stick's analog tilt)
     getMovementDirection() {
         let x = 0;
         let z = 0;
@@ -236,6 +388,10 @@ export class InputManager {
         if (this.keys.left) x -= 1;
         if (this.keys.right) x += 1;
         
+        if (x === 0 && z === 0) {
+            return { x: this.stick.x, z: this.stick.z };
+        }
+        
         // Normalize
         const length = Math.sqrt(x * x + z * z);
         if (length > 0) {
@@ -248,7 +404,8 @@ export class InputManager {
     
     // Check if player is trying to move
     isMoving() {
-        return this.keys.forward || this.keys.backward || this.keys.left || this.keys.right;
+        return this.keys.forward || this.keys.backward || this.keys.left || this.keys.right ||
+            this.stick.x !== 0 || this.stick.z !== 0;
     }
     
     // Get mouse delta and reset
@@ -268,4 +425,158 @@ export class InputManager {
             this.actionPressed[key] = false;
         }
     }
+    
+    // ==========================================
+    // GAMEPAD
+    // ==========================================
+    
+    connectGamepad(pad) {
+        if (!pad || this.gamepad.index !== null) return;
+        
+        this.gamepad.index = pad.index;
+        this.gamepad.id = pad.id;
+        this.gamepad.pressed = {};
+        this.gamepad.sprintHold = 0;
+        this.game.events.emit('message', { text: 'Controller connected', duration: 2000 });
+    }
+    
+    disconnectGamepad() {
+        this.gamepad.index = null;
+        this.gamepad.id = '';
+        this.releaseGamepad();
+        this.game.events.emit('message', { text: 'Controller disconnected', duration: 2000 });
+    }
+    
+    // Let go of everything the pad was holding so nothing sticks after unplugging
+    releaseGamepad() {
+        const bindings = this.game.inputBindings;
+        const rollButton = bindings.getPadButton('roll');
+        
+        Object.keys(this.gamepad.pressed).forEach(index => {
+            if (!this.gamepad.pressed[index]) return;
+            if (Number(index) === rollButton) this.keys.sprint = false;
+            
+            const action = bindings.getActionForPadButton(Number(index));
+            if (action) this.onActionUp(action);
+        });
+        this.gamepad.pressed = {};
+        this.gamepad.sprintHold = 0;
+        this.stick.x = 0;
+        this.stick.z = 0;
+    }
+    
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        
+        const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+        
+        // Chrome only reports pads connected before load once polled
+        if (this.gamepad.index === null && pads.length > 0) {
+            this.connectGamepad(pads.find(pad => pad.mapping === 'standard') || pads[0]);
+        }
+        
+        const pad = pads.find(pad => pad.index === this.gamepad.index);
+        if (!pad && this.gamepad.index !== null) {
+            this.disconnectGamepad();
+        }
+        return pad || null;
+    }
+    
+    // Stick axes with a radial dead zone, rescaled so movement starts from 0 at its edge
+    readStick(pad, xAxis, yAxis) {
+        const x = pad.axes[xAxis] || 0;
+        const y = pad.axes[yAxis] || 0;
+        const length = Math.sqrt(x * x + y * y);
+        const deadZone = this.gamepad.deadZone;
+        
+        if (length <= deadZone) return { x: 0, y: 0 };
+        
+        const scale = Math.min(1, (length - deadZone) / (1 - deadZone)) / length;
+        return { x: x * scale, y: y * scale };
+    }
+    
+    isButtonDown(pad, index) {
+        const button = pad.buttons[index];
+        if (!button) return false;
+        
+        // Triggers are analog - they count once past the threshold
+        if (index === GAMEPAD_BUTTONS.LT || index === GAMEPAD_BUTTONS.RT) {
+            return button.value > this.gamepad.triggerThreshold;
+        }
+        return button.pressed;
+    }
+    
+    /**
+     * Read the connected controller. Called by Game every simulation step
+     * (also while paused, so Start can resume)
+     * @param {number} deltaTime - fixed step in seconds
+     */
+    pollGamepad(deltaTime) {
+        const pad = this.getGamepad();
+        if (!pad) return;
+        
+        const buttons = GAMEPAD_BUTTONS;
+        const wasDown = this.gamepad.pressed;
+        const isDown = {};
+        for (const index of Object.values(buttons)) {
+            isDown[index] = this.isButtonDown(pad, index);
+        }
+        const pressed = index => isDown[index] && !wasDown[index];
+        const released = index => !isDown[index] && wasDown[index];
+        this.gamepad.pressed = isDown;
+        
+        // The settings menu reads the pad itself while a button is being bound
+        if (this.isCapturingBinding()) return;
+        
+        const bindings = this.game.inputBindings;
+        const rollButton = bindings.getPadButton('roll');
+        for (const index of Object.values(buttons)) {
+            const action = bindings.getActionForPadButton(index);
+            if (!action || index === rollButton) continue;
+            
+            // Only pause works while a replay drives the player
+            if (this.isReplaying() && action !== 'pause') continue;
+            
+            if (pressed(index)) {
+                this.onActionDown(action, 'gamepad');
+            } else if (released(index)) {
+                this.onActionUp(action);
+            }
+        }
+        
+        if (this.isReplaying()) return;
+        
+        // Left stick moves, right stick looks
+        const move = this.readStick(pad, 0, 1);
+        this.stick.x = move.x;
+        this.stick.z = move.y;
+        
+        // Look adds up until the player turns the camera, which it doesn't while paused
+        const look = this.readStick(pad, 2, 3);
+        if (!this.game.isPaused) {
+            const lookStep = this.gamepad.lookSpeed * deltaTime;
+            this.mouse.deltaX += look.x * lookStep;
+            this.mouse.deltaY += look.y * lookStep;
+        }
+        
+        if (move.x !== 0 || move.y !== 0 || look.x !== 0 || look.y !== 0) {
+            this.lastDevice = 'gamepad';
+        }
+        
+        // Roll button: tap to roll, hold to sprint
+        if (rollButton === null) return;
+        if (isDown[rollButton]) {
+            this.gamepad.sprintHold += deltaTime;
+            if (this.gamepad.sprintHold >= GAMEPAD_SPRINT_HOLD) {
+                this.keys.sprint = true;
+            }
+        } else if (released(rollButton)) {
+            if (this.gamepad.sprintHold < GAMEPAD_SPRINT_HOLD) {
+                this.onActionDown('roll', 'gamepad');
+                this.onActionUp('roll');
+            }
+            this.keys.sprint = false;
+            this.gamepad.sprintHold = 0;
+        }
+    }
 }
@@ -0,0 +1,309 @@
+/**
+ * InputRecorder.js - Input Recording & Deterministic Replay
+ * Records InputManager state per simulation step alongside the world seed,
+ * quality settings and the save the session started from, so a session can
+ * be replayed exactly (bug reports, regression scenarios)
+ *
+ * Covers movement/combat input read through InputManager (keys, action
+ * presses including weapon arts and weapon, spell and quick item switching,
+ * mouse/right-stick look, left-stick movement). Menu clicks, pausing and
+ * the map are not recorded.
+ */
+
+const REPLAY_VERSION = 1;
+const PENDING_REPLAY_KEY = 'soulsborne3d_pending_replay';
+
+// Pausing is a menu action - recording it would fight the live Escape key during playback
+const UNRECORDED_INPUTS = ['pause'];
+
+export class InputRecorder {
+    constructor(game) {
+        this.game = game;
+        
+        // 'idle' | 'recording' | 'replaying'
+        this.mode = 'idle';
+        
+        // Header (seed, settings, input buffer, save, new game/continue) + change-only frames: { t, k?, a?, m?, s? }
+        this.header = null;
+        this.frames = [];
+        this.startTick = 0;
+        
+        // Recording state
+        this.lastKeys = {};
+        this.lastStick = [0, 0];
+        this.maxFrames = 200000; // ~1 hour of constant input changes
+        
+        // Playback state
+        this.playbackIndex = 0;
+        this.playbackLength = 0;
+    }
+    
+    isRecording() {
+        return this.mode === 'recording';
+    }
+    
+    isReplaying() {
+        return this.mode === 'replaying';
+    }
+    
+    // ==========================================
+    // RECORDING
+    // ==========================================
+    
+    /**
+     * Start recording from the current simulation tick.
+     * For an exact replay this should be the first tick after boot.
+     */
+    startRecording() {
+        const game = this.game;
+        
+        this.header = {
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: game.rng.seed,
+            preset: game.performanceSettings.getCurrentPreset(),
+            settings: game.performanceSettings.getSettings(),
+            inputBuffer: game.player.inputBuffer.window,
+            save: game.saveSystem.readSaveString(),
+            start: game.startOptions
+        };
+        this.frames = [];
+        this.lastKeys = {};
+        this.lastStick = [0, 0];
+        this.startTick = game.simulationTick;
+        this.game.inputManager.takeActionEvents();
+        this.mode = 'recording';
+    }
+    
+    stopRecording() {
+        if (this.mode === 'recording') {
+            this.mode = 'idle';
+        }
+    }
+    
+    capture(t) {
+        const input = this.game.inputManager;
+        const frame = { t };
+        
+        // Key state changes since the last recorded step
+        for (const key in input.keys) {
+            if (UNRECORDED_INPUTS.includes(key)) continue;
+            if (input.keys[key] !== (this.lastKeys[key] || false)) {
+                frame.k = frame.k || {};
+                frame.k[key] = input.keys[key];
+                this.lastKeys[key] = input.keys[key];
+            }
+        }
+        
+        // Single-press actions that arrived since the last step
+        const actions = input.takeActionEvents().filter(action => !UNRECORDED_INPUTS.includes(action));
+        if (actions.length > 0) {
+            frame.a = actions;
+        }
+        
+        // Mouse look delta the player will read this step
+        if (input.mouse.deltaX !== 0 || input.mouse.deltaY !== 0) {
+            frame.m = [input.mouse.deltaX, input.mouse.deltaY];
+        }
+        
+        // Analog stick movement, when it changed
+        if (input.stick.x !== this.lastStick[0] || input.stick.z !== this.lastStick[1]) {
+            frame.s = [input.stick.x, input.stick.z];
+            this.lastStick = frame.s;
+        }
+        
+        if (frame.k || frame.a || frame.m || frame.s) {
+            this.frames.push(frame);
+            
+            if (this.frames.length >= this.maxFrames) {
+                console.warn('InputRecorder: recording limit reached, stopping');
+                this.stopRecording();
+            }
+        }
+    }
+    
+    /**
+     * Current recording as a plain object (export format)
+     */
+    getRecording() {
+        if (!this.header) return null;
+        
+        return {
+            ...this.header,
+            length: this.isRecording() ? this.game.simulationTick - this.startTick : this.playbackLength,
+            frames: this.frames
+        };
+    }
+    
+    /**
+     * Download the recording as a JSON file (attach to bug reports)
+     */
+    exportRecording() {
+        const recording = this.getRecording();
+        if (!recording) {
+            console.warn('InputRecorder: nothing recorded');
+            return false;
+        }
+        
+        try {
+            const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `replay-${recording.seed}-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return true;
+        } catch (error) {
+            console.error('Failed to export replay:', error);
+            return false;
+        }
+    }
+    
+    // ==========================================
+    // PLAYBACK
+    // ==========================================
+    
+    /**
+     * Drive the player from a recording, starting at the current tick.
+     * The game must have been booted with the replay's seed, settings and save (see Game options.replay).
+     */
+    startPlayback(replay) {
+        const { frames, length, ...header } = replay;
+        this.header = header;
+        this.frames = frames;
+        this.playbackLength = length;
+        this.playbackIndex = 0;
+        this.startTick = this.game.simulationTick;
+        this.releaseAll();
+        this.mode = 'replaying';
+        
+        // Buffered presses fire on different steps with a different window
+        if (typeof header.inputBuffer === 'number') {
+            this.game.player.inputBuffer.setWindow(header.inputBuffer);
+        }
+        
+        this.game.events.emit('message', { text: 'Replay started', duration: 2000 });
+    }
+    
+    stopPlayback() {
+        if (this.mode !== 'replaying') return;
+        
+        this.mode = 'idle';
+        this.releaseAll();
+        this.game.events.emit('message', { text: 'Replay finished', duration: 2000 });
+    }
+    
+    // True once every recorded step has been simulated
+    isPlaybackFinished() {
+        return this.mode !== 'replaying' || this.game.simulationTick - this.startTick >= this.playbackLength;
+    }
+    
+    apply(t) {
+        // Past the end of the recording - hand control back to the player
+        if (t >= this.playbackLength) {
+            this.stopPlayback();
+            return;
+        }
+        
+        const input = this.game.inputManager;
+        
+        // Mouse deltas only exist on the steps they were recorded
+        input.mouse.deltaX = 0;
+        input.mouse.deltaY = 0;
+        
+        while (this.playbackIndex < this.frames.length && this.frames[this.playbackIndex].t <= t) {
+            const frame = this.frames[this.playbackIndex++];
+            
+            if (frame.k) {
+                Object.assign(input.keys, frame.k);
+            }
+            if (frame.a) {
+                frame.a.forEach(action => input.replayAction(action));
+            }
+            if (frame.m) {
+                input.mouse.deltaX = frame.m[0];
+                input.mouse.deltaY = frame.m[1];
+            }
+            if (frame.s) {
+                input.stick.x = frame.s[0];
+                input.stick.z = frame.s[1];
+            }
+        }
+    }
+    
+    releaseAll() {
+        const input = this.game.inputManager;
+        for (const key in input.keys) {
+            input.keys[key] = false;
+        }
+        input.clearActions();
+        this.game.player?.inputBuffer.clear();
+        input.mouse.deltaX = 0;
+        input.mouse.deltaY = 0;
+        input.stick.x = 0;
+        input.stick.z = 0;
+    }
+    
+    // ==========================================
+    // SIMULATION HOOK
+    // ==========================================
+    
+    /**
+     * Called by Game before every unpaused simulation step
+     */
+    step(tick) {
+        const t = tick - this.startTick;
+        
+        if (this.mode === 'recording') {
+            this.capture(t);
+        } else if (this.mode === 'replaying') {
+            this.apply(t);
+        }
+    }
+    
+    // ==========================================
+    // FILES
+    // ==========================================
+    
+    /**
+     * Parse and validate a replay file
+     * @param {string} text - JSON contents
+     * @returns {Object} replay
+     * @throws {Error} if the file is not a usable replay
+     */
+    static parse(text) {
+        const replay = JSON.parse(text);
+        
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+        }
+        if (!Number.isFinite(replay.seed) || !Array.isArray(replay.frames) || !Number.isFinite(replay.length)) {
+            throw new Error('Replay is missing seed, frames or length');
+        }
+        
+        return replay;
+    }
+    
+    /**
+     * Replays need a fresh boot (same seed/save), so they are handed over a reload
+     */
+    static queueReplay(replay) {
+        sessionStorage.setItem(PENDING_REPLAY_KEY, JSON.stringify(replay));
+    }
+    
+    static takeQueuedReplay() {
+        try {
+            const text = sessionStorage.getItem(PENDING_REPLAY_KEY);
+            if (!text) return null;
+            
+            sessionStorage.removeItem(PENDING_REPLAY_KEY);
+            return InputRecorder.parse(text);
+        } catch (error) {
+            console.warn('Ignoring invalid queued replay:', error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,664 @@
+/**
+ * LevelEditor.js - In-Game Level Editor
+ * Free-fly camera over the paused world for placing, moving, rotating and
+ * deleting the level's enemies, bosses, Sites of Grace, NPCs, world items,
+ * ruins, boss arenas and interactables. Each edit changes game.level and rebuilds that part
+ * of the scene; the result exports as a level file the game can load.
+ */
+
+import * as THREE from 'three';
+import { LevelFile, ENEMY_KINDS, BOSS_TYPES, NPC_TYPES, INTERACTABLE_TYPES, MAX_COORDINATE } from './LevelFile.js';
+
+// Ruins lead down into dungeons, which bring Sites of Grace, treasure and guards of their own
+function rebuildRuinsAndDungeons(game) {
+    game.world.rebuildRuins();
+    game.dungeonSystem.rebuildDungeons();
+}
+
+// Level lists the editor works on; rebuild refreshes the scene after an edit
+const CATEGORIES = {
+    enemies: { label: 'Enemy', color: 0xcc3333, rotates: true, rebuild: game => game.rebuildLevelEnemies() },
+    bosses: { label: 'Boss', color: 0x991188, rotates: true, rebuild: game => game.rebuildLevelEnemies() },
+    checkpoints: { label: 'Site of Grace', color: 0xffaa33, rotates: true, rebuild: game => game.checkpointSystem.rebuildCheckpoints() },
+    npcs: { label: 'NPC', color: 0x44aaff, rotates: true, rebuild: game => game.npcSystem.rebuildNPCs() },
+    items: { label: 'Item', color: 0x44ff44, rotates: false, rebuild: game => game.inventorySystem.respawnWorldItems() },
+    ruins: { label: 'Ruin', color: 0x999999, rotates: true, rebuild: game => rebuildRuinsAndDungeons(game) },
+    bossArenas: { label: 'Boss Arena', color: 0x777755, rotates: true, rebuild: game => game.world.rebuildRuins() },
+    interactables: { label: 'Interactable', color: 0xccaa55, rotates: true, rebuild: game => game.interactableSystem.rebuildInteractables() }
+};
+
+// Starting values for new placements
+const BOSS_NAMES = { knight: 'Corrupted Knight', dragon: 'Ancient Dragon' };
+const NPC_DEFAULTS = {
+    firekeeper: { name: 'Fire Keeper', services: ['levelUp'] },
+    merchant: { name: 'Merchant', services: ['shop'], inventory: [] },
+    sorcerer: { name: 'Sorcerer', services: ['spells'] },
+    npc: { name: 'Wanderer', services: [] }
+};
+const NEW_DIALOGUE = ['Well met, traveler.'];
+const INTERACTABLE_DEFAULTS = {
+    door: { name: 'Door' },
+    shortcut: { name: 'Shortcut' },
+    lever: { name: 'Lever' },
+    chest: { name: 'Chest', item: 'titaniteShard' },
+    lift: { name: 'Lift', height: 6 }
+};
+
+// Camera
+const FLY_SPEED = 25;          // units per second
+const FAST_MULTIPLIER = 4;     // while Shift is held
+const LOOK_SPEED = 0.004;      // radians per pixel of right-drag
+const MIN_CAMERA_HEIGHT = 2;   // above the ground
+
+// Placement
+const ROTATE_STEP = 15;        // degrees per R press
+const PICK_DISTANCE = 600;     // how far a click looks for the ground
+const PICK_STEP = 1;
+const MARKER_HEIGHT = 4;
+
+export class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        
+        // Camera orientation (radians)
+        this.yaw = 0;
+        this.pitch = 0;
+        
+        // Pointer and keys
+        this.heldKeys = new Set();
+        this.looking = false;
+        this.dragging = false;
+        this.raycaster = new THREE.Raycaster();
+        
+        // Placement the next click puts down ("category:type", see getPalette)
+        this.palette = this.getPalette();
+        this.paletteId = this.palette[0].id;
+        
+        // Edited entry ({ category, index }) and lists waiting for a scene rebuild
+        this.selection = null;
+        this.dirty = new Set();
+        
+        // Markers show every placement (also enemies left out by the preset's budget)
+        this.markers = new THREE.Group();
+        this.markerGeometry = new THREE.ConeGeometry(0.8, MARKER_HEIGHT, 8).rotateX(Math.PI).translate(0, MARKER_HEIGHT / 2, 0);
+        this.facingGeometry = new THREE.BoxGeometry(0.3, 0.3, 1.4).translate(0, MARKER_HEIGHT, 1);
+        this.markerMaterials = {};
+        Object.entries(CATEGORIES).forEach(([category, { color }]) => {
+            this.markerMaterials[category] = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85 });
+        });
+        this.selectedMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        
+        this.setupUI();
+        this.setupInput();
+    }
+    
+    // ==========================================
+    // OPEN / CLOSE
+    // ==========================================
+    
+    open() {
+        this.isOpen = true;
+        document.exitPointerLock();
+        
+        // Fly off from wherever the gameplay camera was
+        const euler = new THREE.Euler().setFromQuaternion(this.game.camera.quaternion, 'YXZ');
+        this.yaw = euler.y;
+        this.pitch = euler.x;
+        
+        this.game.scene.add(this.markers);
+        this.refreshMarkers();
+        this.renderPanel();
+        this.setStatus('');
+        document.getElementById('level-editor').classList.remove('hidden');
+    }
+    
+    close() {
+        this.flush();
+        
+        this.isOpen = false;
+        this.heldKeys.clear();
+        this.looking = false;
+        this.dragging = false;
+        this.game.scene.remove(this.markers);
+        document.getElementById('level-editor').classList.add('hidden');
+        
+        // Presses made while editing shouldn't fire once play resumes
+        this.game.inputManager.clearActions();
+    }
+    
+    /**
+     * Scheduled every step while editing (gameplay systems are paused)
+     */
+    update(deltaTime) {
+        this.updateCamera(deltaTime);
+        
+        // A drag only rebuilds the scene once the mouse is released
+        if (!this.dragging) {
+            this.flush();
+        }
+        
+        // Terrain streams around the camera instead of the player
+        this.game.world.updateTerrain(this.game.camera.position);
+    }
+    
+    updateCamera(deltaTime) {
+        const camera = this.game.camera;
+        const world = this.game.world;
+        const keys = this.heldKeys;
+        
+        camera.quaternion.setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+        
+        // WASD fly where the camera looks, Q/E straight down/up
+        const move = new THREE.Vector3(
+            (keys.has('KeyD') ? 1 : 0) - (keys.has('KeyA') ? 1 : 0),
+            0,
+            (keys.has('KeyS') ? 1 : 0) - (keys.has('KeyW') ? 1 : 0)
+        );
+        const climb = (keys.has('KeyE') ? 1 : 0) - (keys.has('KeyQ') ? 1 : 0);
+        const fast = keys.has('ShiftLeft') || keys.has('ShiftRight');
+        const step = FLY_SPEED * (fast ? FAST_MULTIPLIER : 1) * deltaTime;
+        
+        if (move.lengthSq() > 0) {
+            camera.position.addScaledVector(move.normalize().applyQuaternion(camera.quaternion), step);
+        }
+        camera.position.y += climb * step;
+        
+        // Stay inside the world and above the ground
+        const limit = world.getBoundaryLimit();
+        camera.position.x = THREE.MathUtils.clamp(camera.position.x, -limit, limit);
+        camera.position.z = THREE.MathUtils.clamp(camera.position.z, -limit, limit);
+        const ground = world.getHeightAt(camera.position.x, camera.position.z);
+        camera.position.y = Math.max(camera.position.y, ground + MIN_CAMERA_HEIGHT);
+    }
+    
+    // ==========================================
+    // INPUT
+    // ==========================================
+    
+    setupInput() {
+        const canvas = this.game.canvas;
+        
+        canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        canvas.addEventListener('contextmenu', (e) => {
+            if (this.isOpen) e.preventDefault();
+        });
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => this.heldKeys.delete(e.code));
+    }
+    
+    onMouseDown(event) {
+        if (!this.isOpen) return;
+        
+        if (event.button === 2) {
+            this.looking = true;
+            return;
+        }
+        if (event.button !== 0) return;
+        
+        // Click a marker to select (and drag) it, click the ground to place
+        const pointer = this.toPointer(event);
+        const hit = this.pickMarker(pointer.x, pointer.y);
+        if (hit) {
+            this.select(hit.category, hit.index);
+        } else {
+            const point = this.pickGround(pointer.x, pointer.y);
+            if (!point) return;
+            this.place(this.paletteId, point.x, point.z);
+        }
+        this.dragging = true;
+    }
+    
+    onMouseMove(event) {
+        if (!this.isOpen) return;
+        
+        if (this.looking) {
+            this.yaw -= (event.movementX || 0) * LOOK_SPEED;
+            this.pitch -= (event.movementY || 0) * LOOK_SPEED;
+            this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.05, Math.PI / 2 - 0.05);
+        }
+        
+        if (this.dragging && this.selection) {
+            const pointer = this.toPointer(event);
+            const point = this.pickGround(pointer.x, pointer.y);
+            if (point) this.moveSelected(point.x, point.z);
+        }
+    }
+    
+    onMouseUp(event) {
+        if (event.button === 2) this.looking = false;
+        if (event.button === 0) this.dragging = false;
+    }
+    
+    onKeyDown(event) {
+        if (!this.isOpen || this.game.inputManager.isTyping(event)) return;
+        
+        this.heldKeys.add(event.code);
+        switch (event.code) {
+            case 'KeyR':
+                this.rotateSelected(event.shiftKey ? -ROTATE_STEP : ROTATE_STEP);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelected();
+                break;
+        }
+    }
+    
+    // Mouse position in normalized device coordinates (-1 to 1, y up); the canvas fills the window
+    toPointer(event) {
+        return {
+            x: (event.clientX / window.innerWidth) * 2 - 1,
+            y: -(event.clientY / window.innerHeight) * 2 + 1
+        };
+    }
+    
+    aim(x, y) {
+        const camera = this.game.camera;
+        camera.updateMatrixWorld();
+        this.raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+        return this.raycaster.ray;
+    }
+    
+    /**
+     * Where a pointer position meets the terrain (World.getHeightAt), snapped to 0.1 units
+     * @returns {{x: number, y: number, z: number}|null} null when the ray misses the ground
+     */
+    pickGround(x, y) {
+        const { origin, direction } = this.aim(x, y);
+        const world = this.game.world;
+        const point = new THREE.Vector3();
+        const heightAbove = (t) => {
+            point.copy(origin).addScaledVector(direction, t);
+            return point.y - world.getHeightAt(point.x, point.z);
+        };
+        
+        let above = 0;
+        for (let t = PICK_STEP; t <= PICK_DISTANCE; t += PICK_STEP) {
+            if (heightAbove(t) > 0) {
+                above = t;
+                continue;
+            }
+            
+            // Narrow down between the last sample above ground and this one
+            let below = t;
+            for (let i = 0; i < 12; i++) {
+                const mid = (above + below) / 2;
+                if (heightAbove(mid) > 0) above = mid; else below = mid;
+            }
+            heightAbove(below);
+            
+            const snap = value => THREE.MathUtils.clamp(Math.round(value * 10) / 10, -MAX_COORDINATE, MAX_COORDINATE) || 0;
+            const snappedX = snap(point.x);
+            const snappedZ = snap(point.z);
+            return { x: snappedX, y: world.getHeightAt(snappedX, snappedZ), z: snappedZ };
+        }
+        return null;
+    }
+    
+    // Placement whose marker is under a pointer position
+    pickMarker(x, y) {
+        this.aim(x, y);
+        this.markers.updateMatrixWorld(true);
+        
+        const [hit] = this.raycaster.intersectObjects(this.markers.children, true);
+        if (!hit) return null;
+        
+        let object = hit.object;
+        while (object && !object.userData.placement) {
+            object = object.parent;
+        }
+        return object ? object.userData.placement : null;
+    }
+    
+    // ==========================================
+    // EDITING
+    // ==========================================
+    
+    // Everything that can be placed, e.g. "enemies:wolf", "checkpoints", "items:ember"
+    getPalette() {
+        const options = [];
+        const add = (category, type, name) => {
+            options.push({ id: type ? `${category}:${type}` : category, category, type, label: `${CATEGORIES[category].label}${name ? `: ${name}` : ''}` });
+        };
+        
+        ENEMY_KINDS.forEach(kind => add('enemies', kind, kind));
+        BOSS_TYPES.forEach(type => add('bosses', type, BOSS_NAMES[type]));
+        add('checkpoints');
+        NPC_TYPES.forEach(type => add('npcs', type, type));
+        Object.entries(this.game.inventorySystem.itemDatabase).forEach(([id, item]) => add('items', id, item.name));
+        add('ruins');
+        add('bossArenas');
+        INTERACTABLE_TYPES.forEach(type => add('interactables', type, type));
+        return options;
+    }
+    
+    setPalette(id) {
+        if (this.palette.some(option => option.id === id)) {
+            this.paletteId = id;
+        }
+    }
+    
+    getSelectedEntry() {
+        if (!this.selection) return null;
+        return this.game.level[this.selection.category][this.selection.index] || null;
+    }
+    
+    select(category, index) {
+        this.selection = category ? { category, index } : null;
+        this.refreshMarkers();
+        this.renderPanel();
+    }
+    
+    /**
+     * Add a placement from the palette and select it
+     * @param {string} paletteId - e.g. "enemies:wolf" (see getPalette)
+     * @returns {Object} the new level entry
+     */
+    place(paletteId, x, z) {
+        const option = this.palette.find(entry => entry.id === paletteId);
+        const list = this.game.level[option.category];
+        const entry = this.createEntry(option, x, z);
+        list.push(entry);
+        
+        this.selection = { category: option.category, index: list.length - 1 };
+        this.changed(option.category);
+        return entry;
+    }
+    
+    createEntry({ category, type }, x, z) {
+        const level = this.game.level;
+        switch (category) {
+            case 'enemies':
+                return { x, z, kind: type };
+            case 'bosses':
+                return { type, name: this.uniqueName(category, BOSS_NAMES[type]), x, z };
+            case 'checkpoints': {
+                // A level needs a Site of Grace to start at
+                const entry = { name: this.uniqueName(category, 'Site of Grace'), x, z };
+                if (!level.checkpoints.some(checkpoint => checkpoint.discovered)) entry.discovered = true;
+                return entry;
+            }
+            case 'npcs': {
+                const { name, ...services } = NPC_DEFAULTS[type];
+                return { name: this.uniqueName(category, name), type, x, z, dialogue: [...NEW_DIALOGUE], ...structuredClone(services) };
+            }
+            case 'items':
+                return { item: type, x, z };
+            case 'interactables': {
+                const { name, ...fields } = INTERACTABLE_DEFAULTS[type];
+                return { name: this.uniqueName(category, name), type, x, z, ...fields };
+            }
+            default:
+                return { x, z };
+        }
+    }
+    
+    // Names are how saves find Sites of Grace, NPCs, bosses and interactables, so new ones get a number
+    uniqueName(category, base) {
+        const names = new Set(this.game.level[category].map(entry => entry.name));
+        let name = base;
+        for (let n = 2; names.has(name); n++) {
+            name = `${base} ${n}`;
+        }
+        return name;
+    }
+    
+    moveSelected(x, z) {
+        const entry = this.getSelectedEntry();
+        if (!entry) return false;
+        
+        entry.x = x;
+        entry.z = z;
+        this.changed(this.selection.category);
+        return true;
+    }
+    
+    /**
+     * Turn the selected placement (items spin on their own and have no facing)
+     * @param {number} degrees - added to the current facing, wraps to 0-360
+     */
+    rotateSelected(degrees) {
+        const entry = this.getSelectedEntry();
+        if (!entry || !CATEGORIES[this.selection.category].rotates) return false;
+        
+        const rotation = (((entry.rotation || 0) + degrees) % 360 + 360) % 360;
+        if (rotation === 0) {
+            delete entry.rotation;
+        } else {
+            entry.rotation = rotation;
+        }
+        this.changed(this.selection.category);
+        return true;
+    }
+    
+    deleteSelected() {
+        const entry = this.getSelectedEntry();
+        if (!entry) return false;
+        
+        const { category, index } = this.selection;
+        this.game.level[category].splice(index, 1);
+        this.selection = null;
+        this.changed(category);
+        return true;
+    }
+    
+    renameSelected(name) {
+        const entry = this.getSelectedEntry();
+        const trimmed = String(name).trim();
+        if (!entry || !('name' in entry) || trimmed === entry.name) return false;
+        
+        if (!trimmed || this.game.level[this.selection.category].some(other => other.name === trimmed)) {
+            this.setStatus(trimmed ? `"${trimmed}" is already used` : 'Names cannot be empty');
+            this.renderPanel();
+            return false;
+        }
+        
+        // Levers name the doors they open
+        if (this.selection.category === 'interactables') {
+            this.game.level.interactables.forEach(other => {
+                if (other.targets) other.targets = other.targets.map(target => target === entry.name ? trimmed : target);
+            });
+        }
+        
+        entry.name = trimmed;
+        this.changed(this.selection.category);
+        return true;
+    }
+    
+    // Discovered Sites of Grace are known from the start; the first one is where new characters spawn
+    setSelectedDiscovered(discovered) {
+        const entry = this.getSelectedEntry();
+        if (!entry || this.selection.category !== 'checkpoints') return false;
+        
+        if (discovered) {
+            entry.discovered = true;
+        } else {
+            delete entry.discovered;
+        }
+        this.changed('checkpoints');
+        return true;
+    }
+    
+    changed(category) {
+        this.dirty.add(category);
+        this.refreshMarkers();
+        this.renderPanel();
+    }
+    
+    // Rebuild the parts of the scene whose level lists changed
+    flush() {
+        if (this.dirty.size === 0) return;
+        
+        const rebuilds = new Set([...this.dirty].map(category => CATEGORIES[category].rebuild));
+        this.dirty.clear();
+        rebuilds.forEach(rebuild => rebuild(this.game));
+    }
+    
+    /**
+     * Replace the whole level (e.g. one opened from a file) and rebuild the scene
+     * @param {Object} level - checked with LevelFile.check
+     */
+    loadLevel(level) {
+        this.game.level = LevelFile.check(level);
+        this.selection = null;
+        Object.keys(CATEGORIES).forEach(category => this.dirty.add(category));
+        this.flush();
+        this.refreshMarkers();
+        this.renderPanel();
+    }
+    
+    // ==========================================
+    // MARKERS
+    // ==========================================
+    
+    refreshMarkers() {
+        this.markers.clear();
+        if (!this.isOpen) return;
+        
+        const world = this.game.world;
+        Object.keys(CATEGORIES).forEach(category => {
+            this.game.level[category].forEach((entry, index) => {
+                const selected = this.selection && this.selection.category === category && this.selection.index === index;
+                const material = selected ? this.selectedMaterial : this.markerMaterials[category];
+                
+                const marker = new THREE.Group();
+                marker.add(new THREE.Mesh(this.markerGeometry, material));
+                if (CATEGORIES[category].rotates) {
+                    marker.add(new THREE.Mesh(this.facingGeometry, material));
+                }
+                marker.position.set(entry.x, world.getHeightAt(entry.x, entry.z), entry.z);
+                marker.rotation.y = THREE.MathUtils.degToRad(entry.rotation || 0);
+                marker.userData.placement = { category, index };
+                this.markers.add(marker);
+            });
+        });
+    }
+    
+    // ==========================================
+    // FILES
+    // ==========================================
+    
+    /**
+     * Download the level as JSON; drop it in levels/ and open the game with ?level=levels/<file>
+     * @returns {boolean} false when the level doesn't pass LevelFile.validate
+     */
+    exportLevel() {
+        const problems = LevelFile.validate(this.game.level);
+        if (problems.length > 0) {
+            this.setStatus(`Can't export: ${problems.join('; ')}`);
+            return false;
+        }
+        
+        const fileName = `${this.game.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level'}.json`;
+        try {
+            const blob = new Blob([LevelFile.create(this.game.level)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Failed to export level:', error);
+            this.setStatus('Export failed');
+            return false;
+        }
+        
+        this.setStatus(`Exported ${fileName} - put it in levels/ and load it with ?level=levels/${fileName}`);
+        return true;
+    }
+    
+    openLevelFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.loadLevel(LevelFile.parse(reader.result));
+                this.setStatus(`Opened ${this.game.level.name}`);
+            } catch (error) {
+                console.error('Failed to open level:', error);
+                this.setStatus(error.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    // ==========================================
+    // PANEL
+    // ==========================================
+    
+    setupUI() {
+        const palette = document.getElementById('editor-palette');
+        if (palette) {
+            palette.innerHTML = '';
+            this.palette.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.id;
+                element.textContent = option.label;
+                palette.appendChild(element);
+            });
+            palette.value = this.paletteId;
+            palette.addEventListener('change', () => this.setPalette(palette.value));
+        }
+        
+        document.getElementById('editor-level-name')?.addEventListener('change', (e) => {
+            const name = e.target.value.trim();
+            if (name) this.game.level.name = name;
+            e.target.value = this.game.level.name;
+        });
+        document.getElementById('editor-name')?.addEventListener('change', (e) => this.renameSelected(e.target.value));
+        document.getElementById('editor-discovered')?.addEventListener('change', (e) => this.setSelectedDiscovered(e.target.checked));
+        document.getElementById('editor-rotate-btn')?.addEventListener('click', () => this.rotateSelected(ROTATE_STEP));
+        document.getElementById('editor-delete-btn')?.addEventListener('click', () => this.deleteSelected());
+        document.getElementById('editor-export-btn')?.addEventListener('click', () => this.exportLevel());
+        document.getElementById('editor-open-btn')?.addEventListener('click', () => {
+            document.getElementById('editor-open-input')?.click();
+        });
+        document.getElementById('editor-open-input')?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) this.openLevelFile(file);
+            e.target.value = '';
+        });
+        document.getElementById('editor-close-btn')?.addEventListener('click', () => this.game.toggleLevelEditor());
+    }
+    
+    renderPanel() {
+        const entry = this.getSelectedEntry();
+        const category = entry ? this.selection.category : null;
+        
+        document.getElementById('editor-level-name').value = this.game.level.name;
+        
+        let description = 'Nothing selected';
+        if (entry) {
+            const type = entry.kind || entry.type || entry.item;
+            description = `${CATEGORIES[category].label}${type ? ` (${type})` : ''} at ${entry.x}, ${entry.z}`;
+            if (CATEGORIES[category].rotates) {
+                description += `, facing ${entry.rotation || 0}°`;
+            }
+        }
+        document.getElementById('editor-selection').textContent = description;
+        
+        const hasName = Boolean(entry && 'name' in entry);
+        document.getElementById('editor-name-row').classList.toggle('hidden', !hasName);
+        if (hasName) {
+            document.getElementById('editor-name').value = entry.name;
+        }
+        
+        const isCheckpoint = category === 'checkpoints';
+        document.getElementById('editor-discovered-row').classList.toggle('hidden', !isCheckpoint);
+        if (isCheckpoint) {
+            document.getElementById('editor-discovered').checked = entry.discovered === true;
+        }
+        
+        document.getElementById('editor-rotate-btn').disabled = !entry || !CATEGORIES[category].rotates;
+        document.getElementById('editor-delete-btn').disabled = !entry;
+    }
+    
+    setStatus(text) {
+        document.getElementById('editor-status').textContent = text;
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * LevelFile.js - Level Definition Files
+ * Loads the JSON level (levels/*.json) that places enemies, bosses, Sites of
+ * Grace, NPCs, world items, ruins, boss arenas and interactables, and checks it against
+ * LEVEL_SCHEMA so a broken layout is rejected with reasons instead of
+ * half-loading. scripts/build.js runs the same check on every level file.
+ */
+
+import { ITEM_DATABASE } from '../systems/ItemDatabase.js';
+
+export const LEVEL_FORMAT = 'soulsborne3d-level';
+export const LEVEL_VERSION = 1;
+export const DEFAULT_LEVEL_URL = 'levels/overworld.json';
+
+// Placements must be inside the playable area (World.getBoundaryLimit)
+export const MAX_COORDINATE = 240;
+
+// Names the game knows how to build (see ENEMY_KINDS and BOSS_TYPES in Game.js,
+// INTERACTABLE_TYPES in InteractableSystem.js)
+export const ENEMY_KINDS = ['melee', 'ranged', 'heavy', 'wolf', 'golem', 'knight', 'lizard'];
+export const BOSS_TYPES = ['knight', 'dragon'];
+export const NPC_TYPES = ['firekeeper', 'merchant', 'sorcerer', 'npc'];
+export const NPC_SERVICES = ['levelUp', 'shop', 'spells'];
+export const DUNGEON_THEMES = ['crypt', 'keep']; // see THEMES in Dungeon.js
+export const INTERACTABLE_TYPES = ['door', 'shortcut', 'lever', 'chest', 'lift'];
+
+// Interactable fields only some types use
+const INTERACTABLE_FIELDS = { targets: ['lever'], item: ['chest'], quantity: ['chest'], height: ['lift'] };
+
+// Rule helpers - a field is required unless wrapped in optional()
+const text = { type: 'string' };
+const coordinate = { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE };
+const rotation = { type: 'number', min: 0, max: 360 };
+const count = (min) => ({ type: 'integer', min });
+const oneOf = (values) => ({ type: 'string', oneOf: values });
+const list = (items, minItems = 0) => ({ type: 'list', items, minItems });
+const object = (fields) => ({ type: 'object', fields });
+const optional = (rule) => ({ ...rule, optional: true });
+const itemId = { type: 'string', item: true }; // an ITEM_DATABASE id
+
+/**
+ * Shape of a level file.
+ * enemies without a kind take one from the biome they stand in. Spawns count
+ * against the preset's maxEnemies in order, except those with
+ * minEnemyBudget, which only appear on presets allowing that many enemies.
+ * rotation is a facing in degrees around the vertical axis (default 0).
+ * Every ruin leads down into a generated dungeon; its dungeon entry can fix
+ * the name, theme, number of rooms and whether a mini-boss waits at the end
+ * (otherwise the seed decides).
+ * interactables are used with the interact key: doors and shortcuts (which
+ * only open from the side they face) open, levers open the doors named in
+ * targets, chests give their item once and lifts carry the player height
+ * units up and back. requires names a key item needed to use one. The list
+ * is optional; a level without it has none.
+ */
+export const LEVEL_SCHEMA = object({
+    format: oneOf([LEVEL_FORMAT]),
+    version: count(1),
+    name: text,
+    enemies: list(object({
+        x: coordinate,
+        z: coordinate,
+        rotation: optional(rotation),
+        kind: optional(oneOf(ENEMY_KINDS)),
+        minEnemyBudget: optional(count(1))
+    })),
+    bosses: list(object({
+        type: oneOf(BOSS_TYPES),
+        name: text,
+        x: coordinate,
+        z: coordinate,
+        rotation: optional(rotation)
+    })),
+    checkpoints: list(object({
+        name: text,
+        x: coordinate,
+        z: coordinate,
+        rotation: optional(rotation),
+        discovered: optional({ type: 'boolean' })
+    }), 1),
+    npcs: list(object({
+        name: text,
+        type: oneOf(NPC_TYPES),
+        x: coordinate,
+        z: coordinate,
+        rotation: optional(rotation),
+        dialogue: list(text, 1),
+        services: optional(list(oneOf(NPC_SERVICES))),
+        inventory: optional(list(object({
+            id: itemId,
+            price: count(0)
+        })))
+    })),
+    items: list(object({
+        item: itemId,
+        x: coordinate,
+        z: coordinate
+    })),
+    ruins: list(object({
+        x: coordinate,
+        z: coordinate,
+        rotation: optional(rotation),
+        dungeon: optional(object({
+            name: optional(text),
+            theme: optional(oneOf(DUNGEON_THEMES)),
+            rooms: optional({ type: 'integer', min: 3, max: 8 }),
+            miniBoss: optional({ type: 'boolean' })
+        }))
+    })),
+    bossArenas: list(object({ x: coordinate, z: coordinate, rotation: optional(rotation) })),
+    interactables: optional(list(object({
+        name: text,
+        type: oneOf(INTERACTABLE_TYPES),
+        x: coordinate,
+        z: coordinate,
+        rotation: optional(rotation),
+        requires: optional(itemId),
+        targets: optional(list(text, 1)),
+        item: optional(itemId),
+        quantity: optional(count(1)),
+        height: optional({ type: 'number', min: 1, max: 30 })
+    })))
+});
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check one value against a rule, adding a problem per mismatch
+function checkRule(value, rule, path, problems) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') {
+                problems.push(`${path} must be text`);
+            } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+                problems.push(`${path} must be one of ${rule.oneOf.join(', ')} (got "${value}")`);
+            } else if (rule.item && !Object.hasOwn(ITEM_DATABASE, value)) {
+                problems.push(`${path} "${value}" is not a known item (see js/systems/ItemDatabase.js)`);
+            }
+            break;
+        case 'number':
+        case 'integer': {
+            const valid = rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+            if (typeof value !== 'number' || !valid) {
+                problems.push(`${path} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`);
+            } else if (rule.min !== undefined && value < rule.min) {
+                problems.push(`${path} must be at least ${rule.min}`);
+            } else if (rule.max !== undefined && value > rule.max) {
+                problems.push(`${path} must be at most ${rule.max}`);
+            }
+            break;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                problems.push(`${path} must be true or false`);
+            }
+            break;
+        case 'list':
+            if (!Array.isArray(value)) {
+                problems.push(`${path} must be a list`);
+            } else if (value.length < rule.minItems) {
+                problems.push(`${path} needs at least ${rule.minItems} entr${rule.minItems === 1 ? 'y' : 'ies'}`);
+            } else {
+                value.forEach((item, index) => checkRule(item, rule.items, `${path}[${index}]`, problems));
+            }
+            break;
+        case 'object':
+            if (!isObject(value)) {
+                problems.push(`${path || 'level'} must be an object`);
+                break;
+            }
+            Object.entries(rule.fields).forEach(([field, fieldRule]) => {
+                const fieldPath = path ? `${path}.${field}` : field;
+                if (value[field] === undefined) {
+                    if (!fieldRule.optional) problems.push(`${fieldPath} is missing`);
+                } else {
+                    checkRule(value[field], fieldRule, fieldPath, problems);
+                }
+            });
+            // Unknown fields are usually typos ("discoverd")
+            Object.keys(value).filter(field => !(field in rule.fields)).forEach(field => {
+                problems.push(`${path ? `${path}.${field}` : field} is not a known field`);
+            });
+            break;
+    }
+}
+
+// One entry per line, each on a single line when it fits (like the files in levels/)
+const LINE_WIDTH = 100;
+
+function formatJSON(value, indent = '') {
+    if (!Array.isArray(value) && !isObject(value)) {
+        return JSON.stringify(value);
+    }
+    
+    const isList = Array.isArray(value);
+    const inner = `${indent}  `;
+    const parts = isList
+        ? value.map(item => formatJSON(item, inner))
+        : Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatJSON(item, inner)}`);
+    if (parts.length === 0) {
+        return isList ? '[]' : '{}';
+    }
+    
+    const line = isList ? `[${parts.join(', ')}]` : `{ ${parts.join(', ')} }`;
+    const isEntryList = isList && value.some(isObject);
+    if (indent !== '' && !isEntryList && !line.includes('\n') && inner.length + line.length <= LINE_WIDTH) {
+        return line;
+    }
+    const [open, close] = isList ? ['[', ']'] : ['{', '}'];
+    return `${open}\n${parts.map(part => inner + part).join(',\n')}\n${indent}${close}`;
+}
+
+// Rules that span entries
+function checkReferences(level, problems) {
+    const names = new Set();
+    level.checkpoints.forEach((checkpoint, index) => {
+        if (names.has(checkpoint.name)) {
+            problems.push(`checkpoints[${index}].name "${checkpoint.name}" is used twice (saves find Sites of Grace by name)`);
+        }
+        names.add(checkpoint.name);
+    });
+    if (!level.checkpoints.some(checkpoint => checkpoint.discovered)) {
+        problems.push('checkpoints needs one discovered Site of Grace for the player to start at');
+    }
+    
+    const bossNames = new Set();
+    level.bosses.forEach((boss, index) => {
+        if (bossNames.has(boss.name)) {
+            problems.push(`bosses[${index}].name "${boss.name}" is used twice (saves remember defeated bosses by name)`);
+        }
+        bossNames.add(boss.name);
+    });
+    
+    const dungeonNames = new Set();
+    level.ruins.forEach((ruin, index) => {
+        const name = ruin.dungeon && ruin.dungeon.name;
+        if (!name) return;
+        if (dungeonNames.has(name)) {
+            problems.push(`ruins[${index}].dungeon.name "${name}" is used twice (its Site of Grace and mini-boss are named after it)`);
+        }
+        dungeonNames.add(name);
+    });
+    
+    const interactables = level.interactables || [];
+    const interactableTypes = new Map();
+    interactables.forEach((interactable, index) => {
+        if (interactableTypes.has(interactable.name)) {
+            problems.push(`interactables[${index}].name "${interactable.name}" is used twice (saves remember which are open by name)`);
+        }
+        interactableTypes.set(interactable.name, interactable.type);
+    });
+    interactables.forEach((interactable, index) => {
+        Object.entries(INTERACTABLE_FIELDS).forEach(([field, types]) => {
+            if (interactable[field] !== undefined && !types.includes(interactable.type)) {
+                problems.push(`interactables[${index}].${field} is only used by ${types.join(', ')}`);
+            }
+        });
+        if (interactable.type === 'chest' && interactable.item === undefined) {
+            problems.push(`interactables[${index}].item is missing (chests hold an item)`);
+        }
+        (interactable.targets || []).forEach((target, targetIndex) => {
+            const type = interactableTypes.get(target);
+            if (type !== 'door' && type !== 'shortcut') {
+                problems.push(`interactables[${index}].targets[${targetIndex}] "${target}" must name a door or shortcut`);
+            }
+        });
+    });
+}
+
+export class LevelFile {
+    /**
+     * Check a level against LEVEL_SCHEMA
+     * @param {Object} level - parsed level file
+     * @returns {string[]} problems, empty when the level is valid
+     */
+    static validate(level) {
+        const problems = [];
+        checkRule(level, LEVEL_SCHEMA, '', problems);
+        
+        if (problems.length === 0 && level.version > LEVEL_VERSION) {
+            problems.push(`version ${level.version} is newer than this game supports (${LEVEL_VERSION})`);
+        }
+        if (problems.length === 0) {
+            checkReferences(level, problems);
+        }
+        return problems;
+    }
+    
+    /**
+     * Parse level file contents
+     * @param {string} text
+     * @returns {Object} the level
+     * @throws {Error} listing why the level was rejected
+     */
+    static parse(text) {
+        let level;
+        try {
+            level = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Level is not valid JSON: ${error.message}`);
+        }
+        
+        return LevelFile.check(level);
+    }
+    
+    /**
+     * Throw unless a level is valid
+     * @param {Object} level
+     * @returns {Object} the same level when it's valid, with missing optional lists added
+     * @throws {Error} listing why the level was rejected
+     */
+    static check(level) {
+        const problems = LevelFile.validate(level);
+        if (problems.length > 0) {
+            throw new Error(`Invalid level:\n  ${problems.join('\n  ')}`);
+        }
+        
+        // Optional lists start empty so the game and editor can rely on them
+        if (level.interactables === undefined) {
+            level.interactables = [];
+        }
+        return level;
+    }
+    
+    /**
+     * Level file contents, in the same layout as the files in levels/
+     * @param {Object} level
+     * @returns {string} JSON text
+     * @throws {Error} listing why the level was rejected
+     */
+    static create(level) {
+        return `${formatJSON(LevelFile.check(level))}\n`;
+    }
+    
+    /**
+     * Fetch and check a level file
+     * @param {string} [url=DEFAULT_LEVEL_URL]
+     * @returns {Promise<Object>} the level
+     */
+    static async load(url = DEFAULT_LEVEL_URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load level ${url} (${response.status})`);
+        }
+        return LevelFile.parse(await response.text());
+    }
+}
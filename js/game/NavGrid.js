@@ -0,0 +1,412 @@
+/**
+ * NavGrid.js - Navigation Grid & Pathfinding
+ * Splits the playable area into cells that are walkable unless the terrain is
+ * too steep or a tree, rock or ruin piece stands there, and answers A* path
+ * queries smoothed by line of sight. Slopes are checked the first time a cell
+ * is looked at, so only the ground enemies actually search is baked. Dungeon
+ * interiors get a grid of their own covering just their rooms.
+ */
+
+import * as THREE from 'three';
+
+// Grid
+const CELL_SIZE = 1;               // world units per cell
+const MAX_GRADE = 1;               // steepest walkable rise per unit of run (45 degrees)
+const AGENT_RADIUS = 0.6;          // clearance kept from obstacles
+
+// Obstacle footprints (the sizes World.checkCollision uses)
+const TREE_RADIUS = 0.5;
+const ROCK_RADIUS = 1;
+
+// Searches stop after this many cells and head for the closest cell reached
+const MAX_EXPANSIONS = 6000;
+// How far (in cells) to look for a walkable cell when a path starts or ends on a blocked one
+const NEAREST_SEARCH_RADIUS = 6;
+
+// Cell states
+const UNKNOWN = 0;
+const WALKABLE = 1;
+const STEEP = 2;
+const OBSTACLE = 3;
+
+const NEIGHBORS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+// Binary heap of { index, f } ordered by f (A* open list)
+class OpenList {
+    constructor() {
+        this.nodes = [];
+    }
+    
+    get size() {
+        return this.nodes.length;
+    }
+    
+    push(node) {
+        const nodes = this.nodes;
+        nodes.push(node);
+        let i = nodes.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (nodes[parent].f <= node.f) break;
+            nodes[i] = nodes[parent];
+            i = parent;
+        }
+        nodes[i] = node;
+    }
+    
+    pop() {
+        const nodes = this.nodes;
+        const top = nodes[0];
+        const last = nodes.pop();
+        if (nodes.length > 0) {
+            // Sift the last node down from the top
+            let i = 0;
+            let child = 1;
+            while (child < nodes.length) {
+                if (child + 1 < nodes.length && nodes[child + 1].f < nodes[child].f) {
+                    child++;
+                }
+                if (nodes[child].f >= last.f) break;
+                nodes[i] = nodes[child];
+                i = child;
+                child = i * 2 + 1;
+            }
+            nodes[i] = last;
+        }
+        return top;
+    }
+}
+
+export class NavGrid {
+    /**
+     * @param {World} world
+     * @param {Object} [area] - { minX, minZ, size, pieces, isFloorAt(x, z, margin) } a
+     *   square to cover instead of the overworld (dungeon interiors): walkable only on
+     *   its floor and blocked by its own pieces
+     */
+    constructor(world, area = null) {
+        this.world = world;
+        this.area = area;
+        
+        // Cells cover the area inside the world boundary unless given one
+        const limit = world.getBoundaryLimit();
+        this.originX = area ? area.minX : -limit;
+        this.originZ = area ? area.minZ : -limit;
+        this.size = Math.ceil((area ? area.size : limit * 2) / CELL_SIZE);
+        this.cells = new Uint8Array(this.size * this.size); // cell states, row by row along x
+        this.obstaclesBaked = false;
+    }
+    
+    // Call when the terrain or obstacles change (new world, level editor)
+    clear() {
+        this.cells.fill(UNKNOWN);
+        this.obstaclesBaked = false;
+    }
+    
+    toCellX(x) {
+        return Math.floor((x - this.originX) / CELL_SIZE);
+    }
+    
+    toCellZ(z) {
+        return Math.floor((z - this.originZ) / CELL_SIZE);
+    }
+    
+    // Center of a cell
+    toWorldX(cx) {
+        return this.originX + (cx + 0.5) * CELL_SIZE;
+    }
+    
+    toWorldZ(cz) {
+        return this.originZ + (cz + 0.5) * CELL_SIZE;
+    }
+    
+    isWalkable(cx, cz) {
+        if (cx < 0 || cz < 0 || cx >= this.size || cz >= this.size) return false;
+        
+        if (!this.obstaclesBaked) {
+            this.bakeObstacles();
+        }
+        
+        const index = cz * this.size + cx;
+        if (this.cells[index] === UNKNOWN) {
+            this.cells[index] = this.classifyCell(cx, cz);
+        }
+        return this.cells[index] === WALKABLE;
+    }
+    
+    isWalkableAt(x, z) {
+        return this.isWalkable(this.toCellX(x), this.toCellZ(z));
+    }
+    
+    // Interiors can be walked wherever there's floor (clear of the walls); elsewhere the slope decides
+    classifyCell(cx, cz) {
+        if (this.area) {
+            return this.area.isFloorAt(this.toWorldX(cx), this.toWorldZ(cz), AGENT_RADIUS) ? WALKABLE : OBSTACLE;
+        }
+        return this.isTooSteep(cx, cz) ? STEEP : WALKABLE;
+    }
+    
+    // Height difference across the cell's corners
+    isTooSteep(cx, cz) {
+        const world = this.world;
+        const x = this.originX + cx * CELL_SIZE;
+        const z = this.originZ + cz * CELL_SIZE;
+        const heights = [
+            world.getHeightAt(x, z),
+            world.getHeightAt(x + CELL_SIZE, z),
+            world.getHeightAt(x, z + CELL_SIZE),
+            world.getHeightAt(x + CELL_SIZE, z + CELL_SIZE)
+        ];
+        return (Math.max(...heights) - Math.min(...heights)) / CELL_SIZE > MAX_GRADE;
+    }
+    
+    // ==========================================
+    // OBSTACLES
+    // ==========================================
+    
+    bakeObstacles() {
+        this.obstaclesBaked = true;
+        this.getObstacleFootprints().forEach(({ x, z, radius }) => {
+            this.blockCircle(x, z, radius + AGENT_RADIUS);
+        });
+    }
+    
+    /**
+     * Circles (x, z, radius) covering every tree, rock and ruin piece (or the area's own pieces)
+     */
+    getObstacleFootprints() {
+        const world = this.world;
+        const footprints = [];
+        
+        if (this.area) {
+            this.area.pieces.forEach(piece => this.addPieceFootprint(piece, footprints));
+            return footprints;
+        }
+        
+        world.trees.forEach(tree => footprints.push({ x: tree.position.x, z: tree.position.z, radius: TREE_RADIUS }));
+        world.rocks.forEach(rock => footprints.push({ x: rock.position.x, z: rock.position.z, radius: ROCK_RADIUS }));
+        world.structures.forEach(piece => this.addPieceFootprint(piece, footprints));
+        
+        return footprints;
+    }
+    
+    addPieceFootprint(piece, footprints) {
+        piece.updateWorldMatrix(true, false);
+        const geometry = piece.geometry;
+        const point = new THREE.Vector3();
+        
+        if (geometry.type === 'BoxGeometry') {
+            // Walls: a row of circles along their length
+            const scale = piece.getWorldScale(new THREE.Vector3());
+            const { width, depth } = geometry.parameters;
+            const radius = depth * scale.z / 2;
+            const steps = Math.max(1, Math.ceil(width * scale.x / CELL_SIZE));
+            for (let i = 0; i <= steps; i++) {
+                point.set(-width / 2 + (width * i) / steps, 0, 0).applyMatrix4(piece.matrixWorld);
+                footprints.push({ x: point.x, z: point.z, radius });
+            }
+            return;
+        }
+        
+        // Pillars and anything else: a circle around the bounding box
+        if (!geometry.boundingBox) {
+            geometry.computeBoundingBox();
+        }
+        const { min, max } = geometry.boundingBox;
+        const scale = piece.getWorldScale(new THREE.Vector3());
+        const radius = Math.max((max.x - min.x) * scale.x, (max.z - min.z) * scale.z) / 2;
+        point.set(0, 0, 0).applyMatrix4(piece.matrixWorld);
+        footprints.push({ x: point.x, z: point.z, radius });
+    }
+    
+    blockCircle(x, z, radius) {
+        const minX = Math.max(0, this.toCellX(x - radius));
+        const maxX = Math.min(this.size - 1, this.toCellX(x + radius));
+        const minZ = Math.max(0, this.toCellZ(z - radius));
+        const maxZ = Math.min(this.size - 1, this.toCellZ(z + radius));
+        
+        for (let cz = minZ; cz <= maxZ; cz++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                if (Math.hypot(this.toWorldX(cx) - x, this.toWorldZ(cz) - z) < radius) {
+                    this.cells[cz * this.size + cx] = OBSTACLE;
+                }
+            }
+        }
+    }
+    
+    // ==========================================
+    // QUERIES
+    // ==========================================
+    
+    /**
+     * Whether a straight walk from one point to another stays on walkable cells
+     * (the cell the walk starts in doesn't count, so an enemy pushed against a
+     * tree can still walk away from it)
+     */
+    hasLineOfSight(from, to) {
+        let cx = this.toCellX(from.x);
+        let cz = this.toCellZ(from.z);
+        const endX = this.toCellX(to.x);
+        const endZ = this.toCellZ(to.z);
+        
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const stepX = Math.sign(dx);
+        const stepZ = Math.sign(dz);
+        
+        // Fraction of the walk between cell borders, and to the first border, on each axis
+        const deltaX = dx !== 0 ? CELL_SIZE / Math.abs(dx) : Infinity;
+        const deltaZ = dz !== 0 ? CELL_SIZE / Math.abs(dz) : Infinity;
+        const borderX = this.originX + (cx + (stepX > 0 ? 1 : 0)) * CELL_SIZE;
+        const borderZ = this.originZ + (cz + (stepZ > 0 ? 1 : 0)) * CELL_SIZE;
+        let nextX = dx !== 0 ? Math.abs(borderX - from.x) / Math.abs(dx) : Infinity;
+        let nextZ = dz !== 0 ? Math.abs(borderZ - from.z) / Math.abs(dz) : Infinity;
+        
+        // Visit every cell the segment crosses
+        const crossings = Math.abs(endX - cx) + Math.abs(endZ - cz);
+        for (let i = 0; i < crossings; i++) {
+            if (nextX < nextZ) {
+                cx += stepX;
+                nextX += deltaX;
+            } else {
+                cz += stepZ;
+                nextZ += deltaZ;
+            }
+            if (!this.isWalkable(cx, cz)) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * A* path between two points
+     * @returns {THREE.Vector3[]|null} waypoints after the start, ending at the
+     *   goal (or the closest reachable point when the goal can't be reached);
+     *   y is 0. null when there's no walkable ground near the start or goal.
+     */
+    findPath(from, to) {
+        const start = this.findNearestWalkable(this.toCellX(from.x), this.toCellZ(from.z));
+        const goal = this.findNearestWalkable(this.toCellX(to.x), this.toCellZ(to.z));
+        if (!start || !goal) return null;
+        
+        const size = this.size;
+        const startIndex = start.z * size + start.x;
+        const goalIndex = goal.z * size + goal.x;
+        const heuristic = (cx, cz) => {
+            // Octile distance (straight and diagonal moves)
+            const ddx = Math.abs(cx - goal.x);
+            const ddz = Math.abs(cz - goal.z);
+            return Math.max(ddx, ddz) + (Math.SQRT2 - 1) * Math.min(ddx, ddz);
+        };
+        
+        const cost = new Map([[startIndex, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = new OpenList();
+        open.push({ index: startIndex, f: heuristic(start.x, start.z) });
+        
+        // Cell nearest the goal so far, for when the goal is out of reach
+        let closest = startIndex;
+        let closestH = heuristic(start.x, start.z);
+        let expansions = 0;
+        
+        while (open.size > 0 && expansions < MAX_EXPANSIONS) {
+            const { index } = open.pop();
+            if (closed.has(index)) continue;
+            closed.add(index);
+            expansions++;
+            
+            if (index === goalIndex) {
+                closest = index;
+                break;
+            }
+            
+            const cx = index % size;
+            const cz = (index - cx) / size;
+            const h = heuristic(cx, cz);
+            if (h < closestH) {
+                closest = index;
+                closestH = h;
+            }
+            
+            for (const [ox, oz, stepCost] of NEIGHBORS) {
+                const nx = cx + ox;
+                const nz = cz + oz;
+                if (!this.isWalkable(nx, nz)) continue;
+                
+                // No cutting corners past a blocked cell
+                if (ox !== 0 && oz !== 0 && (!this.isWalkable(cx + ox, cz) || !this.isWalkable(cx, cz + oz))) continue;
+                
+                const neighbor = nz * size + nx;
+                const g = cost.get(index) + stepCost;
+                if (closed.has(neighbor) || g >= (cost.get(neighbor) ?? Infinity)) continue;
+                
+                cost.set(neighbor, g);
+                cameFrom.set(neighbor, index);
+                open.push({ index: neighbor, f: g + heuristic(nx, nz) });
+            }
+        }
+        
+        // Walk back from the end to the start
+        const points = [];
+        for (let index = closest; index !== startIndex; index = cameFrom.get(index)) {
+            const cx = index % size;
+            points.push(new THREE.Vector3(this.toWorldX(cx), 0, this.toWorldZ((index - cx) / size)));
+        }
+        // Starting off the grid (pushed into a tree's clearance) means stepping onto it first
+        if (start.x !== this.toCellX(from.x) || start.z !== this.toCellZ(from.z)) {
+            points.push(new THREE.Vector3(this.toWorldX(start.x), 0, this.toWorldZ(start.z)));
+        }
+        points.reverse();
+        
+        // End exactly on the goal when it was reached and can be stood on
+        if (closest === goalIndex && this.isWalkableAt(to.x, to.z)) {
+            if (points.length === 0) points.push(new THREE.Vector3());
+            points[points.length - 1].set(to.x, 0, to.z);
+        }
+        
+        return this.smoothPath(from, points);
+    }
+    
+    // Drop waypoints that can be skipped by walking straight past them
+    smoothPath(from, points) {
+        const smoothed = [];
+        let anchor = from;
+        let i = 0;
+        
+        while (i < points.length) {
+            let furthest = i;
+            while (furthest + 1 < points.length && this.hasLineOfSight(anchor, points[furthest + 1])) {
+                furthest++;
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+        return smoothed;
+    }
+    
+    // The walkable cell closest to a cell (itself when it's walkable)
+    findNearestWalkable(cx, cz) {
+        if (this.isWalkable(cx, cz)) return { x: cx, z: cz };
+        
+        for (let radius = 1; radius <= NEAREST_SEARCH_RADIUS; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+            for (let oz = -radius; oz <= radius; oz++) {
+                for (let ox = -radius; ox <= radius; ox++) {
+                    if (Math.max(Math.abs(ox), Math.abs(oz)) !== radius) continue;
+                    const distance = ox * ox + oz * oz;
+                    if (distance < bestDistance && this.isWalkable(cx + ox, cz + oz)) {
+                        best = { x: cx + ox, z: cz + oz };
+                        bestDistance = distance;
+                    }
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+}
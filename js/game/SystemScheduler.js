@@ -0,0 +1,142 @@
+/**
+ * SystemScheduler.js - Declarative System Updates
+ * Runs registered systems in priority order at their configured tick rate or interval
+ */
+
+export class SystemScheduler {
+    constructor(game) {
+        this.game = game;
+        
+        // Registered systems, kept sorted by priority (lowest runs first)
+        this.entries = [];
+        
+        // Smoothing factor for average timings
+        this.timingSmoothing = 0.1;
+    }
+    
+    /**
+     * Register a system with the scheduler
+     * @param {string} name - unique name, also the key for preset overrides in settings.systemRates
+     * @param {Function} update - called with the simulated seconds since the system last ran
+     * @param {Object} options
+     * @param {number} [options.priority=100] - lower runs first
+     * @param {number} [options.tickRate=1] - run every N simulation steps
+     * @param {number} [options.interval] - run every N seconds instead of every N steps
+     * @param {number} [options.phase=0] - step offset to spread systems sharing a tick rate
+     * @param {string} [options.rateSetting] - PerformanceSettings key that overrides tickRate
+     * @param {boolean} [options.runsWhilePaused=false] - keep ticking while paused or on the death screen
+     * @param {Function} [options.enabled] - return false to skip the system
+     */
+    register(name, update, options = {}) {
+        if (this.entries.some(entry => entry.name === name)) {
+            console.warn(`SystemScheduler: system "${name}" is already registered`);
+            return;
+        }
+        
+        const tickRate = options.tickRate || 1;
+        
+        this.entries.push({
+            name,
+            update,
+            priority: options.priority ?? 100,
+            tickRate,
+            interval: options.interval || 0,
+            rateSetting: options.rateSetting || null,
+            runsWhilePaused: options.runsWhilePaused === true,
+            enabled: options.enabled || null,
+            
+            // Runtime state
+            ticks: (options.phase || 0) % tickRate,
+            elapsed: 0,
+            timing: { calls: 0, lastMs: 0, avgMs: 0, maxMs: 0, totalMs: 0 }
+        });
+        
+        // Stable sort keeps registration order for equal priorities
+        this.entries.sort((a, b) => a.priority - b.priority);
+    }
+    
+    unregister(name) {
+        this.entries = this.entries.filter(entry => entry.name !== name);
+    }
+    
+    /**
+     * Resolve the tick rate for a system, letting the current preset override it
+     */
+    getTickRate(entry) {
+        const settings = this.game.settings || {};
+        
+        if (settings.systemRates && settings.systemRates[entry.name]) {
+            return settings.systemRates[entry.name];
+        }
+        
+        if (entry.rateSetting && settings[entry.rateSetting]) {
+            return settings[entry.rateSetting];
+        }
+        
+        return entry.tickRate;
+    }
+    
+    /**
+     * Advance one simulation step
+     * @param {number} step - fixed step in seconds
+     * @param {boolean} paused - only systems flagged runsWhilePaused will run
+     */
+    update(step, paused = false) {
+        for (const entry of this.entries) {
+            if (paused && !entry.runsWhilePaused) continue;
+            if (entry.enabled && !entry.enabled()) continue;
+            
+            entry.ticks++;
+            entry.elapsed += step;
+            
+            // Time-based systems run on their interval, the rest every N steps
+            const isDue = entry.interval > 0
+                ? entry.elapsed >= entry.interval
+                : entry.ticks >= this.getTickRate(entry);
+            
+            if (!isDue) continue;
+            
+            const elapsed = entry.elapsed;
+            entry.ticks = 0;
+            entry.elapsed = 0;
+            
+            const start = performance.now();
+            entry.update(elapsed);
+            this.recordTiming(entry, performance.now() - start);
+        }
+    }
+    
+    recordTiming(entry, ms) {
+        const timing = entry.timing;
+        timing.calls++;
+        timing.lastMs = ms;
+        timing.totalMs += ms;
+        timing.maxMs = Math.max(timing.maxMs, ms);
+        timing.avgMs = timing.calls === 1
+            ? ms
+            : timing.avgMs + (ms - timing.avgMs) * this.timingSmoothing;
+    }
+    
+    /**
+     * Per-system cost report, most expensive first
+     * @returns {Array<{name: string, rate: string, calls: number, avgMs: number, maxMs: number, totalMs: number}>}
+     */
+    getTimings() {
+        return this.entries
+            .map(entry => ({
+                name: entry.name,
+                rate: entry.interval > 0 ? `${entry.interval}s` : `1/${this.getTickRate(entry)}`,
+                calls: entry.timing.calls,
+                avgMs: entry.timing.avgMs,
+                maxMs: entry.timing.maxMs,
+                totalMs: entry.timing.totalMs
+            }))
+            .sort((a, b) => b.totalMs - a.totalMs);
+    }
+    
+    resetTimings() {
+        this.entries.forEach(entry => {
+            entry.timing = { calls: 0, lastMs: 0, avgMs: 0, maxMs: 0, totalMs: 0 };
+        });
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * TerrainChunks.js - Streamed Terrain Chunks
+ * Splits the ground into square chunks that are built around the player and
+ * disposed behind them. Distant chunks use fewer vertices (LOD), and edges next
+ * to a coarser neighbour are snapped onto its edge so no cracks open up.
+ * Heights come straight from World's height grid, so meshes match getHeightAt.
+ */
+
+import * as THREE from 'three';
+
+// Chunk distances (in chunk widths) past which the vertex spacing doubles
+const LOD_DISTANCES = [1, 2, 3.5];
+
+// Chunks built per update once the ring around the player is done
+const MAX_BUILDS_PER_UPDATE = 3;
+
+// Order edges are stored in: -x, +x, -z, +z
+const EDGES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+export class TerrainChunks {
+    constructor(world) {
+        this.world = world;
+        this.scene = world.scene;
+        
+        // "cx,cz" -> { cx, cz, step, edges, mesh }
+        this.chunks = new Map();
+        
+        // Vertex spacing (in height cells) past the nearest chunks comes from the quality preset
+        const settings = world.game.settings || {};
+        const segments = Math.min(world.chunkCells, settings.terrainSegments || 8);
+        this.baseStep = Math.max(1, Math.round(world.chunkCells / segments));
+        
+        // Chunks are loaded out to the camera's far plane (fog hides the edge)
+        this.loadRadius = settings.cameraFar || 300;
+        
+        this.material = this.createMaterial();
+    }
+    
+    createMaterial() {
+        // Basic for potato mode (no lighting calculations)
+        const useBasicMaterial = this.world.game.performanceSettings?.shouldUseBasicMaterial() ?? false;
+        
+        return useBasicMaterial
+            ? new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                side: THREE.DoubleSide
+            })
+            : new THREE.MeshLambertMaterial({
+                vertexColors: true,
+                flatShading: false,
+                side: THREE.DoubleSide
+            });
+    }
+    
+    /**
+     * Build, rebuild and dispose chunks around a position
+     * @param {boolean} [immediate=false] - build everything now instead of a few per call
+     */
+    update(position, immediate = false) {
+        const wanted = this.getWantedChunks(position);
+        
+        // Unload chunks well outside the radius (the margin stops flicker at the edge)
+        const unloadRadius = this.loadRadius + this.world.chunkSize;
+        this.chunks.forEach((chunk, key) => {
+            if (!wanted.has(key) && this.getChunkDistance(chunk.cx, chunk.cz, position) > unloadRadius) {
+                this.disposeChunk(key);
+            }
+        });
+        
+        // Chunks whose detail or neighbours changed, nearest first
+        const pending = [];
+        wanted.forEach((want, key) => {
+            want.edges = EDGES.map(([dx, dz]) => {
+                const neighbour = wanted.get(`${want.cx + dx},${want.cz + dz}`);
+                return neighbour ? Math.max(want.step, neighbour.step) : want.step;
+            });
+            
+            const chunk = this.chunks.get(key);
+            if (!chunk || chunk.step !== want.step || chunk.edges.some((edge, i) => edge !== want.edges[i])) {
+                pending.push(want);
+            }
+        });
+        pending.sort((a, b) => a.distance - b.distance);
+        
+        // The chunks around the player always go in at once (e.g. after a teleport)
+        let builds = 0;
+        for (const want of pending) {
+            const nearby = want.distance <= this.world.chunkSize;
+            if (!immediate && !nearby && builds >= MAX_BUILDS_PER_UPDATE) break;
+            
+            this.buildChunk(want);
+            builds++;
+        }
+    }
+    
+    // Chunks within the load radius -> their vertex spacing
+    getWantedChunks(position) {
+        const world = this.world;
+        const size = world.chunkSize;
+        const half = world.worldSize / 2;
+        const wanted = new Map();
+        
+        const minX = Math.max(0, Math.floor((position.x - this.loadRadius + half) / size));
+        const maxX = Math.min(world.chunksPerSide - 1, Math.floor((position.x + this.loadRadius + half) / size));
+        const minZ = Math.max(0, Math.floor((position.z - this.loadRadius + half) / size));
+        const maxZ = Math.min(world.chunksPerSide - 1, Math.floor((position.z + this.loadRadius + half) / size));
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const distance = this.getChunkDistance(cx, cz, position);
+                if (distance > this.loadRadius) continue;
+                
+                wanted.set(`${cx},${cz}`, { cx, cz, distance, step: this.getStep(distance) });
+            }
+        }
+        
+        return wanted;
+    }
+    
+    // Distance from a position to the nearest point of a chunk
+    getChunkDistance(cx, cz, position) {
+        const size = this.world.chunkSize;
+        const half = this.world.worldSize / 2;
+        const minX = cx * size - half;
+        const minZ = cz * size - half;
+        const dx = Math.max(minX - position.x, 0, position.x - (minX + size));
+        const dz = Math.max(minZ - position.z, 0, position.z - (minZ + size));
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+    
+    // Vertex spacing in height cells; keeps at least two segments per chunk.
+    // The nearest chunks use every height node on any preset, so the ground drawn
+    // under the player is the ground getHeightAt puts them on.
+    getStep(distance) {
+        const level = LOD_DISTANCES.filter(limit => distance > limit * this.world.chunkSize).length;
+        if (level === 0) return 1;
+        return Math.min(this.world.chunkCells / 2, this.baseStep * Math.pow(2, level));
+    }
+    
+    buildChunk({ cx, cz, step, edges }) {
+        const key = `${cx},${cz}`;
+        if (this.chunks.has(key)) {
+            this.disposeChunk(key);
+        }
+        
+        const mesh = new THREE.Mesh(this.createGeometry(cx, cz, step, edges), this.material);
+        // Only receive shadows if enabled in settings
+        mesh.receiveShadow = this.world.game.settings?.shadowsEnabled !== false;
+        mesh.castShadow = false;
+        mesh.name = `terrain-${key}`;
+        this.scene.add(mesh);
+        
+        this.chunks.set(key, { cx, cz, step, edges, mesh });
+    }
+    
+    createGeometry(cx, cz, step, edges) {
+        const world = this.world;
+        const cells = world.chunkCells;
+        const cellSize = world.heightCellSize;
+        const half = world.worldSize / 2;
+        const segments = cells / step;
+        const rowLength = segments + 1;
+        
+        const positions = new Float32Array(rowLength * rowLength * 3);
+        const normals = new Float32Array(rowLength * rowLength * 3);
+        const colors = new Float32Array(rowLength * rowLength * 3);
+        const normal = new THREE.Vector3();
+        
+        for (let a = 0; a <= segments; a++) {
+            for (let b = 0; b <= segments; b++) {
+                const i = cx * cells + a * step;
+                const j = cz * cells + b * step;
+                const x = i * cellSize - half;
+                const z = j * cellSize - half;
+                const height = this.getEdgeHeight(i, j, a, b, segments, edges);
+                const index = (a * rowLength + b) * 3;
+                
+                positions[index] = x;
+                positions[index + 1] = height;
+                positions[index + 2] = z;
+                
+                // Normals from the height grid, so neighbouring chunks shade the same at the seam
+                normal.set(
+                    world.getNodeHeight(i - step, j) - world.getNodeHeight(i + step, j),
+                    2 * step * cellSize,
+                    world.getNodeHeight(i, j - step) - world.getNodeHeight(i, j + step)
+                ).normalize();
+                normals[index] = normal.x;
+                normals[index + 1] = normal.y;
+                normals[index + 2] = normal.z;
+                
+                const color = world.getBiomeColor(height, x, z);
+                colors[index] = color.r;
+                colors[index + 1] = color.g;
+                colors[index + 2] = color.b;
+            }
+        }
+        
+        const indices = [];
+        for (let a = 0; a < segments; a++) {
+            for (let b = 0; b < segments; b++) {
+                const v00 = a * rowLength + b;
+                const v01 = v00 + 1;
+                const v10 = v00 + rowLength;
+                const v11 = v10 + 1;
+                indices.push(v00, v01, v10, v01, v11, v10);
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+    
+    /**
+     * Height of a vertex. Edge vertices that a coarser neighbour skips are
+     * moved onto the straight line between the neighbour's own vertices.
+     */
+    getEdgeHeight(i, j, a, b, segments, [west, east, north, south]) {
+        const world = this.world;
+        const snap = (along, spacing, heightAt) => {
+            const start = Math.floor(along / spacing) * spacing;
+            if (start === along) return heightAt(along);
+            const t = (along - start) / spacing;
+            return heightAt(start) * (1 - t) + heightAt(start + spacing) * t;
+        };
+        
+        if (a === 0 && j % west !== 0) return snap(j, west, n => world.getNodeHeight(i, n));
+        if (a === segments && j % east !== 0) return snap(j, east, n => world.getNodeHeight(i, n));
+        if (b === 0 && i % north !== 0) return snap(i, north, n => world.getNodeHeight(n, j));
+        if (b === segments && i % south !== 0) return snap(i, south, n => world.getNodeHeight(n, j));
+        return world.getNodeHeight(i, j);
+    }
+    
+    disposeChunk(key) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+        
+        this.scene.remove(chunk.mesh);
+        chunk.mesh.geometry.dispose();
+        this.chunks.delete(key);
+    }
+    
+    clear() {
+        [...this.chunks.keys()].forEach(key => this.disposeChunk(key));
+    }
+    
+    dispose() {
+        this.clear();
+        this.material.dispose();
+    }
+    
+    // Loaded chunk and vertex counts (settings menu performance info)
+    getStats() {
+        let vertices = 0;
+        this.chunks.forEach(chunk => {
+            vertices += chunk.mesh.geometry.attributes.position.count;
+        });
+        return { chunks: this.chunks.size, vertices };
+    }
+}
@@ -1,24 +1,34 @@
 /**
  * World.js - Terrain and Environment Generation
  * Creates seamless open world with varied terrain
- * PERFORMANCE OPTIMIZED: Uses instanced meshes and height caching
+ * PERFORMANCE OPTIMIZED: Uses instanced meshes, height caching and streamed terrain chunks
  */
 
 import * as THREE from 'three';
+import { TerrainChunks } from './TerrainChunks.js';
+import { BiomeMap } from './BiomeMap.js';
+import { NavGrid } from './NavGrid.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 export class World {
     constructor(game) {
         this.game = game;
         this.scene = game.scene;
         
-        // Terrain settings - use quality settings if available
+        // Seeded worldgen stream - same seed, same terrain and vegetation
+        this.rng = game.rng.worldgen;
+        this.noiseSeed = 0;
+        
+        // Terrain settings - heights use a fixed grid so they're the same on every
+        // quality preset; only the rendered chunk detail follows the settings
         this.worldSize = 500;
-        const settings = game.settings || {};
-        this.terrainSegments = settings.terrainSegments || 16; // Default to 16 for potato mode
+        this.heightCells = 128; // Height grid cells per side
+        this.chunkCells = 16;   // Height cells per terrain chunk side
+        this.chunksPerSide = this.heightCells / this.chunkCells;
+        this.heightCellSize = this.worldSize / this.heightCells;
+        this.chunkSize = this.chunkCells * this.heightCellSize;
         this.heightScale = 20; // Reduced for smoother terrain
         
-        console.log(`World: Terrain segments set to ${this.terrainSegments}`);
-        
         // Height bounds for terrain stability - more conservative range
         this.minHeight = -2;
         this.maxHeight = 40;
@@ -36,8 +46,9 @@ export class World {
         this.boundaryBuffer = 10;
         
         // Terrain data
-        this.terrain = null;
-        this.heightMap = [];
+        this.terrain = null; // TerrainChunks
+        this.heightTiles = new Map(); // "cx,cz" -> smoothed node heights
+        this.heightTileCacheSize = 128;
         
         // Height cache for performance optimization
         this.heightCache = new Map();
@@ -55,17 +66,29 @@ export class World {
         this.instancedRocks = null;
         this.instancedGrass = null;
         
-        // Biome colors
-        this.biomes = {
-            plains: 0x3d5c3d,
-            forest: 0x2d4a2d,
-            mountain: 0x5c5c5c,
-            swamp: 0x3d4a3d,
-            ruins: 0x4a4a4a
-        };
+        // Ruined structures from the level; the area around each one is the ruins biome
+        this.ruinLocations = this.getLevelRuins();
+        this.ruins = []; // one Group per ruin
+        
+        // Biome layer (see BIOMES for what each biome changes)
+        this.biomeMap = new BiomeMap(this);
+        
+        // Walkable ground for enemy pathfinding
+        this.navGrid = new NavGrid(this);
+        
+        // Dungeon interiors (see DungeonSystem), built outside the world's edge;
+        // height, collision, biome and path queries inside one go to it
+        this.interiors = [];
     }
     
     generate() {
+        // Restart the stream so regenerating always rebuilds the same world
+        this.rng.reset();
+        this.noiseSeed = this.rng.next() * 1000;
+        this.clearHeightCache();
+        this.biomeMap.clear();
+        this.navGrid.clear();
+        
         this.generateTerrain();
         this.generateInstancedTrees();
         this.generateInstancedRocks();
@@ -75,124 +98,137 @@ export class World {
     }
     
     generateTerrain() {
-        // Generate height map using Perlin-like noise
-        this.generateHeightMap();
-        
-        // Create terrain geometry
-        const geometry = new THREE.PlaneGeometry(
-            this.worldSize,
-            this.worldSize,
-            this.terrainSegments,
-            this.terrainSegments
-        );
-        
-        // Apply height map to vertices
-        const positions = geometry.attributes.position.array;
-        const colors = [];
-        
-        for (let i = 0; i < positions.length; i += 3) {
-            const x = positions[i];
-            const geomY = positions[i + 1];
-            
-            // After mesh rotation (rotation.x = -PI/2), the geometry Y becomes -worldZ
-            // So we need to sample the height at world coordinates (x, -geomY)
-            // This ensures terrain heights match what getHeightAt() returns for the same world position
-            const worldZ = -geomY;
-            
-            // Get height from height map with safety clamp
-            const height = this.sampleHeightMap(x, worldZ);
-            const safeHeight = Number.isFinite(height) ? Math.max(this.minHeight, Math.min(this.maxHeight, height)) : 0;
-            positions[i + 2] = safeHeight;
-            
-            // Assign colors based on height/biome (use world coordinates)
-            const color = this.getBiomeColor(safeHeight, x, worldZ);
-            colors.push(color.r, color.g, color.b);
+        // Heights are generated per chunk on demand; meshes stream in around the player
+        this.heightTiles.clear();
+        if (this.terrain) {
+            this.terrain.dispose();
+        }
+        this.terrain = new TerrainChunks(this);
+        this.terrain.update(this.game.player?.position || new THREE.Vector3(), true);
+    }
+    
+    // Build, LOD and dispose terrain chunks around a position (scheduled by Game)
+    updateTerrain(position, immediate = false) {
+        this.terrain?.update(position, immediate);
+    }
+    
+    // Unsmoothed height at a grid node (i along x, j along z)
+    getRawNodeHeight(i, j) {
+        const size = this.heightCells + 1;
+        
+        // Multi-octave noise for natural terrain with reduced amplitude
+        const x = (i / size) * 8; // Reduced frequency for smoother terrain
+        const y = (j / size) * 8;
+        
+        // Use smoothed noise with reduced octaves
+        let height = 0;
+        height += this.smoothNoise(x * 0.3, y * 0.3) * 1.0;  // Base terrain
+        height += this.smoothNoise(x * 0.6, y * 0.6) * 0.4;  // Medium detail
+        height += this.smoothNoise(x * 1.2, y * 1.2) * 0.15; // Fine detail (reduced)
+        
+        // Calculate distance from center for edge handling
+        const normI = (i - size/2) / (size/2);
+        const normJ = (j - size/2) / (size/2);
+        const distFromCenter = Math.sqrt(normI * normI + normJ * normJ);
+        
+        // Create gentle hills at edges instead of sharp mountains
+        if (distFromCenter > 0.6) {
+            const edgeInfluence = (distFromCenter - 0.6) / 0.4;
+            height += edgeInfluence * edgeInfluence * 15; // Smoother quadratic rise
         }
         
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        
-        // Mark position attribute as needing update after modification
-        geometry.attributes.position.needsUpdate = true;
-        
-        geometry.computeVertexNormals();
+        // Create a flat starting area in center
+        if (distFromCenter < 0.12) {
+            const centerFactor = 1 - (distFromCenter / 0.12);
+            height *= (1 - centerFactor * 0.8); // Flatten center
+        }
         
-        // Create terrain material - use Basic for potato mode (no lighting calculations)
-        const useBasicMaterial = this.game.performanceSettings?.shouldUseBasicMaterial() ?? false;
+        // Apply edge falloff for seamless boundaries
+        let edgeFalloff = 1.0;
+        if (distFromCenter > this.edgeFalloffStart) {
+            const falloffProgress = (distFromCenter - this.edgeFalloffStart) / 
+                                   (this.edgeFalloffEnd - this.edgeFalloffStart);
+            // Use smooth step for gradual transition
+            edgeFalloff = 1.0 - this.smoothStep(0, 1, Math.min(falloffProgress, 1));
+        }
         
-        const material = useBasicMaterial 
-            ? new THREE.MeshBasicMaterial({
-                vertexColors: true,
-                side: THREE.DoubleSide
-            })
-            : new THREE.MeshLambertMaterial({
-                vertexColors: true,
-                flatShading: false,
-                side: THREE.DoubleSide
-            });
+        // Apply height scale with edge falloff
+        const finalHeight = height * this.heightScale * edgeFalloff + 
+                           this.edgeMinHeight * (1 - edgeFalloff);
         
-        // Create mesh
-        this.terrain = new THREE.Mesh(geometry, material);
-        this.terrain.rotation.x = -Math.PI / 2;
-        // Only receive shadows if enabled in settings
-        this.terrain.receiveShadow = this.game.settings?.shadowsEnabled !== false;
-        this.terrain.castShadow = false;
-        this.scene.add(this.terrain);
+        // Clamp to safe range
+        return Math.max(this.minHeight, Math.min(this.maxHeight, finalHeight));
     }
     
-    generateHeightMap() {
-        const size = this.terrainSegments + 1;
-        this.heightMap = new Array(size);
-        
-        for (let i = 0; i < size; i++) {
-            this.heightMap[i] = new Array(size);
-            for (let j = 0; j < size; j++) {
-                // Multi-octave noise for natural terrain with reduced amplitude
-                const x = (i / size) * 8; // Reduced frequency for smoother terrain
-                const y = (j / size) * 8;
-                
-                // Use smoothed noise with reduced octaves
-                let height = 0;
-                height += this.smoothNoise(x * 0.3, y * 0.3) * 1.0;  // Base terrain
-                height += this.smoothNoise(x * 0.6, y * 0.6) * 0.4;  // Medium detail
-                height += this.smoothNoise(x * 1.2, y * 1.2) * 0.15; // Fine detail (reduced)
-                
-                // Calculate distance from center for edge handling
-                const normI = (i - size/2) / (size/2);
-                const normJ = (j - size/2) / (size/2);
-                const distFromCenter = Math.sqrt(normI * normI + normJ * normJ);
-                
-                // Create gentle hills at edges instead of sharp mountains
-                if (distFromCenter > 0.6) {
-                    const edgeInfluence = (distFromCenter - 0.6) / 0.4;
-                    height += edgeInfluence * edgeInfluence * 15; // Smoother quadratic rise
-                }
-                
-                // Create a flat starting area in center
-                if (distFromCenter < 0.12) {
-                    const centerFactor = 1 - (distFromCenter / 0.12);
-                    height *= (1 - centerFactor * 0.8); // Flatten center
-                }
-                
-                // Apply edge falloff for seamless boundaries
-                let edgeFalloff = 1.0;
-                if (distFromCenter > this.edgeFalloffStart) {
-                    const falloffProgress = (distFromCenter - this.edgeFalloffStart) / 
-                                           (this.edgeFalloffEnd - this.edgeFalloffStart);
-                    // Use smooth step for gradual transition
-                    edgeFalloff = 1.0 - this.smoothStep(0, 1, Math.min(falloffProgress, 1));
+    /**
+     * Smoothed node heights for one chunk, (chunkCells + 1)^2 values indexed
+     * [a * (chunkCells + 1) + b]. Tiles are cached and rebuilt when evicted,
+     * so memory stays flat however large the world is.
+     */
+    getHeightTile(cx, cz) {
+        const key = `${cx},${cz}`;
+        const cached = this.heightTiles.get(key);
+        if (cached) {
+            // Most recently used last
+            this.heightTiles.delete(key);
+            this.heightTiles.set(key, cached);
+            return cached;
+        }
+        
+        const cells = this.chunkCells;
+        const originI = cx * cells;
+        const originJ = cz * cells;
+        
+        // Raw heights with a one-node border for the smoothing pass (NaN outside the world)
+        const rawSize = cells + 3;
+        const raw = new Float32Array(rawSize * rawSize);
+        for (let a = 0; a < rawSize; a++) {
+            for (let b = 0; b < rawSize; b++) {
+                const i = originI + a - 1;
+                const j = originJ + b - 1;
+                const inside = i >= 0 && i <= this.heightCells && j >= 0 && j <= this.heightCells;
+                raw[a * rawSize + b] = inside ? this.getRawNodeHeight(i, j) : NaN;
+            }
+        }
+        
+        // Smoothing pass - average with neighbours to eliminate any remaining spikes
+        const tileSize = cells + 1;
+        const tile = new Float32Array(tileSize * tileSize);
+        for (let a = 0; a < tileSize; a++) {
+            for (let b = 0; b < tileSize; b++) {
+                let sum = 0;
+                let count = 0;
+                for (let da = 0; da <= 2; da++) {
+                    for (let db = 0; db <= 2; db++) {
+                        const value = raw[(a + da) * rawSize + (b + db)];
+                        if (!Number.isNaN(value)) {
+                            sum += value;
+                            count++;
+                        }
+                    }
                 }
-                
-                // Apply height scale with edge falloff
-                const finalHeight = height * this.heightScale * edgeFalloff + 
-                                   this.edgeMinHeight * (1 - edgeFalloff);
-                
-                // Clamp to safe range
-                this.heightMap[i][j] = Math.max(this.minHeight, Math.min(this.maxHeight, finalHeight));
+                tile[a * tileSize + b] = sum / count;
             }
         }
         
-        // Apply smoothing pass to eliminate any remaining spikes
-        this.smoothHeightMap();
+        if (this.heightTiles.size >= this.heightTileCacheSize) {
+            // Evict least recently used
+            this.heightTiles.delete(this.heightTiles.keys().next().value);
+        }
+        this.heightTiles.set(key, tile);
+        return tile;
+    }
+    
+    // Smoothed height at a grid node; nodes past the edge use the edge's height
+    getNodeHeight(i, j) {
+        const cells = this.chunkCells;
+        const ci = Math.max(0, Math.min(this.heightCells, i));
+        const cj = Math.max(0, Math.min(this.heightCells, j));
+        const cx = Math.min(this.chunksPerSide - 1, Math.floor(ci / cells));
+        const cz = Math.min(this.chunksPerSide - 1, Math.floor(cj / cells));
+        
+        const tile = this.getHeightTile(cx, cz);
+        return tile[(ci - cx * cells) * (cells + 1) + (cj - cz * cells)];
     }
     
     // Smooth step function for gradual transitions
@@ -201,49 +237,12 @@ export class World {
         return t * t * (3 - 2 * t);
     }
     
-    // Smoothing pass to reduce terrain spikes
-    smoothHeightMap() {
-        const size = this.terrainSegments + 1;
-        const smoothed = new Array(size);
-        
-        for (let i = 0; i < size; i++) {
-            smoothed[i] = new Array(size);
-            for (let j = 0; j < size; j++) {
-                // Average with neighbors for smoother terrain
-                let sum = this.heightMap[i][j];
-                let count = 1;
-                
-                // Sample neighboring points
-                const neighbors = [
-                    [i-1, j], [i+1, j], [i, j-1], [i, j+1],
-                    [i-1, j-1], [i+1, j+1], [i-1, j+1], [i+1, j-1]
-                ];
-                
-                for (const [ni, nj] of neighbors) {
-                    if (ni >= 0 && ni < size && nj >= 0 && nj < size) {
-                        sum += this.heightMap[ni][nj];
-                        count++;
-                    }
-                }
-                
-                smoothed[i][j] = sum / count;
-            }
-        }
-        
-        // Apply smoothed values
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j < size; j++) {
-                this.heightMap[i][j] = smoothed[i][j];
-            }
-        }
-    }
-    
     // Simple noise function with clamping for stability
     noise(x, y) {
         // Clamp input values to prevent floating point issues
         const clampedX = Math.max(this.minNoiseInput, Math.min(this.maxNoiseInput, x));
         const clampedY = Math.max(this.minNoiseInput, Math.min(this.maxNoiseInput, y));
-        const n = Math.sin(clampedX * 12.9898 + clampedY * 78.233) * 43758.5453;
+        const n = Math.sin(clampedX * 12.9898 + clampedY * 78.233 + this.noiseSeed) * 43758.5453;
         const result = (n - Math.floor(n)) * 2 - 1;
         // Clamp output to [-1, 1] for stability
         return Math.max(-1, Math.min(1, result));
@@ -279,31 +278,25 @@ export class World {
             return 0;
         }
         
-        // Convert world coordinates to heightmap indices
-        const size = this.terrainSegments + 1;
-        const i = ((worldX / this.worldSize) + 0.5) * (size - 1);
-        const j = ((worldZ / this.worldSize) + 0.5) * (size - 1);
+        // Convert world coordinates to height grid nodes
+        const n = this.heightCells;
+        const i = ((worldX / this.worldSize) + 0.5) * n;
+        const j = ((worldZ / this.worldSize) + 0.5) * n;
         
         // Clamp indices to valid range
-        const i0 = Math.max(0, Math.min(size - 2, Math.floor(i)));
-        const j0 = Math.max(0, Math.min(size - 2, Math.floor(j)));
-        const i1 = Math.min(i0 + 1, size - 1);
-        const j1 = Math.min(j0 + 1, size - 1);
+        const i0 = Math.max(0, Math.min(n - 1, Math.floor(i)));
+        const j0 = Math.max(0, Math.min(n - 1, Math.floor(j)));
+        const i1 = i0 + 1;
+        const j1 = j0 + 1;
         
         // Clamp interpolation factors to [0, 1]
         const fi = Math.max(0, Math.min(1, i - i0));
         const fj = Math.max(0, Math.min(1, j - j0));
         
-        // Safety check for heightMap existence
-        if (!this.heightMap || !this.heightMap[i0] || !this.heightMap[i1]) {
-            return 0;
-        }
-        
-        // Get heights with fallback to 0
-        const h00 = this.heightMap[i0][j0] ?? 0;
-        const h10 = this.heightMap[i1][j0] ?? 0;
-        const h01 = this.heightMap[i0][j1] ?? 0;
-        const h11 = this.heightMap[i1][j1] ?? 0;
+        const h00 = this.getNodeHeight(i0, j0);
+        const h10 = this.getNodeHeight(i1, j0);
+        const h01 = this.getNodeHeight(i0, j1);
+        const h11 = this.getNodeHeight(i1, j1);
         
         // Validate all heights are finite numbers
         if (!Number.isFinite(h00) || !Number.isFinite(h10) || 
@@ -311,16 +304,23 @@ export class World {
             return 0;
         }
         
-        const h0 = h00 * (1 - fi) + h10 * fi;
-        const h1 = h01 * (1 - fi) + h11 * fi;
-        
-        const result = h0 * (1 - fj) + h1 * fj;
+        // Split each cell along the same diagonal as the terrain mesh, so the
+        // height matches the rendered triangles exactly
+        let result;
+        if (fi + fj <= 1) {
+            result = h00 + (h10 - h00) * fi + (h01 - h00) * fj;
+        } else {
+            result = h11 + (h01 - h11) * (1 - fi) + (h10 - h11) * (1 - fj);
+        }
         
         // Final safety clamp to prevent extreme values
         return Number.isFinite(result) ? Math.max(this.minHeight, Math.min(this.maxHeight, result)) : 0;
     }
     
     getHeightAt(x, z) {
+        const interior = this.getInteriorAt(x, z);
+        if (interior) return interior.floorHeight;
+        
         // Use cached height lookup for performance
         const precision = this.heightCachePrecision;
         const key = `${Math.floor(x * precision)},${Math.floor(z * precision)}`;
@@ -347,24 +347,20 @@ export class World {
         this.heightCache.clear();
     }
     
+    // Biome at a world position (entry from BIOMES)
+    getBiomeAt(x, z) {
+        return this.biomeMap.getBiome(x, z);
+    }
+    
     getBiomeColor(height, x, z) {
-        const color = new THREE.Color();
-        
-        if (height < 2) {
-            // Low areas - swamp/grass
-            color.setHex(0x4a5a3a);
-        } else if (height < 8) {
-            // Plains
-            color.setHex(0x4a6a3a);
-        } else if (height < 15) {
-            // Hills/forest
-            color.setHex(0x3a5a2a);
-        } else if (height < 25) {
-            // Mountain base
-            color.setHex(0x5a5a5a);
-        } else {
-            // Mountain peaks
-            color.setHex(0x8a8a8a);
+        const color = new THREE.Color(this.getBiomeAt(x, z).color);
+        
+        if (height > 25) {
+            // Mountain peaks fade to bare stone
+            color.lerp(new THREE.Color(0x8a8a8a), Math.min(1, (height - 25) / 5));
+        } else if (height < 2) {
+            // Low, damp ground is a little darker
+            color.multiplyScalar(0.9);
         }
         
         // Add some noise for variety
@@ -413,19 +409,22 @@ export class World {
         
         let instanceIndex = 0;
         let attempts = 0;
-        const maxAttempts = treeCount * 3;
+        const maxAttempts = treeCount * 10;
         
         while (instanceIndex < treeCount && attempts < maxAttempts) {
             attempts++;
-            const x = (Math.random() - 0.5) * this.worldSize * 0.8;
-            const z = (Math.random() - 0.5) * this.worldSize * 0.8;
+            const x = (this.rng.next() - 0.5) * this.worldSize * 0.8;
+            const z = (this.rng.next() - 0.5) * this.worldSize * 0.8;
             const y = this.getHeightAt(x, z);
             
             // Don't place trees on steep slopes or very high areas
             if (y > 20 || y < 1) continue;
             
-            const rotY = Math.random() * Math.PI * 2;
-            const treeScale = 0.7 + Math.random() * 0.6;
+            // Dense woods, sparse plains, none among the ruins
+            if (this.rng.next() >= this.getBiomeAt(x, z).vegetation.trees) continue;
+            
+            const rotY = this.rng.next() * Math.PI * 2;
+            const treeScale = 0.7 + this.rng.next() * 0.6;
             
             // Set trunk transform
             position.set(x, y + 2 * treeScale, z);
@@ -440,7 +439,9 @@ export class World {
             this.instancedTreeFoliage.setMatrixAt(instanceIndex, matrix);
             
             // Store position for collision detection
-            this.trees.push({ position: new THREE.Vector3(x, y, z) });
+            const tree = { position: new THREE.Vector3(x, y, z) };
+            this.trees.push(tree);
+            this.game.spatialIndex.insert('trees', tree, x, z);
             
             instanceIndex++;
         }
@@ -484,50 +485,98 @@ export class World {
         const scale = new THREE.Vector3();
         const euler = new THREE.Euler();
         
-        for (let i = 0; i < rockCount; i++) {
-            const x = (Math.random() - 0.5) * this.worldSize * 0.9;
-            const z = (Math.random() - 0.5) * this.worldSize * 0.9;
+        let instanceIndex = 0;
+        let attempts = 0;
+        const maxAttempts = rockCount * 10;
+        
+        while (instanceIndex < rockCount && attempts < maxAttempts) {
+            attempts++;
+            const x = (this.rng.next() - 0.5) * this.worldSize * 0.9;
+            const z = (this.rng.next() - 0.5) * this.worldSize * 0.9;
             const y = this.getHeightAt(x, z);
             
-            const rockScale = 0.5 + Math.random() * 2;
+            // Rocks gather in the mountains and around the ruins
+            if (this.rng.next() >= this.getBiomeAt(x, z).vegetation.rocks) continue;
+            
+            const rockScale = 0.5 + this.rng.next() * 2;
             
             position.set(x, y + rockScale * 0.5, z);
             euler.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
+                this.rng.next() * Math.PI,
+                this.rng.next() * Math.PI,
+                this.rng.next() * Math.PI
             );
             quaternion.setFromEuler(euler);
             scale.set(rockScale, rockScale * 0.7, rockScale);
             
             matrix.compose(position, quaternion, scale);
-            this.instancedRocks.setMatrixAt(i, matrix);
+            this.instancedRocks.setMatrixAt(instanceIndex, matrix);
             
             // Store position for collision detection
-            this.rocks.push({ position: new THREE.Vector3(x, y, z) });
+            const rock = { position: new THREE.Vector3(x, y, z) };
+            this.rocks.push(rock);
+            this.game.spatialIndex.insert('rocks', rock, x, z);
+            
+            instanceIndex++;
         }
         
+        this.instancedRocks.count = instanceIndex;
         this.instancedRocks.instanceMatrix.needsUpdate = true;
         this.scene.add(this.instancedRocks);
     }
     
+    // Ruins and boss arenas placed by the level file
+    getLevelRuins() {
+        const level = this.game.level;
+        return [
+            ...level.ruins.map(ruin => ({ ...ruin })),
+            ...level.bossArenas.map(arena => ({ ...arena, isBossArena: true }))
+        ];
+    }
+    
     generateRuins() {
         // Create some ruined structures for atmosphere
-        const ruinLocations = [
-            { x: 40, z: 40 },
-            { x: -50, z: 30 },
-            { x: 30, z: -60 },
-            { x: -40, z: -50 },
-            { x: 70, z: 70 }  // Boss arena
-        ];
-        
-        ruinLocations.forEach((loc, index) => {
-            const y = this.getHeightAt(loc.x, loc.z);
-            this.createRuin(loc.x, y, loc.z, index === 4);
+        this.ruinLocations.forEach(loc => this.createRuin(loc));
+    }
+    
+    // Rebuild the ruins after the level's ruins or boss arenas change (level editor)
+    rebuildRuins() {
+        this.ruins.forEach(group => {
+            this.scene.remove(group);
+            group.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
         });
+        this.ruins = [];
+        this.structures = [];
+        
+        this.ruinLocations = this.getLevelRuins();
+        this.generateRuins();
+        
+        // Biomes, ground colors and paths follow the ruins (vegetation keeps its places until reload)
+        this.biomeMap.cache.clear();
+        this.navGrid.clear();
+        this.terrain.clear();
+        this.updateTerrain(this.game.camera.position, true);
     }
     
-    createRuin(x, y, z, isBossArena = false) {
+    createRuin({ x, z, rotation = 0, isBossArena = false }) {
+        // Each ruin has its own stream, so rebuilding the ruins (level editor) doesn't reshuffle them
+        const rng = new SeededRandom(`${this.game.rng.seed}:ruin:${x},${z}`).worldgen;
+        
+        // Pieces are laid out around the center, then the whole ruin is turned
+        const group = new THREE.Group();
+        group.position.set(x, 0, z);
+        group.rotation.y = THREE.MathUtils.degToRad(rotation);
+        group.updateMatrixWorld();
+        
+        // Terrain height under a piece at local offset (dx, dz)
+        const groundAt = (dx, dz) => {
+            const world = group.localToWorld(new THREE.Vector3(dx, 0, dz));
+            return this.getHeightAt(world.x, world.z);
+        };
+        
         // Use simpler material for potato mode
         const useBasicMaterial = this.game.performanceSettings?.shouldUseBasicMaterial() ?? false;
         
@@ -542,9 +591,9 @@ export class World {
             // Pillars around arena - placed individually on terrain
             for (let i = 0; i < 8; i++) {
                 const angle = (i / 8) * Math.PI * 2;
-                const pillarX = x + Math.cos(angle) * 22;
-                const pillarZ = z + Math.sin(angle) * 22;
-                const pillarY = this.getHeightAt(pillarX, pillarZ);
+                const pillarX = Math.cos(angle) * 22;
+                const pillarZ = Math.sin(angle) * 22;
+                const pillarY = groundAt(pillarX, pillarZ);
                 
                 const pillarHeight = 8;
                 const pillar = new THREE.Mesh(
@@ -554,8 +603,8 @@ export class World {
                 
                 // Some pillars are broken - scale them down
                 let scaleY = 1;
-                if (Math.random() > 0.5) {
-                    scaleY = 0.3 + Math.random() * 0.5;
+                if (rng.next() > 0.5) {
+                    scaleY = 0.3 + rng.next() * 0.5;
                     pillar.scale.y = scaleY;
                 }
                 
@@ -564,23 +613,21 @@ export class World {
                 pillar.position.set(pillarX, pillarY + (pillarHeight * scaleY) / 2, pillarZ);
                 pillar.castShadow = true;
                 
-                this.scene.add(pillar);
+                group.add(pillar);
                 this.structures.push(pillar);
             }
         } else {
             // Regular ruins - place walls and pillars directly at terrain heights
-            const wallCount = 3 + Math.floor(Math.random() * 4);
+            const wallCount = 3 + Math.floor(rng.next() * 4);
             
             for (let i = 0; i < wallCount; i++) {
-                const wallWidth = 2 + Math.random() * 6;
-                const wallHeight = 2 + Math.random() * 4;
+                const wallWidth = 2 + rng.next() * 6;
+                const wallHeight = 2 + rng.next() * 4;
                 
-                // Calculate world position for this wall
-                const wallOffsetX = (Math.random() - 0.5) * 15;
-                const wallOffsetZ = (Math.random() - 0.5) * 15;
-                const wallX = x + wallOffsetX;
-                const wallZ = z + wallOffsetZ;
-                const wallY = this.getHeightAt(wallX, wallZ);
+                // Offset of this wall from the ruin's center
+                const wallX = (rng.next() - 0.5) * 15;
+                const wallZ = (rng.next() - 0.5) * 15;
+                const wallY = groundAt(wallX, wallZ);
                 
                 const wall = new THREE.Mesh(
                     new THREE.BoxGeometry(wallWidth, wallHeight, 0.8),
@@ -588,24 +635,22 @@ export class World {
                 );
                 
                 wall.position.set(wallX, wallY + wallHeight / 2, wallZ);
-                wall.rotation.y = Math.random() * Math.PI;
+                wall.rotation.y = rng.next() * Math.PI;
                 wall.castShadow = true;
                 wall.receiveShadow = true;
                 
-                this.scene.add(wall);
+                group.add(wall);
                 this.structures.push(wall);
             }
             
             // Add some broken pillars
             for (let i = 0; i < 3; i++) {
-                const pillarHeight = 1 + Math.random() * 3;
+                const pillarHeight = 1 + rng.next() * 3;
                 
-                // Calculate world position for this pillar
-                const pillarOffsetX = (Math.random() - 0.5) * 12;
-                const pillarOffsetZ = (Math.random() - 0.5) * 12;
-                const pillarX = x + pillarOffsetX;
-                const pillarZ = z + pillarOffsetZ;
-                const pillarY = this.getHeightAt(pillarX, pillarZ);
+                // Offset of this pillar from the ruin's center
+                const pillarX = (rng.next() - 0.5) * 12;
+                const pillarZ = (rng.next() - 0.5) * 12;
+                const pillarY = groundAt(pillarX, pillarZ);
                 
                 const pillar = new THREE.Mesh(
                     new THREE.CylinderGeometry(0.5, 0.6, pillarHeight, 8),
@@ -614,10 +659,13 @@ export class World {
                 pillar.position.set(pillarX, pillarY + pillarHeight / 2, pillarZ);
                 pillar.castShadow = true;
                 
-                this.scene.add(pillar);
+                group.add(pillar);
                 this.structures.push(pillar);
             }
         }
+        
+        this.scene.add(group);
+        this.ruins.push(group);
     }
     
     /**
@@ -646,18 +694,19 @@ export class World {
         
         let instanceIndex = 0;
         let attempts = 0;
-        const maxAttempts = grassCount * 2;
+        const maxAttempts = grassCount * 4;
         
         while (instanceIndex < grassCount && attempts < maxAttempts) {
             attempts++;
-            const x = (Math.random() - 0.5) * this.worldSize * 0.8;
-            const z = (Math.random() - 0.5) * this.worldSize * 0.8;
+            const x = (this.rng.next() - 0.5) * this.worldSize * 0.8;
+            const z = (this.rng.next() - 0.5) * this.worldSize * 0.8;
             const y = this.getHeightAt(x, z);
             
             if (y > 18) continue; // No grass on mountains
+            if (this.rng.next() >= this.getBiomeAt(x, z).vegetation.grass) continue;
             
-            const grassHeight = 1 + Math.random() * 0.6;
-            const rotY = Math.random() * Math.PI;
+            const grassHeight = 1 + this.rng.next() * 0.6;
+            const rotY = this.rng.next() * Math.PI;
             
             position.set(x, y + 0.25 * grassHeight, z);
             quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), rotY);
@@ -713,21 +762,26 @@ export class World {
     
     // Check collision with world objects and boundaries
     checkCollision(position, radius) {
+        // Dungeon walls and pillars
+        const interior = this.getInteriorAt(position.x, position.z);
+        if (interior) return interior.checkCollision(position, radius);
+        
         // Check world boundaries - prevent going to edge
         const boundaryLimit = this.worldSize / 2 - this.boundaryBuffer;
         if (Math.abs(position.x) > boundaryLimit || Math.abs(position.z) > boundaryLimit) {
             return true;
         }
         
-        // Check against rocks and structures
-        for (const rock of this.rocks) {
+        // Check against rocks and trees near the position
+        const spatialIndex = this.game.spatialIndex;
+        for (const rock of spatialIndex.queryRadius('rocks', position.x, position.z, radius + 1)) {
             const dist = position.distanceTo(rock.position);
             if (dist < radius + 1) {
                 return true;
             }
         }
         
-        for (const tree of this.trees) {
+        for (const tree of spatialIndex.queryRadius('trees', position.x, position.z, radius + 0.5)) {
             const dist = Math.sqrt(
                 Math.pow(position.x - tree.position.x, 2) +
                 Math.pow(position.z - tree.position.z, 2)
@@ -737,6 +791,13 @@ export class World {
             }
         }
         
+        // Closed doors, chests and lift frames
+        for (const interactable of spatialIndex.queryRadius('interactables', position.x, position.z, radius + 3)) {
+            if (interactable.blocks(position, radius)) {
+                return true;
+            }
+        }
+        
         return false;
     }
     
@@ -759,4 +820,18 @@ export class World {
     getBoundaryLimit() {
         return this.worldSize / 2 - this.boundaryBuffer;
     }
+    
+    // Dungeon interior covering a position, or null in the overworld
+    getInteriorAt(x, z) {
+        const half = this.worldSize / 2;
+        if (Math.abs(x) <= half && Math.abs(z) <= half) return null;
+        
+        return this.interiors.find(interior => interior.contains(x, z)) || null;
+    }
+    
+    // Navigation grid for a position (an interior's own, or the overworld's)
+    getNavGridAt(x, z) {
+        const interior = this.getInteriorAt(x, z);
+        return interior ? interior.navGrid : this.navGrid;
+    }
 }
@@ -0,0 +1,338 @@
+/**
+ * HeadlessEnvironment.js - Stub Browser Layer
+ * Minimal document/window/localStorage/timer/fetch stand-ins so Game systems can run in Node
+ */
+
+import { readFile } from 'fs/promises';
+
+// fetch() paths are relative to the repo root, like the page served from index.html
+const ROOT_URL = new URL('../../', import.meta.url);
+
+/**
+ * Inert DOM element. Remembers ids, classes, text and listeners so scenarios
+ * can inspect UI state (e.g. is the bonfire menu visible) and click buttons.
+ */
+class HeadlessElement {
+    constructor(tagName = 'div', id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.className = '';
+        this.style = {};
+        this.dataset = {};
+        this.attributes = {};
+        this.textContent = '';
+        this.innerHTML = '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.width = 0;
+        this.height = 0;
+        this.onclick = null;
+        
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: (name) => classes.has(name),
+            toggle: (name, force) => {
+                const enable = force === undefined ? !classes.has(name) : force;
+                if (enable) classes.add(name); else classes.delete(name);
+                return enable;
+            }
+        };
+    }
+    
+    get parentElement() {
+        return this.parentNode;
+    }
+    
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+    
+    removeEventListener(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+    
+    dispatchEvent(event) {
+        const listeners = [...(this.listeners[event.type] || [])];
+        listeners.forEach(listener => listener(event));
+        if (event.type === 'click' && this.onclick) {
+            this.onclick(event);
+        }
+        return true;
+    }
+    
+    click() {
+        this.dispatchEvent(createEvent('click', { target: this }));
+    }
+    
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+    
+    insertBefore(child) {
+        return this.appendChild(child);
+    }
+    
+    insertAdjacentHTML() {}
+    
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.children = this.parentNode.children.filter(c => c !== this);
+            this.parentNode = null;
+        }
+    }
+    
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+    
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+    
+    querySelector() {
+        return null;
+    }
+    
+    querySelectorAll() {
+        return [];
+    }
+    
+    // No 2D/WebGL contexts - callers already treat null as "no canvas"
+    getContext() {
+        return null;
+    }
+    
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height };
+    }
+    
+    requestPointerLock() {}
+    
+    focus() {}
+}
+
+function createEvent(type, props = {}) {
+    return {
+        type,
+        target: { tagName: 'BODY' },
+        preventDefault() {},
+        stopPropagation() {},
+        ...props
+    };
+}
+
+/**
+ * Installs the stub globals and owns a virtual clock for timers and animation frames
+ */
+export class HeadlessEnvironment {
+    constructor(options = {}) {
+        this.width = options.width || 1280;
+        this.height = options.height || 720;
+        
+        // Virtual time (ms) for setTimeout / requestAnimationFrame
+        this.now = 0;
+        this.timers = [];
+        this.nextTimerId = 1;
+        this.animationFrames = [];
+        
+        this.elements = new Map();
+        this.storage = new Map(Object.entries(options.localStorage || {}));
+        this.originals = {};
+    }
+    
+    install() {
+        const env = this;
+        
+        const document = new HeadlessElement('#document');
+        document.pointerLockElement = null;
+        document.body = new HeadlessElement('body');
+        document.head = new HeadlessElement('head');
+        document.getElementById = (id) => env.getElement(id);
+        document.createElement = (tagName) => new HeadlessElement(tagName);
+        document.querySelector = (selector) => {
+            // Only '#id ...' selectors are used by the game
+            const match = /^#([\w-]+)/.exec(selector);
+            return match ? env.getElement(`${match[1]} ${selector}`) : null;
+        };
+        document.exitPointerLock = () => {
+            document.pointerLockElement = null;
+        };
+        
+        const window = new HeadlessElement('#window');
+        window.innerWidth = this.width;
+        window.innerHeight = this.height;
+        window.devicePixelRatio = 1;
+        
+        const localStorage = {
+            getItem: (key) => (env.storage.has(key) ? env.storage.get(key) : null),
+            setItem: (key, value) => env.storage.set(key, String(value)),
+            removeItem: (key) => env.storage.delete(key),
+            clear: () => env.storage.clear(),
+            key: (index) => [...env.storage.keys()][index] ?? null,
+            get length() {
+                return env.storage.size;
+            }
+        };
+        
+        const globals = {
+            document,
+            window,
+            localStorage,
+            navigator: { userAgent: 'Headless', hardwareConcurrency: 1, getGamepads: () => [] },
+            requestAnimationFrame: (callback) => env.requestAnimationFrame(callback),
+            cancelAnimationFrame: (id) => env.cancelAnimationFrame(id),
+            setTimeout: (callback, delay = 0, ...args) => env.setTimeout(callback, delay, false, args),
+            setInterval: (callback, delay = 0, ...args) => env.setTimeout(callback, delay, true, args),
+            clearTimeout: (id) => env.clearTimeout(id),
+            clearInterval: (id) => env.clearTimeout(id),
+            fetch: (url) => env.fetch(url)
+        };
+        
+        for (const [name, value] of Object.entries(globals)) {
+            this.originals[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+            Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+        }
+        
+        this.document = document;
+        this.window = window;
+        return this;
+    }
+    
+    uninstall() {
+        for (const [name, descriptor] of Object.entries(this.originals)) {
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        }
+        this.originals = {};
+    }
+    
+    getElement(id) {
+        if (!this.elements.has(id)) {
+            const tagName = id.endsWith('canvas') ? 'canvas' : 'div';
+            const element = new HeadlessElement(tagName, id);
+            
+            // Everything in index.html lives somewhere under <body>
+            if (this.document) {
+                this.document.body.appendChild(element);
+            }
+            this.elements.set(id, element);
+        }
+        return this.elements.get(id);
+    }
+    
+    // Is a UI panel currently shown? (panels are toggled with the 'hidden' class)
+    isVisible(id) {
+        return !this.getElement(id).classList.contains('hidden');
+    }
+    
+    click(id) {
+        this.getElement(id).click();
+    }
+    
+    keyDown(code, key = code) {
+        this.document.dispatchEvent(createEvent('keydown', { code, key }));
+    }
+    
+    keyUp(code, key = code) {
+        this.document.dispatchEvent(createEvent('keyup', { code, key }));
+    }
+    
+    mouseMove(movementX, movementY) {
+        this.document.dispatchEvent(createEvent('mousemove', { movementX, movementY }));
+    }
+    
+    // Mouse look only applies while the canvas holds pointer lock
+    lockPointer(element) {
+        this.document.pointerLockElement = element;
+    }
+    
+    mouseDown(button = 0) {
+        this.document.dispatchEvent(createEvent('mousedown', { button }));
+    }
+    
+    mouseUp(button = 0) {
+        this.document.dispatchEvent(createEvent('mouseup', { button }));
+    }
+    
+    // Serves the game's own files (e.g. levels/overworld.json) from disk
+    async fetch(url) {
+        try {
+            const text = await readFile(new URL(url, ROOT_URL), 'utf-8');
+            return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+        } catch (error) {
+            return { ok: false, status: 404, text: async () => '', json: async () => null };
+        }
+    }
+    
+    // ==========================================
+    // VIRTUAL TIMERS
+    // ==========================================
+    
+    setTimeout(callback, delay, repeat, args) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, callback, args, delay: Math.max(0, delay), time: this.now + Math.max(0, delay), repeat });
+        return id;
+    }
+    
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+    
+    requestAnimationFrame(callback) {
+        const id = this.nextTimerId++;
+        this.animationFrames.push({ id, callback });
+        return id;
+    }
+    
+    cancelAnimationFrame(id) {
+        this.animationFrames = this.animationFrames.filter(frame => frame.id !== id);
+    }
+    
+    /**
+     * Advance virtual time, firing due timers and one round of animation frames
+     * @param {number} ms - milliseconds to advance
+     */
+    advance(ms) {
+        const target = this.now + ms;
+        
+        // Fire timers in due order, including ones scheduled by earlier timers
+        let timer;
+        while ((timer = this.nextDueTimer(target))) {
+            this.now = timer.time;
+            if (timer.repeat) {
+                timer.time += Math.max(1, timer.delay);
+            } else {
+                this.clearTimeout(timer.id);
+            }
+            timer.callback(...timer.args);
+        }
+        this.now = target;
+        
+        // Frames requested during this round run on the next advance
+        const frames = this.animationFrames;
+        this.animationFrames = [];
+        frames.forEach(frame => frame.callback(this.now));
+    }
+    
+    nextDueTimer(target) {
+        let next = null;
+        for (const timer of this.timers) {
+            if (timer.time <= target && (!next || timer.time < next.time)) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * HeadlessRunner.js - Headless Simulation Driver
+ * Boots Game without WebGL and steps it manually for scripted scenarios (CI, bug repros)
+ */
+
+import { HeadlessEnvironment } from './HeadlessEnvironment.js';
+
+export class HeadlessRunner {
+    /**
+     * @param {Object} options
+     * @param {string} [options.preset='potato'] - PerformanceSettings preset to simulate with
+     * @param {number|string} [options.seed=1] - world seed, fixed by default so runs are reproducible
+     * @param {Object} [options.localStorage] - initial localStorage contents (e.g. a save)
+     * @param {Object} [options.replay] - input recording to play back (overrides seed and preset)
+     * @param {Object} [options.level] - level to play instead of levels/overworld.json
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.environment = new HeadlessEnvironment(options);
+        this.game = null;
+    }
+    
+    async start() {
+        // Globals must exist before game modules load (some touch document at import time)
+        this.environment.install();
+        
+        const { Game } = await import('../game/Game.js');
+        const replay = this.options.replay || null;
+        this.game = new Game({
+            headless: true,
+            preset: replay ? replay.preset : (this.options.preset || 'potato'),
+            seed: replay ? replay.seed : (this.options.seed ?? 1),
+            level: this.options.level,
+            replay
+        });
+        await this.game.init();
+        
+        return this;
+    }
+    
+    stop() {
+        this.environment.uninstall();
+        this.game = null;
+    }
+    
+    // ==========================================
+    // STEPPING
+    // ==========================================
+    
+    /**
+     * Advance the simulation by a number of fixed steps
+     */
+    step(count = 1) {
+        const game = this.game;
+        
+        for (let i = 0; i < count; i++) {
+            game.stepSimulation(game.fixedTimeStep);
+            
+            // Timers and animation frames follow simulated time
+            this.environment.advance(game.fixedTimeStep * 1000);
+        }
+    }
+    
+    runFor(seconds) {
+        this.step(Math.round(seconds / this.game.fixedTimeStep));
+    }
+    
+    /**
+     * Step until predicate returns true
+     * @returns {boolean} false if maxSeconds ran out first
+     */
+    runUntil(predicate, maxSeconds = 30) {
+        const maxSteps = Math.round(maxSeconds / this.game.fixedTimeStep);
+        
+        for (let i = 0; i < maxSteps; i++) {
+            if (predicate(this.game)) return true;
+            this.step();
+        }
+        
+        return predicate(this.game);
+    }
+    
+    /**
+     * Step until the replay given in options has been fully played back
+     * @returns {boolean} false if maxSeconds ran out first
+     */
+    playReplay(maxSeconds = 600) {
+        return this.runUntil(game => game.inputRecorder.isPlaybackFinished(), maxSeconds);
+    }
+    
+    // ==========================================
+    // PLAYER CONTROL
+    // ==========================================
+    
+    /**
+     * Tap a key for a number of steps (keydown, step, keyup)
+     */
+    press(code, steps = 6) {
+        this.environment.keyDown(code);
+        this.step(steps);
+        this.environment.keyUp(code);
+    }
+    
+    // Place the player directly (scenario setup)
+    teleportPlayer(x, z) {
+        const player = this.game.player;
+        player.position.set(x, this.game.world.getHeightAt(x, z) + 1, z);
+        player.velocity.set(0, 0, 0);
+    }
+    
+    /**
+     * Walk the player to a point using regular movement input
+     * Movement is camera-relative, so the camera is turned to face the target each step
+     * @returns {boolean} true if the player got within tolerance
+     */
+    walkTo(x, z, { tolerance = 1.5, maxSeconds = 30 } = {}) {
+        const player = this.game.player;
+        
+        this.environment.keyDown('KeyW');
+        const arrived = this.runUntil(() => {
+            const dx = x - player.position.x;
+            const dz = z - player.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) <= tolerance) return true;
+            
+            // Camera sits behind the player, so forward = away from the camera
+            player.cameraRotationY = Math.atan2(-dx, -dz);
+            return false;
+        }, maxSeconds);
+        this.environment.keyUp('KeyW');
+        
+        // Let the player come to a stop
+        this.runFor(0.5);
+        
+        return arrived;
+    }
+    
+    // ==========================================
+    // QUERIES
+    // ==========================================
+    
+    findBoss(name) {
+        return this.game.bosses.find(boss => boss.name === name) || null;
+    }
+    
+    findCheckpoint(name) {
+        return this.game.checkpointSystem.checkpoints.find(checkpoint => checkpoint.name === name) || null;
+    }
+    
+    distanceToPlayer(position) {
+        const player = this.game.player;
+        const dx = position.x - player.position.x;
+        const dz = position.z - player.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+}
@@ -5,6 +5,7 @@
 
 import * as THREE from 'three';
 import { Game } from './game/Game.js';
+import { InputRecorder } from './game/InputRecorder.js';
 import { ErrorMonitor } from '../src/runtime/error-monitor.js';
 import { CodeChecker } from '../src/runtime/code-checker.js';
 
@@ -50,9 +51,15 @@ if (localStorage.getItem('forcePotato') === 'true') {
 
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', () => {
-    // Create and start the game
-    const game = new Game();
-    game.init();
+    // Create and start the game (a replay loaded from the settings menu arrives via reload)
+    // ?level=levels/<file>.json plays a level exported from the level editor
+    const replay = InputRecorder.takeQueuedReplay();
+    const levelUrl = new URLSearchParams(window.location.search).get('level');
+    const game = new Game({
+        ...(replay ? { replay } : {}),
+        ...(levelUrl ? { levelUrl } : {})
+    });
+    game.init().catch(error => game.showStartupError(error));
     
     // Expose game to window for debugging
     window.game = game;
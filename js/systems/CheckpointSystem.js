@@ -29,22 +29,41 @@ export class CheckpointSystem {
     }
     
     createCheckpoints() {
-        // Spawn point checkpoint
-        this.addCheckpoint('First Light', 0, 0, true);
-        
-        // Other checkpoints around the world
-        this.addCheckpoint('Forest Edge', 30, 30);
-        this.addCheckpoint('Ruined Tower', -40, 40);
-        this.addCheckpoint('Mountain Pass', 60, -30);
-        this.addCheckpoint('Boss Gate', 70, 70);
+        // Sites of Grace come from the level file (and its dungeons); a discovered one is the spawn point
+        const placements = [...this.game.level.checkpoints, ...this.game.dungeonSystem.getPlacements('checkpoints')];
+        placements.forEach(({ name, x, z, discovered, rotation }) => {
+            this.addCheckpoint(name, x, z, discovered === true, rotation);
+        });
+    }
+    
+    // Rebuild from the level after the level editor changed it (discoveries and the respawn point are kept by name)
+    rebuildCheckpoints() {
+        const lastName = this.lastCheckpoint ? this.lastCheckpoint.name : null;
+        
+        this.checkpoints.forEach(checkpoint => {
+            this.game.spatialIndex.remove(checkpoint);
+            this.scene.remove(checkpoint.mesh);
+            checkpoint.mesh.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        });
+        this.checkpoints = [];
+        this.lastCheckpoint = null;
+        this.activeCheckpoint = null;
+        
+        this.createCheckpoints();
+        this.game.saveSystem.restoreDiscoveredCheckpoints();
+        this.lastCheckpoint = this.checkpoints.find(c => c.name === lastName) || this.lastCheckpoint;
     }
     
-    addCheckpoint(name, x, z, isDiscovered = false) {
+    addCheckpoint(name, x, z, isDiscovered = false, rotation = 0) {
         const y = this.game.world.getHeightAt(x, z);
         
         const checkpoint = {
             name,
             position: new THREE.Vector3(x, y, z),
+            rotation: THREE.MathUtils.degToRad(rotation),
             isDiscovered,
             mesh: null,
             light: null
@@ -52,6 +71,7 @@ export class CheckpointSystem {
         
         this.createCheckpointMesh(checkpoint);
         this.checkpoints.push(checkpoint);
+        this.game.spatialIndex.insert('checkpoints', checkpoint, x, z);
         
         // Set first checkpoint as default spawn
         if (isDiscovered && !this.lastCheckpoint) {
@@ -114,6 +134,7 @@ export class CheckpointSystem {
         
         // Position group
         group.position.copy(checkpoint.position);
+        group.rotation.y = checkpoint.rotation;
         
         this.scene.add(group);
         checkpoint.mesh = group;
@@ -131,28 +152,23 @@ export class CheckpointSystem {
         const player = this.game.player;
         if (!player) return;
         
-        // Check for nearby checkpoints
-        let nearbyCheckpoint = null;
-        
+        // Animate flames
         for (const checkpoint of this.checkpoints) {
-            const distance = player.position.distanceTo(checkpoint.position);
-            
-            // Animate flame
             if (checkpoint.flameMesh && checkpoint.isDiscovered) {
                 checkpoint.flameMesh.scale.y = 1 + Math.sin(Date.now() * 0.005) * 0.2;
                 checkpoint.flameMesh.rotation.y += deltaTime * 2;
             }
-            
-            // Check for interaction range
-            if (distance < this.interactionRange) {
-                nearbyCheckpoint = checkpoint;
-                
-                // Discover checkpoint if not already
-                if (!checkpoint.isDiscovered) {
-                    this.discoverCheckpoint(checkpoint);
-                }
+        }
+        
+        // Discover every checkpoint in range; the closest one can be rested at
+        const { x, z } = player.position;
+        const spatialIndex = this.game.spatialIndex;
+        for (const checkpoint of spatialIndex.queryRadius('checkpoints', x, z, this.interactionRange)) {
+            if (!checkpoint.isDiscovered) {
+                this.discoverCheckpoint(checkpoint);
             }
         }
+        const nearbyCheckpoint = spatialIndex.nearest('checkpoints', x, z, this.interactionRange);
         
         // Show/hide interaction prompt
         if (nearbyCheckpoint && !this.activeCheckpoint) {
@@ -208,15 +224,8 @@ export class CheckpointSystem {
     rest() {
         const player = this.game.player;
         
-        // Restore health, stamina, mana
-        player.health = player.maxHealth;
-        player.stamina = player.maxStamina;
-        player.mana = player.maxMana;
-        
-        // Respawn enemies
-        this.game.enemies.forEach(enemy => {
-            enemy.respawn();
-        });
+        // Player restore, enemy respawn and saving are handled by subscribers
+        this.game.events.emit('checkpointRested', { checkpoint: this.activeCheckpoint });
         
         // Visual feedback
         this.game.particleSystem.spawnMagicParticle(player.position.clone().add(new THREE.Vector3(0, 1, 0)));
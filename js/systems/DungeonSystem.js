@@ -0,0 +1,171 @@
+/**
+ * DungeonSystem.js - Legacy Dungeons
+ * Builds a dungeon beneath every ruin in the level and takes the player
+ * through its doors: the archway at the ruin leads down to the entry room,
+ * and the stairs there lead back up. Only where the player stands changes;
+ * health, stamina, souls and everything else carry across.
+ */
+
+import { Dungeon, DOOR_RANGE, INTERIOR_START_X, INTERIOR_SPACING } from '../game/Dungeon.js';
+
+export class DungeonSystem {
+    constructor(game) {
+        this.game = game;
+        this.dungeons = [];
+        
+        // Door the interaction prompt is showing for
+        this.nearbyDoor = null;
+        
+        // Guards only exist in the dungeon the player is in, so each one can use the whole enemy budget
+        this.guardedDungeon = null;
+        this.guards = [];
+        
+        this.createDungeons();
+    }
+    
+    createDungeons() {
+        const world = this.game.world;
+        const takenNames = new Set();
+        
+        // Boss arenas stay open to the sky
+        world.ruinLocations.filter(ruin => !ruin.isBossArena).forEach((ruin, index) => {
+            const origin = { x: INTERIOR_START_X + index * INTERIOR_SPACING, z: 0 };
+            const dungeon = new Dungeon(this.game, ruin, origin, takenNames);
+            takenNames.add(dungeon.name);
+            
+            this.dungeons.push(dungeon);
+            world.interiors.push(dungeon);
+            Object.values(dungeon.doors).forEach(door => {
+                this.game.spatialIndex.insert('doors', door, door.position.x, door.position.z);
+            });
+        });
+    }
+    
+    // Rebuild after the level's ruins changed (level editor), along with the spawns placed in them
+    rebuildDungeons() {
+        // Bring the player out first - their dungeon may be gone
+        const current = this.getCurrentDungeon();
+        if (current) {
+            this.leave(current);
+        }
+        
+        this.dungeons.forEach(dungeon => dungeon.dispose());
+        this.dungeons = [];
+        this.game.world.interiors = [];
+        this.game.spatialIndex.clearLayer('doors');
+        this.nearbyDoor = null;
+        
+        this.createDungeons();
+        this.game.checkpointSystem.rebuildCheckpoints();
+        this.game.inventorySystem.respawnWorldItems();
+        this.game.rebuildLevelEnemies();
+    }
+    
+    /**
+     * Level-style placements from every dungeon, spawned alongside the level's own (guards: see updateGuards)
+     * @param {string} category - 'enemies', 'items', 'checkpoints' or 'bosses'
+     */
+    getPlacements(category) {
+        return this.dungeons.flatMap(dungeon => dungeon.placements[category]);
+    }
+    
+    getCurrentDungeon() {
+        const { x, z } = this.game.player.position;
+        return this.game.world.getInteriorAt(x, z);
+    }
+    
+    update() {
+        const player = this.game.player;
+        if (!player) return;
+        
+        // Only the interior the player is in is drawn (respawns and fast travel can land in one too)
+        this.updateVisibility();
+        this.updateGuards();
+        
+        if (player.state === 'dead') return;
+        
+        const { x, z } = player.position;
+        const door = this.game.spatialIndex.nearest('doors', x, z, DOOR_RANGE);
+        if (door) {
+            const verb = door.action === 'enter' ? 'Enter' : 'Leave';
+            this.game.hud.showInteractionPrompt(`${verb} ${door.dungeon.name}`);
+            
+            if (this.game.inputManager.wasActionPressed('interact')) {
+                this[door.action](door.dungeon);
+            }
+        } else if (this.nearbyDoor) {
+            this.game.hud.hideInteractionPrompt();
+        }
+        this.nearbyDoor = door;
+    }
+    
+    updateVisibility() {
+        const current = this.getCurrentDungeon();
+        this.dungeons.forEach(dungeon => dungeon.setVisible(dungeon === current));
+    }
+    
+    // Swap the previous dungeon's guards for the current one's
+    updateGuards() {
+        const current = this.getCurrentDungeon();
+        if (current === this.guardedDungeon) return;
+        
+        const game = this.game;
+        if (this.guards.length > 0) {
+            if (this.guards.includes(game.player.lockedTarget)) {
+                game.player.lockedTarget = null;
+            }
+            this.guards.forEach(guard => guard.dispose());
+            game.enemies = game.enemies.filter(enemy => !this.guards.includes(enemy));
+        }
+        
+        // Same rule as level spawns with minEnemyBudget (see Game.spawnEnemies)
+        const maxEnemies = game.settings.maxEnemies || 3;
+        this.guardedDungeon = current;
+        this.guards = current
+            ? current.placements.enemies
+                .filter(spawn => maxEnemies >= spawn.minEnemyBudget)
+                .map((spawn, index) => game.spawnEnemy(spawn, index))
+            : [];
+    }
+    
+    // The guards were disposed along with every other enemy (Game.rebuildLevelEnemies)
+    forgetGuards() {
+        this.guardedDungeon = null;
+        this.guards = [];
+    }
+    
+    enter(dungeon) {
+        this.movePlayer(dungeon.arrivals.enter);
+    }
+    
+    leave(dungeon) {
+        this.movePlayer(dungeon.arrivals.leave);
+    }
+    
+    // Put the player at a door's arrival point, facing away from it
+    movePlayer({ position, facing }) {
+        const game = this.game;
+        const player = game.player;
+        
+        if (player.lockedTarget) {
+            player.toggleLockOn();
+        }
+        
+        player.position.set(position.x, player.getGroundLevelAt(position.x, position.z), position.z);
+        player.velocity.set(0, 0, 0);
+        player.rotation = facing;
+        player.cameraRotationY = facing + Math.PI;
+        player.cameraRotationX = 0;
+        player.updateMesh();
+        player.snapCamera();
+        
+        // Don't blend the player and camera across the jump
+        game.interpolatedObjects.delete(game.camera);
+        game.interpolatedObjects.delete(player.mesh);
+        
+        // Area name, music, atmosphere and guards switch straight away
+        this.updateVisibility();
+        this.updateGuards();
+        game.world.biomeMap.track(player.position);
+    }
+}
@@ -8,6 +8,7 @@ import * as THREE from 'three';
 export class FastTravelSystem {
     constructor(game) {
         this.game = game;
+        this.rng = game.rng.fx; // Map texture noise
         this.isOpen = false;
         this.canTravel = false; // Can only travel from a Site of Grace
         
@@ -28,15 +29,6 @@ export class FastTravelSystem {
     }
     
     setupEventListeners() {
-        // M key to open map
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'm' || e.key === 'M') {
-                if (!this.game.isPaused || this.isOpen) {
-                    this.toggleMap();
-                }
-            }
-        });
-        
         // Close button
         document.getElementById('close-map-btn')?.addEventListener('click', () => {
             this.close();
@@ -116,9 +108,9 @@ export class FastTravelSystem {
         // Draw terrain texture
         ctx.fillStyle = 'rgba(60, 80, 60, 0.3)';
         for (let i = 0; i < 100; i++) {
-            const x = Math.random() * this.mapWidth;
-            const y = Math.random() * this.mapHeight;
-            const size = Math.random() * 50 + 10;
+            const x = this.rng.next() * this.mapWidth;
+            const y = this.rng.next() * this.mapHeight;
+            const size = this.rng.next() * 50 + 10;
             ctx.beginPath();
             ctx.arc(x, y, size, 0, Math.PI * 2);
             ctx.fill();
@@ -143,8 +135,9 @@ export class FastTravelSystem {
         // Draw Sites of Grace
         if (this.game.checkpointSystem) {
             this.game.checkpointSystem.checkpoints.forEach(checkpoint => {
-                const mapX = this.worldToMapX(checkpoint.position.x);
-                const mapY = this.worldToMapY(checkpoint.position.z);
+                const { x, z } = this.getMapPosition(checkpoint.position);
+                const mapX = this.worldToMapX(x);
+                const mapY = this.worldToMapY(z);
                 
                 // Check if discovered
                 const isDiscovered = this.discoveredGraces.has(checkpoint.name);
@@ -180,8 +173,9 @@ export class FastTravelSystem {
         
         // Draw player position
         if (player) {
-            const playerMapX = this.worldToMapX(player.position.x);
-            const playerMapY = this.worldToMapY(player.position.z);
+            const { x, z } = this.getMapPosition(player.position);
+            const playerMapX = this.worldToMapX(x);
+            const playerMapY = this.worldToMapY(z);
             
             // Player marker (green triangle)
             ctx.save();
@@ -226,11 +220,15 @@ export class FastTravelSystem {
         return (mapY / this.scale) - this.worldSize / 2;
     }
     
+    // Where a position shows on the map; inside a dungeon that's its entrance
+    getMapPosition(position) {
+        const interior = this.game.world.getInteriorAt(position.x, position.z);
+        return interior ? interior.doors.enter.position : position;
+    }
+    
     handleMapClick(event) {
         if (!this.canTravel) {
-            if (this.game.hud) {
-                this.game.hud.showMessage('You can only fast travel from a Site of Grace!', 2500);
-            }
+            this.game.events.emit('message', { text: 'You can only fast travel from a Site of Grace!', duration: 2500 });
             return;
         }
         
@@ -247,8 +245,9 @@ export class FastTravelSystem {
         // Check if clicked on a Site of Grace
         if (this.game.checkpointSystem) {
             for (const checkpoint of this.game.checkpointSystem.checkpoints) {
-                const graceMapX = this.worldToMapX(checkpoint.position.x);
-                const graceMapY = this.worldToMapY(checkpoint.position.z);
+                const { x, z } = this.getMapPosition(checkpoint.position);
+                const graceMapX = this.worldToMapX(x);
+                const graceMapY = this.worldToMapY(z);
                 
                 const dist = Math.sqrt(
                     Math.pow(mapX - graceMapX, 2) +
@@ -269,7 +268,7 @@ export class FastTravelSystem {
         if (!player) return;
         
         // Fade effect
-        this.game.hud.showMessage(`Traveling to ${checkpoint.name}...`, 2000);
+        this.game.events.emit('message', { text: `Traveling to ${checkpoint.name}...`, duration: 2000 });
         
         // Teleport after a short delay
         setTimeout(() => {
@@ -279,7 +278,7 @@ export class FastTravelSystem {
             
             // Show arrival message
             setTimeout(() => {
-                this.game.hud.showMessage(`Arrived at ${checkpoint.name}`, 2000);
+                this.game.events.emit('message', { text: `Arrived at ${checkpoint.name}`, duration: 2000 });
             }, 500);
         }, 1000);
         
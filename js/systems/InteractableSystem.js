@@ -0,0 +1,143 @@
+/**
+ * InteractableSystem.js - Doors, Levers, Chests, Lifts and Shortcuts
+ * Builds the level's interactables, prompts for the nearest one in range and
+ * uses it on the interact key (or says why it won't budge). Which ones are
+ * open, pulled, looted or raised is kept in the save, so opened shortcuts
+ * stay open.
+ */
+
+import { Door, Shortcut, Lever, Chest, Lift } from '../entities/InteractableTypes.js';
+
+// Interactable types a level can place (level interactables[].type)
+const INTERACTABLE_TYPES = {
+    door: (game, spawn) => new Door(game, spawn),
+    shortcut: (game, spawn) => new Shortcut(game, spawn),
+    lever: (game, spawn) => new Lever(game, spawn),
+    chest: (game, spawn) => new Chest(game, spawn),
+    lift: (game, spawn) => new Lift(game, spawn)
+};
+
+// Widest reach of any interactable (a lift's range, or the corners of its platform)
+const MAX_REACH = 3;
+
+export class InteractableSystem {
+    constructor(game) {
+        this.game = game;
+        this.interactables = [];
+        
+        // Interactable the interaction prompt is showing for
+        this.nearbyInteractable = null;
+        
+        this.createInteractables();
+    }
+    
+    createInteractables() {
+        this.game.level.interactables.forEach(spawn => {
+            const interactable = INTERACTABLE_TYPES[spawn.type](this.game, spawn);
+            interactable.init();
+            this.interactables.push(interactable);
+        });
+        
+        // Levers open the doors they name, and those doors only open that way
+        this.interactables.forEach(lever => {
+            if (!lever.targetNames) return;
+            lever.targets = lever.targetNames.map(name => this.getInteractable(name)).filter(Boolean);
+            lever.targets.forEach(target => {
+                target.controlledBy = lever;
+            });
+        });
+    }
+    
+    // Rebuild from the level after the level editor changed it (keeping what was opened)
+    rebuildInteractables() {
+        const state = this.getSaveState();
+        
+        this.interactables.forEach(interactable => interactable.dispose());
+        this.interactables = [];
+        if (this.nearbyInteractable) {
+            this.game.hud.hideInteractionPrompt();
+            this.nearbyInteractable = null;
+        }
+        
+        this.createInteractables();
+        this.restoreSaveState(state);
+    }
+    
+    getInteractable(name) {
+        return this.interactables.find(interactable => interactable.name === name) || null;
+    }
+    
+    update(deltaTime) {
+        const player = this.game.player;
+        if (!player) return;
+        
+        this.interactables.forEach(interactable => interactable.update(deltaTime));
+        
+        if (player.state === 'dead') return;
+        
+        const { x, z } = player.position;
+        const nearby = this.game.spatialIndex.nearest('interactables', x, z, MAX_REACH, interactable => {
+            return interactable.isInRange(player) && interactable.getPrompt(player) !== null;
+        });
+        if (nearby) {
+            this.game.hud.showInteractionPrompt(nearby.getPrompt(player));
+            
+            if (this.game.inputManager.wasActionPressed('interact')) {
+                this.use(nearby);
+            }
+        } else if (this.nearbyInteractable) {
+            this.game.hud.hideInteractionPrompt();
+        }
+        this.nearbyInteractable = nearby;
+    }
+    
+    /**
+     * Use an interactable, unless something stops it (shown as a message)
+     * @returns {boolean} true when it was used
+     */
+    use(interactable) {
+        const player = this.game.player;
+        const reason = interactable.getBlockedReason(player);
+        if (reason) {
+            this.game.events.emit('message', { text: reason, duration: 2000 });
+            return false;
+        }
+        
+        interactable.interact(player);
+        return true;
+    }
+    
+    /**
+     * Top of a lift platform under a point, for the player to stand on
+     * @param {number} y - feet height
+     * @returns {number} -Infinity when there's none
+     */
+    getPlatformHeightAt(x, y, z) {
+        let height = -Infinity;
+        this.game.spatialIndex.queryRadius('interactables', x, z, MAX_REACH).forEach(interactable => {
+            const surface = interactable.getSurfaceHeightAt(x, y, z);
+            if (surface !== null) {
+                height = Math.max(height, surface);
+            }
+        });
+        return height;
+    }
+    
+    getSaveState() {
+        const active = {};
+        this.interactables.forEach(interactable => {
+            active[interactable.name] = interactable.isActive;
+        });
+        return { active };
+    }
+    
+    // Interactables the save doesn't mention (e.g. added to the level since) keep their start state
+    restoreSaveState(state) {
+        const active = state.active || {};
+        this.interactables.forEach(interactable => {
+            if (typeof active[interactable.name] === 'boolean') {
+                interactable.setActive(active[interactable.name], true);
+            }
+        });
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { ITEM_DATABASE } from './ItemDatabase.js';
 
 export class InventorySystem {
     constructor(game) {
@@ -20,169 +21,63 @@ export class InventorySystem {
         // World items
         this.worldItems = [];
         
-        // Item definitions
-        this.itemDatabase = {
-            // Consumables
-            estusFlask: {
-                name: 'Estus Flask',
-                type: 'consumable',
-                maxStack: 1,
-                healAmount: 50,
-                charges: 5,
-                maxCharges: 5,
-                icon: '🧪',
-                description: 'A flask filled with Estus. Restores HP.'
-            },
-            ashenEstus: {
-                name: 'Ashen Estus Flask',
-                type: 'consumable',
-                maxStack: 1,
-                fpAmount: 50,
-                charges: 3,
-                maxCharges: 3,
-                icon: '🔵',
-                description: 'A flask filled with ashen Estus. Restores FP.'
-            },
-            firebomb: {
-                name: 'Firebomb',
-                type: 'consumable',
-                maxStack: 10,
-                damage: 80,
-                icon: '💣',
-                description: 'A small bomb that explodes on impact.'
-            },
-            throwingKnife: {
-                name: 'Throwing Knife',
-                type: 'consumable',
-                maxStack: 20,
-                damage: 30,
-                icon: '🗡',
-                description: 'A throwing knife for ranged attacks.'
-            },
-            greenBlossom: {
-                name: 'Green Blossom',
-                type: 'consumable',
-                maxStack: 10,
-                duration: 60,
-                staminaRegen: 2,
-                icon: '🌿',
-                description: 'Temporarily boosts stamina recovery.'
-            },
-            ember: {
-                name: 'Ember',
-                type: 'consumable',
-                maxStack: 10,
-                hpBoost: 30,
-                icon: '🔥',
-                description: 'Consume to gain boosted HP.'
-            },
-            // Upgrade materials
-            titaniteShard: {
-                name: 'Titanite Shard',
-                type: 'material',
-                maxStack: 99,
-                icon: '💎',
-                description: 'A small titanite shard for weapon reinforcement.'
-            },
-            largeTitanite: {
-                name: 'Large Titanite Shard',
-                type: 'material',
-                maxStack: 99,
-                icon: '💠',
-                description: 'A larger titanite shard for advanced reinforcement.'
-            },
-            twinkling: {
-                name: 'Twinkling Titanite',
-                type: 'material',
-                maxStack: 99,
-                icon: '✨',
-                description: 'A rare titanite for special weapons.'
-            },
-            dragonScale: {
-                name: 'Dragon Scale',
-                type: 'material',
-                maxStack: 10,
-                icon: '🐉',
-                description: 'A scale from an ancient dragon. Very rare.'
-            },
-            // Key items
-            bossKey: {
-                name: 'Boss Gate Key',
-                type: 'key',
-                maxStack: 1,
-                icon: '🗝',
-                description: 'Opens the gate to the boss arena.'
-            },
-            loreItem1: {
-                name: 'Ancient Tome',
-                type: 'key',
-                maxStack: 1,
-                icon: '📜',
-                description: 'An ancient tome containing forgotten lore.'
-            }
-        };
+        // Keys of world items picked up so far (saved so they never respawn)
+        this.collectedWorldItems = new Set();
+        
+        // Item definitions (shared data; never changed at runtime)
+        this.itemDatabase = ITEM_DATABASE;
         
         // Quick items (1-4 keys)
         this.quickItems = [null, null, null, null];
         this.selectedQuickItem = 0;
         
-        // UI state
+        // UI state (opened, and quick items used, through InputManager's bindings)
         this.isInventoryOpen = false;
         
-        // Setup input
-        this.setupInput();
-        
         // Spawn world items
         this.spawnWorldItems();
+        
+        // Enemy loot (e.g. Crystal Lizard materials) goes straight into the inventory
+        game.events.on('enemyKilled', ({ loot }) => {
+            if (loot) this.collectLoot(loot.itemId, loot.quantity);
+        });
     }
     
-    setupInput() {
-        document.addEventListener('keydown', (e) => {
-            if (this.game.isPaused && !this.isInventoryOpen) return;
-            
-            switch (e.code) {
-                case 'KeyI':
-                    this.toggleInventory();
-                    break;
-                case 'KeyR':
-                    this.useQuickItem();
-                    break;
-                case 'ArrowLeft':
-                case 'ArrowRight':
-                    if (e.code === 'ArrowLeft') {
-                        this.selectedQuickItem = (this.selectedQuickItem - 1 + 4) % 4;
-                    } else {
-                        this.selectedQuickItem = (this.selectedQuickItem + 1) % 4;
-                    }
-                    this.updateQuickItemDisplay();
-                    break;
-            }
-        });
+    collectLoot(itemId, quantity) {
+        const itemDef = this.itemDatabase[itemId];
+        if (!itemDef || !this.addItem(itemId, quantity)) return;
+        
+        this.updateQuickItemDisplay();
+        this.game.events.emit('itemPickedUp', { itemId, name: itemDef.name, quantity });
     }
     
     spawnWorldItems() {
-        // Spawn various items around the world
-        const itemSpawns = [
-            { x: 15, z: 10, item: 'titaniteShard' },
-            { x: -20, z: 25, item: 'greenBlossom' },
-            { x: 35, z: -15, item: 'firebomb' },
-            { x: -10, z: -30, item: 'throwingKnife' },
-            { x: 50, z: 20, item: 'largeTitanite' },
-            { x: -35, z: -10, item: 'titaniteShard' },
-            { x: 25, z: 45, item: 'ember' },
-            { x: -45, z: 35, item: 'greenBlossom' },
-            { x: 60, z: 60, item: 'twinkling' },
-            { x: 75, z: 75, item: 'bossKey' }, // Near boss area
-        ];
-        
-        itemSpawns.forEach(spawn => {
+        // Item placements come from the level file, plus treasure in its dungeons
+        const placements = [...this.game.level.items, ...this.game.dungeonSystem.getPlacements('items')];
+        placements.forEach(spawn => {
             this.spawnWorldItem(spawn.item, spawn.x, spawn.z);
         });
     }
     
+    // Rebuild from the level after the level editor changed it (picked-up items stay gone)
+    respawnWorldItems() {
+        this.worldItems.forEach(worldItem => this.disposeWorldItem(worldItem));
+        this.worldItems = [];
+        
+        this.spawnWorldItems();
+        this.worldItems = this.worldItems.filter(worldItem => {
+            if (!this.collectedWorldItems.has(worldItem.key)) return true;
+            this.disposeWorldItem(worldItem);
+            return false;
+        });
+    }
+    
     spawnWorldItem(itemId, x, z) {
         const itemDef = this.itemDatabase[itemId];
-        if (!itemDef) return;
+        if (!itemDef) {
+            console.warn(`Unknown world item "${itemId}" at ${x}, ${z}`);
+            return;
+        }
         
         const y = this.game.world.getHeightAt(x, z) + 0.5;
         
@@ -220,12 +115,15 @@ export class InventorySystem {
         group.position.set(x, y, z);
         this.scene.add(group);
         
-        this.worldItems.push({
+        const worldItem = {
             id: itemId,
+            key: `${itemId}@${x},${z}`,
             mesh: group,
             position: new THREE.Vector3(x, y, z),
             collected: false
-        });
+        };
+        this.worldItems.push(worldItem);
+        this.game.spatialIndex.insert('items', worldItem, x, z);
     }
     
     getItemColor(type) {
@@ -254,13 +152,13 @@ export class InventorySystem {
     }
     
     checkPickups(playerPos) {
-        for (let i = this.worldItems.length - 1; i >= 0; i--) {
-            const item = this.worldItems[i];
+        const nearby = this.game.spatialIndex.queryRadius('items', playerPos.x, playerPos.z, this.pickupRange);
+        for (const item of nearby) {
             if (item.collected) continue;
             
             const dist = playerPos.distanceTo(item.position);
             if (dist < this.pickupRange) {
-                this.collectItem(item, i);
+                this.collectItem(item, this.worldItems.indexOf(item));
             }
         }
     }
@@ -272,11 +170,11 @@ export class InventorySystem {
         // Hide mesh immediately for instant visual feedback
         worldItem.mesh.visible = false;
         worldItem.collected = true;
+        this.collectedWorldItems.add(worldItem.key);
+        this.game.spatialIndex.remove(worldItem);
         
         // Show pickup notification immediately
-        if (this.game.hud) {
-            this.game.hud.showItemPickup(itemDef.name);
-        }
+        this.game.events.emit('itemPickedUp', { itemId: worldItem.id, name: itemDef.name, quantity: 1 });
         
         // Spawn pickup effect immediately
         this.game.particleSystem.spawnSoulsEffect(worldItem.position.clone(), 10);
@@ -288,18 +186,21 @@ export class InventorySystem {
         });
         
         // Dispose mesh asynchronously to avoid blocking
-        setTimeout(() => {
-            this.scene.remove(worldItem.mesh);
-            worldItem.mesh.traverse(child => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) child.material.dispose();
-            });
-        }, 0);
+        setTimeout(() => this.disposeWorldItem(worldItem), 0);
         
         // Remove from array immediately
         this.worldItems.splice(index, 1);
     }
     
+    disposeWorldItem(worldItem) {
+        this.game.spatialIndex.remove(worldItem);
+        this.scene.remove(worldItem.mesh);
+        worldItem.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+    
     addItem(itemId, quantity = 1) {
         const itemDef = this.itemDatabase[itemId];
         if (!itemDef) return false;
@@ -364,6 +265,11 @@ export class InventorySystem {
         return count;
     }
     
+    cycleQuickItem(step) {
+        this.selectedQuickItem = (this.selectedQuickItem + step + 4) % 4;
+        this.updateQuickItemDisplay();
+    }
+    
     useQuickItem() {
         const itemRef = this.quickItems[this.selectedQuickItem];
         if (!itemRef) return;
@@ -385,9 +291,7 @@ export class InventorySystem {
         // Handle flask-type items
         if (item.charges !== undefined) {
             if (item.charges <= 0) {
-                if (this.game.hud) {
-                    this.game.hud.showMessage('No charges remaining', 1500);
-                }
+                this.game.events.emit('message', { text: 'No charges remaining', duration: 1500 });
                 return;
             }
             item.charges--;
@@ -420,13 +324,13 @@ export class InventorySystem {
                 
             case 'greenBlossom':
                 // Buff system would go here
-                if (this.game.hud) this.game.hud.showMessage('Stamina recovery boosted!', 2000);
+                this.game.events.emit('message', { text: 'Stamina recovery boosted!', duration: 2000 });
                 break;
                 
             case 'ember':
                 player.maxHealth += itemDef.hpBoost;
                 player.health += itemDef.hpBoost;
-                if (this.game.hud) this.game.hud.showMessage('HP boosted!', 2000);
+                this.game.events.emit('message', { text: 'HP boosted!', duration: 2000 });
                 break;
         }
         
@@ -729,4 +633,41 @@ export class InventorySystem {
         
         this.updateQuickItemDisplay();
     }
+    
+    getSaveState() {
+        return {
+            collectedWorldItems: [...this.collectedWorldItems],
+            quickItems: [...this.quickItems],
+            selectedQuickItem: this.selectedQuickItem
+        };
+    }
+    
+    // New Game+ keeps quick slots; world items can be picked up again
+    getCarryOverState(state) {
+        return { ...state, collectedWorldItems: [] };
+    }
+    
+    restoreSaveState(state) {
+        // Items picked up in an earlier session stay picked up
+        this.collectedWorldItems = new Set(state.collectedWorldItems || []);
+        for (let i = this.worldItems.length - 1; i >= 0; i--) {
+            const worldItem = this.worldItems[i];
+            if (this.collectedWorldItems.has(worldItem.key)) {
+                this.disposeWorldItem(worldItem);
+                this.worldItems.splice(i, 1);
+            }
+        }
+        
+        if (Array.isArray(state.quickItems)) {
+            this.quickItems = this.quickItems.map((_, slot) => {
+                const itemId = state.quickItems[slot];
+                return this.itemDatabase[itemId] ? itemId : null;
+            });
+        }
+        if (Number.isInteger(state.selectedQuickItem)) {
+            this.selectedQuickItem = Math.min(Math.max(state.selectedQuickItem, 0), this.quickItems.length - 1);
+        }
+        
+        this.updateQuickItemDisplay();
+    }
 }
@@ -0,0 +1,107 @@
+/**
+ * ItemDatabase.js - Item Definitions
+ * Every item the player can carry, by id. Shared by InventorySystem and the
+ * level file check (LevelFile), so a level can't place or sell an item that
+ * doesn't exist.
+ */
+
+export const ITEM_DATABASE = {
+    // Consumables
+    estusFlask: {
+        name: 'Estus Flask',
+        type: 'consumable',
+        maxStack: 1,
+        healAmount: 50,
+        charges: 5,
+        maxCharges: 5,
+        icon: '🧪',
+        description: 'A flask filled with Estus. Restores HP.'
+    },
+    ashenEstus: {
+        name: 'Ashen Estus Flask',
+        type: 'consumable',
+        maxStack: 1,
+        fpAmount: 50,
+        charges: 3,
+        maxCharges: 3,
+        icon: '🔵',
+        description: 'A flask filled with ashen Estus. Restores FP.'
+    },
+    firebomb: {
+        name: 'Firebomb',
+        type: 'consumable',
+        maxStack: 10,
+        damage: 80,
+        icon: '💣',
+        description: 'A small bomb that explodes on impact.'
+    },
+    throwingKnife: {
+        name: 'Throwing Knife',
+        type: 'consumable',
+        maxStack: 20,
+        damage: 30,
+        icon: '🗡',
+        description: 'A throwing knife for ranged attacks.'
+    },
+    greenBlossom: {
+        name: 'Green Blossom',
+        type: 'consumable',
+        maxStack: 10,
+        duration: 60,
+        staminaRegen: 2,
+        icon: '🌿',
+        description: 'Temporarily boosts stamina recovery.'
+    },
+    ember: {
+        name: 'Ember',
+        type: 'consumable',
+        maxStack: 10,
+        hpBoost: 30,
+        icon: '🔥',
+        description: 'Consume to gain boosted HP.'
+    },
+    // Upgrade materials
+    titaniteShard: {
+        name: 'Titanite Shard',
+        type: 'material',
+        maxStack: 99,
+        icon: '💎',
+        description: 'A small titanite shard for weapon reinforcement.'
+    },
+    largeTitanite: {
+        name: 'Large Titanite Shard',
+        type: 'material',
+        maxStack: 99,
+        icon: '💠',
+        description: 'A larger titanite shard for advanced reinforcement.'
+    },
+    twinkling: {
+        name: 'Twinkling Titanite',
+        type: 'material',
+        maxStack: 99,
+        icon: '✨',
+        description: 'A rare titanite for special weapons.'
+    },
+    dragonScale: {
+        name: 'Dragon Scale',
+        type: 'material',
+        maxStack: 10,
+        icon: '🐉',
+        description: 'A scale from an ancient dragon. Very rare.'
+    },
+    // Key items
+    bossKey: {
+        name: 'Boss Gate Key',
+        type: 'key',
+        maxStack: 1,
+        icon: '🗝',
+        description: 'Opens the gate to the boss arena.'
+    },
+    loreItem1: {
+        name: 'Ancient Tome',
+        type: 'key',
+        maxStack: 1,
+        icon: '📜',
+        description: 'An ancient tome containing forgotten lore.'
+    }
+};
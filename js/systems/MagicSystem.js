@@ -10,6 +10,9 @@ export class MagicSystem {
         this.game = game;
         this.scene = game.scene;
         
+        // Seeded fx stream for spell particles
+        this.rng = game.rng.fx;
+        
         // Active spells
         this.activeSpells = [];
         this.projectiles = [];
@@ -70,36 +73,6 @@ export class MagicSystem {
         this.healingActive = false;
         this.healingTimer = 0;
         this.healingAmount = 0;
-        
-        // Setup input
-        this.setupInput();
-    }
-    
-    setupInput() {
-        // Q - Cast current offensive spell
-        // F - Cast heal
-        // 1,2,3,4 - Select spell
-        document.addEventListener('keydown', (e) => {
-            if (this.game.isPaused) return;
-            
-            switch (e.code) {
-                case 'KeyQ':
-                    this.castSpell(this.currentSpell);
-                    break;
-                case 'KeyF':
-                    this.castSpell('heal');
-                    break;
-                case 'Digit1':
-                    this.selectSpell('fireball');
-                    break;
-                case 'Digit2':
-                    this.selectSpell('soulArrow');
-                    break;
-                case 'Digit3':
-                    this.selectSpell('lightningSpear');
-                    break;
-            }
-        });
     }
     
     selectSpell(spellName) {
@@ -109,10 +82,14 @@ export class MagicSystem {
         }
     }
     
+    // Next of the spells with their own select binding
+    cycleSpell() {
+        const spells = ['fireball', 'soulArrow', 'lightningSpear'];
+        this.selectSpell(spells[(spells.indexOf(this.currentSpell) + 1) % spells.length]);
+    }
+    
     showSpellNotification(spellName) {
-        if (this.game.hud && this.game.hud.showMessage) {
-            this.game.hud.showMessage(`Spell: ${spellName}`, 1500);
-        }
+        this.game.events.emit('message', { text: `Spell: ${spellName}`, duration: 1500 });
     }
     
     canCast(spellName) {
@@ -181,6 +158,8 @@ export class MagicSystem {
         const player = this.game.player;
         const spell = this.spells[spellName];
         
+        this.game.events.emit('spellCast', { spellId: spellName, spell, caster: player });
+        
         switch (spellName) {
             case 'fireball':
                 this.spawnFireball(player);
@@ -389,9 +368,7 @@ export class MagicSystem {
         // Visual effect on player
         this.spawnHealEffect(player.position);
         
-        if (this.game.hud && this.game.hud.showMessage) {
-            this.game.hud.showMessage('Healing...', 2000);
-        }
+        this.game.events.emit('message', { text: 'Healing...', duration: 2000 });
     }
     
     updateHealing(deltaTime) {
@@ -403,7 +380,7 @@ export class MagicSystem {
         player.health = Math.min(player.maxHealth, player.health + healThisFrame);
         
         // Spawn occasional heal particles
-        if (Math.random() < 0.3) {
+        if (this.rng.next() < 0.3) {
             this.spawnHealParticle(player.position);
         }
         
@@ -448,7 +425,7 @@ export class MagicSystem {
                 this.projectiles.splice(i, 1);
             } else {
                 // Spawn trail particles
-                if (Math.random() < 0.5) {
+                if (this.rng.next() < 0.5) {
                     this.spawnTrailParticle(proj);
                 }
             }
@@ -465,7 +442,8 @@ export class MagicSystem {
         }
         
         // Check enemy collision
-        for (const enemy of this.game.enemies) {
+        const spatialIndex = this.game.spatialIndex;
+        for (const enemy of spatialIndex.queryRadius('enemies', pos.x, pos.z, 1.5)) {
             if (!enemy.isAlive) continue;
             
             const dist = pos.distanceTo(enemy.position.clone().add(new THREE.Vector3(0, 1, 0)));
@@ -477,7 +455,7 @@ export class MagicSystem {
         }
         
         // Check boss collision
-        for (const boss of this.game.bosses) {
+        for (const boss of spatialIndex.queryRadius('bosses', pos.x, pos.z, 3)) {
             if (!boss.isAlive) continue;
             
             const dist = pos.distanceTo(boss.position.clone().add(new THREE.Vector3(0, 2, 0)));
@@ -502,7 +480,8 @@ export class MagicSystem {
         const aoeRadius = proj.aoeRadius;
         
         // Damage enemies in radius
-        for (const enemy of this.game.enemies) {
+        const spatialIndex = this.game.spatialIndex;
+        for (const enemy of spatialIndex.queryRadius('enemies', pos.x, pos.z, aoeRadius)) {
             if (!enemy.isAlive) continue;
             
             const dist = pos.distanceTo(enemy.position);
@@ -514,7 +493,7 @@ export class MagicSystem {
         }
         
         // Damage bosses
-        for (const boss of this.game.bosses) {
+        for (const boss of spatialIndex.queryRadius('bosses', pos.x, pos.z, aoeRadius + 2)) {
             if (!boss.isAlive) continue;
             
             const dist = pos.distanceTo(boss.position);
@@ -576,9 +555,9 @@ export class MagicSystem {
     
     spawnHealParticle(position) {
         const pos = position.clone();
-        pos.y += 0.5 + Math.random();
-        pos.x += (Math.random() - 0.5) * 1;
-        pos.z += (Math.random() - 0.5) * 1;
+        pos.y += 0.5 + this.rng.next();
+        pos.x += (this.rng.next() - 0.5) * 1;
+        pos.z += (this.rng.next() - 0.5) * 1;
         
         this.game.particleSystem.createParticle({
             position: pos,
@@ -593,16 +572,16 @@ export class MagicSystem {
     
     spawnTrailParticle(proj) {
         const pos = proj.mesh.position.clone();
-        pos.x += (Math.random() - 0.5) * 0.3;
-        pos.y += (Math.random() - 0.5) * 0.3;
-        pos.z += (Math.random() - 0.5) * 0.3;
+        pos.x += (this.rng.next() - 0.5) * 0.3;
+        pos.y += (this.rng.next() - 0.5) * 0.3;
+        pos.z += (this.rng.next() - 0.5) * 0.3;
         
         this.game.particleSystem.createParticle({
             position: pos,
             velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.5,
-                (Math.random() - 0.5) * 0.5,
-                (Math.random() - 0.5) * 0.5
+                (this.rng.next() - 0.5) * 0.5,
+                (this.rng.next() - 0.5) * 0.5,
+                (this.rng.next() - 0.5) * 0.5
             ),
             color: proj.color,
             size: 0.1,
@@ -620,4 +599,23 @@ export class MagicSystem {
     getSpellCooldown(spellName) {
         return this.spellCooldowns[spellName] || 0;
     }
+    
+    // ==========================================
+    // SAVE STATE
+    // ==========================================
+    
+    getSaveState() {
+        return { currentSpell: this.currentSpell };
+    }
+    
+    // The selected spell carries into New Game+
+    getCarryOverState(state) {
+        return state;
+    }
+    
+    restoreSaveState(state) {
+        if (this.spells[state.currentSpell]) {
+            this.currentSpell = state.currentSpell;
+        }
+    }
 }
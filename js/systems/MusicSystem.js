@@ -3,6 +3,73 @@
  * Procedural music using Web Audio API that changes based on game state
  */
 
+// Exploration theme per biome (BIOMES[id].music): drone chord, its timbre and a sparse melody
+const EXPLORATION_THEMES = {
+    plains: {
+        drone: [65.41, 82.41, 98],          // C2, E2, G2
+        wave: 'sawtooth',
+        cutoff: 400,
+        melody: [
+            { freq: 261.63, time: 0, duration: 4 },    // C4
+            { freq: 329.63, time: 5, duration: 4 },    // E4
+            { freq: 293.66, time: 10, duration: 4 },   // D4
+            { freq: 246.94, time: 15, duration: 6 }    // B3
+        ]
+    },
+    forest: {
+        drone: [73.42, 87.31, 110],         // D2, F2, A2
+        wave: 'triangle',
+        cutoff: 600,
+        melody: [
+            { freq: 293.66, time: 0, duration: 3 },    // D4
+            { freq: 349.23, time: 4, duration: 3 },    // F4
+            { freq: 440, time: 8, duration: 4 },       // A4
+            { freq: 392, time: 13, duration: 5 }       // G4
+        ]
+    },
+    mountain: {
+        drone: [55, 82.41, 110],            // A1, E2, A2 - open fifths
+        wave: 'sawtooth',
+        cutoff: 300,
+        melody: [
+            { freq: 220, time: 0, duration: 6 },       // A3
+            { freq: 329.63, time: 7, duration: 6 },    // E4
+            { freq: 293.66, time: 14, duration: 7 }    // D4
+        ]
+    },
+    swamp: {
+        drone: [61.74, 65.41, 92.5],        // B1, C2, F#2 - uneasy
+        wave: 'sawtooth',
+        cutoff: 250,
+        melody: [
+            { freq: 233.08, time: 0, duration: 5 },    // A#3
+            { freq: 246.94, time: 6, duration: 5 },    // B3
+            { freq: 207.65, time: 12, duration: 7 }    // G#3
+        ]
+    },
+    ruins: {
+        drone: [55, 65.41, 77.78],          // A1, C2, D#2 - diminished
+        wave: 'square',
+        cutoff: 350,
+        melody: [
+            { freq: 220, time: 0, duration: 4 },       // A3
+            { freq: 261.63, time: 5, duration: 4 },    // C4
+            { freq: 311.13, time: 10, duration: 4 },   // D#4
+            { freq: 293.66, time: 15, duration: 6 }    // D4
+        ]
+    },
+    dungeon: {
+        drone: [41.2, 49, 58.27],           // E1, G1, A#1 - low and close
+        wave: 'triangle',
+        cutoff: 220,
+        melody: [
+            { freq: 164.81, time: 0, duration: 6 },    // E3
+            { freq: 174.61, time: 8, duration: 5 },    // F3
+            { freq: 155.56, time: 15, duration: 8 }    // D#3
+        ]
+    }
+};
+
 export class MusicSystem {
     constructor(game) {
         this.game = game;
@@ -16,6 +83,10 @@ export class MusicSystem {
         this.currentState = 'exploration';
         this.tracks = {};
         
+        // Exploration theme follows the biome the player is in
+        this.explorationTheme = 'plains';
+        game.events.on('biomeEntered', ({ biome }) => this.setExplorationTheme(biome.music));
+        
         // Settings
         this.enabled = true;
         this.volume = 0.3; // 30% volume by default
@@ -85,6 +156,17 @@ export class MusicSystem {
         }
     }
     
+    setExplorationTheme(theme) {
+        if (theme === this.explorationTheme || !EXPLORATION_THEMES[theme]) return;
+        
+        this.explorationTheme = theme;
+        
+        // Crossfade right away if we're exploring; otherwise it plays after the fight
+        if (this.audioContext && this.currentState === 'exploration') {
+            this.transitionToState('exploration');
+        }
+    }
+    
     determineGameState() {
         // Check if at a Site of Grace
         if (this.game.checkpointSystem && this.game.checkpointSystem.activeCheckpoint) {
@@ -139,7 +221,8 @@ export class MusicSystem {
         
         this.stopCurrentTrack();
         
-        // Exploration music - Low string drone with atmospheric melody
+        // Exploration music - Low string drone with atmospheric melody, voiced per biome
+        const theme = EXPLORATION_THEMES[this.explorationTheme] || EXPLORATION_THEMES.plains;
         const track = {
             oscillators: [],
             gains: [],
@@ -147,17 +230,17 @@ export class MusicSystem {
         };
         
         // Drone bass (deep strings)
-        const droneFreqs = [65.41, 82.41, 98]; // C2, E2, G2
+        const droneFreqs = theme.drone;
         droneFreqs.forEach((freq, i) => {
             const osc = this.audioContext.createOscillator();
             const gain = this.audioContext.createGain();
             const filter = this.audioContext.createBiquadFilter();
             
-            osc.type = 'sawtooth';
+            osc.type = theme.wave;
             osc.frequency.value = freq;
             
             filter.type = 'lowpass';
-            filter.frequency.value = 400;
+            filter.frequency.value = theme.cutoff;
             
             gain.gain.value = 0;
             gain.gain.linearRampToValueAtTime(0.08 / droneFreqs.length, this.audioContext.currentTime + 3);
@@ -174,12 +257,7 @@ export class MusicSystem {
         });
         
         // Atmospheric melody (slow, sparse)
-        this.playMelodyNotes(track, [
-            { freq: 261.63, time: 0, duration: 4 },    // C4
-            { freq: 329.63, time: 5, duration: 4 },    // E4
-            { freq: 293.66, time: 10, duration: 4 },   // D4
-            { freq: 246.94, time: 15, duration: 6 }    // B3
-        ], 'sine', 0.15);
+        this.playMelodyNotes(track, theme.melody, 'sine', 0.15);
         
         this.currentTrack = track;
         this.tracks.exploration = track;
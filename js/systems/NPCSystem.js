@@ -27,73 +27,27 @@ export class NPCSystem {
     }
     
     createNPCs() {
-        // Fire Keeper at starting bonfire
-        this.addNPC({
-            name: 'Fire Keeper',
-            type: 'firekeeper',
-            x: 3,
-            z: 0,
-            dialogue: [
-                "Welcome, Ashen One. I am the Fire Keeper.",
-                "I tend to the flame, and to thee.",
-                "Touch the bonfire to restore thy strength.",
-                "May the flames guide thee."
-            ],
-            services: ['levelUp']
-        });
-        
-        // Merchant near forest edge
-        this.addNPC({
-            name: 'Wandering Merchant',
-            type: 'merchant',
-            x: 25,
-            z: 25,
-            dialogue: [
-                "Ah, a customer! Welcome, weary traveler.",
-                "I sell various goods for souls.",
-                "Be careful in these lands... many have fallen.",
-                "Come back anytime. Stay safe out there."
-            ],
-            services: ['shop'],
-            inventory: [
-                { id: 'firebomb', price: 100 },
-                { id: 'throwingKnife', price: 50 },
-                { id: 'greenBlossom', price: 150 }
-            ]
-        });
+        // NPCs, their dialogue and wares come from the level file
+        this.game.level.npcs.forEach(config => this.addNPC(config));
+    }
+    
+    // Rebuild from the level after the level editor changed it (progress is kept by name)
+    rebuildNPCs() {
+        const state = this.getSaveState();
         
-        // Crestfallen Warrior
-        this.addNPC({
-            name: 'Crestfallen Warrior',
-            type: 'npc',
-            x: -15,
-            z: 8,
-            dialogue: [
-                "Oh, you're a new one, aren't you?",
-                "Let me guess... they sent you here too?",
-                "Well, good luck with that. Many have tried.",
-                "The boss to the northeast... it's strong.",
-                "I'd avoid it if I were you. But you won't listen.",
-                "Heh, they never do."
-            ]
+        this.npcs.forEach(npc => {
+            this.game.spatialIndex.remove(npc);
+            this.scene.remove(npc.mesh);
+            npc.mesh.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
         });
+        this.npcs = [];
+        this.activeNPC = null;
         
-        // Sorcerer NPC
-        this.addNPC({
-            name: 'Exiled Sorcerer',
-            type: 'sorcerer',
-            x: -30,
-            z: -25,
-            dialogue: [
-                "Ah, another soul seeking knowledge of the arcane.",
-                "Magic is both power and danger. Respect it.",
-                "Press Q to cast your equipped spell.",
-                "Press 1, 2, 3 to switch between spells.",
-                "The flames of a Fireball can devastate many foes.",
-                "May wisdom guide your spells."
-            ],
-            services: ['spells']
-        });
+        this.createNPCs();
+        this.restoreSaveState(state);
     }
     
     addNPC(config) {
@@ -103,14 +57,19 @@ export class NPCSystem {
             name: config.name,
             type: config.type,
             position: new THREE.Vector3(config.x, y, config.z),
+            rotation: THREE.MathUtils.degToRad(config.rotation || 0),
             dialogue: config.dialogue,
             services: config.services || [],
             inventory: config.inventory || [],
-            mesh: null
+            mesh: null,
+            
+            // Progress kept in saves
+            dialogueIndex: 0 // line the next conversation starts on
         };
         
         this.createNPCMesh(npc);
         this.npcs.push(npc);
+        this.game.spatialIndex.insert('npcs', npc, config.x, config.z);
     }
     
     createNPCMesh(npc) {
@@ -232,6 +191,7 @@ export class NPCSystem {
         // (Would normally use a sprite or CSS3D object, but keeping it simple)
         
         group.position.copy(npc.position);
+        group.rotation.y = npc.rotation;
         this.scene.add(group);
         npc.mesh = group;
     }
@@ -306,7 +266,7 @@ export class NPCSystem {
         if (!player) return;
         
         // Rotate NPCs to face player when nearby
-        this.npcs.forEach(npc => {
+        this.game.spatialIndex.queryRadius('npcs', player.position.x, player.position.z, 10).forEach(npc => {
             const distance = player.position.distanceTo(npc.position);
             
             if (distance < 10 && npc.mesh) {
@@ -325,16 +285,8 @@ export class NPCSystem {
     }
     
     checkNPCInteraction(player) {
-        let nearestNPC = null;
-        let nearestDistance = this.interactionRange;
-        
-        this.npcs.forEach(npc => {
-            const distance = player.position.distanceTo(npc.position);
-            if (distance < nearestDistance) {
-                nearestDistance = distance;
-                nearestNPC = npc;
-            }
-        });
+        const { x, z } = player.position;
+        const nearestNPC = this.game.spatialIndex.nearest('npcs', x, z, this.interactionRange);
         
         if (nearestNPC) {
             this.game.hud.showInteractionPrompt('Talk to ' + nearestNPC.name);
@@ -349,7 +301,7 @@ export class NPCSystem {
     startDialogue(npc) {
         this.activeNPC = npc;
         this.dialogueActive = true;
-        this.currentDialogueIndex = 0;
+        this.currentDialogueIndex = npc.dialogueIndex;
         this.game.isPaused = true;
         
         // Show dialogue UI
@@ -363,26 +315,18 @@ export class NPCSystem {
         // Release pointer lock
         document.exitPointerLock();
         
-        // Setup dialogue advancement
-        this.dialogueHandler = (e) => {
-            if (e.code === 'KeyE' || e.code === 'Space' || e.code === 'Enter') {
-                this.advanceDialogue();
-            }
-            if (e.code === 'Escape') {
-                this.endDialogue();
-            }
-        };
-        document.addEventListener('keydown', this.dialogueHandler);
+        // InputManager advances it on interact and ends it on pause, from any device
     }
     
     showCurrentDialogue() {
+        const input = this.game.inputManager;
         const dialogue = this.activeNPC.dialogue[this.currentDialogueIndex];
-        document.getElementById('dialogue-text').textContent = dialogue;
+        document.getElementById('dialogue-text').textContent = input.formatPrompt(dialogue);
         
         // Update continue prompt
         const isLast = this.currentDialogueIndex >= this.activeNPC.dialogue.length - 1;
         document.getElementById('dialogue-continue').textContent = 
-            isLast ? 'Press E to end' : 'Press E to continue';
+            input.formatPrompt(isLast ? 'Press {interact} to end' : 'Press {interact} to continue, {pause} to leave');
     }
     
     advanceDialogue() {
@@ -399,9 +343,9 @@ export class NPCSystem {
         this.dialogueActive = false;
         document.getElementById('dialogue-container').classList.add('hidden');
         
-        // Remove event listener
-        if (this.dialogueHandler) {
-            document.removeEventListener('keydown', this.dialogueHandler);
+        // Resume here next time; once everything is said, the last line repeats
+        if (this.activeNPC) {
+            this.activeNPC.dialogueIndex = Math.min(this.currentDialogueIndex, this.activeNPC.dialogue.length - 1);
         }
         
         // Check for services
@@ -486,9 +430,7 @@ export class NPCSystem {
         
         // Check if player has enough souls
         if (playerSouls < price) {
-            if (this.game.hud) {
-                this.game.hud.showMessage('Not enough souls!', 2000);
-            }
+            this.game.events.emit('message', { text: 'Not enough souls!', duration: 2000 });
             return;
         }
         
@@ -500,8 +442,8 @@ export class NPCSystem {
         
         // Show confirmation
         const itemDef = this.game.inventorySystem.itemDatabase[itemId];
-        if (this.game.hud && itemDef) {
-            this.game.hud.showMessage(`Purchased ${itemDef.name}!`, 2000);
+        if (itemDef) {
+            this.game.events.emit('message', { text: `Purchased ${itemDef.name}!`, duration: 2000 });
         }
         
         // Update souls display in shop
@@ -519,4 +461,24 @@ export class NPCSystem {
         this.activeNPC = null;
         this.game.isPaused = false;
     }
+    
+    // Conversation progress per NPC, keyed by name
+    getSaveState() {
+        const state = {};
+        this.npcs.forEach(npc => {
+            state[npc.name] = { dialogueIndex: npc.dialogueIndex };
+        });
+        return state;
+    }
+    
+    restoreSaveState(state) {
+        this.npcs.forEach(npc => {
+            const saved = state[npc.name];
+            if (!saved) return;
+            
+            if (Number.isInteger(saved.dialogueIndex)) {
+                npc.dialogueIndex = Math.min(Math.max(saved.dialogueIndex, 0), npc.dialogue.length - 1);
+            }
+        });
+    }
 }
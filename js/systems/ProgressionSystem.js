@@ -15,6 +15,9 @@ export class ProgressionSystem {
         // Level
         this.level = 1;
         
+        // New Game+ cycle (1 = first playthrough)
+        this.cycle = 1;
+        
         // Souls required for next level
         this.soulsForNextLevel = 100;
         this.levelScaling = 1.2; // Multiplier for each level
@@ -35,6 +38,17 @@ export class ProgressionSystem {
         };
         
         this.setupUI();
+        this.subscribeToEvents();
+    }
+    
+    subscribeToEvents() {
+        const events = this.game.events;
+        
+        events.on('enemyKilled', ({ souls }) => {
+            if (souls > 0) this.addSouls(souls);
+        });
+        events.on('bossDefeated', ({ souls }) => this.addSouls(souls));
+        events.on('playerDied', ({ position }) => this.dropSouls(position));
     }
     
     setupUI() {
@@ -124,9 +138,7 @@ export class ProgressionSystem {
             
             // Show "Souls Retrieved" message
             const soulsRetrieved = this.droppedSouls;
-            if (this.game.hud && this.game.hud.showMessage) {
-                this.game.hud.showMessage(`Souls Retrieved: ${soulsRetrieved.toLocaleString()}`);
-            }
+            this.game.events.emit('message', { text: `Souls Retrieved: ${soulsRetrieved.toLocaleString()}` });
             
             // Clean up
             this.droppedSouls = 0;
@@ -253,4 +265,21 @@ export class ProgressionSystem {
                 this.droppedSoulsPosition.y + 1 + Math.sin(Date.now() * 0.003) * 0.3;
         }
     }
+    
+    // Unrecovered souls stay where the player died
+    getSaveState() {
+        if (!this.droppedSoulsPosition) return { droppedSouls: 0, position: null };
+        
+        const { x, y, z } = this.droppedSoulsPosition;
+        return { droppedSouls: this.droppedSouls, position: { x, y, z } };
+    }
+    
+    restoreSaveState(state) {
+        this.losePermanentSouls();
+        if (!(state.droppedSouls > 0) || !state.position) return;
+        
+        this.droppedSouls = state.droppedSouls;
+        this.droppedSoulsPosition = new THREE.Vector3(state.position.x, state.position.y, state.position.z);
+        this.createDroppedSoulsMarker();
+    }
 }
@@ -0,0 +1,223 @@
+/**
+ * SaveFile.js - Save Export/Import & Validation
+ * Wraps a slot's save in a portable .json file with a checksum, and checks
+ * imported (or stored) saves against the expected shape so a hand-edited or
+ * corrupted file is rejected with a reason instead of half-loading
+ */
+
+const FILE_FORMAT = 'soulsborne3d-save';
+const FILE_VERSION = 1;
+
+const STAT_NAMES = ['vigor', 'endurance', 'strength', 'dexterity', 'intelligence', 'faith'];
+
+// 53-bit string hash (cyrb53) as hex - catches edits and corruption, not tampering on purpose
+function checksum(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkPosition(position, path, problems) {
+    if (!isObject(position) || !['x', 'y', 'z'].every(axis => isNumber(position[axis]))) {
+        problems.push(`${path} must have numeric x, y and z`);
+    }
+}
+
+export class SaveFile {
+    /**
+     * Check a save (already migrated to the current version) has the shape loadGame expects
+     * @param {Object} save
+     * @returns {string[]} problems, empty when the save is valid
+     */
+    static validate(save) {
+        const problems = [];
+        
+        if (!isObject(save)) {
+            return ['save must be an object'];
+        }
+        if (!Number.isInteger(save.version)) {
+            problems.push('version must be an integer');
+        }
+        if (save.playTime !== undefined && !(isNumber(save.playTime) && save.playTime >= 0)) {
+            problems.push('playTime must be a positive number');
+        }
+        
+        // Player
+        const player = save.player;
+        if (!isObject(player)) {
+            problems.push('player is missing');
+        } else {
+            if (!isObject(player.stats)) {
+                problems.push('player.stats is missing');
+            } else {
+                STAT_NAMES.forEach(stat => {
+                    const value = player.stats[stat];
+                    if (!Number.isInteger(value) || value < 1) {
+                        problems.push(`player.stats.${stat} must be a whole number of 1 or more`);
+                    }
+                });
+            }
+            ['maxHealth', 'maxStamina', 'maxMana'].forEach(field => {
+                if (!(isNumber(player[field]) && player[field] > 0)) {
+                    problems.push(`player.${field} must be a positive number`);
+                }
+            });
+            if (player.name !== undefined && typeof player.name !== 'string') {
+                problems.push('player.name must be text');
+            }
+        }
+        
+        // Progression
+        const progression = save.progression;
+        if (!isObject(progression)) {
+            problems.push('progression is missing');
+        } else {
+            if (!(isNumber(progression.souls) && progression.souls >= 0)) {
+                problems.push('progression.souls must be a number of 0 or more');
+            }
+            if (!(Number.isInteger(progression.level) && progression.level >= 1)) {
+                problems.push('progression.level must be a whole number of 1 or more');
+            }
+            if (!(Number.isInteger(progression.cycle) && progression.cycle >= 1)) {
+                problems.push('progression.cycle must be a whole number of 1 or more');
+            }
+        }
+        
+        // Checkpoint (null until the first rest)
+        if (save.checkpoint != null) {
+            if (!isObject(save.checkpoint) || typeof save.checkpoint.name !== 'string') {
+                problems.push('checkpoint.name must be text');
+            } else {
+                checkPosition(save.checkpoint.position, 'checkpoint.position', problems);
+            }
+        }
+        
+        ['discoveredCheckpoints', 'defeatedBosses'].forEach(field => {
+            const list = save[field];
+            if (list !== undefined && !(Array.isArray(list) && list.every(name => typeof name === 'string'))) {
+                problems.push(`${field} must be a list of names`);
+            }
+        });
+        
+        // Inventory and equipment
+        if (save.inventory !== undefined) {
+            if (!Array.isArray(save.inventory)) {
+                problems.push('inventory must be a list');
+            } else {
+                save.inventory.forEach((item, index) => {
+                    if (!isObject(item) || typeof item.id !== 'string' || !(isNumber(item.quantity) && item.quantity >= 0)) {
+                        problems.push(`inventory[${index}] must have an id and a quantity`);
+                    }
+                });
+            }
+        }
+        if (save.equipment != null) {
+            if (!isObject(save.equipment)) {
+                problems.push('equipment must be an object');
+            } else {
+                Object.entries(save.equipment).forEach(([slot, itemId]) => {
+                    if (itemId !== null && typeof itemId !== 'string') {
+                        problems.push(`equipment.${slot} must be an item id or empty`);
+                    }
+                });
+            }
+        }
+        
+        // World
+        if (save.world !== undefined) {
+            if (!isObject(save.world)) {
+                problems.push('world must be an object');
+            } else {
+                if (save.world.seed != null && !isNumber(save.world.seed)) {
+                    problems.push('world.seed must be a number');
+                }
+                if (save.world.dayTime !== undefined && !isNumber(save.world.dayTime)) {
+                    problems.push('world.dayTime must be a number');
+                }
+            }
+        }
+        
+        // Sections are checked by the systems that restore them
+        if (save.sections !== undefined && !isObject(save.sections)) {
+            problems.push('sections must be an object');
+        }
+        
+        return problems;
+    }
+    
+    /**
+     * Wrap stored save JSON in an export file
+     * @param {string} saveData - save JSON as stored in the slot
+     * @returns {string} file contents
+     */
+    static create(saveData) {
+        return JSON.stringify({
+            format: FILE_FORMAT,
+            fileVersion: FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            checksum: checksum(saveData),
+            save: saveData
+        }, null, 2);
+    }
+    
+    /**
+     * Read an export file back into a save, upgraded to the current version
+     * @param {string} text - file contents
+     * @param {SaveMigrator} migrator
+     * @returns {Object} save ready to store in a slot
+     * @throws {Error} with the reason the file was rejected
+     */
+    static parse(text, migrator) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+        
+        if (!isObject(file) || file.format !== FILE_FORMAT) {
+            throw new Error('Not a Soulsborne 3D save file');
+        }
+        if (file.fileVersion !== FILE_VERSION) {
+            throw new Error(`Unsupported save file version: ${file.fileVersion}`);
+        }
+        if (typeof file.save !== 'string' || typeof file.checksum !== 'string') {
+            throw new Error('File is missing its save data or checksum');
+        }
+        if (checksum(file.save) !== file.checksum) {
+            throw new Error('Checksum mismatch - the file was edited or corrupted');
+        }
+        
+        let save;
+        try {
+            save = JSON.parse(file.save);
+        } catch (error) {
+            throw new Error('Save data inside the file is not valid JSON');
+        }
+        
+        // Throws for saves from a newer game version
+        const { data } = migrator.migrate(save);
+        
+        const problems = SaveFile.validate(data);
+        if (problems.length > 0) {
+            throw new Error(`Invalid save: ${problems.join('; ')}`);
+        }
+        
+        return data;
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * SaveMigrator.js - Save Format Versioning
+ * Upgrades old saves one version at a time (v1 -> v2 -> ...) so schema
+ * changes never wipe progress. Each step is a pure function: it returns a
+ * new save object and never modifies the one it was given.
+ */
+
+export const CURRENT_SAVE_VERSION = 4;
+
+/**
+ * v1 -> v2: fields added to v1 saves without a version bump
+ * (world seed, character name/class, play time) become part of the format
+ */
+export function migrateV1ToV2(save) {
+    const player = save.player || {};
+    const world = save.world || {};
+    
+    return {
+        ...save,
+        version: 2,
+        playTime: save.playTime || 0,
+        player: {
+            ...player,
+            name: player.name || 'Tarnished',
+            characterClass: player.characterClass || 'wanderer'
+        },
+        world: {
+            ...world,
+            seed: Number.isFinite(world.seed) ? world.seed : null
+        }
+    };
+}
+
+/**
+ * v2 -> v3: systems keep their own state under `sections`
+ * (collected world items, quick slots, dropped souls, spells, NPCs, weather)
+ */
+export function migrateV2ToV3(save) {
+    return {
+        ...save,
+        version: 3,
+        sections: {}
+    };
+}
+
+// v3 -> v4: New Game+ cycle (every earlier save is on its first playthrough)
+export function migrateV3ToV4(save) {
+    return {
+        ...save,
+        version: 4,
+        progression: { ...save.progression, cycle: 1 }
+    };
+}
+
+export class SaveMigrator {
+    constructor(currentVersion = CURRENT_SAVE_VERSION) {
+        this.currentVersion = currentVersion;
+        
+        // from version -> step returning the save at version + 1
+        this.migrations = new Map();
+        
+        this.register(1, migrateV1ToV2);
+        this.register(2, migrateV2ToV3);
+        this.register(3, migrateV3ToV4);
+    }
+    
+    /**
+     * Register the step that upgrades saves from one version to the next
+     * @param {number} fromVersion
+     * @param {Function} migrate - pure function (save) => save at fromVersion + 1
+     */
+    register(fromVersion, migrate) {
+        if (this.migrations.has(fromVersion)) {
+            console.warn(`SaveMigrator: replacing migration from v${fromVersion}`);
+        }
+        this.migrations.set(fromVersion, migrate);
+        return this;
+    }
+    
+    isNewer(save) {
+        return Number.isInteger(save && save.version) && save.version > this.currentVersion;
+    }
+    
+    /**
+     * Upgrade a parsed save to the current version
+     * @param {Object} save
+     * @returns {{ data: Object, fromVersion: number, migrated: boolean }}
+     * @throws {Error} if the save is from a newer game version or can't be upgraded
+     */
+    migrate(save) {
+        const fromVersion = save && save.version;
+        
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            throw new Error(`Save has no valid version (${fromVersion})`);
+        }
+        if (this.isNewer(save)) {
+            throw new Error(`This save was made by a newer version of the game (save v${fromVersion}, game supports v${this.currentVersion}). Update the game to load it.`);
+        }
+        
+        let data = save;
+        while (data.version < this.currentVersion) {
+            const step = this.migrations.get(data.version);
+            if (!step) {
+                throw new Error(`No migration from save v${data.version}`);
+            }
+            
+            const next = step(data);
+            if (!next || next.version !== data.version + 1) {
+                throw new Error(`Migration from save v${data.version} did not produce v${data.version + 1}`);
+            }
+            data = next;
+        }
+        
+        return { data, fromVersion, migrated: data !== save };
+    }
+}
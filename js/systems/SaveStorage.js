@@ -0,0 +1,189 @@
+/**
+ * SaveStorage.js - Save Storage Backends
+ * Keeps save data in IndexedDB (no size ceiling, off the main thread, atomic
+ * writes) and falls back to localStorage where IndexedDB is unavailable.
+ * Everything is cached in memory after init(), so reads stay synchronous;
+ * writes are queued to the backend in order.
+ */
+
+const DB_NAME = 'soulsborne3d';
+const DB_VERSION = 1;
+const STORE_NAME = 'saves';
+
+class IndexedDBBackend {
+    constructor() {
+        this.name = 'indexedDB';
+        this.db = null;
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+        });
+    }
+    
+    // Run a request in its own transaction and resolve once it has committed
+    transaction(mode, createRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    
+    // Keys and values are read in one transaction, so a write from another tab can't land between them
+    async readAll() {
+        let keysRequest;
+        const values = await this.transaction('readonly', store => {
+            keysRequest = store.getAllKeys();
+            return store.getAll();
+        });
+        return keysRequest.result.map((key, index) => [key, values[index]]);
+    }
+    
+    write(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+    
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+class LocalStorageBackend {
+    constructor(prefix) {
+        this.name = 'localStorage';
+        this.prefix = prefix;
+        
+        // Held so queued writes finish in the storage they were made for
+        this.storage = localStorage;
+    }
+    
+    async open() {}
+    
+    async readAll() {
+        return LocalStorageBackend.readEntries(this.storage, this.prefix);
+    }
+    
+    async write(key, value) {
+        this.storage.setItem(key, value);
+    }
+    
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+    
+    static readEntries(storage, prefix) {
+        const entries = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                entries.push([key, storage.getItem(key)]);
+            }
+        }
+        return entries;
+    }
+}
+
+export class SaveStorage {
+    /**
+     * @param {string} prefix - only keys starting with this are managed (e.g. 'soulsborne3d_save')
+     * @param {Object} [options]
+     * @param {Function} [options.onError] - called with (error, key) when a backend write fails
+     */
+    constructor(prefix, options = {}) {
+        this.prefix = prefix;
+        this.onError = options.onError || null;
+        this.backend = null;
+        this.cache = new Map();
+        
+        // Backend writes run one after another in call order
+        this.queue = Promise.resolve();
+    }
+    
+    /**
+     * Open the best available backend and load every save into memory
+     */
+    async init() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                const backend = new IndexedDBBackend();
+                await backend.open();
+                this.backend = backend;
+                await this.importLocalStorage();
+            } catch (error) {
+                console.warn('IndexedDB unavailable, saving to localStorage instead:', error);
+                this.backend = null;
+            }
+        }
+        
+        if (!this.backend) {
+            this.backend = new LocalStorageBackend(this.prefix);
+        }
+        
+        const entries = await this.backend.readAll();
+        entries.forEach(([key, value]) => this.cache.set(key, value));
+        console.log(`Save storage: ${this.backend.name} (${this.cache.size} entries)`);
+    }
+    
+    // Saves written before IndexedDB was used move over once, then leave localStorage
+    async importLocalStorage() {
+        const entries = LocalStorageBackend.readEntries(localStorage, this.prefix);
+        if (entries.length === 0) return;
+        
+        // Removed one by one so an interrupted move never re-imports a key that already moved
+        for (const [key, value] of entries) {
+            await this.backend.write(key, value);
+            localStorage.removeItem(key);
+        }
+        console.log(`Moved ${entries.length} saves from localStorage to IndexedDB`);
+    }
+    
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.cache.set(key, value);
+        this.enqueue(() => this.backend.write(key, value), key);
+    }
+    
+    removeItem(key) {
+        this.cache.delete(key);
+        this.enqueue(() => this.backend.remove(key), key);
+    }
+    
+    keys() {
+        return [...this.cache.keys()];
+    }
+    
+    enqueue(operation, key) {
+        this.queue = this.queue
+            .then(operation)
+            .catch(error => {
+                // e.g. quota exceeded - the in-memory copy is still used this session
+                console.error(`Save storage failed to update ${key}:`, error);
+                if (this.onError) {
+                    this.onError(error, key);
+                }
+            });
+    }
+    
+    /**
+     * Resolves once every queued write has reached the backend
+     */
+    flush() {
+        return this.queue;
+    }
+}
@@ -1,20 +1,57 @@
 /**
  * SaveSystem.js - Save/Load System
- * Handles saving and loading game state to localStorage
+ * Handles saving and loading game state (IndexedDB, or localStorage as a fallback).
+ * Saves live in numbered slots so several players can share a device;
+ * saving (including autosave) always writes to the active slot and keeps
+ * the previous saves as rolling backups to recover from corruption.
+ * Old save versions are upgraded through SaveMigrator on load.
+ * Systems store their own state in named save sections (registerSection).
  */
 
+import { SaveMigrator, CURRENT_SAVE_VERSION } from './SaveMigrator.js';
+import { SaveFile } from './SaveFile.js';
+import { SaveStorage } from './SaveStorage.js';
+
 export class SaveSystem {
     constructor(game) {
         this.game = game;
         
-        // Save key
+        // Save keys (slot N is stored under `${saveKey}_N`)
         this.saveKey = 'soulsborne3d_save';
+        this.activeSlotKey = 'soulsborne3d_active_slot';
         this.settingsKey = 'soulsborne3d_settings';
         
+        // Save slots
+        this.slotCount = 5;
+        this.activeSlot = this.loadActiveSlot();
+        
+        // Previous saves kept per slot (slot key + `_rolling_1` is the newest)
+        this.maxBackups = 3;
+        
+        // Save data lives here; call init() before reading saves
+        this.storage = new SaveStorage(this.saveKey, {
+            onError: () => {
+                this.game.events.emit('message', { text: 'Saving failed - storage may be full', duration: 4000 });
+            }
+        });
+        
+        // Seconds played in the current game (excludes pauses and menus)
+        this.playTime = 0;
+        
+        // Upgrades saves written by older versions of the game
+        this.migrator = new SaveMigrator();
+        
         // Auto-save timer
         this.autoSaveInterval = 60; // seconds
         this.autoSaveTimer = 0;
         
+        // Replays load from their recorded save and never overwrite the player's save
+        this.snapshotOverride = null;
+        this.persist = true;
+        
+        // name -> { save, restore } for state owned by other systems
+        this.sections = new Map();
+        
         // Track what's been defeated
         this.defeatedBosses = [];
         this.discoveredCheckpoints = [];
@@ -23,9 +60,61 @@ export class SaveSystem {
         this.inCombat = false;
         this.combatCheckTimer = 0;
         this.combatCheckInterval = 1; // Check every 1 second
+        
+        // Persist after other subscribers have applied the event (souls, restores)
+        game.events.on('bossDefeated', ({ boss }) => this.registerBossDefeat(boss), { priority: 100 });
+        game.events.on('checkpointRested', ({ checkpoint }) => this.saveAtCheckpoint(checkpoint), { priority: 100 });
+    }
+    
+    /**
+     * Open save storage and load every slot into memory
+     */
+    async init() {
+        await this.storage.init();
+        this.moveLegacySave();
+    }
+    
+    /**
+     * Let a system keep its own state in saves
+     * @param {string} name - key under `sections` in the save
+     * @param {Object} handlers
+     * @param {Function} handlers.save - returns the section's JSON-safe state
+     * @param {Function} handlers.restore - called with that state after a save loads
+     * @param {Function} [handlers.carryOver] - returns what the state keeps into the next
+     *   New Game+ cycle; sections without it start the new cycle fresh
+     */
+    registerSection(name, { save, restore, carryOver = null }) {
+        if (this.sections.has(name)) {
+            console.warn(`SaveSystem: section "${name}" is already registered`);
+            return;
+        }
+        this.sections.set(name, { save, restore, carryOver });
+    }
+    
+    getSectionsData() {
+        const sections = {};
+        this.sections.forEach(({ save }, name) => {
+            sections[name] = save();
+        });
+        return sections;
+    }
+    
+    // Sections missing from the save keep their defaults; a bad section doesn't stop the rest loading
+    restoreSections(sections) {
+        this.sections.forEach(({ restore }, name) => {
+            if (!sections || sections[name] == null) return;
+            
+            try {
+                restore(sections[name]);
+            } catch (error) {
+                console.warn(`Failed to restore save section "${name}":`, error);
+            }
+        });
     }
     
     update(deltaTime) {
+        this.playTime += deltaTime;
+        
         // Update combat check timer (less frequent than every frame)
         this.combatCheckTimer += deltaTime;
         if (this.combatCheckTimer >= this.combatCheckInterval) {
@@ -52,12 +141,21 @@ export class SaveSystem {
             const player = this.game.player;
             const progression = this.game.progressionSystem;
             
+            // Never replace a save this version of the game can't read
+            if (this.slotHasNewerSave(this.activeSlot)) {
+                this.refuseNewerSave(this.activeSlot);
+                return false;
+            }
+            
             const saveData = {
-                version: 1,
+                version: CURRENT_SAVE_VERSION,
                 timestamp: Date.now(),
+                playTime: Math.floor(this.playTime),
                 
                 // Player stats
                 player: {
+                    name: player.name,
+                    characterClass: player.characterClass,
                     stats: { ...player.stats },
                     maxHealth: player.maxHealth,
                     maxStamina: player.maxStamina,
@@ -72,7 +170,8 @@ export class SaveSystem {
                 // Progression
                 progression: {
                     souls: progression.souls,
-                    level: progression.level
+                    level: progression.level,
+                    cycle: progression.cycle
                 },
                 
                 // Checkpoint
@@ -92,16 +191,20 @@ export class SaveSystem {
                 
                 // World state
                 world: {
+                    seed: this.game.rng ? this.game.rng.seed : null,
                     dayTime: this.game.visualEffects ? this.game.visualEffects.dayTime : 0.35
-                }
+                },
+                
+                // State owned by other systems
+                sections: this.getSectionsData()
             };
             
-            localStorage.setItem(this.saveKey, JSON.stringify(saveData));
+            if (this.persist) {
+                this.writeSave(this.activeSlot, saveData);
+            }
             
             // Show save notification
-            if (this.game.hud && this.game.hud.showMessage) {
-                this.game.hud.showMessage('Game Saved', 1500);
-            }
+            this.game.events.emit('message', { text: 'Game Saved', duration: 1500 });
             
             return true;
         } catch (error) {
@@ -112,22 +215,38 @@ export class SaveSystem {
     
     loadGame() {
         try {
-            const saveData = localStorage.getItem(this.saveKey);
-            if (!saveData) {
+            if (this.slotHasNewerSave(this.activeSlot)) {
+                this.refuseNewerSave(this.activeSlot);
                 return false;
             }
             
-            const data = JSON.parse(saveData);
-            
-            // Validate version
-            if (data.version !== 1) {
-                console.warn('Save version mismatch');
+            // Everything is checked up front so a damaged save can't half-load
+            let save;
+            try {
+                save = this.readUsableSave();
+            } catch (error) {
+                console.warn(`Save in slot ${this.activeSlot} is damaged:`, error.message);
+                this.game.events.emit('message', { text: `Slot ${this.activeSlot} save is damaged and was not loaded`, duration: 5000 });
+                return false;
+            }
+            if (!save) {
                 return false;
             }
             
+            const data = save.data;
+            if (save.backup > 0) {
+                this.recoverFromBackup(save);
+            } else if (save.migrated) {
+                this.storeMigratedSave(save.raw, data, save.fromVersion);
+            }
+            
+            this.playTime = data.playTime || 0;
+            
             // Restore player stats
             const player = this.game.player;
             if (data.player) {
+                player.name = data.player.name || player.name;
+                player.characterClass = data.player.characterClass || player.characterClass;
                 Object.assign(player.stats, data.player.stats);
                 player.maxHealth = data.player.maxHealth;
                 player.maxStamina = data.player.maxStamina;
@@ -142,6 +261,7 @@ export class SaveSystem {
             if (data.progression) {
                 progression.souls = data.progression.souls;
                 progression.level = data.progression.level;
+                progression.cycle = data.progression.cycle;
             }
             
             // Restore checkpoint and position
@@ -176,10 +296,10 @@ export class SaveSystem {
                 this.game.visualEffects.dayTime = data.world.dayTime;
             }
             
+            this.restoreSections(data.sections);
+            
             // Show load notification
-            if (this.game.hud && this.game.hud.showMessage) {
-                this.game.hud.showMessage('Game Loaded', 1500);
-            }
+            this.game.events.emit('message', { text: 'Game Loaded', duration: 1500 });
             
             return true;
         } catch (error) {
@@ -188,12 +308,390 @@ export class SaveSystem {
         }
     }
     
-    hasSaveData() {
-        return localStorage.getItem(this.saveKey) !== null;
+    // Every write goes through here so the previous save becomes a rolling backup
+    writeSave(slot, saveData) {
+        this.rotateBackups(slot);
+        this.storage.setItem(this.getSlotKey(slot), JSON.stringify(saveData));
+    }
+    
+    /**
+     * Back up the original save, then replace it with the upgraded one
+     * @param {string} original - save JSON as it was stored
+     * @param {Object} data - migrated save
+     * @param {number} fromVersion
+     */
+    storeMigratedSave(original, data, fromVersion) {
+        if (!this.persist) return;
+        
+        const slotKey = this.getSlotKey(this.activeSlot);
+        this.storage.setItem(`${slotKey}_backup_v${fromVersion}`, original);
+        this.storage.setItem(slotKey, JSON.stringify(data));
+        console.log(`Save in slot ${this.activeSlot} upgraded from v${fromVersion} to v${data.version} (backup kept)`);
+    }
+    
+    /**
+     * Replace a corrupted save with the backup it was recovered from.
+     * The corrupted save is kept (slot key + `_corrupt`) for bug reports.
+     */
+    recoverFromBackup(save) {
+        const slot = this.activeSlot;
+        const text = `Slot ${slot} save was damaged - restored an earlier autosave`;
+        console.warn(text);
+        this.game.events.emit('message', { text, duration: 5000 });
+        
+        if (!this.persist) return;
+        
+        const slotKey = this.getSlotKey(slot);
+        this.storage.setItem(`${slotKey}_corrupt`, this.storage.getItem(slotKey));
+        this.storage.setItem(slotKey, JSON.stringify(save.data));
+    }
+    
+    // ==========================================
+    // ROLLING BACKUPS
+    // ==========================================
+    
+    getBackupKey(slot, index) {
+        return `${this.getSlotKey(slot)}_rolling_${index}`;
+    }
+    
+    // Backup save strings for a slot, newest first
+    getBackups(slot) {
+        if (this.snapshotOverride !== null) return [];
+        
+        const backups = [];
+        for (let i = 1; i <= this.maxBackups; i++) {
+            const backup = this.storage.getItem(this.getBackupKey(slot, i));
+            if (backup !== null) {
+                backups.push(backup);
+            }
+        }
+        return backups;
+    }
+    
+    // Push the slot's current save onto its backups before it is overwritten
+    rotateBackups(slot) {
+        const current = this.storage.getItem(this.getSlotKey(slot));
+        if (current === null) return;
+        
+        // A broken save would only push out good backups
+        try {
+            this.parseSave(current);
+        } catch (error) {
+            return;
+        }
+        
+        for (let i = this.maxBackups; i > 1; i--) {
+            const older = this.storage.getItem(this.getBackupKey(slot, i - 1));
+            if (older !== null) {
+                this.storage.setItem(this.getBackupKey(slot, i), older);
+            }
+        }
+        this.storage.setItem(this.getBackupKey(slot, 1), current);
+    }
+    
+    /**
+     * Parse, upgrade and validate save JSON
+     * @returns {{ data: Object, fromVersion: number, migrated: boolean }}
+     * @throws {Error} if the save is corrupted, damaged or from a newer version
+     */
+    parseSave(saveData) {
+        let parsed;
+        try {
+            parsed = JSON.parse(saveData);
+        } catch (error) {
+            throw new Error('Corrupted save: not valid JSON');
+        }
+        
+        const result = this.migrator.migrate(parsed);
+        const problems = SaveFile.validate(result.data);
+        if (problems.length > 0) {
+            throw new Error(`Damaged save: ${problems[0]}`);
+        }
+        return result;
+    }
+    
+    /**
+     * Newest usable save in a slot: the save itself, or the newest rolling
+     * backup that validates if the save is corrupted
+     * @returns {Object|null} { data, raw, fromVersion, migrated, backup } - backup is 0 for the save
+     *   itself, or null for an empty slot
+     * @throws {Error} if the save is from a newer version or nothing in the slot is usable
+     */
+    readUsableSave(slot = this.activeSlot) {
+        const saveData = this.readSaveString(slot);
+        if (!saveData) return null;
+        
+        // An intact save from a newer version is refused, never skipped for an older backup
+        if (this.slotHasNewerSave(slot)) {
+            return { ...this.parseSave(saveData), raw: saveData, backup: 0 };
+        }
+        
+        const candidates = [saveData, ...this.getBackups(slot)];
+        let firstError = null;
+        
+        for (let i = 0; i < candidates.length; i++) {
+            try {
+                return { ...this.parseSave(candidates[i]), raw: candidates[i], backup: i };
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+        
+        throw firstError;
+    }
+    
+    // True if the slot holds a save written by a newer version of the game
+    slotHasNewerSave(slot) {
+        try {
+            const saveData = this.readSaveString(slot);
+            return saveData !== null && this.migrator.isNewer(JSON.parse(saveData));
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    refuseNewerSave(slot) {
+        const text = `Slot ${slot} was saved by a newer version of the game. Update the game to use it.`;
+        console.warn(text);
+        this.game.events.emit('message', { text, duration: 5000 });
+    }
+    
+    /**
+     * Parsed save for a slot, upgraded to the current version (not written back)
+     * @throws {Error} if neither the save nor its backups are usable, or it is from a newer version
+     */
+    readSaveData(slot = this.activeSlot) {
+        const save = this.readUsableSave(slot);
+        return save ? save.data : null;
+    }
+    
+    // World seed from the save, read before the world is generated
+    getSavedSeed() {
+        try {
+            const data = this.readSaveData();
+            if (!data) return null;
+            
+            return data.world && Number.isFinite(data.world.seed) ? data.world.seed : null;
+        } catch (error) {
+            console.warn('Failed to read world seed from save:', error);
+            return null;
+        }
+    }
+    
+    // New Game+ cycle from the save, read before enemies are spawned and scaled
+    getSavedCycle() {
+        try {
+            const data = this.readSaveData();
+            return data ? data.progression.cycle : 1;
+        } catch (error) {
+            console.warn('Failed to read New Game+ cycle from save:', error);
+            return 1;
+        }
+    }
+    
+    /**
+     * Short description of a slot's save for the slot list
+     * @param {number} [slot] - defaults to the active slot
+     * @returns {Object|null} { slot, name, level, cycle, souls, playTime, checkpoint, timestamp },
+     *   { slot, error } if the save can't be read, or null for an empty slot
+     */
+    getSaveSummary(slot = this.activeSlot) {
+        try {
+            const data = this.readSaveData(slot);
+            if (!data) return null;
+            
+            return {
+                slot,
+                name: (data.player && data.player.name) || 'Tarnished',
+                level: data.progression ? data.progression.level : 1,
+                cycle: data.progression ? data.progression.cycle : 1,
+                souls: data.progression ? data.progression.souls : 0,
+                playTime: data.playTime || 0,
+                checkpoint: data.checkpoint ? data.checkpoint.name : null,
+                timestamp: data.timestamp || null
+            };
+        } catch (error) {
+            console.warn(`Failed to read save summary for slot ${slot}: ${error.message}`);
+            return { slot, error: error.message };
+        }
+    }
+    
+    hasSaveData(slot = this.activeSlot) {
+        return this.readSaveString(slot) !== null;
+    }
+    
+    // Raw save JSON (the replay snapshot while one is in use)
+    readSaveString(slot = this.activeSlot) {
+        if (this.snapshotOverride !== null) {
+            return this.snapshotOverride || null;
+        }
+        return this.storage.getItem(this.getSlotKey(slot));
+    }
+    
+    /**
+     * Run from a fixed save snapshot without touching stored saves (replays)
+     * @param {string|null} snapshot - save JSON, or null for a fresh game
+     */
+    useSnapshot(snapshot) {
+        this.snapshotOverride = snapshot || '';
+        this.persist = false;
     }
     
     deleteSave() {
-        localStorage.removeItem(this.saveKey);
+        this.deleteSlot(this.activeSlot);
+    }
+    
+    // ==========================================
+    // SAVE SLOTS
+    // ==========================================
+    
+    getSlotKey(slot) {
+        return `${this.saveKey}_${slot}`;
+    }
+    
+    isValidSlot(slot) {
+        return Number.isInteger(slot) && slot >= 1 && slot <= this.slotCount;
+    }
+    
+    // Saves from before slots existed become slot 1
+    moveLegacySave() {
+        const legacy = this.storage.getItem(this.saveKey);
+        if (legacy === null) return;
+        
+        if (this.storage.getItem(this.getSlotKey(1)) === null) {
+            this.storage.setItem(this.getSlotKey(1), legacy);
+        }
+        this.storage.removeItem(this.saveKey);
+    }
+    
+    loadActiveSlot() {
+        const slot = parseInt(localStorage.getItem(this.activeSlotKey), 10);
+        return this.isValidSlot(slot) ? slot : 1;
+    }
+    
+    /**
+     * Choose the slot that saving and autosave write to
+     * @param {number} slot
+     */
+    setActiveSlot(slot) {
+        if (!this.isValidSlot(slot)) {
+            console.warn(`Invalid save slot: ${slot}`);
+            return false;
+        }
+        
+        this.activeSlot = slot;
+        if (this.persist) {
+            localStorage.setItem(this.activeSlotKey, String(slot));
+        }
+        return true;
+    }
+    
+    /**
+     * Every slot with its summary (null when empty)
+     * @returns {Array<{ slot: number, summary: Object|null }>}
+     */
+    listSlots() {
+        const slots = [];
+        for (let slot = 1; slot <= this.slotCount; slot++) {
+            slots.push({ slot, summary: this.getSaveSummary(slot) });
+        }
+        return slots;
+    }
+    
+    // Slot saved most recently (what Continue loads), or null if there are no loadable saves
+    getMostRecentSlot() {
+        let latest = null;
+        this.listSlots().forEach(({ slot, summary }) => {
+            if (summary && !summary.error && (!latest || (summary.timestamp || 0) > (latest.timestamp || 0))) {
+                latest = summary;
+            }
+        });
+        return latest ? latest.slot : null;
+    }
+    
+    findEmptySlot() {
+        const empty = this.listSlots().find(({ summary }) => !summary);
+        return empty ? empty.slot : null;
+    }
+    
+    /**
+     * Copy a save to another slot (overwrites the target)
+     * @returns {boolean} success
+     */
+    copySlot(fromSlot, toSlot) {
+        if (!this.isValidSlot(fromSlot) || !this.isValidSlot(toSlot) || fromSlot === toSlot) {
+            console.warn(`Invalid slot copy: ${fromSlot} -> ${toSlot}`);
+            return false;
+        }
+        
+        const saveData = this.storage.getItem(this.getSlotKey(fromSlot));
+        if (saveData === null) return false;
+        
+        this.storage.setItem(this.getSlotKey(toSlot), saveData);
+        return true;
+    }
+    
+    // Removes the save along with its backups
+    deleteSlot(slot) {
+        if (!this.isValidSlot(slot)) return;
+        
+        const slotKey = this.getSlotKey(slot);
+        this.storage.keys()
+            .filter(key => key === slotKey || key.startsWith(`${slotKey}_`))
+            .forEach(key => this.storage.removeItem(key));
+    }
+    
+    // ==========================================
+    // EXPORT / IMPORT
+    // ==========================================
+    
+    /**
+     * Download a slot's save as a .json file (moving machines, bug reports).
+     * Damaged saves are exported as-is so they can still be sent to us.
+     * @param {number} [slot] - defaults to the active slot
+     */
+    exportSlot(slot = this.activeSlot) {
+        const saveData = this.readSaveString(slot);
+        if (!saveData) {
+            console.warn(`Nothing to export in slot ${slot}`);
+            return false;
+        }
+        
+        try {
+            const summary = this.getSaveSummary(slot);
+            const name = summary && summary.name ? summary.name.replace(/[^a-z0-9]+/gi, '-') : 'save';
+            const date = new Date().toISOString().slice(0, 10);
+            
+            const blob = new Blob([SaveFile.create(saveData)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `soulsborne3d-slot${slot}-${name}-${date}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return true;
+        } catch (error) {
+            console.error('Failed to export save:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Import an exported save file into a slot (overwrites it)
+     * @param {string} text - file contents
+     * @param {number} slot
+     * @throws {Error} with the reason the file was rejected (bad checksum, invalid save, ...)
+     */
+    importSave(text, slot) {
+        if (!this.isValidSlot(slot)) {
+            throw new Error(`Invalid save slot: ${slot}`);
+        }
+        
+        const save = SaveFile.parse(text, this.migrator);
+        this.storage.setItem(this.getSlotKey(slot), JSON.stringify(save));
+        return save;
     }
     
     getCheckpointData() {
@@ -304,6 +802,58 @@ export class SaveSystem {
         }
         
         this.saveGame();
+        
+        if (this.canBeginNewGamePlus()) {
+            this.game.events.emit('message', { text: 'All great enemies felled. New Game+ awaits in the pause menu', duration: 5000 });
+        }
+    }
+    
+    // ==========================================
+    // NEW GAME+
+    // ==========================================
+    
+    // Every boss in the world has been defeated
+    canBeginNewGamePlus() {
+        // Dungeon mini-bosses are optional
+        const bosses = this.game.bosses.filter(boss => !boss.isMiniBoss);
+        return bosses.length > 0 && bosses.every(boss => this.defeatedBosses.includes(boss.name));
+    }
+    
+    /**
+     * Write the next New Game+ cycle to the active slot. Level, stats, souls,
+     * inventory and equipment carry over; bosses, Sites of Grace and world
+     * state reset. The world is rebuilt when the save is next loaded.
+     * @returns {boolean} true if the new cycle was saved
+     */
+    saveNewGamePlus() {
+        if (!this.persist || !this.canBeginNewGamePlus() || !this.saveGame()) {
+            return false;
+        }
+        
+        try {
+            const data = this.readSaveData();
+            
+            const sections = {};
+            this.sections.forEach(({ carryOver }, name) => {
+                if (carryOver && data.sections[name] != null) {
+                    sections[name] = carryOver(data.sections[name]);
+                }
+            });
+            
+            this.writeSave(this.activeSlot, {
+                ...data,
+                timestamp: Date.now(),
+                progression: { ...data.progression, cycle: data.progression.cycle + 1 },
+                checkpoint: null,
+                discoveredCheckpoints: [],
+                defeatedBosses: [],
+                sections
+            });
+            return true;
+        } catch (error) {
+            console.error('Failed to start New Game+:', error);
+            return false;
+        }
     }
     
     // Settings
@@ -317,6 +867,11 @@ export class SaveSystem {
         }
     }
     
+    // Merge changes into the saved settings (each menu owns its own keys)
+    updateSettings(changes) {
+        return this.saveSettings({ ...(this.loadSettings() || {}), ...changes });
+    }
+    
     loadSettings() {
         try {
             const settings = localStorage.getItem(this.settingsKey);
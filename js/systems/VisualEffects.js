@@ -13,6 +13,9 @@ export class VisualEffects {
         this.game = game;
         this.scene = game.scene;
         
+        // Sky, cloud and weather layout come from the seeded fx stream
+        this.rng = game.rng.fx;
+        
         // Get quality settings
         const settings = game.settings || {};
         this.maxFireflies = settings.maxFireflies || 50;
@@ -38,6 +41,19 @@ export class VisualEffects {
         this.motes = [];
         this.fogDensity = 0.008;
         
+        // Biome atmosphere - eased toward the biome the player is in
+        this.biome = null;
+        this.biomeFog = new THREE.Color(0x87CEEB);
+        this.biomeFogAmount = 0;
+        this.fogTint = new THREE.Color();
+        this.biomeTarget = new THREE.Color();
+        this.moteColor = new THREE.Color(0xffffcc);
+        this.moteOpacity = 0.3;
+        this.outdoorLighting = null; // light and fog to go back to while a dungeon's own are in use
+        game.events.on('biomeEntered', ({ biome }) => {
+            this.biome = biome;
+        });
+        
         // Update throttling for performance
         this.updateCounter = 0;
         
@@ -134,8 +150,8 @@ export class VisualEffects {
         
         for (let i = 0; i < starCount; i++) {
             // Distribute stars on a dome
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 0.5; // Only upper hemisphere
+            const theta = this.rng.next() * Math.PI * 2;
+            const phi = this.rng.next() * Math.PI * 0.5; // Only upper hemisphere
             const radius = 350;
             
             positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
@@ -143,12 +159,12 @@ export class VisualEffects {
             positions[i * 3 + 2] = radius * Math.sin(phi) * Math.sin(theta);
             
             // Slight color variation
-            const colorVariation = 0.8 + Math.random() * 0.2;
+            const colorVariation = 0.8 + this.rng.next() * 0.2;
             colors[i * 3] = colorVariation;
             colors[i * 3 + 1] = colorVariation;
-            colors[i * 3 + 2] = colorVariation + Math.random() * 0.1;
+            colors[i * 3 + 2] = colorVariation + this.rng.next() * 0.1;
             
-            sizes[i] = 0.5 + Math.random() * 1.5;
+            sizes[i] = 0.5 + this.rng.next() * 1.5;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -181,31 +197,31 @@ export class VisualEffects {
             const cloudGroup = new THREE.Group();
             
             // Each cloud is multiple spheres merged visually
-            const puffCount = 3 + Math.floor(Math.random() * 4);
+            const puffCount = 3 + Math.floor(this.rng.next() * 4);
             for (let j = 0; j < puffCount; j++) {
                 const puff = new THREE.Mesh(
-                    new THREE.SphereGeometry(10 + Math.random() * 15, 8, 8),
+                    new THREE.SphereGeometry(10 + this.rng.next() * 15, 8, 8),
                     cloudMaterial.clone()
                 );
                 puff.position.set(
-                    (Math.random() - 0.5) * 30,
-                    (Math.random() - 0.5) * 5,
-                    (Math.random() - 0.5) * 20
+                    (this.rng.next() - 0.5) * 30,
+                    (this.rng.next() - 0.5) * 5,
+                    (this.rng.next() - 0.5) * 20
                 );
-                puff.scale.y = 0.4 + Math.random() * 0.3;
+                puff.scale.y = 0.4 + this.rng.next() * 0.3;
                 cloudGroup.add(puff);
             }
             
             // Position in sky
             cloudGroup.position.set(
-                (Math.random() - 0.5) * 400,
-                80 + Math.random() * 40,
-                (Math.random() - 0.5) * 400
+                (this.rng.next() - 0.5) * 400,
+                80 + this.rng.next() * 40,
+                (this.rng.next() - 0.5) * 400
             );
             
             this.clouds.push({
                 mesh: cloudGroup,
-                speed: 2 + Math.random() * 3,
+                speed: 2 + this.rng.next() * 3,
                 startX: cloudGroup.position.x
             });
             
@@ -230,11 +246,14 @@ export class VisualEffects {
             
             // Scatter around world
             firefly.position.set(
-                (Math.random() - 0.5) * 200,
-                1 + Math.random() * 5,
-                (Math.random() - 0.5) * 200
+                (this.rng.next() - 0.5) * 200,
+                1 + this.rng.next() * 5,
+                (this.rng.next() - 0.5) * 200
             );
             
+            // Brightness depends on where it lives (bright in woods and marsh, none on peaks)
+            const biome = this.game.world?.getBiomeAt(firefly.position.x, firefly.position.z);
+            
             // Only add point lights to every 5th firefly for performance
             let light = null;
             if (i % 5 === 0) {
@@ -245,9 +264,10 @@ export class VisualEffects {
             this.fireflies.push({
                 mesh: firefly,
                 light: light,
-                phase: Math.random() * Math.PI * 2,
-                speed: 0.5 + Math.random() * 0.5,
-                baseY: firefly.position.y
+                phase: this.rng.next() * Math.PI * 2,
+                speed: 0.5 + this.rng.next() * 0.5,
+                baseY: firefly.position.y,
+                glow: biome ? biome.particles.fireflies : 1
             });
             
             this.scene.add(firefly);
@@ -261,9 +281,9 @@ export class VisualEffects {
         const positions = new Float32Array(moteCount * 3);
         
         for (let i = 0; i < moteCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 100;
-            positions[i * 3 + 1] = Math.random() * 30;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 100;
+            positions[i * 3] = (this.rng.next() - 0.5) * 100;
+            positions[i * 3 + 1] = this.rng.next() * 30;
+            positions[i * 3 + 2] = (this.rng.next() - 0.5) * 100;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -353,6 +373,9 @@ export class VisualEffects {
         // Update day/night cycle
         this.updateDayNightCycle(deltaTime);
         
+        // Ease fog tint and motes toward the current biome
+        this.updateBiomeAtmosphere(deltaTime);
+        
         // Update clouds every 3rd frame
         if (this.updateCounter % 3 === 0) {
             this.updateClouds(deltaTime * 3);
@@ -417,7 +440,7 @@ export class VisualEffects {
         if (starOpacity > 0) {
             const sizes = this.stars.geometry.attributes.size.array;
             for (let i = 0; i < sizes.length; i++) {
-                sizes[i] = (0.5 + Math.random() * 1.5) * (Math.sin(Date.now() * 0.001 + i) * 0.3 + 0.7);
+                sizes[i] = (0.5 + this.rng.next() * 1.5) * (Math.sin(Date.now() * 0.001 + i) * 0.3 + 0.7);
             }
             this.stars.geometry.attributes.size.needsUpdate = true;
         }
@@ -427,6 +450,64 @@ export class VisualEffects {
         
         // Update fog
         this.updateFog(sunHeight);
+        
+        // Dungeon interiors replace the sky's light and fog with their own
+        if (this.biome && this.biome.lighting) {
+            this.applyInteriorLighting(this.biome.lighting);
+        } else if (this.outdoorLighting) {
+            this.restoreOutdoorLighting();
+        }
+    }
+    
+    /**
+     * Light and fog for a dungeon interior (see DUNGEON_THEMES in Dungeon.js)
+     * @param {Object} lighting - { ambientColor, ambientIntensity, fogColor, fogNear, fogFar }
+     */
+    applyInteriorLighting(lighting) {
+        const { directionalLight, ambientLight, hemisphereLight } = this.game;
+        const fog = this.scene.fog;
+        
+        if (!this.outdoorLighting) {
+            this.outdoorLighting = {
+                ambientColor: ambientLight ? ambientLight.color.clone() : null,
+                ambientIntensity: ambientLight ? ambientLight.intensity : 0,
+                fog: null
+            };
+        }
+        // A draw distance change swaps in new fog while inside; that one is the fog to go back to
+        if (fog && this.outdoorLighting.fog !== fog) {
+            Object.assign(this.outdoorLighting, { fog, fogNear: fog.near, fogFar: fog.far });
+        }
+        
+        if (directionalLight) directionalLight.intensity = 0;
+        if (hemisphereLight) hemisphereLight.intensity = 0.05;
+        if (ambientLight) {
+            ambientLight.color.setHex(lighting.ambientColor);
+            ambientLight.intensity = lighting.ambientIntensity;
+        }
+        
+        this.scene.background.setHex(lighting.fogColor);
+        
+        if (!fog) return;
+        fog.color.setHex(lighting.fogColor);
+        fog.near = lighting.fogNear;
+        fog.far = lighting.fogFar;
+    }
+    
+    // Back to the sky's light and the draw distance fog after leaving a dungeon
+    // (the day/night cycle takes over the lights again on its next update)
+    restoreOutdoorLighting() {
+        const { ambientColor, ambientIntensity, fog, fogNear, fogFar } = this.outdoorLighting;
+        const ambientLight = this.game.ambientLight;
+        if (ambientLight && ambientColor) {
+            ambientLight.color.copy(ambientColor);
+            ambientLight.intensity = ambientIntensity;
+        }
+        if (fog && this.scene.fog === fog) {
+            fog.near = fogNear;
+            fog.far = fogFar;
+        }
+        this.outdoorLighting = null;
     }
     
     updateLighting(sunHeight) {
@@ -529,6 +610,28 @@ export class VisualEffects {
             this.scene.fog.color.setHSL(0.65, 0.3, 0.1);
             this.scene.fog.density = 0.012;
         }
+        
+        // Biome tint, dimmed with the light so nights stay dark
+        const daylight = THREE.MathUtils.clamp(sunHeight * 2 + 0.5, 0.15, 1);
+        this.fogTint.copy(this.biomeFog).multiplyScalar(daylight);
+        this.scene.fog.color.lerp(this.fogTint, this.biomeFogAmount);
+    }
+    
+    updateBiomeAtmosphere(deltaTime) {
+        if (!this.biome) return;
+        
+        // Roughly two seconds to settle after crossing a border
+        const t = Math.min(1, deltaTime * 1.5);
+        const { fog, particles } = this.biome;
+        
+        this.biomeFog.lerp(this.biomeTarget.setHex(fog.color), t);
+        this.biomeFogAmount += (fog.amount - this.biomeFogAmount) * t;
+        this.moteColor.lerp(this.biomeTarget.setHex(particles.moteColor), t);
+        this.moteOpacity += (particles.moteOpacity - this.moteOpacity) * t;
+        
+        if (this.moteSystem) {
+            this.moteSystem.material.color.copy(this.moteColor);
+        }
     }
     
     updateClouds(deltaTime) {
@@ -548,7 +651,7 @@ export class VisualEffects {
         
         this.fireflies.forEach(firefly => {
             // Only active at night
-            const targetOpacity = isNight ? 0.8 : 0;
+            const targetOpacity = isNight ? 0.8 * firefly.glow : 0;
             firefly.mesh.material.opacity = THREE.MathUtils.lerp(
                 firefly.mesh.material.opacity,
                 targetOpacity,
@@ -560,11 +663,11 @@ export class VisualEffects {
             // Blink
             firefly.phase += deltaTime * firefly.speed;
             const blink = (Math.sin(firefly.phase * 3) + 1) * 0.5;
-            firefly.mesh.material.opacity = blink * 0.8;
+            firefly.mesh.material.opacity = blink * 0.8 * firefly.glow;
             
             // Only update light if it exists (performance optimization)
             if (firefly.light) {
-                firefly.light.intensity = blink * 0.3;
+                firefly.light.intensity = blink * 0.3 * firefly.glow;
             }
             
             // Gentle movement
@@ -580,8 +683,8 @@ export class VisualEffects {
         const sunAngle = this.dayTime * Math.PI * 2 - Math.PI / 2;
         const sunHeight = Math.sin(sunAngle);
         
-        // Only visible during day
-        const targetOpacity = sunHeight > 0.1 ? 0.3 : 0;
+        // Only visible during day (pollen, spores, snow or ash depending on the biome)
+        const targetOpacity = sunHeight > 0.1 ? this.moteOpacity : 0;
         this.moteSystem.material.opacity = THREE.MathUtils.lerp(
             this.moteSystem.material.opacity,
             targetOpacity,
@@ -594,9 +697,9 @@ export class VisualEffects {
         const updateOffset = this.updateCounter % 2;
         for (let i = updateOffset; i < numParticles; i += 2) {
             const idx = i * 3;
-            positions[idx] += (Math.random() - 0.5) * deltaTime;
-            positions[idx + 1] += Math.random() * deltaTime * 0.4;
-            positions[idx + 2] += (Math.random() - 0.5) * deltaTime;
+            positions[idx] += (this.rng.next() - 0.5) * deltaTime;
+            positions[idx + 1] += this.rng.next() * deltaTime * 0.4;
+            positions[idx + 2] += (this.rng.next() - 0.5) * deltaTime;
             
             // Reset if too high
             if (positions[idx + 1] > 35) {
@@ -635,6 +738,17 @@ export class VisualEffects {
         }
     }
     
+    // Weather for saves (time of day is saved with the world)
+    getSaveState() {
+        return { weather: this.currentWeather, intensity: this.weatherIntensity };
+    }
+    
+    restoreSaveState(state) {
+        if (['clear', 'rain', 'snow'].includes(state.weather)) {
+            this.setWeather(state.weather, Number.isFinite(state.intensity) ? state.intensity : 1);
+        }
+    }
+    
     clearWeatherEffects() {
         if (this.weatherParticles) {
             this.scene.remove(this.weatherParticles);
@@ -653,12 +767,12 @@ export class VisualEffects {
         const velocities = [];
         
         for (let i = 0; i < rainCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 200;
-            positions[i * 3 + 1] = Math.random() * 50;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 200;
+            positions[i * 3] = (this.rng.next() - 0.5) * 200;
+            positions[i * 3 + 1] = this.rng.next() * 50;
+            positions[i * 3 + 2] = (this.rng.next() - 0.5) * 200;
             
             velocities.push({
-                y: -20 - Math.random() * 10
+                y: -20 - this.rng.next() * 10
             });
         }
         
@@ -690,14 +804,14 @@ export class VisualEffects {
         const velocities = [];
         
         for (let i = 0; i < snowCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 200;
-            positions[i * 3 + 1] = Math.random() * 50;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 200;
+            positions[i * 3] = (this.rng.next() - 0.5) * 200;
+            positions[i * 3 + 1] = this.rng.next() * 50;
+            positions[i * 3 + 2] = (this.rng.next() - 0.5) * 200;
             
             velocities.push({
-                x: (Math.random() - 0.5) * 2,
-                y: -2 - Math.random() * 2,
-                z: (Math.random() - 0.5) * 2
+                x: (this.rng.next() - 0.5) * 2,
+                y: -2 - this.rng.next() * 2,
+                z: (this.rng.next() - 0.5) * 2
             });
         }
         
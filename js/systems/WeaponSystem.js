@@ -10,6 +10,8 @@ export class WeaponSystem {
         this.game = game;
         
         // Weapon definitions
+        // inputBuffer.priority: which buffered action goes first when several are
+        // queued (see combat/InputBuffer.js); unlisted actions follow in the default order
         this.weapons = {
             longsword: {
                 name: 'Longsword',
@@ -37,6 +39,7 @@ export class WeaponSystem {
                 scaling: { strength: 'A', dexterity: 'D' },
                 weight: 10,
                 description: 'A massive blade requiring great strength',
+                inputBuffer: { priority: ['roll', 'heavyAttack', 'lightAttack'] },
                 weaponArt: {
                     name: 'Stomp',
                     fpCost: 20,
@@ -53,6 +56,7 @@ export class WeaponSystem {
                 scaling: { strength: 'E', dexterity: 'A' },
                 critMultiplier: 1.5,
                 description: 'A swift blade for quick strikes and critical hits',
+                inputBuffer: { priority: ['lightAttack', 'roll'] },
                 weaponArt: {
                     name: 'Quickstep',
                     fpCost: 10,
@@ -108,7 +112,8 @@ export class WeaponSystem {
                 scaling: { strength: 'S', dexterity: 'E' },
                 poiseBreak: 80,
                 weight: 15,
-                description: 'A devastating hammer that shatters poise'
+                description: 'A devastating hammer that shatters poise',
+                inputBuffer: { priority: ['roll', 'heavyAttack', 'lightAttack'] }
             },
             staff: {
                 name: 'Sorcerer Staff',
@@ -121,6 +126,7 @@ export class WeaponSystem {
                 spellBuff: 1.2,
                 weight: 3,
                 description: 'A staff that enhances sorcery power',
+                inputBuffer: { priority: ['castSpell', 'roll'] },
                 weaponArt: {
                     name: 'Magic Burst',
                     fpCost: 25,
@@ -349,9 +355,7 @@ export class WeaponSystem {
         
         // Show notification
         const weapon = this.getEquippedWeapon();
-        if (this.game.hud && this.game.hud.showMessage) {
-            this.game.hud.showMessage(`Equipped: ${weapon.name}`, 1500);
-        }
+        this.game.events.emit('message', { text: `Equipped: ${weapon.name}`, duration: 1500 });
         
         return newWeapon;
     }
@@ -593,9 +597,7 @@ export class WeaponSystem {
         
         // Check FP cost
         if (player.mana < weapon.weaponArt.fpCost) {
-            if (this.game.hud) {
-                this.game.hud.showMessage('Not enough FP!', 1500);
-            }
+            this.game.events.emit('message', { text: 'Not enough FP!', duration: 1500 });
             return false;
         }
         
@@ -603,9 +605,7 @@ export class WeaponSystem {
         player.mana -= weapon.weaponArt.fpCost;
         
         // Show weapon art name
-        if (this.game.hud) {
-            this.game.hud.showMessage(`${weapon.weaponArt.name}!`, 1500);
-        }
+        this.game.events.emit('message', { text: `${weapon.weaponArt.name}!`, duration: 1500 });
         
         // Execute weapon-specific art
         switch (weapon.type) {
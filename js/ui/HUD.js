@@ -3,6 +3,8 @@
  * Soulsborne-style UI with health, stamina, souls counter
  */
 
+import { getCycleLabel } from '../entities/CycleScaling.js';
+
 export class HUD {
     constructor(game) {
         this.game = game;
@@ -13,6 +15,7 @@ export class HUD {
         this.staminaFill = document.getElementById('stamina-fill');
         this.manaFill = document.getElementById('mana-fill');
         this.soulsAmount = document.getElementById('souls-amount');
+        this.cycleIndicator = document.getElementById('cycle-indicator');
         
         // Minimap
         this.minimapCanvas = document.getElementById('minimap');
@@ -22,6 +25,17 @@ export class HUD {
         
         // Damage numbers
         this.damageNumbers = [];
+        
+        // Area name banner
+        this.areaName = document.getElementById('area-name');
+        this.areaNameTimer = null;
+        
+        // Notifications published by other systems
+        const events = game.events;
+        events.on('message', ({ text, duration }) => this.showMessage(text, duration));
+        events.on('itemPickedUp', ({ name }) => this.showItemPickup(name));
+        events.on('damageTaken', ({ amount, position }) => this.showDamage(amount, position));
+        events.on('biomeEntered', ({ biome }) => this.showAreaName(biome.name));
     }
     
     update() {
@@ -83,6 +97,13 @@ export class HUD {
             this.soulsAmount.textContent = souls.toLocaleString();
         }
         
+        // New Game+ cycle (hidden on the first playthrough)
+        if (this.cycleIndicator && this.game.progressionSystem) {
+            const label = getCycleLabel(this.game.progressionSystem.cycle);
+            this.cycleIndicator.textContent = label;
+            this.cycleIndicator.classList.toggle('hidden', !label);
+        }
+        
         // Update minimap
         this.updateMinimap();
         
@@ -190,6 +211,7 @@ export class HUD {
     
     showInteractionPrompt(text) {
         const prompt = document.getElementById('interaction-prompt');
+        document.getElementById('prompt-key').textContent = this.game.inputManager.getPrompt('interact');
         document.getElementById('prompt-text').textContent = text;
         prompt.classList.remove('hidden');
     }
@@ -242,6 +264,21 @@ export class HUD {
         }, duration);
     }
     
+    showAreaName(name, duration = 4000) {
+        if (!this.areaName) return;
+        
+        // Hide first so the fade starts over when crossing borders quickly
+        clearTimeout(this.areaNameTimer);
+        this.areaName.classList.add('hidden');
+        void this.areaName.offsetWidth;
+        
+        this.areaName.textContent = name;
+        this.areaName.classList.remove('hidden');
+        this.areaNameTimer = setTimeout(() => {
+            this.areaName.classList.add('hidden');
+        }, duration);
+    }
+    
     updateMinimap() {
         if (!this.minimapCtx) return;
         
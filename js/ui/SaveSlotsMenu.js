@@ -0,0 +1,279 @@
+/**
+ * SaveSlotsMenu.js - Save Slot List
+ * Lists every slot with character level, souls, playtime, last Site of Grace
+ * and save time. From the title screen slots can be loaded; in game the
+ * player picks which slot autosave writes to. Slots can be copied, deleted,
+ * exported to a file and imported from one.
+ */
+
+import { getCycleLabel } from '../entities/CycleScaling.js';
+
+export class SaveSlotsMenu {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        
+        // Called when the menu closes (title screen returns to its main menu)
+        this.onClose = null;
+        
+        // Slot waiting for delete confirmation
+        this.confirmDeleteSlot = null;
+        
+        // Occupied slot waiting for confirmation before autosave overwrites it
+        this.confirmOverwriteSlot = null;
+        
+        document.getElementById('save-slots-back-btn')?.addEventListener('click', () => this.close());
+        
+        document.getElementById('import-save-btn')?.addEventListener('click', () => {
+            document.getElementById('import-save-input')?.click();
+        });
+        document.getElementById('import-save-input')?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) this.importFile(file);
+            e.target.value = '';
+        });
+    }
+    
+    open(onClose = null) {
+        this.isOpen = true;
+        this.onClose = onClose;
+        this.confirmDeleteSlot = null;
+        this.confirmOverwriteSlot = null;
+        
+        // Loading only makes sense before a world exists
+        document.getElementById('save-slots-title').textContent = this.isInGame() ? 'Save Slots' : 'Load Game';
+        
+        this.render();
+        document.getElementById('save-slots-menu').classList.remove('hidden');
+    }
+    
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        document.getElementById('save-slots-menu').classList.add('hidden');
+        
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) {
+            onClose();
+        }
+    }
+    
+    isInGame() {
+        return this.game.states.isSimulating();
+    }
+    
+    render() {
+        const list = document.getElementById('save-slot-list');
+        list.innerHTML = '';
+        this.setStatus('');
+        
+        this.game.saveSystem.listSlots().forEach(({ slot, summary }) => {
+            list.appendChild(this.createSlotEntry(slot, summary));
+        });
+    }
+    
+    createSlotEntry(slot, summary) {
+        const saveSystem = this.game.saveSystem;
+        const inGame = this.isInGame();
+        const isActive = inGame && slot === saveSystem.activeSlot;
+        
+        const entry = document.createElement('div');
+        entry.className = `save-slot${isActive ? ' active' : ''}${summary ? '' : ' empty'}`;
+        
+        const header = document.createElement('div');
+        header.className = 'save-slot-header';
+        header.textContent = this.getSlotLabel(slot, summary);
+        if (isActive) {
+            header.textContent += ' (autosave)';
+        }
+        entry.appendChild(header);
+        
+        if (summary && summary.error) {
+            // Newer or damaged save - it can still be copied or deleted
+            const details = document.createElement('div');
+            details.className = 'save-slot-details save-slot-error';
+            details.textContent = summary.error;
+            entry.appendChild(details);
+        } else if (summary) {
+            const details = document.createElement('div');
+            details.className = 'save-slot-details';
+            details.innerHTML = `
+                <span>Level ${summary.level}${summary.cycle > 1 ? ` ${getCycleLabel(summary.cycle)}` : ''}</span>
+                <span>${summary.souls} souls</span>
+                <span>${this.formatPlayTime(summary.playTime)}</span>
+                <span>${this.escape(summary.checkpoint || 'No Site of Grace')}</span>
+                <span>${summary.timestamp ? new Date(summary.timestamp).toLocaleString() : ''}</span>
+            `;
+            entry.appendChild(details);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+        entry.appendChild(actions);
+        
+        if (this.confirmDeleteSlot === slot) {
+            const prompt = document.createElement('span');
+            prompt.className = 'save-slot-confirm';
+            prompt.textContent = `Delete slot ${slot}? This cannot be undone.`;
+            actions.appendChild(prompt);
+            actions.appendChild(this.createButton('Delete', () => this.deleteSlot(slot), 'danger'));
+            actions.appendChild(this.createButton('Cancel', () => {
+                this.confirmDeleteSlot = null;
+                this.render();
+            }));
+            return entry;
+        }
+        
+        if (this.confirmOverwriteSlot === slot) {
+            const prompt = document.createElement('span');
+            prompt.className = 'save-slot-confirm';
+            prompt.textContent = `Autosave over slot ${slot}? Its save will be lost.`;
+            actions.appendChild(prompt);
+            actions.appendChild(this.createButton('Overwrite', () => this.useForAutosave(slot), 'danger'));
+            actions.appendChild(this.createButton('Cancel', () => {
+                this.confirmOverwriteSlot = null;
+                this.render();
+            }));
+            return entry;
+        }
+        
+        if (!inGame && summary && !summary.error) {
+            actions.appendChild(this.createButton('Load', () => this.loadSlot(slot)));
+        }
+        if (inGame && !isActive) {
+            // Another character's save is only replaced once confirmed
+            actions.appendChild(this.createButton('Autosave Here', () => {
+                if (summary) {
+                    this.confirmOverwriteSlot = slot;
+                    this.confirmDeleteSlot = null;
+                    this.render();
+                } else {
+                    this.useForAutosave(slot);
+                }
+            }));
+        }
+        if (summary) {
+            actions.appendChild(this.createButton('Export', () => this.exportSlot(slot)));
+            actions.appendChild(this.createButton('Copy', () => this.copySlot(slot)));
+            actions.appendChild(this.createButton('Delete', () => {
+                this.confirmDeleteSlot = slot;
+                this.confirmOverwriteSlot = null;
+                this.render();
+            }, 'danger'));
+        }
+        
+        return entry;
+    }
+    
+    getSlotLabel(slot, summary) {
+        if (!summary) return `Slot ${slot} - Empty`;
+        if (summary.error) return `Slot ${slot} - Unreadable save`;
+        return `Slot ${slot} - ${summary.name}`;
+    }
+    
+    createButton(label, onClick, variant = '') {
+        const button = document.createElement('button');
+        button.className = `slot-button${variant ? ` ${variant}` : ''}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    // ==========================================
+    // ACTIONS
+    // ==========================================
+    
+    loadSlot(slot) {
+        this.isOpen = false;
+        this.onClose = null;
+        document.getElementById('save-slots-menu').classList.add('hidden');
+        
+        this.game.startGame({ mode: 'continue', slot });
+    }
+    
+    useForAutosave(slot) {
+        const saveSystem = this.game.saveSystem;
+        this.confirmOverwriteSlot = null;
+        if (!saveSystem.setActiveSlot(slot)) return;
+        
+        // Write straight away so the slot isn't left empty until the next autosave
+        saveSystem.saveGame();
+        this.render();
+        this.setStatus(`Autosave now writes to Slot ${slot}`);
+    }
+    
+    copySlot(slot) {
+        const saveSystem = this.game.saveSystem;
+        const target = saveSystem.findEmptySlot();
+        
+        if (target === null) {
+            this.setStatus('No empty slot to copy to');
+            return;
+        }
+        
+        const copied = saveSystem.copySlot(slot, target);
+        this.render();
+        this.setStatus(copied ? `Copied Slot ${slot} to Slot ${target}` : `Failed to copy Slot ${slot}`);
+    }
+    
+    deleteSlot(slot) {
+        this.game.saveSystem.deleteSlot(slot);
+        this.confirmDeleteSlot = null;
+        this.render();
+        this.setStatus(`Deleted Slot ${slot}`);
+    }
+    
+    exportSlot(slot) {
+        if (!this.game.saveSystem.exportSlot(slot)) {
+            this.setStatus(`Failed to export Slot ${slot}`);
+        }
+    }
+    
+    // Imported saves go to the first empty slot so nothing is overwritten
+    importFile(file) {
+        const saveSystem = this.game.saveSystem;
+        const target = saveSystem.findEmptySlot();
+        
+        if (target === null) {
+            this.setStatus('No empty slot to import into - delete a slot first');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                saveSystem.importSave(reader.result, target);
+                this.render();
+                this.setStatus(`Imported ${file.name} into Slot ${target}`);
+            } catch (error) {
+                console.warn('Rejected save file:', error);
+                this.setStatus(`Import failed: ${error.message}`);
+            }
+        };
+        reader.onerror = () => this.setStatus('Import failed: the file could not be read');
+        reader.readAsText(file);
+    }
+    
+    // Feedback line under the slot list (works on the title screen, where there is no HUD)
+    setStatus(text) {
+        document.getElementById('save-slots-status').textContent = text;
+    }
+    
+    // ==========================================
+    // FORMATTING
+    // ==========================================
+    
+    formatPlayTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -1,12 +1,23 @@
 /**
  * SettingsMenu.js - In-game Settings UI
- * Allows players to adjust quality settings and view FPS
+ * Allows players to adjust quality settings, remap controls and view FPS
  */
 
+import { InputRecorder } from '../game/InputRecorder.js';
+import { ACTIONS, InputBindings } from '../game/InputBindings.js';
+import { DEFAULT_BUFFER_WINDOW } from '../combat/InputBuffer.js';
+
 export class SettingsMenu {
     constructor(game) {
         this.game = game;
         this.isOpen = false;
+        this.isControlsOpen = false;
+        
+        // Binding being changed: { action, device } while waiting for the new input
+        this.capture = null;
+        this.captureTimer = null;
+        this.captureHeldButtons = new Set();
+        this.suppressClick = false;
         
         this.createSettingsUI();
         this.setupEventListeners();
@@ -106,6 +117,58 @@ export class SettingsMenu {
                     </div>
                 </div>
                 
+                <div class="settings-section">
+                    <h2>System Cost (avg / max ms)</h2>
+                    <div id="system-timings"></div>
+                </div>
+                
+                <div class="settings-section">
+                    <h2>Controls</h2>
+                    <div class="setting-row">
+                        <label>Input Buffer:</label>
+                        <input type="range" id="input-buffer" min="0" max="500" step="10" value="300">
+                        <span id="input-buffer-value">300 ms</span>
+                    </div>
+                    <button class="menu-button" id="controls-btn">Remap Controls</button>
+                </div>
+                
+                <div class="settings-section" id="touch-settings">
+                    <h2>Touch Controls</h2>
+                    <div class="setting-row">
+                        <label>Show:</label>
+                        <select id="touch-mode">
+                            <option value="auto">When touching the screen</option>
+                            <option value="on">Always</option>
+                            <option value="off">Never</option>
+                        </select>
+                    </div>
+                    
+                    <div class="setting-row">
+                        <label>Size:</label>
+                        <input type="range" id="touch-scale" min="60" max="150" value="100">
+                        <span id="touch-scale-value">100%</span>
+                    </div>
+                    
+                    <div class="setting-row">
+                        <label>Opacity:</label>
+                        <input type="range" id="touch-opacity" min="20" max="100" value="60">
+                        <span id="touch-opacity-value">60%</span>
+                    </div>
+                    <button class="menu-button" id="touch-layout-btn">Edit Layout</button>
+                    <button class="menu-button" id="touch-reset-btn">Reset Layout</button>
+                </div>
+                
+                <div class="settings-section">
+                    <h2>Input Replay</h2>
+                    <div class="info-row">
+                        <span>Status:</span>
+                        <span id="replay-status">--</span>
+                    </div>
+                    <button class="menu-button" id="export-replay-btn">Export Recording</button>
+                    <button class="menu-button" id="load-replay-btn">Play Replay File</button>
+                    <input type="file" id="replay-file-input" accept=".json,application/json" class="hidden">
+                </div>
+                
                 <div class="settings-note">
                     <p><strong>Potato Mode</strong> is optimized for old Chromebooks and low-end devices.</p>
                     <p>Changes will take effect immediately.</p>
@@ -118,6 +181,22 @@ export class SettingsMenu {
         
         document.getElementById('game-container').appendChild(settingsMenu);
         
+        // Controls page (opened from the settings menu)
+        const controlsMenu = document.createElement('div');
+        controlsMenu.id = 'controls-menu';
+        controlsMenu.className = 'hidden';
+        controlsMenu.innerHTML = `
+            <div class="menu-container settings-container">
+                <h1>CONTROLS</h1>
+                <p class="settings-note">Click a binding, then press the new key, mouse button or gamepad button (Esc cancels). An input already in use is swapped with the action that had it.</p>
+                <div id="bindings-list"></div>
+                <div id="bindings-status"></div>
+                <button class="menu-button" id="reset-bindings-btn">Reset to Defaults</button>
+                <button class="menu-button" id="close-controls-btn">Back</button>
+            </div>
+        `;
+        document.getElementById('game-container').appendChild(controlsMenu);
+        
         // Create FPS counter overlay
         const fpsCounter = document.createElement('div');
         fpsCounter.id = 'fps-counter';
@@ -187,6 +266,76 @@ export class SettingsMenu {
             this.toggleFPS(e.target.checked);
         });
         
+        // Controls page
+        document.getElementById('controls-btn')?.addEventListener('click', () => this.openControls());
+        document.getElementById('close-controls-btn')?.addEventListener('click', () => this.closeControls());
+        document.getElementById('reset-bindings-btn')?.addEventListener('click', () => this.resetBindings());
+        document.getElementById('bindings-list')?.addEventListener('click', (e) => {
+            // The click that completes a mouse binding shouldn't start a new one
+            if (this.suppressClick) return;
+            
+            const { action, device } = e.target.dataset || {};
+            if (action && device) this.startCapture(action, device);
+        });
+        
+        // A binding is taken when its key/button comes back up, so the press never reaches the game
+        document.addEventListener('keyup', (e) => {
+            if (!this.capture) return;
+            e.preventDefault();
+            if (e.code === 'Escape') {
+                this.cancelCapture();
+            } else if (this.capture.device === 'keyboard') {
+                this.finishCapture(e.code);
+            }
+        });
+        document.addEventListener('mouseup', (e) => {
+            if (this.capture && this.capture.device === 'keyboard') {
+                this.finishCapture(`Mouse${e.button}`);
+                this.suppressClick = true;
+                setTimeout(() => { this.suppressClick = false; }, 0);
+            }
+        });
+        
+        // How long roll/attack/spell/item presses wait for the player to recover
+        document.getElementById('input-buffer')?.addEventListener('input', (e) => {
+            this.setInputBufferWindow(parseInt(e.target.value));
+        });
+        
+        // Touch controls (only exist once a game is loaded)
+        document.getElementById('touch-mode')?.addEventListener('change', (e) => {
+            this.game.touchControls?.setMode(e.target.value);
+        });
+        
+        document.getElementById('touch-scale')?.addEventListener('input', (e) => {
+            this.game.touchControls?.setScale(parseInt(e.target.value) / 100);
+            document.getElementById('touch-scale-value').textContent = e.target.value + '%';
+        });
+        
+        document.getElementById('touch-opacity')?.addEventListener('input', (e) => {
+            this.game.touchControls?.setOpacity(parseInt(e.target.value) / 100);
+            document.getElementById('touch-opacity-value').textContent = e.target.value + '%';
+        });
+        
+        document.getElementById('touch-layout-btn')?.addEventListener('click', () => this.editTouchLayout());
+        document.getElementById('touch-reset-btn')?.addEventListener('click', () => {
+            this.game.touchControls?.resetLayout();
+        });
+        
+        // Input replay
+        document.getElementById('export-replay-btn')?.addEventListener('click', () => {
+            this.game.inputRecorder?.exportRecording();
+        });
+        
+        document.getElementById('load-replay-btn')?.addEventListener('click', () => {
+            document.getElementById('replay-file-input')?.click();
+        });
+        
+        document.getElementById('replay-file-input')?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) this.loadReplayFile(file);
+            e.target.value = '';
+        });
+        
         // Music controls
         document.getElementById('music-toggle')?.addEventListener('change', (e) => {
             this.toggleMusic(e.target.checked);
@@ -196,14 +345,19 @@ export class SettingsMenu {
             this.setMusicVolume(parseInt(e.target.value));
         });
         
-        // Keyboard shortcut to open settings (G key) and close (ESC key)
+        // Keyboard shortcut to open settings (G key by default) and close (ESC key)
         document.addEventListener('keydown', (e) => {
+            if (this.capture) {
+                e.preventDefault();
+                return;
+            }
+            
             // Ignore if typing in an input field
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
                 return;
             }
             
-            if (e.key === 'g' || e.key === 'G') {
+            if (this.game.inputBindings.getActionForKey(e.code) === 'settings' && !this.isControlsOpen) {
                 if (!this.isOpen) {
                     this.open();
                 } else {
@@ -211,8 +365,11 @@ export class SettingsMenu {
                 }
             }
             
-            // ESC key closes settings menu
-            if (e.key === 'Escape' && this.isOpen) {
+            // ESC key backs out of the controls page, then closes the settings menu
+            if (e.key === 'Escape' && this.isControlsOpen) {
+                e.stopPropagation();
+                this.closeControls();
+            } else if (e.key === 'Escape' && this.isOpen) {
                 e.stopPropagation(); // Prevent pause menu from also handling ESC
                 this.close();
             }
@@ -222,14 +379,21 @@ export class SettingsMenu {
     open() {
         this.isOpen = true;
         document.getElementById('settings-menu').classList.remove('hidden');
-        this.game.pause();
+        // Also opened from the title screen, where there is nothing to pause
+        if (this.game.states.is('playing')) {
+            this.game.pause();
+        }
         this.updateUI();
     }
     
     close() {
         this.isOpen = false;
+        this.closeControls();
+        this.game.touchControls?.stopEditing();
         document.getElementById('settings-menu').classList.add('hidden');
-        this.game.resume();
+        if (this.game.states.is('paused')) {
+            this.game.resume();
+        }
     }
     
     updateUI() {
@@ -263,6 +427,239 @@ export class SettingsMenu {
             if (obj.visible && obj.isMesh) visibleCount++;
         });
         document.getElementById('visible-objects').textContent = visibleCount;
+        
+        this.updateSystemTimings();
+        this.updateReplayStatus();
+        this.updateTouchSettings();
+        
+        const bufferMs = Math.round((this.game.player?.inputBuffer.window ?? DEFAULT_BUFFER_WINDOW) * 1000);
+        document.getElementById('input-buffer').value = bufferMs;
+        document.getElementById('input-buffer-value').textContent = bufferMs + ' ms';
+    }
+    
+    setInputBufferWindow(ms) {
+        document.getElementById('input-buffer-value').textContent = ms + ' ms';
+        this.game.player?.inputBuffer.setWindow(ms / 1000);
+        this.game.saveSystem?.updateSettings({ inputBufferWindow: ms / 1000 });
+    }
+    
+    updateTouchSettings() {
+        const touch = this.game.touchControls;
+        document.getElementById('touch-settings').classList.toggle('hidden', !touch);
+        if (!touch) return;
+        
+        const scale = Math.round(touch.scale * 100);
+        const opacity = Math.round(touch.opacity * 100);
+        document.getElementById('touch-mode').value = touch.mode;
+        document.getElementById('touch-scale').value = scale;
+        document.getElementById('touch-scale-value').textContent = scale + '%';
+        document.getElementById('touch-opacity').value = opacity;
+        document.getElementById('touch-opacity-value').textContent = opacity + '%';
+    }
+    
+    // Hide the menu while the controls are dragged around, then come back to it
+    editTouchLayout() {
+        const touch = this.game.touchControls;
+        if (!touch) return;
+        
+        document.getElementById('settings-menu').classList.add('hidden');
+        touch.startEditing(() => {
+            if (this.isOpen) {
+                document.getElementById('settings-menu').classList.remove('hidden');
+            }
+        });
+    }
+    
+    openControls() {
+        this.isControlsOpen = true;
+        document.getElementById('settings-menu').classList.add('hidden');
+        document.getElementById('controls-menu').classList.remove('hidden');
+        this.setBindingsStatus('');
+        this.renderBindings();
+    }
+    
+    closeControls() {
+        if (!this.isControlsOpen) return;
+        
+        this.cancelCapture();
+        this.isControlsOpen = false;
+        document.getElementById('controls-menu').classList.add('hidden');
+        if (this.isOpen) {
+            document.getElementById('settings-menu').classList.remove('hidden');
+        }
+    }
+    
+    renderBindings() {
+        const list = document.getElementById('bindings-list');
+        if (!list) return;
+        
+        const bindings = this.game.inputBindings;
+        const conflicts = bindings.getConflicts();
+        const button = (action, device) => {
+            const capturing = this.capture && this.capture.action === action.id && this.capture.device === device;
+            const text = capturing
+                ? (device === 'gamepad' ? 'Press a button...' : 'Press a key...')
+                : bindings.getLabel(action.id, device);
+            const disabled = bindings.canRebind(action.id, device) ? '' : 'disabled';
+            return `<button class="binding-btn${capturing ? ' capturing' : ''}" data-action="${action.id}" data-device="${device}" ${disabled}>${text}</button>`;
+        };
+        
+        list.innerHTML = ACTIONS.map(action => `
+            <div class="binding-row${conflicts.has(action.id) ? ' binding-conflict' : ''}">
+                <span class="binding-label">${action.label}</span>
+                ${button(action, 'keyboard')}
+                ${button(action, 'gamepad')}
+            </div>
+        `).join('');
+    }
+    
+    setBindingsStatus(text) {
+        const status = document.getElementById('bindings-status');
+        if (status) status.textContent = text;
+    }
+    
+    // Wait for the next key/mouse button (or gamepad button) to bind to an action
+    startCapture(action, device) {
+        if (!this.game.inputBindings.canRebind(action, device)) return;
+        
+        this.cancelCapture();
+        this.capture = { action, device };
+        
+        // The game only reads the pad during simulation steps, so poll it here (also works on the title screen)
+        if (device === 'gamepad') {
+            this.captureHeldButtons = this.getHeldPadButtons();
+            this.captureTimer = setInterval(() => this.pollCaptureGamepad(), 50);
+        }
+        
+        const label = InputBindings.getAction(action).label;
+        this.setBindingsStatus(device === 'gamepad'
+            ? `Press a gamepad button for ${label} (Esc to cancel)`
+            : `Press a key or mouse button for ${label} (Esc to cancel)`);
+        this.renderBindings();
+    }
+    
+    isCapturing() {
+        return this.capture !== null;
+    }
+    
+    cancelCapture() {
+        if (this.captureTimer) {
+            clearInterval(this.captureTimer);
+            this.captureTimer = null;
+        }
+        if (!this.capture) return;
+        
+        this.capture = null;
+        this.setBindingsStatus('');
+        this.renderBindings();
+    }
+    
+    finishCapture(input) {
+        const { action, device } = this.capture;
+        const bindings = this.game.inputBindings;
+        const result = bindings.bind(action, device, input);
+        
+        this.cancelCapture();
+        
+        const label = InputBindings.getAction(action).label;
+        const inputName = device === 'gamepad' ? InputBindings.describePadButton(input) : InputBindings.describeKey(input);
+        if (!result.bound) {
+            const owner = bindings.findConflict(action, device, input);
+            this.setBindingsStatus(`${inputName} is reserved for ${InputBindings.getAction(owner).label}`);
+        } else if (result.swapped) {
+            const other = InputBindings.getAction(result.swapped).label;
+            this.setBindingsStatus(`${label}: ${inputName} (was ${other} - ${other} now uses ${bindings.getLabel(result.swapped, device)})`);
+        } else {
+            this.setBindingsStatus(`${label}: ${inputName}`);
+        }
+        
+        this.saveBindings();
+        this.renderBindings();
+    }
+    
+    // Buttons currently down on any connected pad ('padIndex:button')
+    getHeldPadButtons() {
+        const held = new Set();
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return held;
+        
+        Array.from(navigator.getGamepads()).filter(Boolean).forEach(pad => {
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed || button.value > 0.5) held.add(`${pad.index}:${index}`);
+            });
+        });
+        return held;
+    }
+    
+    pollCaptureGamepad() {
+        const held = this.getHeldPadButtons();
+        
+        // Buttons already down when capture started have to be let go first
+        for (const id of held) {
+            if (!this.captureHeldButtons.has(id)) {
+                this.finishCapture(Number(id.split(':')[1]));
+                return;
+            }
+        }
+        this.captureHeldButtons = held;
+    }
+    
+    resetBindings() {
+        this.cancelCapture();
+        this.game.inputBindings.reset();
+        this.saveBindings();
+        this.setBindingsStatus('Controls reset to defaults');
+        this.renderBindings();
+    }
+    
+    // Bindings live in the settings save next to the other settings
+    saveBindings() {
+        this.game.saveSystem.updateSettings({ bindings: this.game.inputBindings.toJSON() });
+    }
+    
+    updateReplayStatus() {
+        const status = document.getElementById('replay-status');
+        const recorder = this.game.inputRecorder;
+        if (!status || !recorder) return;
+        
+        const seconds = Math.floor((this.game.simulationTick - recorder.startTick) * this.game.fixedTimeStep);
+        if (recorder.isReplaying()) {
+            status.textContent = `Replaying (${seconds}s)`;
+        } else if (recorder.isRecording()) {
+            status.textContent = `Recording (${seconds}s, seed ${recorder.header.seed})`;
+        } else {
+            status.textContent = 'Idle';
+        }
+    }
+    
+    // Replays need a fresh boot with the recorded seed and save, so queue it and reload
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = async () => {
+            try {
+                const replay = InputRecorder.parse(reader.result);
+                InputRecorder.queueReplay(replay);
+                await this.game.saveSystem.storage.flush();
+                location.reload();
+            } catch (error) {
+                console.error('Failed to load replay:', error);
+                this.game.events.emit('message', { text: 'Invalid replay file', duration: 2500 });
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    updateSystemTimings() {
+        const container = document.getElementById('system-timings');
+        if (!container || !this.game.scheduler) return;
+        
+        // Most expensive systems first
+        const timings = this.game.scheduler.getTimings().slice(0, 8);
+        container.innerHTML = timings.map(timing => `
+            <div class="info-row">
+                <span>${timing.name} (${timing.rate}):</span>
+                <span>${timing.avgMs.toFixed(2)} / ${timing.maxMs.toFixed(2)}</span>
+            </div>
+        `).join('');
     }
     
     applySettings() {
@@ -326,6 +723,7 @@ export class SettingsMenu {
         // Update in settings menu if open
         if (this.isOpen) {
             document.getElementById('current-fps').textContent = fps;
+            this.updateSystemTimings();
         }
     }
     
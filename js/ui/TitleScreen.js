@@ -0,0 +1,160 @@
+/**
+ * TitleScreen.js - Title and Character Creation Menus
+ * UI for the title and characterCreation game states; starting a game
+ * hands over to Game.startGame, which moves on to the loading state.
+ * Load Game opens the shared SaveSlotsMenu.
+ */
+
+import { STARTING_CLASSES, DEFAULT_CLASS_ID, getStartingClass } from '../entities/StartingClasses.js';
+
+const STAT_LABELS = {
+    vigor: 'Vigor',
+    endurance: 'Endurance',
+    strength: 'Strength',
+    dexterity: 'Dexterity',
+    intelligence: 'Intelligence',
+    faith: 'Faith'
+};
+
+export class TitleScreen {
+    constructor(game) {
+        this.game = game;
+        this.selectedClass = DEFAULT_CLASS_ID;
+        
+        this.createClassList();
+        this.setupEventListeners();
+    }
+    
+    createClassList() {
+        const classList = document.getElementById('class-list');
+        if (!classList) return;
+        
+        STARTING_CLASSES.forEach(startingClass => {
+            const button = document.createElement('button');
+            button.className = 'menu-button class-option';
+            button.dataset.classId = startingClass.id;
+            button.textContent = startingClass.name;
+            button.addEventListener('click', () => this.selectClass(startingClass.id));
+            classList.appendChild(button);
+        });
+    }
+    
+    setupEventListeners() {
+        // Title menu
+        document.getElementById('continue-btn')?.addEventListener('click', () => {
+            this.game.startGame({ mode: 'continue', slot: this.game.saveSystem.getMostRecentSlot() });
+        });
+        document.getElementById('new-game-btn')?.addEventListener('click', () => {
+            this.game.states.change('characterCreation');
+        });
+        document.getElementById('load-game-btn')?.addEventListener('click', () => this.showLoadMenu());
+        document.getElementById('title-settings-btn')?.addEventListener('click', () => {
+            this.game.settingsMenu.open();
+        });
+        document.getElementById('title-quit-btn')?.addEventListener('click', () => this.quit());
+        
+        // Character creation
+        document.getElementById('new-game-slot')?.addEventListener('change', () => this.updateOverwriteWarning());
+        document.getElementById('begin-btn')?.addEventListener('click', () => this.beginNewGame());
+        document.getElementById('creation-back-btn')?.addEventListener('click', () => {
+            this.game.states.change('title');
+        });
+    }
+    
+    // ==========================================
+    // TITLE
+    // ==========================================
+    
+    show() {
+        this.showTitleMenu();
+    }
+    
+    hide() {
+        document.getElementById('title-screen').classList.add('hidden');
+        this.game.saveSlotsMenu.close();
+    }
+    
+    showTitleMenu() {
+        // Continue picks up the most recently saved slot. Load Game stays open without
+        // one: it lists unreadable saves and is the way to import a save file.
+        const hasSave = this.game.saveSystem.getMostRecentSlot() !== null;
+        document.getElementById('continue-btn').disabled = !hasSave;
+        document.getElementById('title-hint').classList.add('hidden');
+        
+        document.getElementById('title-screen').classList.remove('hidden');
+    }
+    
+    showLoadMenu() {
+        document.getElementById('title-screen').classList.add('hidden');
+        this.game.saveSlotsMenu.open(() => this.showTitleMenu());
+    }
+    
+    quit() {
+        // Browsers only let scripts close windows they opened
+        window.close();
+        document.getElementById('title-hint').classList.remove('hidden');
+    }
+    
+    // ==========================================
+    // CHARACTER CREATION
+    // ==========================================
+    
+    showCharacterCreation() {
+        this.populateSlotSelect();
+        document.getElementById('character-creation').classList.remove('hidden');
+        this.selectClass(this.selectedClass);
+    }
+    
+    // New games go to the first empty slot unless the player picks another
+    populateSlotSelect() {
+        const saveSystem = this.game.saveSystem;
+        const select = document.getElementById('new-game-slot');
+        select.innerHTML = '';
+        
+        saveSystem.listSlots().forEach(({ slot, summary }) => {
+            const option = document.createElement('option');
+            option.value = String(slot);
+            option.textContent = summary && !summary.error
+                ? `Slot ${slot} - ${summary.name} (Level ${summary.level})`
+                : this.game.saveSlotsMenu.getSlotLabel(slot, summary);
+            select.appendChild(option);
+        });
+        
+        select.value = String(saveSystem.findEmptySlot() ?? saveSystem.activeSlot);
+        this.updateOverwriteWarning();
+    }
+    
+    getSelectedSlot() {
+        return parseInt(document.getElementById('new-game-slot').value, 10);
+    }
+    
+    updateOverwriteWarning() {
+        const occupied = this.game.saveSystem.hasSaveData(this.getSelectedSlot());
+        document.getElementById('overwrite-warning').classList.toggle('hidden', !occupied);
+    }
+    
+    hideCharacterCreation() {
+        document.getElementById('character-creation').classList.add('hidden');
+    }
+    
+    selectClass(classId) {
+        const startingClass = getStartingClass(classId);
+        this.selectedClass = startingClass.id;
+        
+        document.querySelectorAll('.class-option').forEach(button => {
+            button.classList.toggle('selected', button.dataset.classId === startingClass.id);
+        });
+        
+        document.getElementById('class-description').textContent = startingClass.description;
+        document.getElementById('class-stats').innerHTML = Object.entries(startingClass.stats)
+            .map(([stat, value]) => `<div class="stat-row"><span>${STAT_LABELS[stat]}</span><span>${value}</span></div>`)
+            .join('');
+    }
+    
+    beginNewGame() {
+        const nameInput = document.getElementById('character-name');
+        const name = nameInput.value.trim() || 'Tarnished';
+        
+        this.game.startGame({ mode: 'new', name, classId: this.selectedClass, slot: this.getSelectedSlot() });
+    }
+}
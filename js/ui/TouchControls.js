@@ -0,0 +1,384 @@
+/**
+ * TouchControls.js - On-screen Touch Controls
+ * Virtual joystick, camera swipe area and action buttons for touchscreens.
+ * Everything feeds InputManager (stick, look deltas, action presses), so the
+ * player can't tell touch from keyboard or gamepad input.
+ */
+
+// Joystick tilt below this is ignored (fraction of its radius)
+const JOYSTICK_DEAD_ZONE = 0.15;
+
+// Camera turn per pixel swiped (radians)
+const LOOK_SENSITIVITY = 0.006;
+
+/**
+ * On-screen controls. x/y are the control's centre as a fraction of the screen,
+ * size is its diameter in pixels at 100% scale.
+ */
+const TOUCH_CONTROLS = [
+    { id: 'joystick', x: 0.14, y: 0.72, size: 140 },
+    { id: 'lightAttack', label: 'Attack', x: 0.9, y: 0.74, size: 80 },
+    { id: 'heavyAttack', label: 'Heavy', x: 0.9, y: 0.56, size: 64 },
+    { id: 'block', label: 'Block', x: 0.8, y: 0.6, size: 64 },
+    { id: 'roll', label: 'Roll', x: 0.8, y: 0.82, size: 64 },
+    { id: 'castSpell', label: 'Spell', x: 0.7, y: 0.62, size: 56 },
+    { id: 'interact', label: 'Use', x: 0.7, y: 0.84, size: 56 },
+    { id: 'useItem', label: 'Item', x: 0.6, y: 0.86, size: 56 },
+    { id: 'lockOn', label: 'Lock', x: 0.9, y: 0.38, size: 56 },
+    { id: 'pause', label: '❚❚', x: 0.5, y: 0.06, size: 44 }
+];
+
+// Buttons left up during a conversation: Use reads on, pause leaves
+const DIALOGUE_CONTROLS = ['interact', 'pause'];
+
+export class TouchControls {
+    constructor(game) {
+        this.game = game;
+        
+        // 'auto' shows the controls after a touch and hides them on keyboard/gamepad use
+        this.mode = 'auto';
+        this.scale = 1;
+        this.opacity = 0.6;
+        this.layout = {}; // control id -> { x, y } moved from the default
+        
+        this.isVisible = false;
+        this.isTalking = false; // only DIALOGUE_CONTROLS are shown
+        this.isEditing = false;
+        this.onEditDone = null;
+        
+        // Active touches by identifier
+        this.joystickTouch = null;
+        this.lookTouches = new Map(); // id -> { x, y } last position
+        this.pressedButtons = new Map(); // touch id -> action
+        this.dragging = null; // { id, touchId } while editing the layout
+        
+        this.elements = {};
+        
+        this.loadSettings();
+        this.createUI();
+        this.applyLayout();
+        this.setupEventListeners();
+        
+        // Touch-first devices (tablets, touchscreen-only Chromebooks) start with the controls
+        if (TouchControls.isTouchPrimary()) {
+            this.game.inputManager.lastDevice = 'touch';
+        }
+    }
+    
+    static isTouchPrimary() {
+        if (typeof navigator === 'undefined' || !navigator.maxTouchPoints) return false;
+        return typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+    }
+    
+    loadSettings() {
+        const saved = this.game.saveSystem.loadSettings()?.touch;
+        if (!saved) return;
+        
+        if (['auto', 'on', 'off'].includes(saved.mode)) this.mode = saved.mode;
+        if (typeof saved.scale === 'number') this.scale = saved.scale;
+        if (typeof saved.opacity === 'number') this.opacity = saved.opacity;
+        if (saved.layout && typeof saved.layout === 'object') this.layout = { ...saved.layout };
+    }
+    
+    saveSettings() {
+        this.game.saveSystem.updateSettings({
+            touch: { mode: this.mode, scale: this.scale, opacity: this.opacity, layout: this.layout }
+        });
+    }
+    
+    createUI() {
+        const container = document.createElement('div');
+        container.id = 'touch-controls';
+        container.className = 'hidden';
+        
+        // Swiping anywhere not covered by a control turns the camera
+        const look = document.createElement('div');
+        look.className = 'touch-look';
+        container.appendChild(look);
+        this.elements.look = look;
+        
+        TOUCH_CONTROLS.forEach(control => {
+            const element = document.createElement('div');
+            element.dataset.control = control.id;
+            
+            if (control.id === 'joystick') {
+                element.className = 'touch-joystick';
+                const knob = document.createElement('div');
+                knob.className = 'touch-joystick-knob';
+                element.appendChild(knob);
+                this.knob = knob;
+            } else {
+                element.className = 'touch-button';
+                element.textContent = control.label;
+            }
+            
+            container.appendChild(element);
+            this.elements[control.id] = element;
+        });
+        
+        const done = document.createElement('button');
+        done.className = 'menu-button touch-layout-done hidden';
+        done.textContent = 'Done';
+        container.appendChild(done);
+        this.elements.done = done;
+        
+        document.getElementById('game-container').appendChild(container);
+        this.container = container;
+    }
+    
+    setupEventListeners() {
+        const listen = (element, handler) => {
+            ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+                element.addEventListener(type, (e) => {
+                    // Keeps the browser from scrolling/zooming and from faking mouse clicks
+                    e.preventDefault();
+                    handler(e);
+                }, { passive: false });
+            });
+        };
+        
+        listen(this.elements.look, (e) => this.onLookTouch(e));
+        TOUCH_CONTROLS.forEach(control => {
+            listen(this.elements[control.id], (e) => this.onControlTouch(control, e));
+        });
+        
+        this.elements.done.addEventListener('click', () => this.stopEditing());
+        
+        // Any touch switches prompts (and the auto mode) over to touch
+        window.addEventListener('touchstart', () => {
+            this.game.inputManager.lastDevice = 'touch';
+        }, { passive: true, capture: true });
+    }
+    
+    // Screen position (px) and radius of a control
+    getControlRect(control) {
+        const position = this.layout[control.id] || control;
+        return {
+            x: position.x * window.innerWidth,
+            y: position.y * window.innerHeight,
+            radius: control.size * this.scale / 2
+        };
+    }
+    
+    applyLayout() {
+        this.container.style.opacity = this.opacity;
+        
+        TOUCH_CONTROLS.forEach(control => {
+            const element = this.elements[control.id];
+            const position = this.layout[control.id] || control;
+            const size = Math.round(control.size * this.scale);
+            element.style.left = `${position.x * 100}%`;
+            element.style.top = `${position.y * 100}%`;
+            element.style.width = `${size}px`;
+            element.style.height = `${size}px`;
+        });
+    }
+    
+    onControlTouch(control, event) {
+        if (this.isEditing) {
+            this.onEditTouch(control, event);
+            return;
+        }
+        
+        const input = this.game.inputManager;
+        if (input.isReplaying() && control.id !== 'pause') return;
+        
+        const starting = event.type === 'touchstart';
+        const ending = event.type === 'touchend' || event.type === 'touchcancel';
+        
+        for (const touch of event.changedTouches) {
+            if (control.id === 'joystick') {
+                if (starting && this.joystickTouch === null) {
+                    this.joystickTouch = touch.identifier;
+                }
+                if (touch.identifier !== this.joystickTouch) continue;
+                
+                if (ending) {
+                    this.releaseJoystick();
+                } else {
+                    this.moveJoystick(control, touch);
+                }
+            } else if (starting) {
+                this.pressedButtons.set(touch.identifier, control.id);
+                this.elements[control.id].classList.add('pressed');
+                input.onActionDown(control.id, 'touch');
+            } else if (ending && this.pressedButtons.get(touch.identifier) === control.id) {
+                this.pressedButtons.delete(touch.identifier);
+                this.elements[control.id].classList.remove('pressed');
+                input.onActionUp(control.id);
+            }
+        }
+    }
+    
+    moveJoystick(control, touch) {
+        const rect = this.getControlRect(control);
+        let x = (touch.clientX - rect.x) / rect.radius;
+        let z = (touch.clientY - rect.y) / rect.radius;
+        
+        // Keep the knob inside the ring
+        const length = Math.sqrt(x * x + z * z);
+        if (length > 1) {
+            x /= length;
+            z /= length;
+        }
+        this.knob.style.transform = `translate(${x * rect.radius}px, ${z * rect.radius}px)`;
+        
+        // Dead zone, rescaled so the player starts moving slowly from its edge
+        const input = this.game.inputManager;
+        const tilt = Math.min(length, 1);
+        if (tilt <= JOYSTICK_DEAD_ZONE) {
+            input.stick.x = 0;
+            input.stick.z = 0;
+            return;
+        }
+        const scale = (tilt - JOYSTICK_DEAD_ZONE) / (1 - JOYSTICK_DEAD_ZONE) / tilt;
+        input.stick.x = x * scale;
+        input.stick.z = z * scale;
+    }
+    
+    releaseJoystick() {
+        this.joystickTouch = null;
+        this.knob.style.transform = '';
+        this.game.inputManager.stick.x = 0;
+        this.game.inputManager.stick.z = 0;
+    }
+    
+    onLookTouch(event) {
+        const input = this.game.inputManager;
+        if (this.isEditing || input.isReplaying()) return;
+        
+        for (const touch of event.changedTouches) {
+            const id = touch.identifier;
+            if (event.type === 'touchstart') {
+                this.lookTouches.set(id, { x: touch.clientX, y: touch.clientY });
+            } else if (event.type === 'touchmove' && this.lookTouches.has(id)) {
+                const last = this.lookTouches.get(id);
+                input.mouse.deltaX += (touch.clientX - last.x) * LOOK_SENSITIVITY;
+                input.mouse.deltaY += (touch.clientY - last.y) * LOOK_SENSITIVITY;
+                this.lookTouches.set(id, { x: touch.clientX, y: touch.clientY });
+            } else {
+                this.lookTouches.delete(id);
+            }
+        }
+    }
+    
+    // Let go of every touch (controls hidden mid-press, e.g. by the pause menu)
+    releaseAll() {
+        const input = this.game.inputManager;
+        this.pressedButtons.forEach(action => {
+            this.elements[action].classList.remove('pressed');
+            input.onActionUp(action);
+        });
+        this.pressedButtons.clear();
+        this.lookTouches.clear();
+        if (this.joystickTouch !== null) {
+            this.releaseJoystick();
+        }
+    }
+    
+    // Drag controls around while editing; positions are kept as screen fractions
+    onEditTouch(control, event) {
+        for (const touch of event.changedTouches) {
+            if (event.type === 'touchstart' && !this.dragging) {
+                this.dragging = { id: control.id, touchId: touch.identifier };
+            }
+            if (!this.dragging || this.dragging.touchId !== touch.identifier) continue;
+            
+            if (event.type === 'touchmove') {
+                const clamp = value => Math.min(0.97, Math.max(0.03, value));
+                this.layout[control.id] = {
+                    x: clamp(touch.clientX / window.innerWidth),
+                    y: clamp(touch.clientY / window.innerHeight)
+                };
+                this.applyLayout();
+            } else if (event.type !== 'touchstart') {
+                this.dragging = null;
+            }
+        }
+    }
+    
+    startEditing(onDone = null) {
+        this.releaseAll();
+        this.isEditing = true;
+        this.onEditDone = onDone;
+        this.container.classList.add('editing');
+        this.elements.done.classList.remove('hidden');
+        this.update();
+    }
+    
+    stopEditing() {
+        if (!this.isEditing) return;
+        
+        this.isEditing = false;
+        this.dragging = null;
+        this.container.classList.remove('editing');
+        this.elements.done.classList.add('hidden');
+        this.saveSettings();
+        this.update();
+        
+        if (this.onEditDone) {
+            const onDone = this.onEditDone;
+            this.onEditDone = null;
+            onDone();
+        }
+    }
+    
+    resetLayout() {
+        this.layout = {};
+        this.applyLayout();
+        this.saveSettings();
+    }
+    
+    setMode(mode) {
+        this.mode = mode;
+        this.saveSettings();
+        this.update();
+    }
+    
+    setScale(scale) {
+        this.scale = scale;
+        this.applyLayout();
+        this.saveSettings();
+    }
+    
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this.applyLayout();
+        this.saveSettings();
+    }
+    
+    // Caption shown for an action's on-screen button (used for prompts)
+    getLabel(action) {
+        return TOUCH_CONTROLS.find(control => control.id === action)?.label || null;
+    }
+    
+    isActive() {
+        if (this.mode === 'off') return false;
+        return this.mode === 'on' || this.game.inputManager.lastDevice === 'touch';
+    }
+    
+    // Shown during play and conversations (always while the layout is being edited)
+    update() {
+        const game = this.game;
+        const inDialogue = Boolean(game.npcSystem && game.npcSystem.dialogueActive);
+        const visible = this.isEditing ||
+            (this.isActive() && game.states.is('playing') && (!game.isPaused || inDialogue));
+        
+        const talking = visible && inDialogue && !this.isEditing;
+        if (talking !== this.isTalking) {
+            this.isTalking = talking;
+            this.releaseAll();
+            this.elements.look.classList.toggle('hidden', talking);
+            TOUCH_CONTROLS.forEach(control => {
+                this.elements[control.id].classList.toggle('hidden', talking && !DIALOGUE_CONTROLS.includes(control.id));
+            });
+        }
+        
+        if (visible === this.isVisible) return;
+        this.isVisible = visible;
+        this.container.classList.toggle('hidden', !visible);
+        if (!visible) {
+            this.releaseAll();
+        }
+    }
+}
@@ -11,6 +11,9 @@ export class ParticleSystem {
         this.game = game;
         this.scene = game.scene;
         
+        // Particle spread/velocity variation (seeded fx stream)
+        this.rng = game.rng.fx;
+        
         // Get particle count from quality settings
         const settings = game.settings || {};
         this.maxParticles = settings.particleCount || 100;
@@ -117,14 +120,14 @@ export class ParticleSystem {
         const velocities = [];
         
         for (let i = 0; i < count; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 200;
-            positions[i * 3 + 1] = Math.random() * 50;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 200;
+            positions[i * 3] = (this.rng.next() - 0.5) * 200;
+            positions[i * 3 + 1] = this.rng.next() * 50;
+            positions[i * 3 + 2] = (this.rng.next() - 0.5) * 200;
             
             velocities.push({
-                x: (Math.random() - 0.5) * 0.5,
-                y: Math.random() * 0.2,
-                z: (Math.random() - 0.5) * 0.5
+                x: (this.rng.next() - 0.5) * 0.5,
+                y: this.rng.next() * 0.2,
+                z: (this.rng.next() - 0.5) * 0.5
             });
         }
         
@@ -201,10 +204,10 @@ export class ParticleSystem {
                 const dz = positions[i * 3 + 2] - player.position.z;
                 
                 if (Math.abs(dx) > 100) {
-                    positions[i * 3] = player.position.x + (Math.random() - 0.5) * 100;
+                    positions[i * 3] = player.position.x + (this.rng.next() - 0.5) * 100;
                 }
                 if (Math.abs(dz) > 100) {
-                    positions[i * 3 + 2] = player.position.z + (Math.random() - 0.5) * 100;
+                    positions[i * 3 + 2] = player.position.z + (this.rng.next() - 0.5) * 100;
                 }
                 if (positions[i * 3 + 1] > 50) {
                     positions[i * 3 + 1] = 0;
@@ -221,18 +224,18 @@ export class ParticleSystem {
         for (let i = 0; i < count; i++) {
             const particle = this.createParticle({
                 position: position.clone().add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 1,
-                    Math.random() * 0.5,
-                    (Math.random() - 0.5) * 1
+                    (this.rng.next() - 0.5) * 1,
+                    this.rng.next() * 0.5,
+                    (this.rng.next() - 0.5) * 1
                 )),
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 3,
-                    Math.random() * 2,
-                    (Math.random() - 0.5) * 3
+                    (this.rng.next() - 0.5) * 3,
+                    this.rng.next() * 2,
+                    (this.rng.next() - 0.5) * 3
                 ),
                 color: 0x888888,
-                size: 0.2 + Math.random() * 0.3,
-                life: 0.5 + Math.random() * 0.5,
+                size: 0.2 + this.rng.next() * 0.3,
+                life: 0.5 + this.rng.next() * 0.5,
                 gravity: 5
             });
             
@@ -249,13 +252,13 @@ export class ParticleSystem {
             const particle = this.createParticle({
                 position: position.clone(),
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 8,
-                    Math.random() * 5,
-                    (Math.random() - 0.5) * 8
+                    (this.rng.next() - 0.5) * 8,
+                    this.rng.next() * 5,
+                    (this.rng.next() - 0.5) * 8
                 ),
                 color: 0xffaa00,
-                size: 0.1 + Math.random() * 0.1,
-                life: 0.2 + Math.random() * 0.2,
+                size: 0.1 + this.rng.next() * 0.1,
+                life: 0.2 + this.rng.next() * 0.2,
                 gravity: 15,
                 emissive: true
             });
@@ -271,20 +274,20 @@ export class ParticleSystem {
         if (!this.enabled) return;
         for (let i = 0; i < count; i++) {
             const velocity = direction.clone().multiplyScalar(3);
-            velocity.x += (Math.random() - 0.5) * 4;
-            velocity.y += Math.random() * 3;
-            velocity.z += (Math.random() - 0.5) * 4;
+            velocity.x += (this.rng.next() - 0.5) * 4;
+            velocity.y += this.rng.next() * 3;
+            velocity.z += (this.rng.next() - 0.5) * 4;
             
             const particle = this.createParticle({
                 position: position.clone().add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.5,
-                    Math.random() * 0.5,
-                    (Math.random() - 0.5) * 0.5
+                    (this.rng.next() - 0.5) * 0.5,
+                    this.rng.next() * 0.5,
+                    (this.rng.next() - 0.5) * 0.5
                 )),
                 velocity: velocity,
                 color: 0x880000,
-                size: 0.1 + Math.random() * 0.15,
-                life: 0.5 + Math.random() * 0.5,
+                size: 0.1 + this.rng.next() * 0.15,
+                life: 0.5 + this.rng.next() * 0.5,
                 gravity: 20
             });
             
@@ -300,13 +303,13 @@ export class ParticleSystem {
         const particle = this.createParticle({
             position: position.clone(),
             velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                Math.random() * 3 + 1,
-                (Math.random() - 0.5) * 2
+                (this.rng.next() - 0.5) * 2,
+                this.rng.next() * 3 + 1,
+                (this.rng.next() - 0.5) * 2
             ),
             color: 0x4488ff,
-            size: 0.2 + Math.random() * 0.2,
-            life: 1 + Math.random(),
+            size: 0.2 + this.rng.next() * 0.2,
+            life: 1 + this.rng.next(),
             gravity: -2, // Float upward
             emissive: true
         });
@@ -321,21 +324,21 @@ export class ParticleSystem {
         if (!this.enabled) return;
         for (let i = 0; i < count; i++) {
             const angle = (i / count) * Math.PI * 2;
-            const radius = 1 + Math.random();
+            const radius = 1 + this.rng.next();
             
             const particle = this.createParticle({
                 position: position.clone().add(new THREE.Vector3(
                     Math.cos(angle) * radius,
-                    Math.random(),
+                    this.rng.next(),
                     Math.sin(angle) * radius
                 )),
                 velocity: new THREE.Vector3(
                     -Math.cos(angle) * 2,
-                    2 + Math.random() * 2,
+                    2 + this.rng.next() * 2,
                     -Math.sin(angle) * 2
                 ),
                 color: 0xd4af37,
-                size: 0.15 + Math.random() * 0.1,
+                size: 0.15 + this.rng.next() * 0.1,
                 life: 1.5,
                 gravity: -1,
                 emissive: true
@@ -395,18 +398,18 @@ export class ParticleSystem {
         for (let i = 0; i < count; i++) {
             const particle = this.createParticle({
                 position: position.clone().add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.5,
-                    Math.random() * 0.3,
-                    (Math.random() - 0.5) * 0.5
+                    (this.rng.next() - 0.5) * 0.5,
+                    this.rng.next() * 0.3,
+                    (this.rng.next() - 0.5) * 0.5
                 )),
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.5,
-                    2 + Math.random() * 2,
-                    (Math.random() - 0.5) * 0.5
+                    (this.rng.next() - 0.5) * 0.5,
+                    2 + this.rng.next() * 2,
+                    (this.rng.next() - 0.5) * 0.5
                 ),
-                color: Math.random() > 0.5 ? 0xff4400 : 0xffaa00,
-                size: 0.1 + Math.random() * 0.1,
-                life: 0.3 + Math.random() * 0.3,
+                color: this.rng.next() > 0.5 ? 0xff4400 : 0xffaa00,
+                size: 0.1 + this.rng.next() * 0.1,
+                life: 0.3 + this.rng.next() * 0.3,
                 gravity: -3,
                 emissive: true
             });
@@ -449,9 +452,9 @@ export class ParticleSystem {
             setTimeout(() => {
                 this.createParticle({
                     position: position.clone().add(new THREE.Vector3(
-                        (Math.random() - 0.5) * 2,
-                        Math.random() * 2,
-                        (Math.random() - 0.5) * 2
+                        (this.rng.next() - 0.5) * 2,
+                        this.rng.next() * 2,
+                        (this.rng.next() - 0.5) * 2
                     )),
                     velocity: new THREE.Vector3(0, 0.5, 0),
                     color: color,
@@ -465,14 +468,14 @@ export class ParticleSystem {
         for (let i = 0; i < count; i++) {
             this.createParticle({
                 position: position.clone().add(new THREE.Vector3(
-                    (Math.random() - 0.5),
-                    Math.random() * 1.5,
-                    (Math.random() - 0.5)
+                    (this.rng.next() - 0.5),
+                    this.rng.next() * 1.5,
+                    (this.rng.next() - 0.5)
                 )),
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.5,
+                    (this.rng.next() - 0.5) * 0.5,
                     0,
-                    (Math.random() - 0.5) * 0.5
+                    (this.rng.next() - 0.5) * 0.5
                 ),
                 color: 0xaaaaff,
                 life: 0.5
@@ -488,7 +491,7 @@ export class ParticleSystem {
                 this.createParticle({
                     position: position.clone().add(new THREE.Vector3(
                         Math.cos(angle) * radius,
-                        Math.random() * 2,
+                        this.rng.next() * 2,
                         Math.sin(angle) * radius
                     )),
                     velocity: new THREE.Vector3(
@@ -506,12 +509,12 @@ export class ParticleSystem {
     spawnMagicBurst(position, count) {
         for (let i = 0; i < count; i++) {
             const angle = (i / count) * Math.PI * 2;
-            const speed = 3 + Math.random() * 2;
+            const speed = 3 + this.rng.next() * 2;
             this.createParticle({
                 position: position.clone().add(new THREE.Vector3(0, 1, 0)),
                 velocity: new THREE.Vector3(
                     Math.cos(angle) * speed,
-                    (Math.random() - 0.2) * 2,
+                    (this.rng.next() - 0.2) * 2,
                     Math.sin(angle) * speed
                 ),
                 color: 0x8844ff,
@@ -20,7 +20,7 @@ export class PerformanceSettings {
                 powerPreference: 'low-power',   // Use low-power GPU mode
                 
                 // Geometry - drastically reduced
-                terrainSegments: 16,            // Very low-poly terrain (16x16)
+                terrainSegments: 8,             // Segments per terrain chunk beyond the nearest ones (8x8)
                 treeDetail: 4,                  // 4-sided cone trees
                 maxTrees: 15,                   // Only 15 trees
                 maxEnemies: 3,                  // Only 3 enemies
@@ -43,6 +43,12 @@ export class PerformanceSettings {
                 environmentUpdateRate: 5,       // Update environment every 5th frame
                 particleUpdateRate: 3,          // Update particles every 3rd frame
                 hudUpdateRate: 3,               // Update HUD every 3rd frame
+                systemRates: {                  // SystemScheduler overrides (steps between updates)
+                    npc: 6,
+                    inventory: 10,
+                    checkpoint: 10,
+                    progression: 4
+                },
                 
                 // Distance - very aggressive culling
                 renderDistance: 40,             // Only render nearby objects
@@ -67,7 +73,7 @@ export class PerformanceSettings {
                 postProcessing: false,
                 powerPreference: 'low-power',
                 
-                terrainSegments: 32,
+                terrainSegments: 16,
                 treeDetail: 6,
                 maxTrees: 30,
                 maxEnemies: 5,
@@ -87,6 +93,10 @@ export class PerformanceSettings {
                 environmentUpdateRate: 3,
                 particleUpdateRate: 2,
                 hudUpdateRate: 2,
+                systemRates: {
+                    npc: 4,
+                    inventory: 8
+                },
                 
                 renderDistance: 60,
                 lodDistance: 30,
@@ -108,7 +118,7 @@ export class PerformanceSettings {
                 postProcessing: true,
                 powerPreference: 'default',
                 
-                terrainSegments: 64,
+                terrainSegments: 16,
                 treeDetail: 8,
                 maxTrees: 80,
                 maxEnemies: 10,
@@ -128,6 +138,7 @@ export class PerformanceSettings {
                 environmentUpdateRate: 2,
                 particleUpdateRate: 1,
                 hudUpdateRate: 2,
+                systemRates: {},
                 
                 renderDistance: 100,
                 lodDistance: 50,
@@ -149,7 +160,7 @@ export class PerformanceSettings {
                 postProcessing: true,
                 powerPreference: 'high-performance',
                 
-                terrainSegments: 128,
+                terrainSegments: 16,
                 treeDetail: 8,
                 maxTrees: 150,
                 maxEnemies: 15,
@@ -169,6 +180,7 @@ export class PerformanceSettings {
                 environmentUpdateRate: 1,
                 particleUpdateRate: 1,
                 hudUpdateRate: 1,
+                systemRates: {},
                 
                 renderDistance: 200,
                 lodDistance: 100,
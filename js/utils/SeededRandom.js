@@ -0,0 +1,120 @@
+/**
+ * SeededRandom.js - Deterministic Random Number Service
+ * One world seed feeds independent named streams (worldgen, ai, loot, fx)
+ * so the same seed always rebuilds the same world and bugs can be replayed
+ */
+
+// Hash a string (or number) to an unsigned 32-bit integer
+function hashString(value) {
+    const str = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A single random stream (mulberry32). Drawing from one stream never
+ * shifts the sequence of another, so extra particles can't change loot.
+ */
+class RandomStream {
+    constructor(name, seed) {
+        this.name = name;
+        this.initialState = 0;
+        this.state = 0;
+        this.reseed(seed);
+    }
+    
+    reseed(seed) {
+        this.initialState = hashString(`${seed}:${this.name}`);
+        this.state = this.initialState;
+    }
+    
+    // Restart the stream from its seed (e.g. before regenerating the world)
+    reset() {
+        this.state = this.initialState;
+    }
+    
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = 0;
+        this.streams = new Map();
+        
+        // Streams used by the game
+        ['worldgen', 'ai', 'loot', 'fx'].forEach(name => this.stream(name));
+        
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Change the seed. Existing streams are reseeded in place, so systems
+     * holding a stream reference keep working.
+     * @param {number|string} seed
+     */
+    setSeed(seed) {
+        this.seed = typeof seed === 'number' ? seed >>> 0 : hashString(seed);
+        this.streams.forEach(stream => stream.reseed(this.seed));
+    }
+    
+    /**
+     * Get (or create) a named stream
+     * @param {string} name
+     * @returns {RandomStream}
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(name, this.seed));
+        }
+        return this.streams.get(name);
+    }
+    
+    get worldgen() {
+        return this.stream('worldgen');
+    }
+    
+    get ai() {
+        return this.stream('ai');
+    }
+    
+    get loot() {
+        return this.stream('loot');
+    }
+    
+    get fx() {
+        return this.stream('fx');
+    }
+    
+    // Fresh, unseeded value for a brand new world
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
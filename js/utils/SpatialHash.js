@@ -0,0 +1,186 @@
+/**
+ * SpatialHash.js - Spatial Index for Proximity Queries
+ * Buckets objects into square cells on the ground plane, one layer per kind
+ * (enemies, trees, items...), so collision and interaction checks only look
+ * at the cells around a point instead of every object in the world.
+ */
+
+const DEFAULT_CELL_SIZE = 8; // world units; about the largest query radius used each tick
+
+export class SpatialHash {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        
+        this.cells = new Map();   // "layer:cx,cz" -> Set of entries
+        this.layers = new Map();  // layer -> Set of entries
+        this.entries = new Map(); // object -> { object, layer, x, z, key, order }
+        
+        // Results come back in insertion order so queries are deterministic
+        this.nextOrder = 0;
+    }
+    
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+    
+    cellKey(layer, cx, cz) {
+        return `${layer}:${cx},${cz}`;
+    }
+    
+    /**
+     * Add an object to a layer (an object already in the index is moved there)
+     * @param {string} layer
+     * @param {Object} object - anything; the index only stores the reference
+     * @param {number} x
+     * @param {number} z
+     */
+    insert(layer, object, x, z) {
+        const existing = this.entries.get(object);
+        if (existing) {
+            if (existing.layer === layer) {
+                this.move(object, x, z);
+                return;
+            }
+            this.remove(object);
+        }
+        
+        const entry = { object, layer, x, z, key: null, order: this.nextOrder++ };
+        this.entries.set(object, entry);
+        if (!this.layers.has(layer)) {
+            this.layers.set(layer, new Set());
+        }
+        this.layers.get(layer).add(entry);
+        this.addToCell(entry, this.cellKey(layer, this.toCell(x), this.toCell(z)));
+    }
+    
+    // Update an object's position; only changes buckets when it crosses into another cell
+    move(object, x, z) {
+        const entry = this.entries.get(object);
+        if (!entry) return false;
+        
+        entry.x = x;
+        entry.z = z;
+        const key = this.cellKey(entry.layer, this.toCell(x), this.toCell(z));
+        if (key !== entry.key) {
+            this.removeFromCell(entry);
+            this.addToCell(entry, key);
+        }
+        return true;
+    }
+    
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return false;
+        
+        this.removeFromCell(entry);
+        this.layers.get(entry.layer).delete(entry);
+        this.entries.delete(object);
+        return true;
+    }
+    
+    has(object) {
+        return this.entries.has(object);
+    }
+    
+    clearLayer(layer) {
+        const entries = this.layers.get(layer);
+        if (!entries) return;
+        
+        entries.forEach(entry => {
+            this.removeFromCell(entry);
+            this.entries.delete(entry.object);
+        });
+        entries.clear();
+    }
+    
+    // Number of objects in a layer
+    count(layer) {
+        return this.layers.get(layer)?.size || 0;
+    }
+    
+    addToCell(entry, key) {
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(entry);
+        entry.key = key;
+    }
+    
+    removeFromCell(entry) {
+        const cell = this.cells.get(entry.key);
+        if (!cell) return;
+        
+        cell.delete(entry);
+        if (cell.size === 0) {
+            this.cells.delete(entry.key);
+        }
+    }
+    
+    // Entries of a layer within radius of a point (ground-plane distance), in insertion order
+    queryEntries(layer, x, z, radius) {
+        const entries = this.layers.get(layer);
+        if (!entries || entries.size === 0) return [];
+        
+        const minX = this.toCell(x - radius);
+        const maxX = this.toCell(x + radius);
+        const minZ = this.toCell(z - radius);
+        const maxZ = this.toCell(z + radius);
+        const radiusSq = radius * radius;
+        const found = [];
+        const collect = entry => {
+            const dx = entry.x - x;
+            const dz = entry.z - z;
+            if (dx * dx + dz * dz <= radiusSq) {
+                found.push(entry);
+            }
+        };
+        
+        // A query wider than the layer is populated is cheaper as a plain scan
+        if ((maxX - minX + 1) * (maxZ - minZ + 1) >= entries.size) {
+            entries.forEach(collect);
+        } else {
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cz = minZ; cz <= maxZ; cz++) {
+                    this.cells.get(this.cellKey(layer, cx, cz))?.forEach(collect);
+                }
+            }
+        }
+        
+        return found.sort((a, b) => a.order - b.order);
+    }
+    
+    /**
+     * Objects of a layer within radius of a point on the ground plane
+     * @returns {Object[]} in the order they were inserted
+     */
+    queryRadius(layer, x, z, radius) {
+        return this.queryEntries(layer, x, z, radius).map(entry => entry.object);
+    }
+    
+    /**
+     * Closest object of a layer to a point on the ground plane
+     * @param {number} [maxDistance] - ignore anything further away
+     * @param {Function} [filter] - object => boolean, e.g. skip dead enemies
+     * @returns {Object|null} the earliest inserted one on a tie
+     */
+    nearest(layer, x, z, maxDistance = Infinity, filter = null) {
+        const candidates = Number.isFinite(maxDistance)
+            ? this.queryEntries(layer, x, z, maxDistance)
+            : [...(this.layers.get(layer) || [])].sort((a, b) => a.order - b.order);
+        
+        let nearest = null;
+        let nearestDistanceSq = Infinity;
+        for (const entry of candidates) {
+            if (filter && !filter(entry.object)) continue;
+            
+            const distanceSq = (entry.x - x) ** 2 + (entry.z - z) ** 2;
+            if (distanceSq < nearestDistanceSq) {
+                nearestDistanceSq = distanceSq;
+                nearest = entry.object;
+            }
+        }
+        return nearest;
+    }
+}
@@ -7,10 +7,29 @@
 import { copyFileSync, mkdirSync, readdirSync, statSync, existsSync, rmSync, readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { LevelFile } from '../js/game/LevelFile.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const rootDir = join(__dirname, '..');
 const distDir = join(rootDir, 'dist');
+const levelsDir = join(rootDir, 'levels');
+
+// Refuse to build with a broken level file - the game would fail to start
+console.log('Checking level files...');
+let invalidLevels = 0;
+for (const file of existsSync(levelsDir) ? readdirSync(levelsDir).filter(name => name.endsWith('.json')) : []) {
+  try {
+    LevelFile.parse(readFileSync(join(levelsDir, file), 'utf-8'));
+    console.log(`  ✓ levels/${file}`);
+  } catch (err) {
+    console.error(`  ✗ levels/${file}\n    ${err.message.replace(/\n/g, '\n    ')}`);
+    invalidLevels++;
+  }
+}
+if (invalidLevels > 0) {
+  console.error(`\n✗ Build failed: ${invalidLevels} invalid level file(s)`);
+  process.exit(1);
+}
 
 // Clean dist directory
 if (existsSync(distDir)) {
@@ -75,6 +94,10 @@ console.log('  Copied css/');
 copyDir(join(rootDir, 'js'), join(distDir, 'js'));
 console.log('  Copied js/');
 
+// Copy level files
+copyDir(levelsDir, join(distDir, 'levels'));
+console.log('  Copied levels/');
+
 // Copy src directory (runtime monitors)
 copyDir(join(rootDir, 'src'), join(distDir, 'src'));
 console.log('  Copied src/');
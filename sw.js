@@ -9,6 +9,7 @@ const CORE_ASSETS = [
   '/index.html',
   '/bundle.js',
   '/css/styles.css',
+  '/levels/overworld.json',
 ];
 
 // Install event - cache core assets
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Controls Table Generator
+ * Rebuilds the README controls table from the default bindings in
+ * js/game/InputBindings.js, so the docs match what the game ships with
+ *
+ * Usage:
+ *   node tools/controls-table.js           # rewrite the table in README.md
+ *   node tools/controls-table.js --check   # exit 1 if README.md is out of date
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ACTIONS, InputBindings } from '../js/game/InputBindings.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const readmePath = join(__dirname, '..', 'README.md');
+
+const START_MARKER = '<!-- controls:start (generated by npm run docs:controls) -->';
+const END_MARKER = '<!-- controls:end -->';
+
+export function buildControlsTable() {
+  const bindings = new InputBindings();
+  const rows = ACTIONS.map(action => (
+    `| ${action.label} | ${bindings.getLabel(action.id, 'keyboard')} | ${bindings.getLabel(action.id, 'gamepad')} |`
+  ));
+  
+  return [
+    '| Action | Keyboard & Mouse | Gamepad |',
+    '|--------|------------------|---------|',
+    ...rows
+  ].join('\n');
+}
+
+// README text with the block between the markers replaced
+export function updateReadme(readme) {
+  const start = readme.indexOf(START_MARKER);
+  const end = readme.indexOf(END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error('README.md is missing the controls markers');
+  }
+  
+  return readme.slice(0, start + START_MARKER.length) +
+    '\n' + buildControlsTable() + '\n' +
+    readme.slice(end);
+}
+
+function main() {
+  const readme = readFileSync(readmePath, 'utf8');
+  const updated = updateReadme(readme);
+  
+  if (process.argv.includes('--check')) {
+    if (updated !== readme) {
+      console.error('README.md controls table is out of date - run npm run docs:controls');
+      process.exit(1);
+    }
+    console.log('README.md controls table is up to date');
+    return;
+  }
+  
+  writeFileSync(readmePath, updated);
+  console.log(updated === readme ? 'README.md already up to date' : 'Updated README.md controls table');
+}
+
+// Only run when called directly (scenarios import the helpers)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
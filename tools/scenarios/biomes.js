@@ -0,0 +1,126 @@
+/**
+ * Biomes: every position belongs to a biome, vegetation and enemies follow
+ * the biome map, and walking into a new biome shows its name, switches the
+ * exploration theme and eases the fog and motes toward its look (once the
+ * player has settled in it, not on every step over a border)
+ */
+
+import assert from 'assert/strict';
+import { BIOMES } from '../../js/game/BiomeMap.js';
+import { Wolf, StoneGolem, DarkKnight, CrystalLizard } from '../../js/entities/EnemyTypes.js';
+
+// ENEMY_KINDS key an enemy was spawned from
+function kindOf(enemy) {
+  if (enemy instanceof Wolf) return 'wolf';
+  if (enemy instanceof StoneGolem) return 'golem';
+  if (enemy instanceof DarkKnight) return 'knight';
+  if (enemy instanceof CrystalLizard) return 'lizard';
+  return enemy.type;
+}
+
+export default {
+  description: 'Biome map drives vegetation, enemies, fog, motes, music and area names',
+  preset: 'low',
+  seed: 7,
+  
+  async run(runner) {
+    const game = runner.game;
+    const world = game.world;
+    const env = runner.environment;
+    
+    // All five biomes show up; tally where trees could grow to compare densities
+    const samples = new Map(); // biome id -> first position found
+    const treeArea = {};
+    let treeAreaTotal = 0;
+    for (let x = -196; x <= 196; x += 8) {
+      for (let z = -196; z <= 196; z += 8) {
+        const id = world.getBiomeAt(x, z).id;
+        if (!samples.has(id)) samples.set(id, { x, z });
+        
+        const y = world.getHeightAt(x, z);
+        if (Math.abs(x) < 200 && Math.abs(z) < 200 && y >= 1 && y <= 20) {
+          treeArea[id] = (treeArea[id] || 0) + 1;
+          treeAreaTotal++;
+        }
+      }
+    }
+    assert.deepEqual([...samples.keys()].sort(), Object.keys(BIOMES).sort(), 'every biome appears');
+    world.ruinLocations.forEach(loc => assert.equal(world.getBiomeAt(loc.x, loc.z).id, 'ruins'));
+    
+    // Lookups are stable and don't depend on the cache
+    const probe = [...samples.values()];
+    const before = probe.map(({ x, z }) => world.getBiomeAt(x + 0.7, z - 0.3).id);
+    world.biomeMap.cache.clear();
+    assert.deepEqual(probe.map(({ x, z }) => world.getBiomeAt(x + 0.7, z - 0.3).id), before);
+    
+    // Trees crowd into the woods and never grow among the ruins
+    const treeBiomes = world.trees.map(tree => world.getBiomeAt(tree.position.x, tree.position.z).id);
+    assert.ok(treeBiomes.length > 0);
+    assert.equal(treeBiomes.includes('ruins'), false, 'no trees in the ruins');
+    const forestTrees = treeBiomes.filter(id => id === 'forest').length / treeBiomes.length;
+    assert.ok(forestTrees > treeArea.forest / treeAreaTotal,
+      `${Math.round(forestTrees * 100)}% of trees in forest covering ${Math.round(treeArea.forest / treeAreaTotal * 100)}%`);
+    
+    // Basic enemies come from the roster of the biome they spawn in
+    const basic = game.enemies.slice(0, Math.min(8, game.settings.maxEnemies));
+    basic.forEach(enemy => {
+      const biome = world.getBiomeAt(enemy.spawnPoint.x, enemy.spawnPoint.z);
+      assert.ok(biome.enemies.includes(kindOf(enemy)), `${kindOf(enemy)} does not live in ${biome.id}`);
+    });
+    
+    // Walking into a new biome announces it and changes the atmosphere
+    runner.runFor(0.5);
+    const start = world.biomeMap.current;
+    assert.ok(start, 'the starting biome is tracked');
+    
+    const entered = [];
+    game.events.on('biomeEntered', ({ biome }) => entered.push(biome.id));
+    const targetId = ['swamp', 'forest', 'mountain'].find(id => id !== start.id);
+    const target = BIOMES[targetId];
+    
+    runner.teleportPlayer(samples.get(targetId).x, samples.get(targetId).z);
+    runner.runFor(0.5);
+    assert.deepEqual(entered, [targetId]);
+    assert.ok(env.isVisible('area-name'), 'area name is shown');
+    assert.equal(document.getElementById('area-name').textContent, target.name);
+    assert.equal(game.musicSystem.explorationTheme, target.music, 'exploration theme follows the biome');
+    
+    runner.runFor(4);
+    assert.equal(env.isVisible('area-name'), false, 'area name fades out');
+    assert.equal(entered.length, 1, 'staying inside a biome announces nothing');
+    
+    const effects = game.visualEffects;
+    assert.ok(Math.abs(effects.biomeFogAmount - target.fog.amount) < 0.01, 'fog tint eases to the biome');
+    assert.equal(effects.biomeFog.getHex(), target.fog.color);
+    assert.equal(effects.moteSystem.material.color.getHex(), target.particles.moteColor, 'motes take the biome color');
+    
+    // Stepping back and forth over a border announces nothing until the player settles
+    const { x: insideX, z: borderZ } = samples.get(targetId);
+    let borderX = null;
+    for (let dx = 1; dx < 200 && borderX === null; dx++) {
+      [insideX + dx, insideX - dx].forEach(x => {
+        if (borderX === null && world.getBiomeAt(x, borderZ).id !== targetId) borderX = x;
+      });
+    }
+    assert.notEqual(borderX, null, 'the biome has a border');
+    const side = Math.sign(borderX - insideX);
+    const across = world.getBiomeAt(borderX, borderZ).id;
+    runner.teleportPlayer(borderX - side * 1.5, borderZ);
+    runner.runFor(0.5);
+    assert.equal(world.biomeMap.current.id, targetId);
+    
+    const theme = game.musicSystem.explorationTheme;
+    for (let i = 0; i < 4; i++) {
+      runner.teleportPlayer(borderX + side, borderZ);
+      runner.runFor(0.5);
+      runner.teleportPlayer(borderX - side * 1.5, borderZ);
+      runner.runFor(0.5);
+    }
+    assert.equal(entered.length, 1, 'quick crossings are not announced');
+    assert.equal(game.musicSystem.explorationTheme, theme, 'and leave the music alone');
+    
+    runner.teleportPlayer(borderX + side, borderZ);
+    runner.runFor(3.5);
+    assert.deepEqual(entered, [targetId, across], 'staying on the other side announces it');
+  }
+};
@@ -0,0 +1,142 @@
+/**
+ * Remappable controls: rebinding through the settings menu (with conflict
+ * swaps, reserved pause inputs and reset), prompts that follow the bindings,
+ * and bindings that survive a reload
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { InputBindings } from '../../js/game/InputBindings.js';
+import { updateReadme } from '../controls-table.js';
+
+const README = new URL('../../README.md', import.meta.url);
+
+// Click a binding button in the controls page
+function clickBinding(runner, action, device) {
+  runner.environment.getElement('bindings-list').dispatchEvent({
+    type: 'click',
+    target: { dataset: { action, device } }
+  });
+}
+
+export default {
+  description: 'Controls can be remapped, conflicts swap, and bindings persist',
+  seed: 5,
+  
+  async run(runner) {
+    const readme = readFileSync(README, 'utf8');
+    assert.equal(updateReadme(readme), readme, 'README controls table matches the defaults (npm run docs:controls)');
+    assert.equal(new InputBindings().getConflicts().size, 0, 'default bindings do not overlap');
+    
+    const game = runner.game;
+    const env = runner.environment;
+    const bindings = game.inputBindings;
+    const menu = game.settingsMenu;
+    
+    // Spells are cast through the shared table now
+    runner.runFor(0.5);
+    const mana = game.player.mana;
+    runner.press('KeyQ');
+    assert.ok(game.player.mana < mana || game.magicSystem.isCasting, 'Q casts the equipped spell');
+    runner.runFor(2);
+    
+    menu.open();
+    document.getElementById('controls-btn').click();
+    assert.ok(env.isVisible('controls-menu'));
+    
+    // Rebind roll to V; the key press doesn't leak into the game while capturing
+    clickBinding(runner, 'roll', 'keyboard');
+    assert.equal(menu.isCapturing(), true);
+    runner.press('KeyV');
+    assert.equal(menu.isCapturing(), false);
+    assert.equal(bindings.getKey('roll'), 'KeyV');
+    assert.equal(bindings.getActionForKey('Space'), null, 'Space is free again');
+    
+    // Binding a key in use swaps it with the action that had it
+    clickBinding(runner, 'interact', 'keyboard');
+    runner.press('KeyV');
+    assert.equal(bindings.getKey('interact'), 'KeyV');
+    assert.equal(bindings.getKey('roll'), 'KeyE', 'roll took over the old interact key');
+    assert.match(document.getElementById('bindings-status').textContent, /Dodge Roll/);
+    
+    // Pause inputs are reserved; Escape cancels without unpausing
+    clickBinding(runner, 'block', 'keyboard');
+    runner.press('Escape');
+    assert.equal(menu.isCapturing(), false);
+    assert.equal(bindings.getKey('block'), 'Mouse2');
+    assert.equal(game.isPaused, true, 'cancelling a capture does not unpause');
+    assert.equal(bindings.bind('block', 'keyboard', 'Escape').bound, false);
+    
+    // Mouse buttons bind too
+    clickBinding(runner, 'castSpell', 'keyboard');
+    env.mouseDown(1);
+    env.mouseUp(1);
+    assert.equal(bindings.getKey('castSpell'), 'Mouse1');
+    runner.step();
+    
+    // Gamepad buttons are read straight from the pad while capturing
+    const pad = {
+      index: 0,
+      id: 'Headless Pad',
+      mapping: 'standard',
+      axes: [0, 0, 0, 0],
+      buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+    navigator.getGamepads = () => [pad];
+    clickBinding(runner, 'useItem', 'gamepad');
+    pad.buttons[4] = { pressed: true, value: 1 };
+    runner.step(6);
+    pad.buttons[4] = { pressed: false, value: 0 };
+    assert.equal(menu.isCapturing(), false);
+    assert.equal(bindings.getPadButton('useItem'), 4);
+    assert.equal(bindings.getPadButton('block'), 2, 'block moved to the old quick item button');
+    assert.equal(game.isPaused, true, 'the bound button did not reach the game');
+    
+    // Stored with the settings
+    const saved = game.saveSystem.loadSettings().bindings;
+    assert.equal(saved.keys.interact, 'KeyV');
+    assert.equal(saved.pad.useItem, 4);
+    
+    // Back in the game, the new keys drive actions and prompts
+    runner.press('Escape');
+    assert.equal(env.isVisible('controls-menu'), false);
+    menu.close();
+    runner.step(2);
+    assert.equal(game.isPaused, false);
+    
+    runner.press('KeyE', 2);
+    assert.ok(game.player.isRolling, 'E rolls after the swap');
+    runner.runUntil(() => !game.player.isRolling, 3);
+    runner.press('Space', 2);
+    runner.step();
+    assert.equal(game.player.isRolling, false, 'Space no longer rolls');
+    
+    game.hud.showInteractionPrompt('Rest');
+    assert.equal(document.getElementById('prompt-key').textContent, 'V');
+    assert.equal(game.inputManager.formatPrompt('Press {castSpell} to cast'), 'Press Middle Click to cast');
+    
+    const storage = Object.fromEntries(env.storage);
+    runner.stop();
+    
+    // Bindings load on the next boot
+    const reloaded = new HeadlessRunner({ seed: 5, localStorage: storage });
+    await reloaded.start();
+    try {
+      const next = reloaded.game;
+      assert.equal(next.inputBindings.getKey('interact'), 'KeyV');
+      assert.equal(next.inputBindings.getKey('roll'), 'KeyE');
+      assert.equal(next.inputBindings.getPadButton('useItem'), 4);
+      
+      // Reset to defaults
+      next.settingsMenu.open();
+      next.settingsMenu.openControls();
+      document.getElementById('reset-bindings-btn').click();
+      assert.equal(next.inputBindings.getKey('interact'), 'KeyE');
+      assert.equal(next.inputBindings.getKey('roll'), 'Space');
+      assert.equal(next.saveSystem.loadSettings().bindings.keys.roll, 'Space');
+    } finally {
+      reloaded.stop();
+    }
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * Dungeons: every ruin leads down into a seeded interior of template rooms
+ * with its own light and fog, guards, treasure, a Site of Grace and an
+ * optional mini-boss, and going in and out keeps the player as they were
+ */
+
+import assert from 'assert/strict';
+import { Dungeon } from '../../js/game/Dungeon.js';
+
+const level = {
+  format: 'soulsborne3d-level',
+  version: 1,
+  name: 'Dungeon Test',
+  enemies: [{ x: 12, z: 0, kind: 'melee' }],
+  bosses: [],
+  checkpoints: [{ name: 'Camp', x: 0, z: 0, discovered: true }],
+  npcs: [],
+  items: [],
+  ruins: [
+    { x: 40, z: 40, rotation: 90, dungeon: { name: 'Test Crypt', theme: 'crypt', rooms: 5, miniBoss: true } },
+    { x: -40, z: -40, dungeon: { miniBoss: false } }
+  ],
+  bossArenas: [{ x: 70, z: -70 }]
+};
+
+export default {
+  description: 'Ruins lead into seeded dungeons with their own atmosphere, spawns and a Site of Grace',
+  seed: 12,
+  level,
+  
+  async run(runner) {
+    const game = runner.game;
+    const world = game.world;
+    const player = game.player;
+    const dungeons = game.dungeonSystem.dungeons;
+    
+    // One dungeon per ruin (boss arenas stay open-air), each rebuilt the same from the seed
+    assert.equal(dungeons.length, 2);
+    const [crypt, other] = dungeons;
+    assert.equal(crypt.name, 'Test Crypt');
+    assert.notEqual(other.name, crypt.name);
+    const copy = new Dungeon(game, level.ruins[1], other.origin, new Set());
+    assert.equal(copy.name, other.name);
+    assert.deepEqual(copy.rooms.map(room => [room.slotX, room.slotZ, room.template]),
+      other.rooms.map(room => [room.slotX, room.slotZ, room.template]));
+    assert.deepEqual(copy.placements, other.placements);
+    copy.dispose();
+    
+    // Rooms from templates: entry first, a grace, the mini-boss's lair deepest, all reachable
+    assert.equal(crypt.rooms.length, 5);
+    assert.equal(crypt.rooms[0].template, 'entry');
+    assert.equal(crypt.rooms.filter(room => room.template === 'sanctum').length, 1);
+    const lair = crypt.rooms.find(room => room.template === 'lair');
+    assert.equal(lair.depth, Math.max(...crypt.rooms.map(room => room.depth)));
+    assert.equal(other.rooms.some(room => room.template === 'lair'), false, 'the mini-boss is optional');
+    const arrival = crypt.arrivals.enter.position;
+    crypt.rooms.forEach(room => {
+      assert.ok(crypt.navGrid.findPath(arrival, { x: room.x, z: room.z }), `room ${room.index} is reachable`);
+    });
+    
+    // Its Site of Grace, treasure and mini-boss spawn with the level's; guards wait for the player
+    const grace = runner.findCheckpoint('Test Crypt Sanctum');
+    assert.ok(grace);
+    assert.equal(world.getInteriorAt(grace.position.x, grace.position.z), crypt);
+    const treasure = game.inventorySystem.worldItems.filter(item => world.getInteriorAt(item.position.x, item.position.z) === crypt);
+    assert.ok(treasure.length >= 1);
+    const inDungeon = () => game.enemies.filter(enemy => world.getInteriorAt(enemy.spawnPoint.x, enemy.spawnPoint.z));
+    assert.deepEqual(inDungeon(), []);
+    const warden = runner.findBoss('Warden of the Test Crypt');
+    assert.ok(warden.isMiniBoss);
+    assert.ok(warden.maxHealth < 1000);
+    assert.equal(world.getNavGridAt(warden.position.x, warden.position.z), crypt.navGrid);
+    assert.equal(game.saveSystem.canBeginNewGamePlus(), false);
+    
+    // The archway at the ruin offers the way in
+    runner.teleportPlayer(40 + 2, 40);
+    runner.runFor(0.2);
+    assert.ok(runner.environment.isVisible('interaction-prompt'));
+    assert.equal(document.getElementById('prompt-text').textContent, 'Enter Test Crypt');
+    
+    // Going in changes only where the player stands
+    player.health = 37;
+    game.progressionSystem.souls = 1234;
+    const playerLevel = game.progressionSystem.level;
+    const mana = player.mana;
+    runner.press('KeyE', 10);
+    assert.equal(world.getInteriorAt(player.position.x, player.position.z), crypt);
+    assert.equal(player.health, 37);
+    assert.equal(player.mana, mana);
+    assert.equal(game.progressionSystem.souls, 1234);
+    assert.equal(game.progressionSystem.level, playerLevel);
+    assert.ok(Math.abs(player.position.y - crypt.floorHeight) < 0.5, 'standing on the dungeon floor');
+    assert.equal(crypt.group.visible, true);
+    assert.equal(other.group.visible, false);
+    
+    // Only this dungeon's guards are spawned, within the preset's enemy budget
+    const guards = inDungeon();
+    assert.ok(guards.length >= 1 && guards.length <= game.settings.maxEnemies);
+    assert.ok(guards.every(guard => world.getInteriorAt(guard.spawnPoint.x, guard.spawnPoint.z) === crypt));
+    
+    // Its own light and fog, area name and music
+    runner.runFor(1);
+    assert.equal(game.visualEffects.biome, crypt.biome);
+    assert.equal(game.scene.fog.far, crypt.biome.lighting.fogFar);
+    assert.equal(game.ambientLight.intensity, crypt.biome.lighting.ambientIntensity);
+    assert.equal(game.musicSystem.explorationTheme, 'dungeon');
+    
+    // Walls and pillars block; the floor doesn't
+    const entry = crypt.rooms[0];
+    assert.equal(world.checkCollision(player.position.clone().setX(entry.x), 0.5), false);
+    assert.equal(world.checkCollision(player.position.clone().setX(entry.x + entry.half + 1), 0.5), true);
+    const pillar = crypt.pillars[0];
+    assert.equal(world.checkCollision(pillar.position.clone(), 0.5), true);
+    runner.walkTo(entry.x - entry.half - 5, entry.z, { maxSeconds: 2 });
+    assert.ok(crypt.isFloorAt(player.position.x, player.position.z), 'the walls hold the player in');
+    
+    // The stairs lead back out to the ruin
+    const stairs = crypt.doors.leave.position;
+    runner.teleportPlayer(stairs.x, stairs.z - 1);
+    runner.runFor(0.2);
+    assert.equal(document.getElementById('prompt-text').textContent, 'Leave Test Crypt');
+    runner.press('KeyE', 10);
+    assert.equal(world.getInteriorAt(player.position.x, player.position.z), null);
+    assert.ok(runner.distanceToPlayer(crypt.doors.enter.position) < 6);
+    assert.equal(player.health, 37);
+    assert.equal(crypt.group.visible, false);
+    assert.deepEqual(inDungeon(), [], 'the guards go when the player leaves');
+    runner.runFor(1);
+    assert.notEqual(game.scene.fog.far, crypt.biome.lighting.fogFar, 'the outdoor fog is back');
+    assert.notEqual(game.ambientLight.intensity, crypt.biome.lighting.ambientIntensity);
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Gamepad: a standard-mapping controller moves and turns the player, maps its
+ * buttons to actions, ignores stick drift and can be unplugged mid-game
+ */
+
+import assert from 'assert/strict';
+
+function createPad() {
+  return {
+    index: 0,
+    id: 'Headless Pad',
+    mapping: 'standard',
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+  };
+}
+
+function setButton(pad, index, down) {
+  pad.buttons[index] = { pressed: down, value: down ? 1 : 0 };
+}
+
+export default {
+  description: 'Gamepad sticks, buttons, dead zone and hot-plug',
+  seed: 7,
+  
+  async run(runner) {
+    const game = runner.game;
+    const input = game.inputManager;
+    const player = game.player;
+    const pad = createPad();
+    let connected = true;
+    navigator.getGamepads = () => (connected ? [pad] : []);
+    
+    // Picked up on the next poll without a connect event
+    runner.step();
+    assert.equal(input.gamepad.index, 0);
+    
+    // Slight drift inside the dead zone does nothing
+    runner.teleportPlayer(0, 0);
+    runner.runFor(0.5);
+    pad.axes = [0.1, -0.12, 0.15, 0];
+    const start = player.position.clone();
+    const cameraYaw = player.cameraRotationY;
+    runner.runFor(0.5);
+    assert.equal(input.isMoving(), false);
+    assert.ok(player.position.distanceTo(start) < 0.01, 'drift does not move the player');
+    assert.equal(player.cameraRotationY, cameraYaw, 'drift does not turn the camera');
+    
+    // Half tilt walks, rescaled from the dead zone's edge
+    pad.axes = [0, -0.6, 0, 0];
+    runner.runFor(1);
+    assert.ok(Math.abs(input.stick.z + 0.5) < 1e-9, 'stick is rescaled past the dead zone');
+    assert.ok(player.position.distanceTo(start) > 1, 'left stick moves the player');
+    
+    // Right stick turns the camera
+    pad.axes = [0, 0, 1, 0];
+    runner.runFor(0.5);
+    assert.ok(player.cameraRotationY < cameraYaw - 0.5, 'right stick turns the camera');
+    pad.axes = [0, 0, 0, 0];
+    runner.runFor(0.5);
+    
+    // RB attacks
+    setButton(pad, 5, true);
+    runner.step();
+    setButton(pad, 5, false);
+    runner.step();
+    assert.ok(player.isAttacking, 'RB light attacks');
+    runner.runUntil(() => !player.isAttacking, 3);
+    
+    // B tapped rolls, held sprints
+    setButton(pad, 1, true);
+    runner.step(3);
+    setButton(pad, 1, false);
+    runner.step();
+    assert.ok(player.isRolling, 'tapping B rolls');
+    runner.runUntil(() => !player.isRolling, 3);
+    setButton(pad, 1, true);
+    runner.runFor(0.5);
+    assert.equal(input.keys.sprint, true, 'holding B sprints');
+    
+    // Triggers only count past the threshold
+    const weaponIndex = game.weaponSystem.weaponIndex;
+    setButton(pad, 10, true);
+    runner.step();
+    assert.notEqual(game.weaponSystem.weaponIndex, weaponIndex, 'L3 cycles weapons');
+    pad.buttons[7] = { pressed: true, value: 0.2 };
+    runner.step();
+    assert.equal(input.gamepad.pressed[7], false, 'light trigger pull is ignored');
+    
+    // LB blocks while held, then the pad is unplugged mid-block
+    setButton(pad, 4, true);
+    pad.axes = [0, -1, 0, 0];
+    runner.step();
+    assert.equal(input.keys.block, true, 'LB blocks');
+    connected = false;
+    runner.step();
+    assert.equal(input.gamepad.index, null);
+    assert.equal(input.keys.block, false, 'unplugging releases block');
+    assert.equal(input.keys.sprint, false, 'unplugging releases sprint');
+    assert.equal(input.isMoving(), false, 'unplugging stops movement');
+    
+    // Start pauses once plugged back in
+    connected = true;
+    setButton(pad, 4, false);
+    setButton(pad, 1, false);
+    setButton(pad, 10, false);
+    pad.axes = [0, 0, 0, 0];
+    runner.step();
+    setButton(pad, 9, true);
+    runner.step();
+    assert.equal(game.isPaused, true, 'Start pauses');
+    setButton(pad, 9, false);
+    runner.step();
+    setButton(pad, 9, true);
+    runner.step();
+    assert.equal(game.isPaused, false, 'Start resumes');
+    setButton(pad, 9, false);
+    runner.step();
+    
+    // The right stick does nothing while paused, so the camera doesn't jump on resume
+    game.pause();
+    pad.axes = [0, 0, 1, 0];
+    runner.runFor(1);
+    pad.axes = [0, 0, 0, 0];
+    const pausedYaw = player.cameraRotationY;
+    game.resume();
+    runner.runFor(0.2);
+    assert.ok(Math.abs(player.cameraRotationY - pausedYaw) < 1e-9, 'look held while paused is dropped');
+    
+    // A talks to an NPC and reads through the lines; Start leaves part way
+    const npcs = game.npcSystem;
+    const tap = index => {
+      setButton(pad, index, true);
+      runner.step();
+      setButton(pad, index, false);
+      runner.step();
+    };
+    const warrior = npcs.npcs.find(npc => npc.name === 'Crestfallen Warrior');
+    runner.teleportPlayer(warrior.position.x + 1.5, warrior.position.z);
+    runner.runFor(0.2);
+    // NPCs only look for interact every few steps
+    tap(0);
+    assert.ok(runner.runUntil(() => npcs.dialogueActive, 0.5), 'A starts talking');
+    assert.equal(game.isPaused, true);
+    tap(0);
+    tap(0);
+    assert.equal(npcs.currentDialogueIndex, 2, 'A reads on');
+    tap(9);
+    assert.equal(npcs.dialogueActive, false, 'Start leaves the conversation');
+    assert.equal(game.isPaused, false);
+    assert.equal(game.states.is('playing'), true, 'leaving it does not open the pause menu');
+    
+    // Talking again picks up there and A reads to the end
+    tap(0);
+    assert.ok(runner.runUntil(() => npcs.dialogueActive, 0.5));
+    for (let i = 0; i < warrior.dialogue.length && npcs.dialogueActive; i++) {
+      tap(0);
+    }
+    assert.equal(npcs.dialogueActive, false, 'A ends the conversation after the last line');
+    assert.equal(game.isPaused, false);
+  }
+};
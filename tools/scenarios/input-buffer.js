@@ -0,0 +1,128 @@
+/**
+ * Input buffer: rolls, attacks and spells pressed just before the player
+ * recovers still go off, stale presses are dropped, the equipped weapon
+ * decides which queued action wins and the window is a saved setting
+ */
+
+import assert from 'assert/strict';
+
+export default {
+  description: 'Buffered rolls, attacks and spells with per-weapon priority',
+  seed: 11,
+  
+  async run(runner) {
+    const game = runner.game;
+    const input = game.inputManager;
+    const player = game.player;
+    
+    const tap = (action) => {
+      input.onActionDown(action, 'gamepad');
+      input.onActionUp(action);
+    };
+    const rested = () => {
+      runner.runUntil(() => player.state === 'idle' && player.attackCooldown <= 0 && player.rollCooldown <= 0, 3);
+      player.stamina = player.maxStamina;
+      player.mana = player.maxMana;
+    };
+    
+    runner.teleportPlayer(0, 0);
+    runner.runFor(0.5);
+    
+    // A light attack pressed late in a swing chains into the next hit
+    tap('lightAttack');
+    runner.step();
+    assert.ok(player.isAttacking);
+    runner.runUntil(() => player.stateTimer < 0.05, 2);
+    tap('lightAttack');
+    runner.step();
+    assert.ok(player.inputBuffer.has('lightAttack'), 'press is queued mid-swing');
+    runner.runUntil(() => !player.isAttacking, 1);
+    runner.runUntil(() => player.isAttacking, 0.3);
+    assert.ok(player.isAttacking, 'buffered attack fires once the swing recovers');
+    assert.equal(player.comboCount, 2, 'and continues the combo');
+    rested();
+    
+    // Pressed too early in a slow heavy attack, the press runs out
+    tap('heavyAttack');
+    runner.step();
+    tap('lightAttack');
+    runner.runUntil(() => !player.isAttacking, 2);
+    runner.runFor(0.4);
+    assert.equal(player.isAttacking, false, 'stale press is dropped');
+    assert.equal(player.inputBuffer.has('lightAttack'), false);
+    rested();
+    
+    // A roll pressed at the end of a roll rolls again
+    tap('roll');
+    runner.step();
+    assert.ok(player.isRolling);
+    runner.runUntil(() => player.rollTimer > player.rollDuration - 0.05, 1);
+    tap('roll');
+    runner.runUntil(() => !player.isRolling, 1);
+    runner.runUntil(() => player.isRolling, 0.3);
+    assert.ok(player.isRolling, 'buffered roll fires after the first');
+    rested();
+    
+    // Spells wait out the roll too
+    tap('roll');
+    runner.step();
+    runner.runUntil(() => player.rollTimer > player.rollDuration - 0.1, 1);
+    tap('castSpell');
+    runner.step();
+    assert.equal(game.magicSystem.isCasting, false, 'no casting mid-roll');
+    runner.runUntil(() => game.magicSystem.isCasting, 1);
+    assert.ok(game.magicSystem.isCasting, 'buffered spell is cast after the roll');
+    runner.runUntil(() => !game.magicSystem.isCasting, 3);
+    rested();
+    
+    // Longsword: a queued roll beats a queued attack; the dagger favours attacks
+    const queueBoth = () => {
+      tap('lightAttack');
+      runner.step();
+      runner.runUntil(() => player.stateTimer < 0.05, 2);
+      tap('lightAttack');
+      tap('roll');
+      runner.runUntil(() => player.state !== 'attacking', 1);
+      runner.runUntil(() => player.state !== 'idle', 0.3);
+    };
+    queueBoth();
+    assert.equal(player.state, 'rolling', 'longsword rolls first');
+    rested();
+    
+    game.weaponSystem.equipWeapon('dagger');
+    queueBoth();
+    assert.equal(player.state, 'attacking', 'dagger attacks first');
+    rested();
+    
+    // The staff favours spells, but one without the mana doesn't hold up a queued roll
+    game.weaponSystem.equipWeapon('staff');
+    tap('lightAttack');
+    runner.step();
+    runner.runUntil(() => player.stateTimer < 0.05, 2);
+    player.mana = 0;
+    tap('castSpell');
+    tap('roll');
+    runner.runUntil(() => player.state !== 'attacking', 1);
+    runner.runUntil(() => player.state !== 'idle', 0.3);
+    assert.equal(player.state, 'rolling', 'the roll goes off in place of the spell');
+    assert.equal(player.inputBuffer.has('castSpell'), false, 'the spell press is dropped');
+    rested();
+    game.weaponSystem.equipWeapon('longsword');
+    
+    // The window is a saved setting; at 0 ms late presses are dropped
+    game.settingsMenu.open();
+    document.getElementById('input-buffer').dispatchEvent({ type: 'input', target: { value: '0' } });
+    game.settingsMenu.close();
+    runner.step(2);
+    assert.equal(player.inputBuffer.window, 0);
+    assert.equal(game.saveSystem.loadSettings().inputBufferWindow, 0);
+    
+    tap('lightAttack');
+    runner.step();
+    runner.runUntil(() => player.stateTimer < 0.05, 2);
+    tap('lightAttack');
+    runner.runUntil(() => !player.isAttacking, 1);
+    runner.runFor(0.3);
+    assert.equal(player.isAttacking, false, 'no buffering with a 0 ms window');
+  }
+};
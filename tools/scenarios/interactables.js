@@ -0,0 +1,183 @@
+/**
+ * Interactables: doors, one-way shortcuts, levers, chests and lifts prompt
+ * when in range, check their conditions (key items, which side, levers),
+ * animate between states, block while closed and stay as they were left
+ * across a reload
+ */
+
+import assert from 'assert/strict';
+import { LevelFile } from '../../js/game/LevelFile.js';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+
+const level = {
+  format: 'soulsborne3d-level',
+  version: 1,
+  name: 'Interactables Test',
+  enemies: [],
+  bosses: [],
+  checkpoints: [{ name: 'Camp', x: 0, z: 0, discovered: true }],
+  npcs: [],
+  items: [],
+  ruins: [],
+  bossArenas: [],
+  interactables: [
+    { name: 'Iron Door', type: 'door', x: 10, z: 0, rotation: 90, requires: 'bossKey' },
+    { name: 'Back Gate', type: 'shortcut', x: 0, z: 12 },
+    { name: 'Gate Lever', type: 'lever', x: -10, z: 3, targets: ['Portcullis'] },
+    { name: 'Portcullis', type: 'door', x: -10, z: 8 },
+    { name: 'Old Chest', type: 'chest', x: 5, z: -10, item: 'ember', quantity: 2 },
+    { name: 'Test Lift', type: 'lift', x: -15, z: -15, height: 6 }
+  ]
+};
+
+const SEED = 31;
+
+function promptText() {
+  return document.getElementById('prompt-text').textContent;
+}
+
+export default {
+  description: 'Doors, shortcuts, levers, chests and lifts check conditions, animate and keep their state in saves',
+  seed: SEED,
+  level,
+  
+  async run(runner) {
+    const game = runner.game;
+    const world = game.world;
+    const player = game.player;
+    const interactables = game.interactableSystem;
+    const inventory = game.inventorySystem;
+    
+    const messages = [];
+    game.events.on('message', ({ text }) => messages.push(text));
+    
+    // Level entries are checked: names are unique, levers name doors, chests hold something
+    const broken = structuredClone(level);
+    broken.interactables[2].targets = ['Old Chest'];
+    broken.interactables.push({ name: 'Back Gate', type: 'chest', x: 0, z: 0, height: 2 });
+    assert.equal(LevelFile.validate(broken).length, 4);
+    assert.equal(interactables.interactables.length, level.interactables.length);
+    
+    // A locked door prompts, but won't open without its key
+    const door = interactables.getInteractable('Iron Door');
+    runner.teleportPlayer(8, 0);
+    runner.runFor(0.2);
+    assert.ok(runner.environment.isVisible('interaction-prompt'));
+    assert.equal(promptText(), 'Open Iron Door');
+    runner.press('KeyE', 10);
+    assert.equal(door.isActive, false);
+    assert.equal(messages.pop(), 'Requires Boss Gate Key');
+    
+    // Closed, it blocks the way
+    assert.equal(world.checkCollision(door.position.clone(), 0.5), true);
+    runner.walkTo(12, 0, { maxSeconds: 2 });
+    assert.ok(player.position.x < door.position.x, 'the closed door holds the player back');
+    
+    // With the key it swings open (the key is kept) and the way is clear
+    inventory.addItem('bossKey');
+    runner.teleportPlayer(8, 0);
+    runner.press('KeyE', 10);
+    assert.equal(door.isActive, true);
+    assert.ok(door.progress > 0 && door.progress < 1, 'the door is still swinging');
+    runner.runFor(1.5);
+    assert.equal(door.progress, 1);
+    assert.ok(inventory.hasItem('bossKey'));
+    assert.equal(world.checkCollision(door.position.clone(), 0.5), false);
+    assert.equal(runner.environment.isVisible('interaction-prompt'), false, 'open doors have nothing to offer');
+    assert.ok(runner.walkTo(12, 0, { maxSeconds: 3 }));
+    
+    // A shortcut only opens from the side it faces
+    const shortcut = interactables.getInteractable('Back Gate');
+    runner.teleportPlayer(0, 10);
+    runner.press('KeyE', 10);
+    assert.equal(shortcut.isActive, false);
+    assert.equal(messages.pop(), 'Does not open from this side');
+    runner.teleportPlayer(0, 14);
+    runner.press('KeyE', 10);
+    assert.equal(shortcut.isActive, true);
+    
+    // A lever's door only opens by pulling it
+    const portcullis = interactables.getInteractable('Portcullis');
+    const lever = interactables.getInteractable('Gate Lever');
+    runner.teleportPlayer(-10, 6.5);
+    runner.press('KeyE', 10);
+    assert.equal(portcullis.isActive, false);
+    assert.equal(messages.pop(), 'Opened elsewhere');
+    runner.teleportPlayer(-11, 2);
+    runner.runFor(0.2);
+    assert.equal(promptText(), 'Pull Gate Lever');
+    runner.press('KeyE', 10);
+    assert.equal(lever.isActive, true);
+    assert.equal(portcullis.isActive, true);
+    
+    // A chest gives its item once
+    const embers = inventory.getItemCount('ember');
+    runner.teleportPlayer(5, -8.5);
+    runner.runFor(0.2);
+    assert.equal(promptText(), 'Open Old Chest');
+    runner.press('KeyE', 10);
+    runner.runFor(1);
+    assert.equal(inventory.getItemCount('ember'), embers + 2);
+    assert.equal(runner.environment.isVisible('interaction-prompt'), false, 'an opened chest has nothing more to give');
+    
+    // A lift carries whoever stands on it up, and can be called back down
+    const lift = interactables.getInteractable('Test Lift');
+    runner.teleportPlayer(-15, -15);
+    runner.runFor(0.5);
+    const ground = world.getHeightAt(-15, -15);
+    assert.equal(promptText(), 'Ride Test Lift');
+    runner.press('KeyE', 10);
+    runner.runFor(3);
+    assert.equal(lift.isActive, true);
+    assert.equal(lift.progress, 1);
+    assert.ok(Math.abs(player.position.y - (ground + 6.3)) < 0.2, 'the player rode to the top');
+    
+    runner.teleportPlayer(-12.5, -15);
+    runner.runFor(0.5);
+    assert.ok(player.position.y < ground + 3, 'standing on the ground by the shaft');
+    assert.equal(promptText(), 'Call Test Lift');
+    runner.press('KeyE', 10);
+    assert.equal(lift.isActive, false);
+    runner.runFor(3);
+    assert.equal(lift.progress, 0);
+    
+    // Everything stays as it was left after a reload
+    runner.teleportPlayer(0, 0);
+    assert.equal(game.saveSystem.saveGame(), true);
+    await game.saveSystem.storage.flush();
+    const storage = Object.fromEntries(runner.environment.storage);
+    runner.stop();
+    
+    const reloaded = new HeadlessRunner({ seed: SEED, level, localStorage: storage });
+    await reloaded.start();
+    try {
+      const next = reloaded.game;
+      const system = next.interactableSystem;
+      ['Iron Door', 'Back Gate', 'Gate Lever', 'Portcullis', 'Old Chest'].forEach(name => {
+        const interactable = system.getInteractable(name);
+        assert.equal(interactable.isActive, true, `${name} stays open`);
+        assert.equal(interactable.progress, 1);
+      });
+      assert.equal(system.getInteractable('Test Lift').isActive, false);
+      assert.equal(next.world.checkCollision(system.getInteractable('Iron Door').position.clone(), 0.5), false);
+      
+      reloaded.teleportPlayer(5, -8.5);
+      reloaded.runFor(0.2);
+      assert.equal(reloaded.environment.isVisible('interaction-prompt'), false, 'looted chests stay empty');
+      
+      // The level editor places new ones and keeps the others as they are
+      next.toggleLevelEditor();
+      const editor = next.levelEditor;
+      editor.place('interactables:chest', 20, 20);
+      editor.renameSelected('Spare Chest');
+      next.toggleLevelEditor();
+      const spare = system.getInteractable('Spare Chest');
+      assert.ok(spare);
+      assert.equal(spare.isActive, false);
+      assert.equal(system.getInteractable('Iron Door').isActive, true);
+      assert.deepEqual(LevelFile.validate(next.level), []);
+    } finally {
+      reloaded.stop();
+    }
+  }
+};
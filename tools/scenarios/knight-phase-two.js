@@ -0,0 +1,38 @@
+/**
+ * Corrupted Knight transitions into phase 2 below 50% health
+ */
+
+import assert from 'assert/strict';
+
+export default {
+  description: 'Corrupted Knight enters phase 2 below 50% health',
+  
+  async run(runner) {
+    const game = runner.game;
+    const boss = runner.findBoss('Corrupted Knight');
+    assert.ok(boss, 'Corrupted Knight spawned');
+    
+    // Stand inside detection range so the boss aggros
+    runner.teleportPlayer(boss.position.x - 20, boss.position.z - 20);
+    const aggroed = runner.runUntil(() => boss.hasAggro, 5);
+    assert.ok(aggroed, 'boss noticed the player');
+    assert.equal(boss.phase, 1);
+    
+    const baseSpeed = boss.moveSpeed;
+    
+    // Bring the boss just below the threshold
+    boss.takeDamage(boss.maxHealth * 0.51, game.player.position);
+    runner.step();
+    assert.equal(boss.phase, 2, 'phase 2 starts below 50% health');
+    assert.equal(boss.state, 'phase_transition');
+    
+    // Invulnerable while transitioning
+    const health = boss.health;
+    boss.takeDamage(100, game.player.position);
+    assert.equal(boss.health, health, 'no damage during phase transition');
+    
+    const finished = runner.runUntil(() => boss.state !== 'phase_transition', 5);
+    assert.ok(finished, 'phase transition ends');
+    assert.ok(boss.moveSpeed > baseSpeed, 'phase 2 boss is faster');
+  }
+};
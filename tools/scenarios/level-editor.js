@@ -0,0 +1,168 @@
+/**
+ * Level editor: F4 pauses play and hands the camera to the editor, clicks on
+ * the terrain place and select placements, edits show up in the scene once
+ * made, and the result exports as a level file the game can load
+ */
+
+import assert from 'assert/strict';
+import * as THREE from 'three';
+import { LevelFile } from '../../js/game/LevelFile.js';
+import { Wolf } from '../../js/entities/EnemyTypes.js';
+
+const level = {
+  format: 'soulsborne3d-level',
+  version: 1,
+  name: 'Editor Test',
+  enemies: [{ x: 20, z: 20, kind: 'melee' }],
+  bosses: [],
+  checkpoints: [{ name: 'Camp', x: 0, z: 0, discovered: true }],
+  npcs: [{ name: 'Trader', type: 'merchant', x: 5, z: 0, dialogue: ['Hello.'], services: ['shop'], inventory: [] }],
+  items: [],
+  ruins: [],
+  bossArenas: []
+};
+
+// Mouse event at a canvas pixel
+function mouse(type, clientX, clientY, button = 0) {
+  return { type, button, clientX, clientY, movementX: 0, movementY: 0, target: { tagName: 'CANVAS' }, preventDefault() {} };
+}
+
+// Entries standing in the overworld (a ruin's dungeon brings its own)
+function outside(world, list) {
+  return list.filter(({ position }) => !world.getInteriorAt(position.x, position.z));
+}
+
+// Canvas pixel a world position is drawn at
+function toScreen(camera, position) {
+  camera.updateMatrixWorld();
+  const ndc = position.clone().project(camera);
+  return { x: (ndc.x + 1) / 2 * window.innerWidth, y: (1 - ndc.y) / 2 * window.innerHeight };
+}
+
+export default {
+  description: 'Level editor places, moves, rotates and deletes placements live and exports a valid level',
+  seed: 5,
+  level,
+  
+  async run(runner) {
+    const game = runner.game;
+    const env = runner.environment;
+    const editor = game.levelEditor;
+    const world = game.world;
+    const canvas = game.canvas;
+    runner.runFor(0.5);
+    
+    // F4 pauses play and opens the editor
+    env.keyDown('F4');
+    env.keyUp('F4');
+    assert.ok(game.states.is('editing'));
+    assert.ok(game.isPaused);
+    assert.ok(env.isVisible('level-editor'));
+    
+    // WASD flies the camera; the player stays put
+    const playerStart = game.player.position.clone();
+    const cameraStart = game.camera.position.clone();
+    env.keyDown('KeyW');
+    runner.runFor(1);
+    env.keyUp('KeyW');
+    assert.ok(game.camera.position.distanceTo(cameraStart) > 10, 'camera flew forward');
+    assert.ok(game.player.position.distanceTo(playerStart) < 0.01, 'player ignores editor keys');
+    
+    // Look down and click the ground: a wolf lands there, at terrain height
+    editor.pitch = -Math.PI / 3;
+    runner.step();
+    const center = editor.pickGround(0, 0);
+    assert.ok(center, 'the center of the screen hits the ground');
+    assert.equal(center.y, world.getHeightAt(center.x, center.z));
+    editor.setPalette('enemies:wolf');
+    canvas.dispatchEvent(mouse('mousedown', 640, 360));
+    assert.deepEqual(game.level.enemies[1], { x: center.x, z: center.z, kind: 'wolf' });
+    
+    // Dragging moves it, and the scene catches up when the mouse is released
+    document.dispatchEvent(mouse('mousemove', 760, 360));
+    runner.step();
+    const dragged = editor.pickGround(120 / 640, 0);
+    assert.deepEqual([game.level.enemies[1].x, game.level.enemies[1].z], [dragged.x, dragged.z]);
+    assert.equal(game.enemies.length, 1, 'no rebuild mid-drag');
+    env.mouseUp(0);
+    runner.step();
+    const wolf = game.enemies[1];
+    assert.ok(wolf instanceof Wolf);
+    assert.deepEqual([wolf.spawnPoint.x, wolf.spawnPoint.z], [dragged.x, dragged.z]);
+    
+    // R turns the selection in 15 degree steps
+    env.keyDown('KeyR');
+    env.keyDown('KeyR');
+    runner.step();
+    assert.equal(game.level.enemies[1].rotation, 30);
+    assert.ok(Math.abs(game.enemies[1].mesh.rotation.y - THREE.MathUtils.degToRad(30)) < 1e-6);
+    editor.rotateSelected(-30);
+    assert.equal('rotation' in game.level.enemies[1], false, 'facing 0 is left out of the file');
+    
+    // Clicking a marker selects it; the Site of Grace moves and turns
+    const camp = new THREE.Vector3(0, world.getHeightAt(0, 0) + 2, 0);
+    editor.pitch = 0;
+    editor.yaw = 0;
+    game.camera.position.set(0, camp.y + 2, 25);
+    runner.step();
+    const pixel = toScreen(game.camera, camp);
+    canvas.dispatchEvent(mouse('mousedown', pixel.x, pixel.y));
+    env.mouseUp(0);
+    assert.deepEqual(editor.selection, { category: 'checkpoints', index: 0 });
+    editor.moveSelected(4, -6);
+    editor.rotateSelected(90);
+    runner.step();
+    const checkpoint = game.checkpointSystem.checkpoints[0];
+    assert.deepEqual([checkpoint.position.x, checkpoint.position.z], [4, -6]);
+    assert.ok(Math.abs(checkpoint.rotation - Math.PI / 2) < 1e-6);
+    assert.equal(game.checkpointSystem.lastCheckpoint.name, 'Camp');
+    
+    // Names stay unique because saves look things up by name
+    editor.place('checkpoints', -30, 30);
+    assert.equal(game.level.checkpoints[1].name, 'Site of Grace');
+    assert.equal(editor.renameSelected('Camp'), false);
+    assert.equal(editor.renameSelected('Crossroads'), true);
+    editor.place('bosses:knight', 60, 60);
+    editor.place('bosses:knight', -60, 60);
+    editor.place('npcs:sorcerer', -28, 30);
+    editor.place('items:ember', -26, 30);
+    editor.place('ruins', -60, -60);
+    editor.place('bossArenas', 60, 60);
+    runner.step();
+    assert.deepEqual(outside(world, game.checkpointSystem.checkpoints).map(c => c.name), ['Camp', 'Crossroads']);
+    assert.deepEqual(outside(world, game.bosses).map(boss => boss.name), ['Corrupted Knight', 'Corrupted Knight 2']);
+    assert.deepEqual(game.npcSystem.npcs.map(npc => npc.name), ['Trader', 'Sorcerer']);
+    assert.deepEqual(outside(world, game.inventorySystem.worldItems).map(item => item.key), ['ember@-26,30']);
+    assert.deepEqual(world.ruinLocations, [{ x: -60, z: -60 }, { x: 60, z: 60, isBossArena: true }]);
+    assert.equal(world.ruins.length, 2);
+    assert.equal(world.getBiomeAt(-60, -60).id, 'ruins');
+    assert.equal(game.dungeonSystem.dungeons.length, 1, 'the new ruin leads into a dungeon');
+    assert.ok(game.checkpointSystem.checkpoints.some(c => c.name === `${game.dungeonSystem.dungeons[0].name} Sanctum`));
+    
+    // Delete removes the selection
+    editor.select('enemies', 0);
+    env.keyDown('Delete');
+    runner.step();
+    assert.deepEqual(outside(world, game.enemies).map(enemy => enemy.constructor.name), ['Wolf']);
+    
+    // The edited level passes the schema and exports in the levels/ layout
+    assert.deepEqual(LevelFile.validate(game.level), []);
+    assert.deepEqual(LevelFile.parse(LevelFile.create(game.level)), game.level);
+    assert.equal(editor.exportLevel(), true);
+    game.level.checkpoints.forEach(c => delete c.discovered);
+    assert.equal(editor.exportLevel(), false, 'a level without a start point is not exported');
+    assert.match(document.getElementById('editor-status').textContent, /discovered Site of Grace/);
+    editor.select('checkpoints', 0);
+    editor.setSelectedDiscovered(true);
+    
+    // F4 again returns to play with the camera back on the player
+    env.keyDown('F4');
+    env.keyUp('F4');
+    assert.ok(game.states.is('playing'));
+    assert.equal(game.isPaused, false);
+    assert.equal(env.isVisible('level-editor'), false);
+    assert.equal(editor.markers.parent, null, 'markers leave the scene');
+    runner.runFor(1);
+    assert.ok(game.camera.position.distanceTo(game.player.position) < 15, 'camera follows the player again');
+  }
+};
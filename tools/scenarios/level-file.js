@@ -0,0 +1,120 @@
+/**
+ * Level file: the game places enemies, bosses, Sites of Grace, NPCs, items
+ * and ruins from levels/overworld.json, plays a different layout when given
+ * one, and refuses to start with a level that fails the schema (including
+ * items that don't exist)
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { LevelFile } from '../../js/game/LevelFile.js';
+
+const overworld = JSON.parse(readFileSync(new URL('../../levels/overworld.json', import.meta.url), 'utf-8'));
+
+const customLevel = {
+  format: 'soulsborne3d-level',
+  version: 1,
+  name: 'Test Grounds',
+  enemies: [
+    { x: 12, z: -8, kind: 'wolf' },
+    { x: -16, z: 20, kind: 'heavy' }
+  ],
+  bosses: [
+    { type: 'dragon', name: 'Test Wyrm', x: 60, z: -60 }
+  ],
+  checkpoints: [
+    { name: 'Camp', x: 30, z: -20, discovered: true }
+  ],
+  npcs: [
+    { name: 'Quartermaster', type: 'merchant', x: 33, z: -20, dialogue: ['Buy something.'], services: ['shop'], inventory: [{ id: 'firebomb', price: 80 }] }
+  ],
+  items: [
+    { item: 'ember', x: 28, z: -24 }
+  ],
+  ruins: [],
+  bossArenas: [{ x: 60, z: -60 }]
+};
+
+export default {
+  description: 'Placements load from the level file, custom levels play, invalid ones are rejected',
+  seed: 41,
+  
+  async run(runner) {
+    const game = runner.game;
+    
+    // The shipped level is valid and everything comes from it
+    assert.deepEqual(LevelFile.validate(overworld), []);
+    assert.equal(game.level.name, overworld.name);
+    // (each ruin's dungeon adds its own Site of Grace, treasure and mini-boss after the level's)
+    const dungeons = game.dungeonSystem;
+    assert.deepEqual(game.checkpointSystem.checkpoints.map(c => c.name),
+      [...overworld.checkpoints, ...dungeons.getPlacements('checkpoints')].map(c => c.name));
+    assert.deepEqual(game.npcSystem.npcs.map(npc => npc.name), overworld.npcs.map(npc => npc.name));
+    assert.equal(game.inventorySystem.worldItems.length, overworld.items.length + dungeons.getPlacements('items').length);
+    assert.deepEqual(game.bosses.map(boss => [boss.name, boss.arenaCenter.x, boss.arenaCenter.z]),
+      [...overworld.bosses, ...dungeons.getPlacements('bosses')].map(boss => [boss.name, boss.x, boss.z]));
+    assert.equal(game.world.ruinLocations.length, overworld.ruins.length + overworld.bossArenas.length);
+    assert.equal(dungeons.dungeons.length, overworld.ruins.length);
+    
+    // Potato's enemy budget takes the first spawns in order; elite spawns need a bigger budget
+    // (and dungeon guards only spawn once the player goes down)
+    const budget = game.settings.maxEnemies;
+    assert.deepEqual(game.enemies.map(enemy => [enemy.spawnPoint.x, enemy.spawnPoint.z]),
+      overworld.enemies.filter(spawn => spawn.minEnemyBudget === undefined).slice(0, budget).map(spawn => [spawn.x, spawn.z]));
+    runner.stop();
+    
+    // A different layout plays without touching any code
+    const custom = new HeadlessRunner({ seed: 41, level: customLevel });
+    await custom.start();
+    try {
+      const next = custom.game;
+      assert.deepEqual(next.enemies.map(enemy => [enemy.constructor.name, enemy.spawnPoint.x, enemy.spawnPoint.z]),
+        [['Wolf', 12, -8], ['Enemy', -16, 20]]);
+      assert.equal(next.enemies[1].type, 'heavy');
+      assert.deepEqual(next.bosses.map(boss => boss.name), ['Test Wyrm']);
+      assert.equal(next.checkpointSystem.lastCheckpoint.name, 'Camp');
+      assert.deepEqual(next.npcSystem.npcs[0].inventory, [{ id: 'firebomb', price: 80 }]);
+      assert.deepEqual(next.inventorySystem.worldItems.map(item => item.key), ['ember@28,-24']);
+      assert.deepEqual(next.world.ruinLocations, [{ x: 60, z: -60, isBossArena: true }]);
+    } finally {
+      custom.stop();
+    }
+    
+    // Schema problems are listed by path
+    const broken = structuredClone(customLevel);
+    broken.enemies[0].kind = 'dragonn';
+    broken.checkpoints[0].discoverd = true;
+    delete broken.checkpoints[0].discovered;
+    broken.items[0].x = 900;
+    delete broken.npcs[0].dialogue;
+    broken.npcs[0].inventory[0].id = 'firebmob';
+    broken.items[0].item = 'titaniteShrad';
+    assert.deepEqual(LevelFile.validate(broken), [
+      'enemies[0].kind must be one of melee, ranged, heavy, wolf, golem, knight, lizard (got "dragonn")',
+      'checkpoints[0].discoverd is not a known field',
+      'npcs[0].dialogue is missing',
+      'npcs[0].inventory[0].id "firebmob" is not a known item (see js/systems/ItemDatabase.js)',
+      'items[0].item "titaniteShrad" is not a known item (see js/systems/ItemDatabase.js)',
+      'items[0].x must be at most 240'
+    ]);
+    
+    // Rules across entries: a start point and unique names
+    const noStart = structuredClone(customLevel);
+    noStart.checkpoints = [{ name: 'Camp', x: 0, z: 0 }, { name: 'Camp', x: 5, z: 5 }];
+    assert.deepEqual(LevelFile.validate(noStart).length, 2);
+    assert.throws(() => LevelFile.parse('{ "format": '), /not valid JSON/);
+    
+    // The game won't start on an invalid level, and says why on the loading screen
+    const rejected = new HeadlessRunner({ seed: 41, level: broken });
+    try {
+      const failure = await rejected.start().then(() => null, error => error);
+      assert.match(failure.message, /Invalid level/);
+      rejected.game.showStartupError(failure);
+      assert.ok(rejected.environment.isVisible('loading-screen'));
+      assert.match(document.getElementById('loading-error').textContent, /items\[0\]\.item "titaniteShrad" is not a known item/);
+    } finally {
+      rejected.stop();
+    }
+  }
+};
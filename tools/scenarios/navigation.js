@@ -0,0 +1,120 @@
+/**
+ * Navigation: the nav grid blocks trees, rocks, ruin pieces and steep
+ * ground, A* paths go around them, and enemies and bosses follow those
+ * paths instead of walking straight into a wall
+ */
+
+import assert from 'assert/strict';
+import * as THREE from 'three';
+
+const level = {
+  format: 'soulsborne3d-level',
+  version: 1,
+  name: 'Navigation Test',
+  enemies: [{ x: 40, z: 40, kind: 'melee' }],
+  bosses: [
+    { type: 'knight', name: 'Gate Warden', x: -60, z: 60 },
+    { type: 'dragon', name: 'Pillar Wyrm', x: 60, z: -60 }
+  ],
+  checkpoints: [{ name: 'Camp', x: 0, z: 0, discovered: true }],
+  npcs: [],
+  items: [],
+  ruins: [{ x: 40, z: 40 }],
+  bossArenas: [{ x: -60, z: 60 }, { x: 60, z: -60 }]
+};
+
+// Each leg of a path can be walked in a straight line
+function assertWalkable(navGrid, from, path) {
+  let previous = from;
+  path.forEach((point, index) => {
+    assert.ok(navGrid.hasLineOfSight(previous, point), `leg ${index} of the path is clear`);
+    previous = point;
+  });
+}
+
+// Distance from a point to a wall's center line
+function distanceToWall(point, wall) {
+  const local = wall.worldToLocal(new THREE.Vector3(point.x, wall.getWorldPosition(new THREE.Vector3()).y, point.z));
+  const halfWidth = wall.geometry.parameters.width / 2;
+  return Math.hypot(Math.max(0, Math.abs(local.x) - halfWidth), local.z);
+}
+
+export default {
+  description: 'Enemies and bosses follow A* paths around obstacles and steep slopes',
+  seed: 3,
+  level,
+  
+  async run(runner) {
+    const game = runner.game;
+    const world = game.world;
+    const navGrid = world.navGrid;
+    
+    // Obstacles and the steep rim of the world are blocked, open ground isn't
+    assert.ok(navGrid.isWalkableAt(0, 0));
+    world.trees.concat(world.rocks).forEach(({ position }) => {
+      assert.equal(navGrid.isWalkableAt(position.x, position.z), false);
+    });
+    let steepX = null;
+    for (let x = 120; x < 235 && steepX === null; x++) {
+      if (!navGrid.isWalkableAt(x, 0) && !world.trees.concat(world.rocks).some(({ position }) => position.distanceTo(new THREE.Vector3(x, position.y, 0)) < 3)) {
+        steepX = x;
+      }
+    }
+    assert.ok(steepX !== null, 'the slope up to the world edge is too steep to walk');
+    const towardRim = navGrid.findPath(new THREE.Vector3(100, 0, 0), new THREE.Vector3(steepX + 5, 0, 0));
+    assert.ok(towardRim.length > 0);
+    assert.ok(navGrid.isWalkableAt(towardRim.at(-1).x, towardRim.at(-1).z), 'paths stop at the bottom of the slope');
+    
+    // The longest wall of the ruin stands between the enemy and the player
+    const wall = world.structures
+      .filter(piece => piece.geometry.type === 'BoxGeometry')
+      .sort((a, b) => b.geometry.parameters.width - a.geometry.parameters.width)[0];
+    const center = wall.getWorldPosition(new THREE.Vector3());
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(wall.getWorldQuaternion(new THREE.Quaternion()));
+    const enemyStart = center.clone().addScaledVector(normal, -4);
+    const playerSpot = center.clone().addScaledVector(normal, 4);
+    assert.equal(navGrid.hasLineOfSight(enemyStart, playerSpot), false, 'the wall blocks the straight line');
+    
+    const path = navGrid.findPath(enemyStart, playerSpot);
+    assert.ok(path.length >= 2, 'the path turns around the wall');
+    assert.ok(path.length < 10, 'the path is smoothed to a few waypoints');
+    assert.deepEqual([path.at(-1).x, path.at(-1).z], [playerSpot.x, playerSpot.z]);
+    assertWalkable(navGrid, enemyStart, path);
+    
+    // The enemy walks around the wall to reach the player
+    runner.teleportPlayer(playerSpot.x, playerSpot.z);
+    const enemy = game.enemies[0];
+    enemy.position.set(enemyStart.x, world.getHeightAt(enemyStart.x, enemyStart.z), enemyStart.z);
+    enemy.spawnPoint.copy(enemy.position);
+    enemy.state = 'chase';
+    enemy.hasAggro = true;
+    
+    let closestToWall = Infinity;
+    const reached = runner.runUntil(() => {
+      closestToWall = Math.min(closestToWall, distanceToWall(enemy.position, wall));
+      return runner.distanceToPlayer(enemy.position) <= enemy.attackRange;
+    }, 15);
+    assert.ok(reached, 'the enemy reaches the player');
+    assert.ok(closestToWall > 0.4, `the enemy never walks through the wall (${closestToWall.toFixed(2)})`);
+    
+    // The boss goes around an arena pillar instead of into it
+    const boss = game.bosses[0];
+    const pillar = new THREE.Vector3(-60 + 22, 0, 60);
+    boss.position.set(pillar.x - 5, world.getHeightAt(pillar.x - 5, 60), 60);
+    runner.teleportPlayer(pillar.x + 2.5, 60);
+    const direction = boss.pathFollower.steer(game.player.position, 0);
+    assert.ok(Math.abs(direction.z) > 0.3, 'the boss steps aside of the pillar');
+    assertWalkable(navGrid, boss.position, boss.pathFollower.path);
+    
+    // So does the dragon when it lands and fights on foot
+    const dragon = game.bosses[1];
+    const dragonPillar = new THREE.Vector3(60 + 22, 0, -60);
+    dragon.position.set(dragonPillar.x - 5, world.getHeightAt(dragonPillar.x - 5, -60), -60);
+    dragon.state = 'grounded';
+    dragon.attackCooldown = 10;
+    runner.teleportPlayer(dragonPillar.x + 2.5, -60);
+    dragon.updateGrounded(0);
+    assert.ok(Math.abs(dragon.velocity.z) > 0.3 * Math.hypot(dragon.velocity.x, dragon.velocity.z), 'the dragon steps aside of the pillar');
+    assertWalkable(navGrid, dragon.position, dragon.pathFollower.path);
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * New Game+: once every boss is down the next cycle keeps the character and
+ * gear, resets world progress, and scales enemies and bosses up
+ */
+
+import assert from 'assert/strict';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { getCycleScaling, getCycleLabel, MAX_CYCLE } from '../../js/entities/CycleScaling.js';
+
+export default {
+  description: 'New Game+ carries the character over and scales foes',
+  seed: 31,
+  
+  async run(runner) {
+    assert.deepEqual(getCycleScaling(1), { health: 1, damage: 1, souls: 1 });
+    assert.deepEqual(getCycleScaling(MAX_CYCLE + 5), getCycleScaling(MAX_CYCLE), 'scaling is capped');
+    assert.equal(getCycleLabel(1), '');
+    assert.equal(getCycleLabel(3), 'NG+2');
+    
+    const game = runner.game;
+    const saveSystem = game.saveSystem;
+    const baseEnemy = { health: game.enemies[0].maxHealth, souls: game.enemies[0].soulsReward };
+    const baseBosses = game.bosses.map(boss => ({ name: boss.name, health: boss.maxHealth, damage: boss.damage }));
+    
+    // Build up a character and some world progress
+    game.progressionSystem.level = 12;
+    game.progressionSystem.souls = 5000;
+    game.player.stats.strength = 20;
+    game.inventorySystem.addItem('dragonScale', 2);
+    game.inventorySystem.setQuickItem(3, 'ember');
+    runner.teleportPlayer(15, 10);
+    runner.runFor(0.5);
+    assert.ok(game.inventorySystem.collectedWorldItems.size > 0);
+    saveSystem.discoveredCheckpoints.push('Firelink Shrine');
+    
+    // Not available until every boss is defeated
+    saveSystem.registerBossDefeat(game.bosses[0]);
+    assert.equal(saveSystem.saveNewGamePlus(), false);
+    saveSystem.registerBossDefeat(game.bosses[1]);
+    assert.equal(saveSystem.canBeginNewGamePlus(), true);
+    assert.equal(saveSystem.saveNewGamePlus(), true);
+    
+    await saveSystem.storage.flush();
+    const storage = Object.fromEntries(runner.environment.storage);
+    runner.stop();
+    
+    const nextRunner = new HeadlessRunner({ seed: 31, localStorage: storage });
+    await nextRunner.start();
+    try {
+      const next = nextRunner.game;
+      const scaling = getCycleScaling(2);
+      
+      // Character and gear carried over
+      assert.equal(next.progressionSystem.cycle, 2);
+      assert.equal(next.progressionSystem.level, 12);
+      assert.equal(next.progressionSystem.souls, 5000);
+      assert.equal(next.player.stats.strength, 20);
+      assert.equal(next.inventorySystem.getItemCount('dragonScale'), 2);
+      assert.equal(next.inventorySystem.quickItems[3], 'ember');
+      
+      // World progress reset
+      assert.deepEqual(next.saveSystem.defeatedBosses, []);
+      assert.deepEqual(next.saveSystem.discoveredCheckpoints, []);
+      assert.equal(next.inventorySystem.collectedWorldItems.size, 0);
+      assert.equal(next.inventorySystem.worldItems.length, 10 + next.dungeonSystem.getPlacements('items').length, 'world items respawn');
+      assert.equal(next.saveSystem.canBeginNewGamePlus(), false);
+      
+      // Foes scaled for the cycle
+      assert.equal(next.enemies[0].maxHealth, Math.round(baseEnemy.health * scaling.health));
+      assert.equal(next.enemies[0].soulsReward, Math.round(baseEnemy.souls * scaling.souls));
+      baseBosses.forEach(base => {
+        const boss = next.bosses.find(b => b.name === base.name);
+        assert.ok(boss.isAlive, `${base.name} is back`);
+        assert.equal(boss.maxHealth, Math.round(base.health * scaling.health));
+        assert.equal(boss.health, boss.maxHealth);
+        assert.equal(boss.damage, base.damage * scaling.damage);
+      });
+      
+      nextRunner.step(3);
+      assert.equal(document.getElementById('cycle-indicator').textContent, 'NG+');
+      assert.equal(next.saveSystem.getSaveSummary().cycle, 2);
+    } finally {
+      nextRunner.stop();
+    }
+  }
+};
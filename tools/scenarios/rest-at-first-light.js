@@ -0,0 +1,37 @@
+/**
+ * Player walks back to First Light and rests to restore health
+ */
+
+import assert from 'assert/strict';
+
+export default {
+  description: 'Player walks to First Light and rests',
+  
+  async run(runner) {
+    const game = runner.game;
+    const player = game.player;
+    const firstLight = runner.findCheckpoint('First Light');
+    assert.ok(firstLight, 'First Light checkpoint exists');
+    
+    // Start wounded, away from the bonfire (and clear of the Fire Keeper)
+    runner.teleportPlayer(-8, -8);
+    runner.runFor(1);
+    player.health = player.maxHealth * 0.4;
+    
+    const arrived = runner.walkTo(firstLight.position.x, firstLight.position.z, { tolerance: 2 });
+    assert.ok(arrived, `player reached First Light (stopped ${runner.distanceToPlayer(firstLight.position).toFixed(1)}m away)`);
+    
+    // Interact opens the bonfire menu
+    runner.press('KeyE', 10);
+    assert.ok(runner.environment.isVisible('bonfire-menu'), 'bonfire menu opened');
+    assert.equal(game.checkpointSystem.activeCheckpoint, firstLight);
+    
+    runner.environment.click('rest-btn');
+    assert.equal(player.health, player.maxHealth, 'resting restores health');
+    assert.equal(game.checkpointSystem.getLastCheckpoint(), firstLight, 'First Light is the respawn point');
+    
+    runner.environment.click('leave-btn');
+    runner.step(5);
+    assert.equal(game.isPaused, false, 'leaving the bonfire resumes the game');
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Save export/import: the title screen reaches import before any save
+ * exists, files round-trip through a checksum, and hand-edited or broken
+ * files are rejected with a reason before touching any slot
+ */
+
+import assert from 'assert/strict';
+import { SaveFile } from '../../js/systems/SaveFile.js';
+
+export default {
+  description: 'Exported saves import back; edited or invalid files are rejected',
+  seed: 11,
+  
+  async run(runner) {
+    const game = runner.game;
+    const saveSystem = game.saveSystem;
+    
+    // On a machine with no saves, Load Game still leads to Import Save File; only Continue waits
+    const titleButtons = () => ['continue-btn', 'load-game-btn'].map(id => document.getElementById(id).disabled);
+    assert.equal(saveSystem.getMostRecentSlot(), null);
+    game.titleScreen.showTitleMenu();
+    assert.deepEqual(titleButtons(), [true, false]);
+    game.titleScreen.hide();
+    
+    game.progressionSystem.souls = 4321;
+    assert.equal(saveSystem.saveGame(), true);
+    game.titleScreen.showTitleMenu();
+    assert.deepEqual(titleButtons(), [false, false]);
+    game.titleScreen.hide();
+    const file = SaveFile.create(saveSystem.readSaveString());
+    
+    // Round trip into another slot
+    const imported = saveSystem.importSave(file, 3);
+    assert.equal(imported.progression.souls, 4321);
+    assert.equal(saveSystem.getSaveSummary(3).souls, 4321);
+    
+    // Every rejection names its reason and leaves the target slot alone
+    const rejects = (text, reason) => {
+      assert.throws(() => saveSystem.importSave(text, 4), reason);
+      assert.equal(saveSystem.hasSaveData(4), false);
+    };
+    
+    const edited = JSON.parse(file);
+    edited.save = edited.save.replace('"souls":4321', '"souls":999999');
+    rejects(JSON.stringify(edited), /Checksum mismatch/);
+    
+    rejects('{ not json', /not valid JSON/);
+    rejects(JSON.stringify({ hello: 'world' }), /Not a Soulsborne 3D save file/);
+    
+    // Correct checksum but broken contents fail schema validation
+    const save = JSON.parse(saveSystem.readSaveString());
+    save.player.stats.vigor = 'lots';
+    delete save.progression;
+    rejects(SaveFile.create(JSON.stringify(save)), /player\.stats\.vigor.*progression is missing/);
+    
+    rejects(SaveFile.create(JSON.stringify({ ...save, version: 99 })), /newer version/);
+    
+    // A damaged slot is reported instead of half-loading
+    saveSystem.storage.setItem(saveSystem.getSlotKey(5), JSON.stringify(save));
+    assert.match(saveSystem.getSaveSummary(5).error, /Damaged save/);
+    saveSystem.setActiveSlot(5);
+    assert.equal(saveSystem.loadGame(), false);
+    assert.equal(game.progressionSystem.souls, 4321);
+  }
+};
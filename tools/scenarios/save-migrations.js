@@ -0,0 +1,141 @@
+/**
+ * Save format migrations: each step is pure, old saves are upgraded and
+ * backed up on load, and saves from a newer version are refused
+ */
+
+import assert from 'assert/strict';
+import { SaveMigrator, CURRENT_SAVE_VERSION, migrateV1ToV2, migrateV2ToV3, migrateV3ToV4 } from '../../js/systems/SaveMigrator.js';
+
+// A save as written before versioning covered name, class, play time and seed
+const V1_SAVE = {
+  version: 1,
+  timestamp: 1700000000000,
+  player: {
+    stats: { vigor: 14, endurance: 10, strength: 12, dexterity: 10, intelligence: 10, faith: 10 },
+    maxHealth: 200,
+    maxStamina: 100,
+    maxMana: 50,
+    position: { x: 0, y: 0, z: 0 }
+  },
+  progression: { souls: 1234, level: 5 },
+  checkpoint: null,
+  discoveredCheckpoints: [],
+  defeatedBosses: [],
+  inventory: [],
+  equipment: null,
+  world: { dayTime: 0.4 }
+};
+
+// Run one step on a copy and check it left that copy alone
+function runStep(step, save) {
+  const input = structuredClone(save);
+  const output = step(input);
+  assert.deepEqual(input, save, `${step.name} does not modify its input`);
+  assert.notEqual(output, input, `${step.name} returns a new save`);
+  return output;
+}
+
+function testEachStep() {
+  // v1 -> v2: name, class, play time and seed become part of the format
+  const v2 = runStep(migrateV1ToV2, V1_SAVE);
+  assert.equal(v2.version, 2);
+  assert.equal(v2.player.name, 'Tarnished');
+  assert.equal(v2.player.characterClass, 'wanderer');
+  assert.equal(v2.playTime, 0);
+  assert.equal(v2.world.seed, null);
+  assert.equal(v2.world.dayTime, 0.4);
+  assert.deepEqual(v2.player.stats, V1_SAVE.player.stats);
+  
+  // ...keeping the values a v1 save already had
+  const named = runStep(migrateV1ToV2, {
+    ...V1_SAVE,
+    playTime: 90,
+    player: { ...V1_SAVE.player, name: 'Solaire', characterClass: 'knight' },
+    world: { dayTime: 0.4, seed: 42 }
+  });
+  assert.deepEqual([named.player.name, named.player.characterClass, named.playTime, named.world.seed], ['Solaire', 'knight', 90, 42]);
+  
+  // v2 -> v3: an empty place for system save sections
+  const v3 = runStep(migrateV2ToV3, v2);
+  assert.equal(v3.version, 3);
+  assert.deepEqual(v3.sections, {});
+  assert.deepEqual({ ...v3, version: 2, sections: undefined }, { ...v2, sections: undefined });
+  
+  // v3 -> v4: earlier saves are on their first New Game+ cycle
+  const v4 = runStep(migrateV3ToV4, v3);
+  assert.equal(v4.version, 4);
+  assert.deepEqual(v4.progression, { souls: 1234, level: 5, cycle: 1 });
+  assert.equal(runStep(migrateV3ToV4, { ...v3, progression: undefined }).progression.cycle, 1);
+}
+
+function testMigrationSteps() {
+  testEachStep();
+  
+  const migrator = new SaveMigrator();
+  const input = structuredClone(V1_SAVE);
+  const { data, fromVersion, migrated } = migrator.migrate(input);
+  
+  assert.equal(fromVersion, 1);
+  assert.equal(migrated, true);
+  assert.equal(data.version, CURRENT_SAVE_VERSION);
+  assert.equal(data.player.name, 'Tarnished', 'v2 adds a default character name');
+  assert.equal(data.player.characterClass, 'wanderer', 'v2 adds a default class');
+  assert.equal(data.playTime, 0, 'v2 adds play time');
+  assert.equal(data.world.seed, null, 'v2 adds the world seed');
+  assert.deepEqual(data.sections, {}, 'v3 adds system save sections');
+  assert.equal(data.progression.cycle, 1, 'v4 starts old saves on the first New Game+ cycle');
+  assert.equal(data.world.dayTime, 0.4, 'existing fields are kept');
+  assert.deepEqual(data.player.stats, V1_SAVE.player.stats);
+  assert.deepEqual(input, V1_SAVE, 'migration steps do not modify their input');
+  
+  // Current saves pass through untouched
+  const current = migrator.migrate(data);
+  assert.equal(current.migrated, false);
+  assert.equal(current.data, data);
+  
+  // Steps chain one version at a time
+  const next = CURRENT_SAVE_VERSION + 1;
+  const chained = new SaveMigrator(next).register(CURRENT_SAVE_VERSION, save => ({ ...save, version: next, extra: true }));
+  assert.equal(chained.migrate(input).data.extra, true, `v1 -> ... -> v${next}`);
+  
+  // Newer, unversioned and unbridgeable saves are refused
+  assert.throws(() => migrator.migrate({ version: CURRENT_SAVE_VERSION + 1 }), /newer version/);
+  assert.throws(() => migrator.migrate({}), /no valid version/);
+  assert.throws(() => new SaveMigrator(next).migrate(input), new RegExp(`No migration from save v${CURRENT_SAVE_VERSION}`));
+  assert.throws(
+    () => new SaveMigrator(next).register(CURRENT_SAVE_VERSION, save => save).migrate(input),
+    new RegExp(`did not produce v${next}`)
+  );
+}
+
+export default {
+  description: 'Old saves are migrated and backed up, newer saves are refused',
+  seed: 7,
+  localStorage: {
+    soulsborne3d_save_1: JSON.stringify(V1_SAVE),
+    soulsborne3d_save_2: JSON.stringify({ ...V1_SAVE, version: 99 })
+  },
+  
+  async run(runner) {
+    testMigrationSteps();
+    
+    // Booting continued slot 1: the v1 save was loaded, upgraded and backed up
+    const game = runner.game;
+    await game.saveSystem.storage.flush();
+    assert.equal(game.progressionSystem.souls, 1234);
+    assert.equal(game.player.stats.vigor, 14);
+    assert.equal(game.progressionSystem.cycle, 1);
+    assert.equal(localStorage.getItem('soulsborne3d_save_1_backup_v1'), JSON.stringify(V1_SAVE));
+    assert.equal(JSON.parse(localStorage.getItem('soulsborne3d_save_1')).version, CURRENT_SAVE_VERSION);
+    
+    // A save from a newer game is listed as unreadable, and never loaded or overwritten
+    const saveSystem = game.saveSystem;
+    assert.match(saveSystem.getSaveSummary(2).error, /newer version/);
+    assert.equal(saveSystem.getMostRecentSlot(), 1);
+    
+    saveSystem.setActiveSlot(2);
+    assert.equal(saveSystem.loadGame(), false);
+    assert.equal(saveSystem.saveGame(), false);
+    assert.equal(JSON.parse(localStorage.getItem('soulsborne3d_save_2')).version, 99);
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Save storage: every save keeps the previous few as rolling backups, and a
+ * corrupted newest save falls back to the latest backup that still validates
+ */
+
+import assert from 'assert/strict';
+
+export default {
+  description: 'Rolling backups are capped, and a corrupted save recovers from the previous one',
+  seed: 13,
+  
+  async run(runner) {
+    const game = runner.game;
+    const saveSystem = game.saveSystem;
+    const slotKey = saveSystem.getSlotKey(saveSystem.activeSlot);
+    
+    // Five saves leave the newest in the slot and the previous ones as backups
+    for (let souls = 1; souls <= 5; souls++) {
+      game.progressionSystem.souls = souls * 100;
+      assert.equal(saveSystem.saveGame(), true);
+    }
+    const backupSouls = saveSystem.getBackups(saveSystem.activeSlot)
+      .map(backup => JSON.parse(backup).progression.souls);
+    assert.deepEqual(backupSouls, [400, 300, 200], 'newest backup first, capped at maxBackups');
+    assert.equal(saveSystem.storage.getItem(saveSystem.getBackupKey(saveSystem.activeSlot, 4)), null);
+    
+    // Writes reach the backend (localStorage when IndexedDB is missing)
+    await saveSystem.storage.flush();
+    assert.equal(JSON.parse(localStorage.getItem(slotKey)).progression.souls, 500);
+    
+    // A truncated newest save loads the previous autosave and is kept aside
+    const corrupted = saveSystem.storage.getItem(slotKey).slice(0, 40);
+    saveSystem.storage.setItem(slotKey, corrupted);
+    assert.equal(saveSystem.getSaveSummary().souls, 400);
+    
+    game.progressionSystem.souls = 0;
+    assert.equal(saveSystem.loadGame(), true);
+    assert.equal(game.progressionSystem.souls, 400);
+    assert.equal(saveSystem.storage.getItem(`${slotKey}_corrupt`), corrupted);
+    assert.equal(JSON.parse(saveSystem.storage.getItem(slotKey)).progression.souls, 400);
+    
+    // A broken save is never rotated in over good backups
+    saveSystem.storage.setItem(slotKey, '{ broken');
+    assert.equal(saveSystem.saveGame(), true);
+    assert.equal(JSON.parse(saveSystem.getBackups(saveSystem.activeSlot)[0]).progression.souls, 400);
+    
+    // With nothing usable left the slot reports the damage instead of loading
+    saveSystem.getBackups(saveSystem.activeSlot).forEach((backup, index) => {
+      saveSystem.storage.setItem(saveSystem.getBackupKey(saveSystem.activeSlot, index + 1), '{');
+    });
+    saveSystem.storage.setItem(slotKey, '{');
+    assert.match(saveSystem.getSaveSummary().error, /Corrupted save/);
+    assert.equal(saveSystem.loadGame(), false);
+    
+    // Deleting the slot removes its backups too
+    saveSystem.deleteSlot(saveSystem.activeSlot);
+    assert.deepEqual(saveSystem.storage.keys().filter(key => key.startsWith(slotKey)), []);
+  }
+};
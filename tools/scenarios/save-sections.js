@@ -0,0 +1,76 @@
+/**
+ * Save sections: state owned by individual systems (collected world items,
+ * quick slots, spells, dropped souls, NPC progress, weather) survives a reload
+ */
+
+import assert from 'assert/strict';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+
+const PICKUP = { x: 15, z: 10, key: 'titaniteShard@15,10' };
+
+export default {
+  description: 'System save sections persist world and NPC state across a reload',
+  seed: 21,
+  
+  async run(runner) {
+    const game = runner.game;
+    
+    // Pick up a world item
+    runner.teleportPlayer(PICKUP.x, PICKUP.z);
+    runner.runFor(0.5);
+    assert.ok(game.inventorySystem.collectedWorldItems.has(PICKUP.key), 'item was collected');
+    
+    game.inventorySystem.setQuickItem(1, 'firebomb');
+    game.inventorySystem.selectedQuickItem = 1;
+    game.magicSystem.selectSpell('soulArrow');
+    game.visualEffects.setWeather('rain', 0.5);
+    
+    // Die far from spawn with souls on hand
+    runner.teleportPlayer(-70, -70);
+    game.progressionSystem.souls = 750;
+    game.progressionSystem.dropSouls(game.player.position);
+    const dropPosition = game.progressionSystem.droppedSoulsPosition.clone();
+    runner.teleportPlayer(0, 0);
+    
+    // Talk part way through a conversation
+    const warrior = game.npcSystem.npcs.find(npc => npc.name === 'Crestfallen Warrior');
+    game.npcSystem.startDialogue(warrior);
+    game.npcSystem.advanceDialogue();
+    game.npcSystem.advanceDialogue();
+    game.npcSystem.endDialogue();
+    assert.equal(warrior.dialogueIndex, 2);
+    
+    assert.equal(game.saveSystem.saveGame(), true);
+    await game.saveSystem.storage.flush();
+    const storage = Object.fromEntries(runner.environment.storage);
+    runner.stop();
+    
+    // Fresh boot continuing the save
+    const reloaded = new HeadlessRunner({ seed: 21, localStorage: storage });
+    await reloaded.start();
+    try {
+      const next = reloaded.game;
+      const inventory = next.inventorySystem;
+      assert.ok(inventory.collectedWorldItems.has(PICKUP.key));
+      assert.equal(inventory.worldItems.some(item => item.key === PICKUP.key), false, 'collected items do not respawn');
+      assert.equal(inventory.worldItems.length, 9 + next.dungeonSystem.getPlacements('items').length, 'other items are still there');
+      assert.equal(inventory.quickItems[1], 'firebomb');
+      assert.equal(inventory.selectedQuickItem, 1);
+      
+      assert.equal(next.magicSystem.currentSpell, 'soulArrow');
+      assert.equal(next.visualEffects.currentWeather, 'rain');
+      assert.equal(next.visualEffects.weatherIntensity, 0.5);
+      
+      const progression = next.progressionSystem;
+      assert.equal(progression.droppedSouls, 750);
+      assert.ok(progression.droppedSoulsPosition.equals(dropPosition));
+      assert.ok(progression.droppedSoulsMesh, 'dropped souls marker is back');
+      
+      const npcs = next.npcSystem.npcs;
+      const nextWarrior = npcs.find(npc => npc.name === 'Crestfallen Warrior');
+      assert.equal(nextWarrior.dialogueIndex, 2, 'conversation resumes where it stopped');
+    } finally {
+      reloaded.stop();
+    }
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Spatial index: insert, move, remove, radius and nearest queries return the
+ * same objects a full scan would, in a stable order, and enemies, obstacles,
+ * items, NPCs and Sites of Grace stay registered while they exist
+ */
+
+import assert from 'assert/strict';
+import { SpatialHash } from '../../js/utils/SpatialHash.js';
+
+const level = {
+  format: 'soulsborne3d-level',
+  version: 1,
+  name: 'Spatial Index Test',
+  enemies: [{ x: 12, z: 0, kind: 'melee' }, { x: -12, z: 6, kind: 'wolf' }],
+  bosses: [],
+  checkpoints: [{ name: 'Camp', x: 0, z: 0, discovered: true }, { name: 'Hollow', x: 30, z: -30 }],
+  npcs: [{ name: 'Trader', type: 'merchant', x: -20, z: -20, dialogue: ['Hello.'], services: ['shop'], inventory: [] }],
+  items: [{ item: 'ember', x: 20, z: 20 }],
+  ruins: [],
+  bossArenas: []
+};
+
+// Objects of a list within radius of a point, the slow way
+function scan(objects, x, z, radius) {
+  return objects.filter(({ position }) => Math.hypot(position.x - x, position.z - z) <= radius);
+}
+
+export default {
+  description: 'Spatial index answers radius and nearest queries and tracks entities, obstacles and interactables',
+  seed: 9,
+  level,
+  
+  async run(runner) {
+    // The index on its own: buckets, moves between cells and ordering
+    const index = new SpatialHash(4);
+    const a = { name: 'a' };
+    const b = { name: 'b' };
+    const c = { name: 'c' };
+    index.insert('things', a, 0, 0);
+    index.insert('things', b, 3, 0);
+    index.insert('things', c, -3, 0);
+    index.insert('other', {}, 1, 1);
+    assert.deepEqual(index.queryRadius('things', 0, 0, 3), [a, b, c], 'results come back in insertion order');
+    assert.deepEqual(index.queryRadius('things', 10, 0, 3), []);
+    assert.equal(index.nearest('things', 2, 0), b);
+    assert.equal(index.nearest('things', 0, 0, 10, thing => thing !== a), b, 'ties go to the earliest inserted');
+    assert.equal(index.nearest('things', 50, 0, 10), null);
+    
+    assert.equal(index.move(a, 20, 20), true);
+    assert.deepEqual(index.queryRadius('things', 0, 0, 3), [b, c]);
+    assert.deepEqual(index.queryRadius('things', 19, 19, 2), [a]);
+    index.insert('things', a, 0, 0);
+    assert.deepEqual(index.queryRadius('things', 0, 0, 3), [a, b, c], 'inserting again moves and keeps the order');
+    
+    assert.equal(index.remove(b), true);
+    assert.equal(index.remove(b), false);
+    assert.equal(index.move(b, 0, 0), false, 'removed objects are not moved back in');
+    assert.equal(index.has(b), false);
+    assert.deepEqual(index.queryRadius('things', 0, 0, 100), [a, c]);
+    index.clearLayer('things');
+    assert.equal(index.count('things'), 0);
+    assert.equal(index.count('other'), 1, 'clearing a layer leaves the others alone');
+    
+    // Every obstacle is registered, and collision gives the same answers as checking all of them
+    const game = runner.game;
+    const world = game.world;
+    const spatialIndex = game.spatialIndex;
+    assert.equal(spatialIndex.count('trees'), world.trees.length);
+    assert.equal(spatialIndex.count('rocks'), world.rocks.length);
+    world.trees.concat(world.rocks).forEach(({ position }) => {
+      [[0, 0], [0.8, 0], [0, -1.4], [1.9, 1.9], [3, 0]].forEach(([dx, dz]) => {
+        const point = position.clone();
+        point.x += dx;
+        point.z += dz;
+        const blocked = !world.isWithinBounds(point.x, point.z) ||
+          world.rocks.some(rock => point.distanceTo(rock.position) < 1.5) ||
+          world.trees.some(tree => Math.hypot(point.x - tree.position.x, point.z - tree.position.z) < 1);
+        assert.equal(world.checkCollision(point, 0.5), blocked);
+      });
+    });
+    
+    // Enemies move with their entries
+    assert.equal(spatialIndex.count('enemies'), game.enemies.length);
+    runner.teleportPlayer(-6, 6);
+    runner.runFor(3);
+    game.enemies.forEach(enemy => {
+      assert.ok(spatialIndex.queryRadius('enemies', enemy.position.x, enemy.position.z, 0.01).includes(enemy));
+    });
+    assert.deepEqual(
+      spatialIndex.queryRadius('enemies', -6, 6, 12),
+      scan(game.enemies, -6, 6, 12)
+    );
+    
+    // Sites of Grace are discovered and items picked up through the index
+    const hollow = runner.findCheckpoint('Hollow');
+    assert.equal(hollow.isDiscovered, false);
+    runner.teleportPlayer(31, -30);
+    runner.runFor(0.5);
+    assert.ok(hollow.isDiscovered);
+    
+    const ember = game.inventorySystem.worldItems[0];
+    assert.ok(spatialIndex.has(ember));
+    runner.teleportPlayer(20, 20);
+    runner.runFor(0.5);
+    assert.ok(ember.collected);
+    assert.equal(spatialIndex.has(ember), false, 'picked up items leave the index');
+    assert.equal(game.inventorySystem.worldItems.length, 0);
+    
+    // NPCs are found by the nearest query
+    const trader = game.npcSystem.npcs[0];
+    assert.equal(spatialIndex.nearest('npcs', -21, -19, game.npcSystem.interactionRange), trader);
+    
+    // Disposed enemies leave the index; a level rebuild registers the new ones
+    const enemy = game.enemies[0];
+    enemy.takeDamage(enemy.health + 1000, game.player.position);
+    const { x, z } = enemy.position;
+    assert.notEqual(spatialIndex.nearest('enemies', x, z, 5, other => other.isAlive), enemy);
+    
+    game.rebuildLevelEnemies();
+    game.rebuildLevelEnemies();
+    assert.equal(spatialIndex.has(enemy), false);
+    assert.equal(spatialIndex.count('enemies'), game.enemies.length);
+    assert.ok(game.enemies.every(entity => spatialIndex.has(entity)));
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Terrain chunks: the ground streams in around the player with distance LOD,
+ * seams between different detail levels line up, mesh heights match
+ * World.getHeightAt, and far chunks are disposed so vertex count stays flat
+ */
+
+import assert from 'assert/strict';
+import * as THREE from 'three';
+
+// Mesh heights along one edge of a chunk ([position along the edge, height], sorted).
+// axis is the coordinate that is constant on the edge, end picks its low or high side.
+function edgeProfile(chunk, axis, end) {
+  const positions = chunk.mesh.geometry.attributes.position;
+  const read = (v, coord) => (coord === 'x' ? positions.getX(v) : positions.getZ(v));
+  const other = axis === 'x' ? 'z' : 'x';
+  
+  const values = Array.from({ length: positions.count }, (_, v) => read(v, axis));
+  const edge = end === 'max' ? Math.max(...values) : Math.min(...values);
+  
+  const points = [];
+  for (let v = 0; v < positions.count; v++) {
+    if (Math.abs(read(v, axis) - edge) < 1e-4) {
+      points.push([read(v, other), positions.getY(v)]);
+    }
+  }
+  return points.sort((p, q) => p[0] - q[0]);
+}
+
+function heightOnProfile(points, at) {
+  for (let k = 0; k < points.length - 1; k++) {
+    const [p0, h0] = points[k];
+    const [p1, h1] = points[k + 1];
+    if (at >= p0 - 1e-4 && at <= p1 + 1e-4) {
+      return h0 + (h1 - h0) * ((at - p0) / (p1 - p0));
+    }
+  }
+  throw new Error(`${at} is not on the edge`);
+}
+
+// Height of the drawn ground straight below a point
+const raycaster = new THREE.Raycaster();
+function meshHeightAt(chunk, x, z) {
+  raycaster.set(new THREE.Vector3(x, 1000, z), new THREE.Vector3(0, -1, 0));
+  const [hit] = raycaster.intersectObject(chunk.mesh);
+  return hit ? hit.point.y : null;
+}
+
+export default {
+  description: 'Streamed terrain chunks with LOD, stitched seams and matching heights',
+  seed: 13,
+  
+  async run(runner) {
+    const game = runner.game;
+    const world = game.world;
+    const terrain = world.terrain;
+    const total = world.chunksPerSide * world.chunksPerSide;
+    
+    // Only the chunks in view are built
+    runner.teleportPlayer(0, 0);
+    runner.runFor(1);
+    const nearStats = terrain.getStats();
+    assert.ok(nearStats.chunks > 0 && nearStats.chunks < total, `${nearStats.chunks} of ${total} chunks loaded`);
+    
+    // Detail falls off with distance
+    const steps = [...terrain.chunks.values()].map(chunk => chunk.step);
+    const home = terrain.chunks.get(`${world.chunksPerSide / 2},${world.chunksPerSide / 2}`);
+    assert.equal(home.step, Math.min(...steps), 'the chunk under the player has the most detail');
+    assert.ok(Math.max(...steps) > home.step, 'distant chunks are coarser');
+    
+    // Vertices sit on the height grid that gameplay uses
+    terrain.chunks.forEach(chunk => {
+      const positions = chunk.mesh.geometry.attributes.position;
+      for (let v = 0; v < positions.count; v += 7) {
+        const x = positions.getX(v);
+        const z = positions.getZ(v);
+        const onGrid = Math.abs(positions.getY(v) - world.sampleHeightMap(x, z));
+        const snapped = chunk.edges.some(edge => edge !== chunk.step);
+        assert.ok(snapped || onGrid < 1e-3, `vertex at ${x.toFixed(1)}, ${z.toFixed(1)} is off by ${onGrid}`);
+      }
+    });
+    for (const [x, z] of [[3.3, -7.9], [41.2, 18.6], [-25.5, 30.1]]) {
+      const mesh = world.sampleHeightMap(x, z);
+      assert.ok(Math.abs(world.getHeightAt(x, z) - mesh) < 0.25, 'getHeightAt follows the terrain');
+    }
+    
+    // Between the nodes too: the ground drawn around the player is where getHeightAt stands them, on every preset
+    assert.equal(home.step, 1, `the chunk under the player uses every height node (${game.settings.terrainSegments} segments preset)`);
+    const cell = world.heightCellSize;
+    let worst = 0;
+    for (let x = -world.chunkSize; x < world.chunkSize; x += cell * 0.37) {
+      for (let z = -world.chunkSize; z < world.chunkSize; z += cell * 0.61) {
+        const chunk = terrain.chunks.get(`${Math.floor((x + world.worldSize / 2) / world.chunkSize)},${Math.floor((z + world.worldSize / 2) / world.chunkSize)}`);
+        const drawn = meshHeightAt(chunk, x, z);
+        assert.notEqual(drawn, null, `ground is drawn at ${x.toFixed(1)}, ${z.toFixed(1)}`);
+        worst = Math.max(worst, Math.abs(drawn - world.getHeightAt(x, z)));
+      }
+    }
+    assert.ok(worst < 0.2, `drawn ground near the player is off getHeightAt by up to ${worst.toFixed(3)}`);
+    
+    // Shared edges line up, even where the detail level changes
+    let seams = 0;
+    let mixedSeams = 0;
+    terrain.chunks.forEach(chunk => {
+      for (const [dx, dz, side] of [[1, 0, 'x'], [0, 1, 'z']]) {
+        const neighbour = terrain.chunks.get(`${chunk.cx + dx},${chunk.cz + dz}`);
+        if (!neighbour) continue;
+        
+        const mine = edgeProfile(chunk, side, 'max');
+        const other = edgeProfile(neighbour, side, 'min');
+        
+        for (const [at] of [...mine, ...other]) {
+          const gap = Math.abs(heightOnProfile(mine, at) - heightOnProfile(other, at));
+          assert.ok(gap < 1e-3, `crack of ${gap} between chunks ${chunk.cx},${chunk.cz} and ${neighbour.cx},${neighbour.cz}`);
+        }
+        seams++;
+        if (neighbour.step !== chunk.step) mixedSeams++;
+      }
+    });
+    assert.ok(seams > 0 && mixedSeams > 0, 'checked seams between different detail levels');
+    
+    // Moving to the far corner streams new chunks in and the old ones out
+    const corner = world.getBoundaryLimit() - 10;
+    runner.teleportPlayer(corner, corner);
+    const cornerKey = `${world.chunksPerSide - 1},${world.chunksPerSide - 1}`;
+    runner.runFor(0.1);
+    assert.ok(terrain.chunks.has(cornerKey), 'the chunk under a teleported player is built at once');
+    runner.runFor(2);
+    assert.equal(terrain.chunks.has(`${world.chunksPerSide / 2},${world.chunksPerSide / 2}`), false,
+      'chunks left behind are disposed');
+    assert.equal(home.mesh.parent, null, 'disposed meshes leave the scene');
+    
+    const farStats = terrain.getStats();
+    assert.ok(farStats.vertices <= nearStats.vertices, 'vertex count does not grow as the player travels');
+    assert.ok(Math.abs(game.player.position.y - 1 - world.getHeightAt(corner, corner)) < 2, 'player stands on the streamed ground');
+  }
+};
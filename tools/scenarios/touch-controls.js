@@ -0,0 +1,151 @@
+/**
+ * Touch controls: the on-screen layer appears after a touch, its joystick,
+ * swipe area and buttons drive the player (and NPC conversations), and its
+ * layout can be edited
+ */
+
+import assert from 'assert/strict';
+
+function touchEvent(type, identifier, clientX, clientY) {
+  return {
+    type,
+    changedTouches: [{ identifier, clientX, clientY }],
+    preventDefault() {}
+  };
+}
+
+export default {
+  description: 'Touch joystick, swipe camera, buttons and layout editing',
+  seed: 9,
+  
+  async run(runner) {
+    const game = runner.game;
+    const env = runner.environment;
+    const input = game.inputManager;
+    const player = game.player;
+    const touch = game.touchControls;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    
+    // Hidden until the screen is touched
+    runner.step(3);
+    assert.equal(touch.isVisible, false);
+    env.window.dispatchEvent({ type: 'touchstart' });
+    runner.step(3);
+    assert.equal(touch.isVisible, true, 'first touch shows the controls');
+    
+    // Joystick pushed up walks forward
+    runner.teleportPlayer(0, 0);
+    runner.runFor(0.5);
+    const joystick = touch.elements.joystick;
+    const centerX = 0.14 * width;
+    const centerY = 0.72 * height;
+    const start = player.position.clone();
+    joystick.dispatchEvent(touchEvent('touchstart', 1, centerX + 5, centerY));
+    assert.equal(input.isMoving(), false, 'a touch inside the dead zone does not move');
+    joystick.dispatchEvent(touchEvent('touchmove', 1, centerX, centerY - 200));
+    assert.ok(Math.abs(input.stick.z + 1) < 1e-9, 'stick is clamped to full tilt');
+    runner.runFor(1);
+    assert.ok(player.position.distanceTo(start) > 2, 'joystick moves the player');
+    joystick.dispatchEvent(touchEvent('touchend', 1, centerX, centerY - 200));
+    assert.equal(input.isMoving(), false);
+    
+    // Swiping the rest of the screen turns the camera
+    const yaw = player.cameraRotationY;
+    touch.elements.look.dispatchEvent(touchEvent('touchstart', 2, width / 2, height / 2));
+    touch.elements.look.dispatchEvent(touchEvent('touchmove', 2, width / 2 + 100, height / 2));
+    runner.step();
+    touch.elements.look.dispatchEvent(touchEvent('touchend', 2, width / 2 + 100, height / 2));
+    assert.ok(player.cameraRotationY < yaw - 0.3, 'swipe turns the camera');
+    
+    // Buttons press actions, block is held
+    runner.runFor(0.5);
+    touch.elements.lightAttack.dispatchEvent(touchEvent('touchstart', 3, 0, 0));
+    runner.step();
+    touch.elements.lightAttack.dispatchEvent(touchEvent('touchend', 3, 0, 0));
+    assert.ok(player.isAttacking, 'attack button attacks');
+    runner.runUntil(() => !player.isAttacking, 3);
+    
+    touch.elements.block.dispatchEvent(touchEvent('touchstart', 4, 0, 0));
+    runner.step();
+    assert.equal(input.keys.block, true, 'block button holds block');
+    touch.elements.block.dispatchEvent(touchEvent('touchend', 4, 0, 0));
+    assert.equal(input.keys.block, false);
+    
+    game.hud.showInteractionPrompt('Rest');
+    assert.equal(document.getElementById('prompt-key').textContent, 'Use', 'prompts name the touch button');
+    
+    // Use talks to an NPC and reads on, pause leaves; only those two stay up meanwhile
+    const npcs = game.npcSystem;
+    const tap = (id, touchId) => {
+      touch.elements[id].dispatchEvent(touchEvent('touchstart', touchId, 0, 0));
+      runner.step();
+      touch.elements[id].dispatchEvent(touchEvent('touchend', touchId, 0, 0));
+    };
+    const isShown = id => !touch.elements[id].classList.contains('hidden');
+    const warrior = npcs.npcs.find(npc => npc.name === 'Crestfallen Warrior');
+    runner.teleportPlayer(warrior.position.x + 1.5, warrior.position.z);
+    runner.runFor(0.2);
+    tap('interact', 10);
+    assert.ok(runner.runUntil(() => npcs.dialogueActive, 0.5), 'Use starts talking');
+    runner.step(3);
+    assert.equal(touch.isVisible, true, 'controls stay up during a conversation');
+    assert.ok(isShown('interact') && isShown('pause'));
+    assert.equal(isShown('roll') || isShown('joystick') || isShown('look'), false, 'the rest step aside');
+    assert.equal(document.getElementById('dialogue-continue').textContent, 'Press Use to continue, ❚❚ to leave');
+    tap('interact', 11);
+    assert.equal(npcs.currentDialogueIndex, 1, 'Use reads on');
+    tap('pause', 12);
+    assert.equal(npcs.dialogueActive, false, 'pause leaves the conversation');
+    assert.equal(game.isPaused, false);
+    assert.equal(game.states.is('playing'), true, 'without opening the pause menu');
+    runner.step(3);
+    assert.ok(isShown('roll') && isShown('joystick') && isShown('look'), 'every control is back');
+    
+    // The pause button opens the menu; the controls hide and let go of held buttons
+    touch.elements.block.dispatchEvent(touchEvent('touchstart', 5, 0, 0));
+    touch.elements.pause.dispatchEvent(touchEvent('touchstart', 6, 0, 0));
+    touch.elements.pause.dispatchEvent(touchEvent('touchend', 6, 0, 0));
+    assert.equal(game.isPaused, true);
+    runner.step(3);
+    assert.equal(touch.isVisible, false, 'hidden behind the pause menu');
+    assert.equal(input.keys.block, false, 'held buttons are released when hidden');
+    
+    // Drag a button somewhere else while editing the layout
+    game.settingsMenu.open();
+    document.getElementById('touch-layout-btn').click();
+    assert.equal(touch.isVisible, true, 'visible while editing');
+    const roll = touch.elements.roll;
+    roll.dispatchEvent(touchEvent('touchstart', 7, 0.8 * width, 0.82 * height));
+    roll.dispatchEvent(touchEvent('touchmove', 7, 0.3 * width, 0.5 * height));
+    roll.dispatchEvent(touchEvent('touchend', 7, 0.3 * width, 0.5 * height));
+    assert.equal(input.actionPressed.roll, false, 'editing does not press buttons');
+    touch.elements.done.click();
+    assert.equal(roll.style.left, '30%');
+    assert.deepEqual(game.saveSystem.loadSettings().touch.layout.roll, { x: 0.3, y: 0.5 });
+    assert.ok(env.isVisible('settings-menu'), 'back to the settings menu');
+    
+    // Size and visibility settings
+    document.getElementById('touch-mode').value = 'off';
+    document.getElementById('touch-mode').dispatchEvent({ type: 'change', target: { value: 'off' } });
+    document.getElementById('touch-scale').dispatchEvent({ type: 'input', target: { value: '150' } });
+    assert.equal(touch.elements.joystick.style.width, '210px');
+    game.settingsMenu.close();
+    runner.step(3);
+    assert.equal(game.isPaused, false);
+    env.window.dispatchEvent({ type: 'touchstart' });
+    runner.step(3);
+    assert.equal(touch.isVisible, false, 'mode "off" keeps them hidden');
+    
+    // Back to auto: the keyboard hides them again
+    touch.setMode('auto');
+    runner.step(3);
+    assert.equal(touch.isVisible, true);
+    runner.press('KeyW', 3);
+    runner.step(3);
+    assert.equal(touch.isVisible, false, 'keyboard use hides the controls');
+    
+    touch.resetLayout();
+    assert.equal(touch.elements.roll.style.left, '80%');
+  }
+};
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Headless Simulation Runner
+ * Steps the game in Node (no WebGL) and runs scripted scenarios from tools/scenarios/
+ *
+ * Usage:
+ *   node tools/simulate.js              # run every scenario
+ *   node tools/simulate.js rest-at-first-light
+ *   node tools/simulate.js --list
+ *   node tools/simulate.js --replay replay-123.json   # play back an exported input recording
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { HeadlessRunner } from '../js/headless/HeadlessRunner.js';
+import { InputRecorder } from '../js/game/InputRecorder.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const scenariosDir = join(__dirname, 'scenarios');
+
+/**
+ * Load scenario modules (default export: { description, preset?, seed?, localStorage?, level?, run(runner) })
+ */
+async function loadScenarios() {
+  const files = readdirSync(scenariosDir).filter(file => file.endsWith('.js')).sort();
+  const scenarios = [];
+  
+  for (const file of files) {
+    const module = await import(pathToFileURL(join(scenariosDir, file)).href);
+    scenarios.push({ name: basename(file, '.js'), ...module.default });
+  }
+  
+  return scenarios;
+}
+
+async function runScenario(scenario) {
+  const runner = new HeadlessRunner({
+    preset: scenario.preset,
+    seed: scenario.seed,
+    localStorage: scenario.localStorage,
+    level: scenario.level
+  });
+  const start = Date.now();
+  
+  // Game code is chatty - keep scenario output readable
+  const log = console.log;
+  console.log = () => {};
+  
+  try {
+    await runner.start();
+    await scenario.run(runner);
+    return { passed: true, ms: Date.now() - start };
+  } catch (err) {
+    return { passed: false, ms: Date.now() - start, error: err };
+  } finally {
+    console.log = log;
+    runner.stop();
+  }
+}
+
+/**
+ * Play back an exported replay file and report where it ended up
+ */
+async function runReplay(file) {
+  let replay;
+  try {
+    replay = InputRecorder.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    console.error(`Invalid replay ${file}: ${err.message}`);
+    process.exit(1);
+  }
+  
+  console.log('🎮 Headless Replay');
+  console.log('='.repeat(50));
+  console.log(`Seed ${replay.seed}, preset ${replay.preset}, ${replay.length} steps, ${replay.frames.length} input frames`);
+  
+  const runner = new HeadlessRunner({ replay });
+  const log = console.log;
+  console.log = () => {};
+  
+  let finished = false;
+  try {
+    await runner.start();
+    finished = runner.playReplay(replay.length * runner.game.fixedTimeStep + 1);
+  } finally {
+    console.log = log;
+  }
+  
+  const game = runner.game;
+  const position = game.player.position;
+  console.log(`Player: (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}) ` +
+    `HP ${game.player.health}/${game.player.maxHealth} state ${game.player.state}`);
+  console.log(`Souls: ${game.progressionSystem.souls}, enemies alive: ${game.enemies.filter(e => e.isAlive).length}`);
+  runner.stop();
+  
+  if (!finished) {
+    console.error('Replay did not finish');
+    process.exit(1);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  
+  const replayIndex = args.indexOf('--replay');
+  if (replayIndex !== -1) {
+    await runReplay(args[replayIndex + 1]);
+    return;
+  }
+  
+  const scenarios = await loadScenarios();
+  
+  if (args.includes('--list')) {
+    scenarios.forEach(s => console.log(`${s.name.padEnd(28)} ${s.description || ''}`));
+    return;
+  }
+  
+  const selected = args.length > 0
+    ? scenarios.filter(s => args.includes(s.name))
+    : scenarios;
+  
+  if (selected.length === 0) {
+    console.error(`No matching scenarios for: ${args.join(', ')}`);
+    process.exit(1);
+  }
+  
+  console.log('🎮 Headless Simulation');
+  console.log('='.repeat(50));
+  
+  let failures = 0;
+  for (const scenario of selected) {
+    const result = await runScenario(scenario);
+    
+    if (result.passed) {
+      console.log(`✓ ${scenario.name} (${result.ms}ms)`);
+    } else {
+      failures++;
+      console.log(`✗ ${scenario.name} (${result.ms}ms)`);
+      console.log(`  ${result.error && result.error.stack ? result.error.stack : result.error}`);
+    }
+  }
+  
+  console.log('='.repeat(50));
+  console.log(`${selected.length - failures}/${selected.length} scenarios passed`);
+  
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+main();